@@ -0,0 +1,25 @@
+import assert from 'node:assert/strict';
+import { normalizeAchievementDeclarations, MAX_ACHIEVEMENTS_PER_GAME } from '../src/achievements.js';
+
+const [first, second] = normalizeAchievementDeclarations([
+    { key: 'First-Win', title: '  First Win ', description: 'Clear wave one', icon: '🏆' },
+    { key: 'speedrun_60', title: 'Speedrunner', points: 500, hidden: true },
+]);
+assert.deepEqual(first, {
+    key: 'first-win', title: 'First Win', description: 'Clear wave one', icon: '🏆', points: 10, hidden: false, sortOrder: 0,
+});
+assert.equal(second.points, 100, 'points are capped');
+assert.equal(second.hidden, true);
+assert.equal(second.sortOrder, 1);
+
+const rejects = (input, pattern) => assert.throws(
+    () => normalizeAchievementDeclarations(input),
+    (error) => error.statusCode === 400 && pattern.test(error.message),
+);
+rejects({ key: 'x' }, /must be an array/);
+rejects([{ key: 'has space', title: 'x' }], /key must be/);
+rejects([{ key: 'a', title: '' }], /title is required/);
+rejects([{ key: 'a', title: 'A' }, { key: 'A', title: 'Again' }], /Duplicate/);
+rejects(Array.from({ length: MAX_ACHIEVEMENTS_PER_GAME + 1 }, (_, i) => ({ key: `k${i}`, title: 'x' })), /At most/);
+
+console.log('✅ achievement checks passed');
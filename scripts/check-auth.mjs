@@ -0,0 +1,76 @@
+import assert from 'node:assert/strict';
+import jwt from 'jsonwebtoken';
+
+process.env.AUTH_JWT_SECRET = 'check-auth-secret';
+const {
+  AuthError,
+  signAccessToken,
+  parseRefreshToken,
+  describeDevice,
+  resolveAccessToken,
+  requireAuth,
+  optionalAuth,
+} = await import('../src/auth.js');
+
+const userId = '6f1c2a9e-0000-4000-8000-000000000001';
+const sessionId = '6f1c2a9e-0000-4000-8000-0000000000aa';
+
+// Access tokens name the user and the session, and expire.
+const claims = jwt.verify(signAccessToken(userId, sessionId), 'check-auth-secret');
+assert.equal(claims.sub, userId);
+assert.equal(claims.sid, sessionId);
+assert.ok(claims.exp - claims.iat <= 15 * 60);
+
+// Refresh tokens are <sessionId>.<64 hex>; anything else is refused up front.
+const secret = 'ab'.repeat(32);
+assert.deepEqual(parseRefreshToken(`${sessionId}.${secret}`), { sessionId, secret });
+for (const bad of [undefined, '', secret, `${sessionId}.${secret}.x`, `not-a-session.${secret}`, `${sessionId}.xyz`]) {
+  assert.equal(parseRefreshToken(bad), null, `rejects ${bad}`);
+}
+
+// Device details come from the body or headers, trimmed to column sizes.
+assert.deepEqual(
+  describeDevice({
+    body: { deviceName: 'x'.repeat(300) },
+    headers: { 'x-platform': 'ios', 'user-agent': 'GameTok/3.1', 'x-forwarded-for': '203.0.113.9, 10.0.0.1' },
+  }),
+  { deviceName: 'x'.repeat(100), platform: 'ios', userAgent: 'GameTok/3.1', ip: '203.0.113.9' }
+);
+
+// Bad JWTs are rejected before any lookup; expiry has its own code so clients know to refresh.
+const rejection = (token) => resolveAccessToken(token).then(
+  () => assert.fail('expected AuthError'),
+  (error) => {
+    assert.ok(error instanceof AuthError);
+    assert.equal(error.statusCode, 401);
+    return error.code;
+  }
+);
+assert.equal(await rejection(null), 'unauthenticated');
+const expired = jwt.sign({ sid: sessionId, exp: Math.floor(Date.now() / 1000) - 10 }, 'check-auth-secret', { subject: userId });
+assert.equal(await rejection(expired), 'token_expired');
+assert.equal(await rejection(jwt.sign({ sid: sessionId }, 'someone-elses-secret', { subject: userId })), 'invalid_token');
+assert.equal(await rejection(jwt.sign({ sid: sessionId }, 'check-auth-secret', { subject: userId, algorithm: 'HS512' })), 'invalid_token');
+
+// Middleware: requireAuth answers 401 with the code; optionalAuth carries on anonymously.
+function fakeRes() {
+  return {
+    statusCode: 200,
+    body: null,
+    status(code) { this.statusCode = code; return this; },
+    json(body) { this.body = body; return this; },
+  };
+}
+const res = fakeRes();
+let nextCalled = false;
+await requireAuth({ headers: { authorization: `Bearer ${expired}` } }, res, () => { nextCalled = true; });
+assert.equal(nextCalled, false);
+assert.equal(res.statusCode, 401);
+assert.deepEqual(res.body, { error: 'Access token expired', code: 'token_expired' });
+
+const anonymous = { headers: { authorization: `Bearer ${expired}` } };
+await optionalAuth(anonymous, fakeRes(), () => { nextCalled = true; });
+assert.ok(nextCalled);
+assert.equal(anonymous.userId, null);
+
+console.log('✅ Auth checks passed');
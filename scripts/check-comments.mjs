@@ -0,0 +1,46 @@
+import assert from 'node:assert/strict';
+import {
+    normalizeCommentSort,
+    extractMentions,
+    encodeCommentCursor,
+    decodeCommentCursor,
+    formatComment,
+} from '../src/comments.js';
+
+assert.equal(normalizeCommentSort(undefined), 'new');
+assert.equal(normalizeCommentSort('TOP'), 'top');
+assert.equal(normalizeCommentSort('hot'), null);
+
+// Mentions: distinct, case-folded, not emails or @@, capped.
+assert.deepEqual(extractMentions('@Ann nice run @bob_99, @ann again'), ['ann', 'bob_99']);
+assert.deepEqual(extractMentions('mail me at ann@example.com'), []);
+assert.deepEqual(extractMentions('@@ann @al'), []);
+assert.deepEqual(extractMentions(undefined), []);
+const crowd = Array.from({ length: 15 }, (_, i) => `@user${i}`).join(' ');
+assert.equal(extractMentions(crowd).length, 10);
+
+// Cursors round-trip and are tied to the sort they were made for.
+const createdAt = new Date('2026-05-01T10:00:00.123Z');
+const row = { id: '1b4e28ba-2fa1-41d2-883f-0016d3cca427', likes: 12, createdAt };
+const top = decodeCommentCursor('top', encodeCommentCursor('top', row));
+assert.equal(top.likes, 12);
+assert.equal(top.createdAt.getTime(), createdAt.getTime());
+assert.equal(top.id, row.id);
+const newest = decodeCommentCursor('new', encodeCommentCursor('new', row));
+assert.equal(newest.likes, undefined);
+assert.equal(newest.id, row.id);
+assert.equal(decodeCommentCursor('new', encodeCommentCursor('top', row)), null);
+assert.equal(decodeCommentCursor('top', 'garbage'), null);
+assert.equal(decodeCommentCursor('new', null), null);
+
+// Hidden comments are only marked as such for their author.
+const hidden = {
+    id: row.id, parent_id: null, text: 'hi', user_id: 'author', likes: 0,
+    reply_count: 2, pinned_at: null, moderation_state: 'hidden', created_at: createdAt,
+};
+assert.equal(formatComment(hidden, 'author').hidden, true);
+assert.equal(formatComment(hidden, 'someone').hidden, undefined);
+assert.equal(formatComment(hidden).replyCount, 2);
+assert.equal(formatComment({ ...hidden, pinned_at: createdAt }).pinned, true);
+
+console.log('✅ comment checks passed');
@@ -0,0 +1,85 @@
+import assert from 'node:assert/strict';
+import {
+    DEFAULT_CONTENT_POLICY,
+    loadContentPolicy,
+    normalizeForScreening,
+    matchBlocklist,
+    heuristicSafetyCategories,
+    evaluateContent,
+    formatRefusal,
+    registerContentClassifier,
+    screenContent,
+    assertContentAllowed,
+} from '../src/content-safety.js';
+
+// Normalising undoes the usual tricks.
+assert.equal(normalizeForScreening('Fr€e  P0RN​!!'), 'fr e porn');
+assert.deepEqual(matchBlocklist('a B@dw0rd here', ['badword', 'other']), ['badword']);
+assert.deepEqual(matchBlocklist('badwords', ['badword']), []);
+
+// Everyday game prompts pass; the heuristic is narrow on purpose.
+for (const prompt of [
+    'zombie shooter where you defend a farm',
+    'a fighting game with ninjas and swords',
+    'kid-friendly puzzle about stacking blocks',
+    'racing game with 12 year old go-kart champions',
+    'hunt the ghosts in a haunted mansion',
+]) {
+    assert.deepEqual(heuristicSafetyCategories(prompt), [], prompt);
+}
+assert.deepEqual(heuristicSafetyCategories('nude beach volleyball'), ['sexual']);
+assert.deepEqual(heuristicSafetyCategories('n4ked 14 year old'), ['sexual_minors']);
+assert.deepEqual(heuristicSafetyCategories('simulate a school shooting'), ['violent_extremism']);
+assert.deepEqual(heuristicSafetyCategories('exterminate all the immigrants'), ['hate']);
+assert.deepEqual(heuristicSafetyCategories('gory dismemberment arena'), ['graphic_violence']);
+
+// Policy: env JSON over defaults, ignoring anything it doesn't understand.
+const policy = loadContentPolicy({
+    CONTENT_POLICY: JSON.stringify({ blocklist: ['Bad Word'], categories: { graphic_violence: 'allow', sexual: 'nope', made_up: 'block' } }),
+});
+assert.deepEqual(policy.blocklist, ['bad word']);
+assert.equal(policy.categories.graphic_violence, 'allow');
+assert.equal(policy.categories.sexual, 'block');
+assert.equal(policy.categories.made_up, undefined);
+assert.equal(policy.classifier, 'heuristic');
+assert.deepEqual(loadContentPolicy({ CONTENT_POLICY: '{nope' }).categories, DEFAULT_CONTENT_POLICY.categories);
+assert.equal(loadContentPolicy({ CONTENT_CLASSIFIER: 'kimi' }).classifier, 'kimi');
+
+// Verdicts: any block wins, then review, else allow.
+assert.equal(evaluateContent([{ field: 'prompt', categories: [] }], policy).verdict, 'allow');
+assert.equal(evaluateContent([{ field: 'prompt', categories: ['graphic_violence'] }], policy).verdict, 'allow');
+assert.equal(evaluateContent([{ field: 'prompt', categories: ['self_harm'] }], policy).verdict, 'review');
+const blocked = evaluateContent([
+    { field: 'title', categories: ['self_harm'] },
+    { field: 'description', blockedTerms: ['bad word'], categories: [] },
+], policy);
+assert.equal(blocked.verdict, 'block');
+assert.deepEqual(blocked.reasons.map((reason) => [reason.field, reason.code, reason.action]), [
+    ['title', 'self_harm', 'review'],
+    ['description', 'blocked_term', 'block'],
+]);
+
+// The client hears why, but never the matched term.
+const refusal = formatRefusal({ surface: 'publish', decisionId: 'd1', ...blocked });
+assert.deepEqual(refusal.reasons, [{ code: 'blocked_term', field: 'description', message: refusal.reasons[0].message }]);
+assert.ok(!JSON.stringify(refusal).includes('bad word'));
+assert.equal(refusal.appealable, true);
+assert.equal(formatRefusal({ surface: 'publish', decisionId: null, ...blocked }).appealable, false);
+
+// Pluggable classifiers; allowed text never touches the database.
+registerContentClassifier('always-clean', async () => ({ categories: [], source: 'always-clean' }));
+const clean = await screenContent({
+    surface: 'dream_prompt',
+    fields: { prompt: 'nude beach volleyball', empty: '  ' },
+    policy: { ...policy, classifier: 'always-clean' },
+});
+assert.deepEqual(clean, { verdict: 'allow', reasons: [], decisionId: null, classifier: 'always-clean' });
+registerContentClassifier('broken', async () => { throw new Error('down'); });
+const fallback = await assertContentAllowed({
+    surface: 'dream_prompt',
+    fields: { prompt: 'a cozy farming game' },
+    policy: { ...policy, classifier: 'broken' },
+});
+assert.equal(fallback.classifier, 'heuristic');
+
+console.log('✅ content safety checks passed');
@@ -0,0 +1,90 @@
+import assert from 'node:assert/strict';
+import {
+    MAX_ANALYTICS_DAYS,
+    SCORE_BUCKETS,
+    clampAnalyticsDays,
+    dayRange,
+    playsPerDay,
+    buildGameSeries,
+    summarizeSeries,
+    scoreBucketCount,
+    scoreHistogram,
+    followerSeries,
+} from '../src/creator-analytics.js';
+
+assert.equal(clampAnalyticsDays(undefined), 28);
+assert.equal(clampAnalyticsDays('3'), 7);
+assert.equal(clampAnalyticsDays(365), MAX_ANALYTICS_DAYS);
+
+// Day ranges cross month ends and DST changes without drifting.
+assert.deepEqual(dayRange('2026-10-30', 4), ['2026-10-30', '2026-10-31', '2026-11-01', '2026-11-02']);
+assert.deepEqual(dayRange('2026-03-28', 3), ['2026-03-28', '2026-03-29', '2026-03-30']);
+
+// Plays per day are differences between snapshots; a gap carries the difference to the next snapshot.
+const days = ['2026-10-17', '2026-10-18', '2026-10-19'];
+assert.deepEqual(playsPerDay(days, [
+    { day: '2026-10-12', playsTotal: 90 },
+    { day: '2026-10-16', playsTotal: '100' },
+    { day: '2026-10-17', playsTotal: 130 },
+    { day: '2026-10-18', playsTotal: null },
+    { day: '2026-10-19', playsTotal: 150 },
+]), [30, null, 20]);
+assert.deepEqual(playsPerDay(days, [{ day: '2026-10-18', playsTotal: 10 }, { day: '2026-10-19', playsTotal: 12 }]), [null, null, 2]);
+
+// Series fill missing days, combine rollups and telemetry, and weight session length by sessions.
+const activity = [
+    { day: '2026-10-16', plays_total: 100 },
+    { day: '2026-10-17', likes: 2, saves: 1, comments: 0, scores: 4, new_players: 3, remixes: 1, plays_total: 110 },
+    { day: '2026-10-19', likes: 1, saves: 0, comments: 2, scores: 0, new_players: 0, remixes: 0, plays_total: 125 },
+];
+const stats = [
+    { day: '2026-10-17', players: 5, sessions: 1, session_ms: 60_000 },
+    { day: '2026-10-19', players: 2, sessions: 3, session_ms: '60000' },
+];
+const series = buildGameSeries(days, activity, stats);
+assert.deepEqual(series.map((point) => point.date), days);
+assert.deepEqual(series[0], {
+    date: '2026-10-17', plays: 10, uniquePlayers: 5, newPlayers: 3, likes: 2, saves: 1,
+    comments: 0, remixes: 1, scores: 4, avgSessionMs: 60_000,
+});
+assert.equal(series[1].likes, 0);
+assert.equal(series[1].plays, null);
+assert.equal(series[1].avgSessionMs, null);
+assert.equal(series[2].plays, 15);
+assert.equal(series[2].avgSessionMs, 20_000);
+const totals = summarizeSeries(series, stats);
+assert.equal(totals.plays, 25);
+assert.equal(totals.likes, 3);
+// Daily uniques add up to player-days, not unique players for the window.
+assert.equal(totals.playerDays, 7);
+assert.equal(totals.uniquePlayers, undefined);
+assert.equal(totals.avgSessionMs, 30_000);
+assert.equal(summarizeSeries([{ plays: null }, { plays: null }]).plays, null);
+
+// Histograms: equal integer bins, one per value when the range is narrow, empty bins kept.
+assert.equal(scoreBucketCount(0, 999), SCORE_BUCKETS);
+assert.equal(scoreBucketCount(5, 7), 3);
+assert.equal(scoreBucketCount(5, 5), 1);
+const wide = scoreHistogram({ min: 0, max: 999 }, [{ bucket: 1, count: 4 }, { bucket: '10', count: '1' }]);
+assert.equal(wide.length, SCORE_BUCKETS);
+assert.deepEqual(wide[0], { from: 0, to: 99, count: 4 });
+assert.deepEqual(wide[9], { from: 900, to: 999, count: 1 });
+assert.equal(wide[5].count, 0);
+assert.deepEqual(scoreHistogram({ min: 5, max: 7 }, [{ bucket: 2, count: 3 }]), [
+    { from: 5, to: 5, count: 0 },
+    { from: 6, to: 6, count: 3 },
+    { from: 7, to: 7, count: 0 },
+]);
+
+// Unfollows show once two snapshots bracket a day.
+assert.deepEqual(followerSeries([
+    { day: '2026-10-17', gained: 2, snapshot: null },
+    { day: '2026-10-18', gained: 3, snapshot: 40 },
+    { day: '2026-10-19', gained: 1, snapshot: 39 },
+]), [
+    { date: '2026-10-17', gained: 2, lost: null, total: null },
+    { date: '2026-10-18', gained: 3, lost: null, total: 40 },
+    { date: '2026-10-19', gained: 1, lost: 2, total: 39 },
+]);
+
+console.log('✅ creator analytics checks passed');
@@ -0,0 +1,88 @@
+import assert from 'node:assert/strict';
+import {
+    CREDIT_REASONS,
+    GENERATION_CREDIT_COSTS,
+    generationCreditCost,
+    dailyAllowanceTopUp,
+    formatLedgerEntry,
+} from '../src/credits.js';
+import {
+    createCostMeter,
+    withGenerationCostMeter,
+    providerFromClient,
+    recordLlmUsage,
+    recordImageCall,
+    summarizeGenerationCost,
+    mergeGenerationCosts,
+    estimateTokens,
+} from '../src/ai-engine/generation-costs.js';
+
+// Costs: background work is free, unknown kinds cost nothing.
+assert.equal(generationCreditCost('dream'), GENERATION_CREDIT_COSTS.dream);
+assert.equal(generationCreditCost('edit', 'edit'), GENERATION_CREDIT_COSTS.edit);
+assert.equal(generationCreditCost('dream', 'background'), 0);
+assert.equal(generationCreditCost('remix'), 0);
+assert.ok(CREDIT_REASONS.includes('job_refund'));
+
+// The daily allowance tops up to the allowance, never above, never takes away.
+assert.equal(dailyAllowanceTopUp(0, 30), 30);
+assert.equal(dailyAllowanceTopUp(12, 30), 18);
+assert.equal(dailyAllowanceTopUp(45, 30), 0);
+assert.equal(dailyAllowanceTopUp(-5, 30), 30);
+
+const entry = formatLedgerEntry({
+    id: '42', delta: -10, balance_after: 20, reason: 'job_debit', job_id: null, note: 'dream', created_at: 'now',
+});
+assert.equal(entry.id, 42);
+assert.equal(entry.balanceAfter, 20);
+assert.equal(entry.jobId, null);
+
+// Providers from client base URLs.
+assert.equal(providerFromClient({ baseURL: 'https://integrate.api.nvidia.com/v1' }), 'nvidia');
+assert.equal(providerFromClient({ baseURL: 'https://api.deepseek.com' }), 'deepseek');
+assert.equal(providerFromClient({ baseURL: 'https://api.moonshot.ai/v1' }), 'moonshot');
+assert.equal(providerFromClient({ baseURL: 'https://api.openai.com/v1' }), 'openai');
+assert.equal(providerFromClient({ baseURL: 'http://localhost:8080' }), 'other');
+
+// Reported usage is exact; missing usage is estimated and flagged.
+const meter = createCostMeter();
+recordLlmUsage('deepseek', { prompt_tokens: 1000, completion_tokens: 500 }, null, meter);
+recordLlmUsage('deepseek', null, { input: 'x'.repeat(400), output: 'y'.repeat(40) }, meter);
+recordImageCall('openai', 2, meter);
+assert.equal(meter.providers.deepseek.calls, 2);
+assert.equal(meter.providers.deepseek.inputTokens, 1100);
+assert.equal(meter.providers.deepseek.outputTokens, 510);
+assert.equal(meter.providers.deepseek.estimated, true);
+assert.equal(estimateTokens('abcde'), 2);
+
+const prices = { deepseek: { input: 1, output: 2 }, openai: { image: 0.5 } };
+const summary = summarizeGenerationCost(meter, prices);
+assert.equal(summary.imageCalls, 2);
+assert.equal(summary.inputTokens, 1100);
+assert.equal(summary.estimatedUsd, (1100 * 1 + 510 * 2) / 1_000_000 + 1);
+
+// Later spend (cover art) merges into what the job already recorded.
+const merged = mergeGenerationCosts(summary, { providers: { openai: { calls: 1, imageCalls: 1 } } });
+assert.equal(merged.providers.openai.imageCalls, 3);
+assert.equal(merged.providers.deepseek.inputTokens, 1100);
+assert.equal(mergeGenerationCosts(null, summary).inputTokens, 1100);
+
+// Outside a meter recording is a no-op; inside, calls land on the job's meter,
+// including when the job throws.
+recordLlmUsage('nvidia', { prompt_tokens: 5, completion_tokens: 5 });
+const { result, meter: jobMeter } = await withGenerationCostMeter(async () => {
+    await new Promise((resolve) => setTimeout(resolve, 1));
+    recordLlmUsage('nvidia', { prompt_tokens: 5, completion_tokens: 7 });
+    return 'done';
+});
+assert.equal(result, 'done');
+assert.equal(jobMeter.providers.nvidia.outputTokens, 7);
+await assert.rejects(
+    withGenerationCostMeter(async () => {
+        recordImageCall('huggingface');
+        throw new Error('boom');
+    }),
+    (error) => error.costMeter?.providers.huggingface.imageCalls === 1,
+);
+
+console.log('✅ credits checks passed');
@@ -0,0 +1,87 @@
+import assert from 'node:assert/strict';
+import {
+    REVISION_KINDS,
+    diffLines,
+    revisionFiles,
+    diffRevisionFiles,
+    formatRevision,
+    summarizeSandboxVerdict,
+} from '../src/ai-engine/draft-revisions.js';
+
+assert.deepEqual(REVISION_KINDS, ['baseline', 'build', 'import', 'edit', 'source', 'revert']);
+
+// Identical texts have no hunks; a one-line change keeps three lines of context.
+assert.deepEqual(diffLines('a\nb', 'a\nb'), []);
+const lines = Array.from({ length: 20 }, (_, i) => `line ${i + 1}`);
+const changed = [...lines];
+changed[9] = 'line ten';
+const [hunk] = diffLines(lines.join('\n'), changed.join('\n'));
+assert.equal(hunk.fromLine, 7);
+assert.equal(hunk.toLine, 7);
+assert.deepEqual(hunk.lines, [
+    ' line 7', ' line 8', ' line 9', '-line 10', '+line ten', ' line 11', ' line 12', ' line 13',
+]);
+
+// Changes far apart are separate hunks; close ones merge. Insertions shift the new side's numbers.
+const spread = [...lines];
+spread.splice(1, 0, 'inserted');
+spread[19] = 'line nineteen';
+const spreadHunks = diffLines(lines.join('\n'), spread.join('\n'));
+assert.equal(spreadHunks.length, 2);
+assert.equal(spreadHunks[1].fromLine, 16);
+assert.equal(spreadHunks[1].toLine, 17);
+const close = [...lines];
+close[4] = 'five';
+close[8] = 'nine';
+assert.equal(diffLines(lines.join('\n'), close.join('\n')).length, 1);
+
+// Too big to diff line by line.
+const big = Array.from({ length: 2500 }, (_, i) => `a${i}`).join('\n');
+const bigOther = Array.from({ length: 2500 }, (_, i) => `b${i}`).join('\n');
+assert.equal(diffLines(big, bigOther), null);
+
+// Files: maker source plus hashed art; plain HTML games are one index.html.
+const base = {
+    maker_project: JSON.stringify({
+        files: [{ path: 'src/main.ts', content: 'let x = 1;\n' }, { path: 'index.html', content: '<html></html>' }],
+        assetFiles: [{ file: 'hero.png', b64: 'AAAA' }],
+    }),
+    html_payload: '<html>compiled</html>',
+};
+const files = revisionFiles(base);
+assert.deepEqual([...files.keys()], ['src/main.ts', 'index.html', 'public/hero.png']);
+assert.ok(files.get('public/hero.png').hash);
+assert.deepEqual([...revisionFiles({ html_payload: '<html></html>' }).keys()], ['index.html']);
+
+const next = {
+    maker_project: {
+        files: [{ path: 'src/main.ts', content: 'let x = 2;\n' }, { path: 'src/extra.ts', content: 'export {};' }],
+        assetFiles: [{ file: 'hero.png', b64: 'BBBB' }],
+    },
+};
+const diff = diffRevisionFiles(base, next);
+assert.equal(diff.unchanged, 0);
+assert.deepEqual(diff.files.map((file) => [file.path, file.status]), [
+    ['index.html', 'removed'],
+    ['public/hero.png', 'modified'],
+    ['src/extra.ts', 'added'],
+    ['src/main.ts', 'modified'],
+]);
+assert.equal(diff.files[1].binary, true);
+assert.deepEqual(diff.files[3].hunks[0].lines, ['-let x = 1;', '+let x = 2;', ' ']);
+assert.deepEqual(diffRevisionFiles(base, base), { files: [], unchanged: 3 });
+
+// Sandbox verdicts keep only what matters, and at most three crashes.
+assert.equal(summarizeSandboxVerdict(null), null);
+assert.deepEqual(
+    summarizeSandboxVerdict({ success: false, crashes: ['a', 'b', 'c', 'd'], screenshot: 'data:...' }),
+    { success: false, bypassed: false, crashes: ['a', 'b', 'c'] },
+);
+
+const listed = formatRevision({ revision: 2, kind: 'edit', ...base, created_at: 'now' });
+assert.equal(listed.fileCount, 3);
+assert.equal(listed.html, undefined);
+assert.equal(formatRevision({ revision: 2, kind: 'edit', file_count: 7, created_at: 'now' }).fileCount, 7, 'the stored count wins');
+assert.deepEqual(formatRevision({ revision: 2, kind: 'edit', ...base }, { full: true }).assets, ['hero.png']);
+
+console.log('✅ draft revision checks passed');
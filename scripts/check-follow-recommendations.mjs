@@ -0,0 +1,33 @@
+import assert from 'node:assert/strict';
+import { recommendationScore, recommendationReason } from '../src/follow-recommendations.js';
+
+const reason = (row) => recommendationReason(row).text;
+
+// Friends of friends name the one mutual, or count several.
+assert.equal(reason({ mutuals: 1, via: ['alex'] }), 'Followed by alex');
+assert.equal(reason({ mutuals: 3, via: ['alex'] }), 'Followed by 3 people you follow');
+assert.equal(recommendationReason({ mutuals: 2 }).type, 'mutual');
+
+// Creators: likes count over plays, one game is named.
+assert.equal(reason({ creator_games: 1, creator_liked: 0, game_name: 'Zombie Raider' }), 'Made Zombie Raider, which you played');
+assert.equal(reason({ creator_games: 3, creator_liked: 1, game_name: 'Zombie Raider' }), 'Made Zombie Raider, which you liked');
+assert.equal(reason({ creator_games: 4, creator_liked: 0 }), 'Made 4 games you played');
+assert.equal(reason({ creator_games: 2, creator_liked: 2 }), 'Made 2 games you liked');
+
+// Co-players.
+assert.equal(reason({ shared_games: 1 }), 'Plays a game you play');
+assert.equal(reason({ shared_games: 5 }), 'Plays 5 of the same games as you');
+
+// The strongest signal gives the reason; no signal at all is the popular fallback.
+assert.equal(recommendationReason({ mutuals: 1, via: ['alex'], creator_games: 2, creator_liked: 1 }).type, 'creator');
+assert.equal(recommendationReason({ mutuals: 2, shared_games: 5 }).type, 'mutual');
+assert.deepEqual(recommendationReason({ follower_count: 9000 }), { type: 'popular', text: 'Popular creator' });
+
+// Scores: a liked creator beats a couple of co-played games; shared games are capped;
+// followers only nudge.
+assert.ok(recommendationScore({ creator_games: 1, creator_liked: 1 }) > recommendationScore({ shared_games: 2 }));
+assert.equal(recommendationScore({ shared_games: 40 }), recommendationScore({ shared_games: 10 }));
+assert.ok(recommendationScore({ mutuals: 1 }) > recommendationScore({ follower_count: 100 }));
+assert.ok(recommendationScore({ mutuals: 1, follower_count: 100 }) > recommendationScore({ mutuals: 1 }));
+
+console.log('✅ follow recommendation checks passed');
@@ -0,0 +1,78 @@
+import assert from 'node:assert/strict';
+import {
+    FeedSignalError,
+    MAX_IMPRESSIONS_PER_BATCH,
+    SKIP_DWELL_MS,
+    normalizeImpressions,
+    interactionWeight,
+    categoryAffinity,
+    scoreCandidates,
+    diversify,
+} from '../src/for-you.js';
+
+// Impressions: dwell clamped, skip inferred from a short dwell unless the client says.
+assert.deepEqual(normalizeImpressions([
+    { gameId: ' gm-ai-a ', dwellMs: 12_500.4 },
+    { gameId: 'gm-ai-b', dwellMs: SKIP_DWELL_MS - 1 },
+    { gameId: 'gm-ai-c', dwellMs: 500, skipped: false },
+    { gameId: 'gm-ai-d', dwellMs: -40 },
+    { dwellMs: 9000 },
+    null,
+]), [
+    { gameId: 'gm-ai-a', dwellMs: 12_500, skipped: false },
+    { gameId: 'gm-ai-b', dwellMs: SKIP_DWELL_MS - 1, skipped: true },
+    { gameId: 'gm-ai-c', dwellMs: 500, skipped: false },
+    { gameId: 'gm-ai-d', dwellMs: 0, skipped: true },
+]);
+assert.equal(normalizeImpressions([{ gameId: 'x', dwellMs: 1e12 }])[0].dwellMs, 10 * 60 * 1000);
+const badBatch = (error) => error instanceof FeedSignalError && error.statusCode === 400;
+assert.throws(() => normalizeImpressions('nope'), badBatch);
+assert.throws(() => normalizeImpressions(Array.from({ length: MAX_IMPRESSIONS_PER_BATCH + 1 }, () => ({ gameId: 'x' }))), badBatch);
+
+// Saves and likes outweigh plays; skips push a game negative.
+assert.ok(interactionWeight({ saved: true }) > interactionWeight({ liked: true }));
+assert.ok(interactionWeight({ liked: true }) > interactionWeight({ plays: 10 }));
+assert.ok(interactionWeight({ skips: 2 }) < 0);
+assert.equal(interactionWeight({ dwellMs: 10 * 60 * 1000 }), 2);
+
+// Affinity follows what the viewer engages with, and goes negative for what they skip.
+const affinity = categoryAffinity([
+    { categories: ['horror'], liked: true, plays: 3 },
+    { categories: ['horror', 'puzzle'], saved: true },
+    { categories: ['sports'], skips: 3 },
+    { categories: [], liked: true },
+]);
+assert.ok(affinity.get('horror') > affinity.get('puzzle'));
+assert.ok(affinity.get('puzzle') > 0);
+assert.ok(affinity.get('sports') < 0);
+assert.equal(categoryAffinity([]).size, 0);
+
+// A strong collaborative match beats a merely popular game; affinity breaks the rest.
+const ranked = scoreCandidates([
+    { id: 'popular', popularity: 40, collaborative: 0, categories: ['sports'] },
+    { id: 'peers', popularity: 10, collaborative: 9, categories: ['puzzle'] },
+    { id: 'liked-kind', popularity: 10, collaborative: 0, categories: ['horror'] },
+    { id: 'plain', popularity: 10, collaborative: 0, categories: [] },
+], affinity);
+assert.deepEqual(ranked.map((game) => game.id), ['peers', 'popular', 'liked-kind', 'plain']);
+// No history at all is the popularity order.
+assert.deepEqual(scoreCandidates([
+    { id: 'b', popularity: 2 },
+    { id: 'a', popularity: 5 },
+]).map((game) => game.id), ['a', 'b']);
+
+// Diversity: no three in a row from one category, a creator at most twice per ten games.
+const game = (id, category, creatorId) => ({ id, categories: [category], creatorId });
+const diverse = diversify([
+    game('h1', 'horror', 'u1'),
+    game('h2', 'horror', 'u2'),
+    game('h3', 'horror', 'u3'),
+    game('p1', 'puzzle', 'u1'),
+    game('p2', 'puzzle', 'u1'),
+    game('r1', 'racing', 'u4'),
+]);
+assert.deepEqual(diverse.map((entry) => entry.id), ['h1', 'h2', 'p1', 'h3', 'r1', 'p2']);
+// Nothing is dropped even when nothing fits.
+assert.deepEqual(diversify([game('a', 'x', 'u'), game('b', 'x', 'u'), game('c', 'x', 'u')]).map((entry) => entry.id), ['a', 'b', 'c']);
+
+console.log('✅ for you checks passed');
@@ -0,0 +1,108 @@
+import assert from 'node:assert/strict';
+import {
+    BundleError,
+    createZipArchive,
+    readZipArchive,
+    buildGameBundle,
+    parseGameBundle,
+    decodeDataUrlImage,
+} from '../src/ai-engine/game-bundles.js';
+
+// Zip round trip: text is deflated, incompressible bytes are stored.
+const noise = Buffer.from(Array.from({ length: 64 }, (_, i) => (i * 97 + 13) % 256));
+const zip = createZipArchive([
+    { name: 'a.txt', data: 'hello '.repeat(200) },
+    { name: 'dir/b.bin', data: noise },
+]);
+const unzipped = readZipArchive(zip);
+assert.equal(unzipped.get('a.txt').toString(), 'hello '.repeat(200));
+assert.deepEqual([...unzipped.get('dir/b.bin')], [...noise]);
+assert.ok(zip.length < 1200 + noise.length);
+
+// Corrupt, truncated and oversized archives are rejected as bad requests.
+assert.throws(() => readZipArchive(Buffer.from('not a zip')), BundleError);
+const corrupt = Buffer.from(zip);
+corrupt[40] ^= 0xff;
+assert.throws(() => readZipArchive(corrupt), /corrupt/);
+assert.throws(() => readZipArchive(zip, { maxEntries: 1 }), /more than 1 files/);
+assert.throws(() => readZipArchive(zip, { maxUnpackedBytes: 100 }), /too large/);
+
+const html = '<!DOCTYPE html><html><head><title>Blocks</title></head><body></body></html>';
+const png = Buffer.from([0x89, 0x50, 0x4e, 0x47, 1, 2, 3]);
+const game = {
+    id: '1b4e28ba-2fa1-41d2-883f-0016d3cca427',
+    title: 'Blocks',
+    prompt: 'stack the blocks',
+    orientation: 'portrait',
+    html_payload: html,
+    remixed_from: '9c0e28ba-2fa1-41d2-883f-0016d3cca999',
+    remixed_from_username: 'maker',
+    maker_project: JSON.stringify({
+        architecture: 'canvas-kernel',
+        files: [{ path: 'src/main.ts', content: 'export {};\n' }, { path: 'index.html', content: html }],
+        assetPack: { hero: 'assets/hero.png' },
+        assetFiles: [{ file: 'assets/hero.png', b64: png.toString('base64') }],
+    }),
+};
+const cover = decodeDataUrlImage(`data:image/png;base64,${png.toString('base64')}`);
+assert.equal(cover.contentType, 'image/png');
+assert.equal(decodeDataUrlImage('https://cdn.example/cover.png'), null);
+
+const entries = buildGameBundle(game, { categories: ['puzzle'], cover, exportedAt: new Date('2026-01-01T00:00:00Z') });
+assert.deepEqual(entries.map((entry) => entry.name), [
+    'gametok.json', 'index.html', 'asset-manifest.json', 'cover.png',
+    'project/src/main.ts', 'project/index.html', 'project/public/assets/hero.png',
+]);
+const bundle = createZipArchive(entries);
+const parsed = parseGameBundle(bundle);
+assert.deepEqual(parsed.metadata, {
+    title: 'Blocks',
+    prompt: 'stack the blocks',
+    orientation: 'portrait',
+    categories: ['puzzle'],
+    remix: { remixedFrom: game.remixed_from, remixedFromUsername: 'maker' },
+    sourceGameId: game.id,
+});
+assert.equal(parsed.html, html);
+assert.equal(parsed.cover, `data:image/png;base64,${png.toString('base64')}`);
+assert.deepEqual(parsed.makerProject.files.map((file) => file.path), ['index.html', 'src/main.ts']);
+assert.deepEqual(parsed.makerProject.assetPack, { hero: 'assets/hero.png' });
+assert.deepEqual(parsed.makerProject.assetFiles, [{ file: 'assets/hero.png', b64: png.toString('base64') }]);
+
+// Build config saved on older rows stays behind on export.
+const legacy = JSON.parse(game.maker_project);
+legacy.files.push({ path: 'vite.config.js', content: 'export default {}' });
+const legacyEntries = buildGameBundle({ ...game, maker_project: legacy });
+assert.ok(!legacyEntries.some((entry) => entry.name === 'project/vite.config.js'));
+assert.ok(parseGameBundle(createZipArchive(legacyEntries)).makerProject);
+
+// Plain HTML games travel without a project.
+const plain = parseGameBundle(createZipArchive(buildGameBundle({ id: 'x', title: 'Old', prompt: 'p', html_payload: html })));
+assert.equal(plain.makerProject, null);
+assert.equal(plain.cover, null);
+
+// Validation: every rule names what is wrong.
+const withEntries = (mutate) => {
+    const copy = buildGameBundle(game, { cover });
+    mutate(copy);
+    return () => parseGameBundle(createZipArchive(copy));
+};
+const set = (copy, name, data) => {
+    const index = copy.findIndex((entry) => entry.name === name);
+    if (index === -1) copy.push({ name, data });
+    else if (data === undefined) copy.splice(index, 1);
+    else copy[index] = { name, data };
+};
+assert.throws(withEntries((copy) => set(copy, 'gametok.json', '{"format":"other"}')), /Not a GameTok bundle/);
+assert.throws(withEntries((copy) => set(copy, 'gametok.json', '{"format":"gametok-bundle","version":9}')), /version 9/);
+assert.throws(withEntries((copy) => set(copy, 'index.html', '<html><body>')), /complete HTML/);
+assert.throws(withEntries((copy) => set(copy, 'project/../evil.ts', 'x')), /Unsafe/);
+for (const config of ['vite.config.js', 'postcss.config.js', 'package.json', '.npmrc']) {
+    assert.throws(withEntries((copy) => set(copy, `project/${config}`, 'export default {}')), /build configuration/, config);
+}
+assert.throws(withEntries((copy) => set(copy, 'project/public/assets/hero.png', Buffer.from('swapped'))), /manifest hash/);
+assert.throws(withEntries((copy) => set(copy, 'project/public/assets/extra.png', png)), /not in the manifest/);
+assert.throws(withEntries((copy) => set(copy, 'project/src/main.ts', undefined)), /no src\/main.ts/);
+assert.throws(withEntries((copy) => set(copy, 'cover.png', undefined)), /Cover cover.png/);
+
+console.log('✅ game bundle checks passed');
@@ -0,0 +1,23 @@
+import assert from 'node:assert/strict';
+import { measureSaveBytes, parseBaseRevision, SaveConflictError, SaveQuotaError } from '../src/game-saves.js';
+
+assert.equal(measureSaveBytes({}), 2);
+assert.equal(measureSaveBytes({ name: 'é' }), Buffer.byteLength('{"name":"é"}'), 'measured as UTF-8 bytes');
+assert.equal(measureSaveBytes(undefined), 2);
+
+assert.deepEqual(parseBaseRevision(undefined), { supplied: false });
+assert.deepEqual(parseBaseRevision(null), { supplied: false });
+assert.deepEqual(parseBaseRevision(0), { supplied: true, revision: 0 });
+assert.deepEqual(parseBaseRevision('7'), { supplied: true, revision: 7 });
+assert.equal(parseBaseRevision(-1).invalid, true);
+assert.equal(parseBaseRevision(1.5).invalid, true);
+assert.equal(parseBaseRevision('abc').invalid, true);
+
+const conflict = new SaveConflictError({ storageData: { level: 3 }, revision: 4, updatedAt: null });
+assert.equal(conflict.statusCode, 409);
+assert.equal(conflict.server.revision, 4);
+const quota = new SaveQuotaError(2048, 1024);
+assert.equal(quota.statusCode, 413);
+assert.equal(quota.quotaBytes, 1024);
+
+console.log('✅ game save checks passed');
@@ -0,0 +1,40 @@
+import assert from 'node:assert/strict';
+import {
+    SearchError,
+    searchTerms,
+    buildPrefixTsQuery,
+    encodeSearchCursor,
+    decodeSearchCursor,
+    parseHighlight,
+} from '../src/game-search.js';
+
+// Words only, lower-cased, capped; nothing from the query reaches tsquery syntax.
+assert.deepEqual(searchTerms('  Zombie-Raider 2!  '), ['zombie', 'raider', '2']);
+assert.deepEqual(searchTerms("a & b | !c:* ')"), ['a', 'b', 'c']);
+assert.deepEqual(searchTerms('Café Ñandú'), ['café', 'ñandú']);
+assert.equal(searchTerms('one two three four five six seven eight nine ten').length, 8);
+assert.equal(buildPrefixTsQuery('zomb raid'), 'zomb:* & raid:*');
+assert.equal(buildPrefixTsQuery(' -- !! '), null);
+assert.equal(buildPrefixTsQuery(undefined), null);
+
+// Cursors round-trip; anything else is a 400.
+const cursor = encodeSearchCursor({ score: 0.123456789012345, id: 'gm-ai-abc12345' });
+assert.deepEqual(decodeSearchCursor(cursor), { score: 0.123456789012345, id: 'gm-ai-abc12345' });
+assert.equal(decodeSearchCursor(''), null);
+const badCursor = (error) => error instanceof SearchError && error.statusCode === 400;
+assert.throws(() => decodeSearchCursor('not-a-cursor'), badCursor);
+assert.throws(() => decodeSearchCursor(Buffer.from('["x","id"]').toString('base64url')), badCursor);
+assert.throws(() => decodeSearchCursor(Buffer.from('[1,""]').toString('base64url')), badCursor);
+
+// Highlights come back as segments.
+assert.deepEqual(parseHighlight('Zombie ⟦Raider⟧ II'), [
+    { text: 'Zombie ', match: false },
+    { text: 'Raider', match: true },
+    { text: ' II', match: false },
+]);
+assert.deepEqual(parseHighlight('⟦Space⟧ ⟦Cats⟧').map((segment) => segment.match), [true, false, true]);
+assert.deepEqual(parseHighlight('plain text'), [{ text: 'plain text', match: false }]);
+assert.deepEqual(parseHighlight(null), []);
+assert.deepEqual(parseHighlight('broken ⟦mark'), [{ text: 'broken ', match: false }, { text: 'mark', match: true }]);
+
+console.log('✅ game search checks passed');
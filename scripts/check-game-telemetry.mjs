@@ -0,0 +1,95 @@
+import assert from 'node:assert/strict';
+import {
+    TelemetryError,
+    MAX_EVENTS_PER_BATCH,
+    MIN_SCORED_IMPRESSIONS,
+    TELEMETRY_RATE_LIMIT,
+    normalizeGameEvents,
+    recordGameEvents,
+    telemetryRateKey,
+    normalizeTrafficSource,
+    engagementMetrics,
+    engagementScore,
+} from '../src/game-telemetry.js';
+
+const now = Date.parse('2026-10-19T12:00:00Z');
+
+// Unknown types and game-less events drop out; durations only where they mean something.
+const events = normalizeGameEvents([
+    { type: 'impression', gameId: ' gm-ai-a ', sessionId: 's1', at: now - 5000, durationMs: 999 },
+    { type: 'session_end', gameId: 'gm-ai-a', sessionId: 's1', durationMs: 75_000.6 },
+    { type: 'swipe_away', gameId: 'gm-ai-b', durationMs: -3 },
+    { type: 'rage_quit', gameId: 'gm-ai-a' },
+    { type: 'start' },
+    null,
+], now);
+assert.deepEqual(events.map((event) => [event.type, event.gameId, event.durationMs]), [
+    ['impression', 'gm-ai-a', null],
+    ['session_end', 'gm-ai-a', 75_001],
+    ['swipe_away', 'gm-ai-b', 0],
+]);
+assert.equal(events[0].sessionId, 's1');
+assert.equal(events[0].occurredAt.getTime(), now - 5000);
+assert.equal(events[2].sessionId, null);
+
+// Client clocks are clamped to the last day, and never into the future.
+const [old, future, iso, junk] = normalizeGameEvents([
+    { type: 'start', gameId: 'g', at: now - 3 * 24 * 60 * 60 * 1000 },
+    { type: 'start', gameId: 'g', at: now + 60_000 },
+    { type: 'start', gameId: 'g', at: '2026-10-19T11:00:00Z' },
+    { type: 'start', gameId: 'g', at: 'yesterday' },
+], now);
+assert.equal(old.occurredAt.getTime(), now - 24 * 60 * 60 * 1000);
+assert.equal(future.occurredAt.getTime(), now);
+assert.equal(iso.occurredAt.getTime(), now - 60 * 60 * 1000);
+assert.equal(junk.occurredAt.getTime(), now);
+
+// Sources ride on impressions and starts only; unknown ones count as 'other'.
+const [fromSearch, fromNowhere, ended] = normalizeGameEvents([
+    { type: 'impression', gameId: 'g', source: 'Search' },
+    { type: 'start', gameId: 'g', source: 'billboard' },
+    { type: 'session_end', gameId: 'g', source: 'feed', durationMs: 5 },
+], now);
+assert.deepEqual([fromSearch.source, fromNowhere.source, ended.source], ['search', 'other', null]);
+assert.equal(normalizeTrafficSource(' LINK '), 'link');
+assert.equal(events[0].source, null);
+
+const badBatch = (error) => error instanceof TelemetryError && error.statusCode === 400;
+assert.throws(() => normalizeGameEvents({}), badBatch);
+assert.throws(() => normalizeGameEvents(Array.from({ length: MAX_EVENTS_PER_BATCH + 1 }, () => ({ type: 'start', gameId: 'g' }))), badBatch);
+
+// Batches are limited per user when signed in, else per client.
+assert.equal(telemetryRateKey({ userId: 'u1', clientId: 'c1' }), 'user:u1');
+assert.equal(telemetryRateKey({ clientId: 'c1' }), 'client:c1');
+for (let i = 0; i < TELEMETRY_RATE_LIMIT.capacity; i += 1) {
+    assert.equal(await recordGameEvents({ clientId: 'flood', events: [] }), 0);
+}
+await assert.rejects(
+    recordGameEvents({ clientId: 'flood', events: [] }),
+    (error) => error instanceof TelemetryError && error.statusCode === 429
+);
+assert.equal(await recordGameEvents({ clientId: 'someone-else', events: [] }), 0);
+
+// Rates are null without a denominator, never a misleading zero.
+const empty = engagementMetrics(null);
+assert.equal(empty.impressions, 0);
+assert.equal(empty.startRate, null);
+assert.equal(empty.avgSessionMs, null);
+const metrics = engagementMetrics({
+    impressions: '200', starts: '120', first_inputs: 90, sessions: 100, completed_sessions: 40,
+    session_ms: '9000000', quick_swipes: 30, players: 80, returning_players: 20,
+});
+assert.equal(metrics.startRate, 0.6);
+assert.equal(metrics.firstInputRate, 0.75);
+assert.equal(metrics.completionRate, 0.4);
+assert.equal(metrics.quickSwipeRate, 0.15);
+assert.equal(metrics.returningRate, 0.25);
+assert.equal(metrics.avgSessionMs, 90_000);
+
+// Engagement boosts discovery only past the sample floor, within 0..20.
+assert.equal(engagementScore({ ...metrics, impressions: MIN_SCORED_IMPRESSIONS - 1 }), 0);
+assert.equal(engagementScore(metrics), 7.9);
+assert.equal(engagementScore({ impressions: 500, startRate: 1, completionRate: 1, returningRate: 1, avgSessionMs: 1e9, quickSwipeRate: 0 }), 20);
+assert.equal(engagementScore({ impressions: 500, startRate: 0, completionRate: null, returningRate: null, avgSessionMs: null, quickSwipeRate: 1 }), 0);
+
+console.log('✅ game telemetry checks passed');
@@ -0,0 +1,36 @@
+import assert from 'node:assert/strict';
+import {
+    GAME_VISIBILITIES,
+    MAX_SCHEDULE_DAYS,
+    PublishingError,
+    normalizeVisibility,
+    parsePublishAt,
+    listedGameSql,
+} from '../src/game-visibility.js';
+
+assert.deepEqual(GAME_VISIBILITIES, ['public', 'unlisted', 'followers']);
+assert.equal(normalizeVisibility(undefined), 'public');
+assert.equal(normalizeVisibility('', 'followers'), 'followers', 'absent keeps the fallback');
+assert.equal(normalizeVisibility(' Unlisted '), 'unlisted');
+assert.throws(() => normalizeVisibility('private'), (error) => error instanceof PublishingError && error.statusCode === 400);
+
+const now = Date.parse('2026-10-19T12:00:00Z');
+assert.equal(parsePublishAt(undefined, now), null);
+assert.equal(parsePublishAt(null, now), null);
+assert.equal(parsePublishAt('2026-10-20T09:30:00Z', now).toISOString(), '2026-10-20T09:30:00.000Z');
+assert.equal(parsePublishAt(now + 60_000, now).getTime(), now + 60_000);
+const rejects = (value, pattern) => assert.throws(() => parsePublishAt(value, now), (error) => error.statusCode === 400 && pattern.test(error.message));
+rejects('next tuesday', /ISO/);
+rejects('2026-10-19T11:59:00Z', /future/);
+rejects(now + (MAX_SCHEDULE_DAYS + 1) * 24 * 60 * 60 * 1000, /at most/);
+
+// Without a viewer only public games list; with one, followers-only games join in.
+assert.equal(listedGameSql('g'), "COALESCE(g.visibility, 'public') = 'public'");
+const withViewer = listedGameSql('g', '$3');
+assert.match(withViewer, /g\.visibility = 'followers'/);
+assert.match(withViewer, /vf\.follower_id = \(\$3::text\)::uuid/);
+assert.doesNotMatch(withViewer, /unlisted/);
+// Every use of the viewer placeholder is cast to text, so Postgres deduces one type for it.
+assert.equal(withViewer.match(/\$3(?!::text)/g), null);
+
+console.log('✅ game visibility checks passed');
@@ -0,0 +1,50 @@
+import assert from 'node:assert/strict';
+import {
+    shouldRecordGenerationEvent,
+    markGenerationEventRecorded,
+    isTerminalGenerationEvent,
+    parseLastEventId,
+    formatSseEvent,
+} from '../src/ai-engine/generation-events.js';
+
+// Creep timers re-report the same tick; only changes are recorded, each artifact once.
+const state = { progressKey: null, artifacts: new Set(), finished: false };
+const tick = { progress: 40, phase: 'build', statusMessage: 'Writing the game...' };
+assert.equal(shouldRecordGenerationEvent(state, 'progress', tick), true);
+assert.equal(shouldRecordGenerationEvent(state, 'progress', { ...tick }), false);
+assert.equal(shouldRecordGenerationEvent(state, 'progress', { ...tick, progress: 41 }), true);
+assert.equal(shouldRecordGenerationEvent(state, 'artifact', { kind: 'screenshot' }), true);
+assert.equal(shouldRecordGenerationEvent(state, 'artifact', { kind: 'screenshot' }), false);
+assert.equal(shouldRecordGenerationEvent(state, 'artifact', { kind: 'assets' }), true);
+assert.equal(shouldRecordGenerationEvent(state, 'bogus', {}), false);
+
+// After a terminal status is stored nothing else is recorded (the job is marked canceled twice, say);
+// one that failed to store doesn't close the job.
+assert.equal(shouldRecordGenerationEvent(state, 'status', { status: 'canceled' }), true);
+assert.equal(state.finished, false);
+markGenerationEventRecorded(state, 'status', { status: 'running' });
+assert.equal(state.finished, false);
+markGenerationEventRecorded(state, 'status', { status: 'canceled' });
+assert.equal(shouldRecordGenerationEvent(state, 'status', { status: 'canceled' }), false);
+assert.equal(shouldRecordGenerationEvent(state, 'progress', { ...tick, progress: 90 }), false);
+
+assert.equal(isTerminalGenerationEvent({ type: 'status', data: { status: 'complete' } }), true);
+assert.equal(isTerminalGenerationEvent({ type: 'status', data: { status: 'running' } }), false);
+assert.equal(isTerminalGenerationEvent({ type: 'progress', data: { status: 'complete' } }), false);
+
+// Resume point: header first, then the query string; junk means from the start.
+assert.equal(parseLastEventId({ headers: { 'last-event-id': '42' }, query: { lastEventId: '7' } }), 42);
+assert.equal(parseLastEventId({ headers: {}, query: { lastEventId: '7' } }), 7);
+for (const bad of [undefined, '', 'abc', '-3', '1.5', '99999999999999999999']) {
+    assert.equal(parseLastEventId({ headers: { 'last-event-id': bad }, query: {} }), 0, `rejects ${bad}`);
+}
+
+// Frames carry the row id so EventSource resumes from it; the snapshot has none.
+assert.equal(
+    formatSseEvent({ id: 12, type: 'progress', data: { progress: 40 } }),
+    'id: 12\nevent: progress\ndata: {"progress":40}\n\n'
+);
+assert.equal(formatSseEvent({ type: 'snapshot', data: { status: 'queued' } }), 'event: snapshot\ndata: {"status":"queued"}\n\n');
+assert.equal(formatSseEvent({ id: 3, type: 'status', data: { error: 'line\nbreak' } }).split('\n').length, 5);
+
+console.log('✅ generation event checks passed');
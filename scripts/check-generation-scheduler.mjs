@@ -0,0 +1,78 @@
+import assert from 'node:assert/strict';
+import {
+    normalizeGenerationLane,
+    orderQueuedGenerationJobs,
+    pickNextGenerationJob,
+    estimateGenerationQueuePosition,
+    summarizeGenerationLanes,
+} from '../src/ai-engine/generation-scheduler.js';
+
+const at = (minute) => new Date(Date.UTC(2026, 9, 1, 12, minute));
+const job = (id, userId, lane, minute) => ({ id, user_id: userId, queue_lane: lane, created_at: at(minute) });
+
+assert.equal(normalizeGenerationLane('edit'), 'edit');
+assert.equal(normalizeGenerationLane('vip'), 'interactive');
+assert.equal(normalizeGenerationLane(undefined, 'background'), 'background');
+
+// A user who queued five builds first still only gets one turn per round.
+const hog = [1, 2, 3, 4, 5].map((n) => job(`hog${n}`, 'hog', 'interactive', n));
+const queued = [
+    ...hog,
+    job('ann1', 'ann', 'interactive', 10),
+    job('bob1', 'bob', 'interactive', 11),
+    job('ann2', 'ann', 'interactive', 12),
+];
+assert.deepEqual(
+    orderQueuedGenerationJobs(queued).map((j) => j.id),
+    ['hog1', 'ann1', 'bob1', 'hog2', 'ann2', 'hog3', 'hog4', 'hog5']
+);
+
+// Jobs already running count against the user's turn.
+assert.deepEqual(
+    orderQueuedGenerationJobs(queued, [{ user_id: 'hog', queue_lane: 'interactive' }]).map((j) => j.id).slice(0, 3),
+    ['ann1', 'bob1', 'hog1']
+);
+
+// Lanes are strict: edits wait for builds, bot work waits for both, however old.
+const mixed = [
+    job('bot1', 'bot-a', 'background', 0),
+    job('edit1', 'ann', 'edit', 1),
+    job('build1', 'bob', 'interactive', 2),
+];
+assert.deepEqual(orderQueuedGenerationJobs(mixed).map((j) => j.id), ['build1', 'edit1', 'bot1']);
+
+// Caps: a user at their limit is skipped, as is background work beyond its share.
+const caps = { userMaxRunning: 2, backgroundMaxRunning: 1 };
+const bobRunning = [{ user_id: 'bob', queue_lane: 'interactive' }, { user_id: 'bob', queue_lane: 'edit' }];
+assert.equal(pickNextGenerationJob(mixed, bobRunning, caps).id, 'edit1');
+assert.equal(pickNextGenerationJob([mixed[0]], [{ user_id: 'bot-b', queue_lane: 'background' }], caps), null);
+assert.equal(pickNextGenerationJob([mixed[0]], [], caps).id, 'bot1');
+assert.equal(pickNextGenerationJob([], [], caps), null);
+
+// Position and ETA follow the fair order, not arrival order.
+const position = estimateGenerationQueuePosition('ann2', queued, [], { slots: 2, runSeconds: { interactive: 100 } });
+assert.equal(position.lane, 'interactive');
+assert.equal(position.queuedAhead, 4);
+assert.equal(position.queuePosition, 5);
+assert.equal(position.queuedAheadInLane, 4);
+assert.equal(position.etaSeconds, 200);
+const botPosition = estimateGenerationQueuePosition('bot1', mixed, [], { slots: 1, runSeconds: { interactive: 100 } });
+assert.equal(botPosition.queuedAhead, 2);
+assert.equal(botPosition.queuedAheadInLane, 0);
+assert.equal(botPosition.etaSeconds, 100 + 120, 'edits fall back to the default run time');
+assert.equal(estimateGenerationQueuePosition('missing', queued), null);
+
+assert.deepEqual(
+    summarizeGenerationLanes([
+        { queue_lane: 'interactive', status: 'queued', count: 3 },
+        { queue_lane: 'background', status: 'running', count: 1 },
+        { queue_lane: null, status: 'running', count: 2 },
+    ]),
+    {
+        interactive: { queued: 3, running: 2 },
+        edit: { queued: 0, running: 0 },
+        background: { queued: 0, running: 1 },
+    }
+);
+
+console.log('✅ generation scheduler checks passed');
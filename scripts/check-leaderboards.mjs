@@ -0,0 +1,28 @@
+import assert from 'node:assert/strict';
+import {
+    normalizeLeaderboardWindow,
+    normalizeLeaderboardScope,
+    encodeLeaderboardCursor,
+    decodeLeaderboardCursor,
+} from '../src/leaderboards.js';
+
+assert.equal(normalizeLeaderboardWindow(undefined), 'all');
+assert.equal(normalizeLeaderboardWindow('WEEK'), 'week');
+assert.equal(normalizeLeaderboardWindow('year'), null);
+assert.equal(normalizeLeaderboardScope(undefined), 'global');
+assert.equal(normalizeLeaderboardScope('friends'), 'friends');
+assert.equal(normalizeLeaderboardScope('everyone'), null);
+
+const achievedAt = new Date('2026-03-01T12:34:56.789Z');
+const cursor = encodeLeaderboardCursor({ score: 4200, achievedAt, userId: '7d3f1c2e-0000-4000-8000-000000000001', rank: 10 });
+const decoded = decodeLeaderboardCursor(cursor);
+assert.equal(decoded.score, 4200);
+assert.equal(decoded.achievedAt.getTime(), achievedAt.getTime(), 'cursor keeps millisecond precision');
+assert.equal(decoded.userId, '7d3f1c2e-0000-4000-8000-000000000001');
+assert.equal(decoded.rank, 10);
+
+assert.equal(decodeLeaderboardCursor(null), null);
+assert.equal(decodeLeaderboardCursor('garbage'), null);
+assert.equal(decodeLeaderboardCursor(Buffer.from('{"s":"x"}').toString('base64url')), null);
+
+console.log('✅ leaderboard checks passed');
@@ -0,0 +1,137 @@
+import assert from 'node:assert/strict';
+import fs from 'fs/promises';
+import os from 'os';
+import path from 'path';
+import {
+    maskVolatile,
+    chatRequestFingerprint,
+    createCassette,
+    takeCassetteEntry,
+    cassetteClient,
+    getLlmCassetteReplay,
+    withLlmCassette,
+    recordCliRun,
+    replayCliRun,
+    CassetteMissError,
+} from '../src/ai-engine/llm-cassettes.js';
+import { streamChatCompletionToMessage } from '../src/ai-engine/maker-agent-stream.js';
+
+const dir = await fs.mkdtemp(path.join(os.tmpdir(), 'llm-cassettes-'));
+process.env.LLM_CASSETTE_DIR = dir;
+
+// Fingerprints ignore job ids and clocks, not content.
+assert.equal(maskVolatile('job 1b4e28ba-2fa1-41d2-883f-0016d3cca427 at 2026-05-01T10:00:00.123Z'), 'job <uuid> at <time>');
+const ask = (content, extra = {}) => ({ model: 'm', messages: [{ role: 'user', content }], ...extra });
+assert.equal(
+    chatRequestFingerprint(ask('build 1b4e28ba-2fa1-41d2-883f-0016d3cca427')),
+    chatRequestFingerprint(ask('build 9c0e28ba-2fa1-41d2-883f-0016d3cca999')),
+);
+assert.notEqual(chatRequestFingerprint(ask('a')), chatRequestFingerprint(ask('b')));
+
+// Matching: same fingerprint in order, else next unused of the kind (unless strict).
+const cassette = createCassette('t', 'replay', {
+    entries: [
+        { kind: 'chat', fingerprint: 'x', n: 1 },
+        { kind: 'cli', fingerprint: 'x', n: 2 },
+        { kind: 'chat', fingerprint: 'y', n: 3 },
+        { kind: 'chat', fingerprint: 'x', n: 4 },
+    ],
+});
+assert.equal(takeCassetteEntry(cassette, 'chat', 'y').n, 3);
+assert.equal(takeCassetteEntry(cassette, 'chat', 'x').n, 1);
+assert.throws(() => takeCassetteEntry(cassette, 'chat', 'z', { strict: true }), CassetteMissError);
+assert.equal(takeCassetteEntry(cassette, 'chat', 'z').n, 4);
+assert.throws(() => takeCassetteEntry(cassette, 'chat', 'x'), CassetteMissError);
+
+// Outside a cassette clients pass through untouched.
+const sentinel = { chat: {} };
+assert.equal(cassetteClient(sentinel, 'deepseek-direct'), sentinel);
+assert.equal(getLlmCassetteReplay(), null);
+
+// A fake provider: one plain answer, one stream, one failure.
+let liveCalls = 0;
+const liveClient = {
+    baseURL: 'https://api.deepseek.com',
+    chat: {
+        completions: {
+            create(options) {
+                liveCalls += 1;
+                const content = options.messages[0].content;
+                if (content === 'fail') {
+                    const error = new Error('429 rate limited');
+                    error.status = 429;
+                    const rejected = Promise.reject(error);
+                    rejected.asResponse = () => Promise.reject(error);
+                    return rejected;
+                }
+                if (!options.stream) {
+                    return Promise.resolve({ choices: [{ message: { role: 'assistant', content: `plain:${content}` } }], usage: { prompt_tokens: 3, completion_tokens: 2 } });
+                }
+                const chunks = [
+                    { choices: [{ delta: { content: 'str' } }] },
+                    { choices: [{ delta: { tool_calls: [{ index: 0, id: 'c1', function: { name: 'write', arguments: '{"a":1}' } }] } }] },
+                    { choices: [{ delta: { content: 'eamed' }, finish_reason: 'tool_calls' }] },
+                ];
+                const promise = Promise.resolve((async function* stream() { yield* chunks; })());
+                promise.asResponse = () => Promise.resolve({ status: 200, headers: new Headers() });
+                return promise;
+            },
+        },
+    },
+};
+
+async function runJob(client) {
+    const plain = await client.chat.completions.create(ask('hello 1b4e28ba-2fa1-41d2-883f-0016d3cca427'));
+    const streamed = await streamChatCompletionToMessage(client, ask('stream it'), { logLabel: 'check' });
+    const failure = await client.chat.completions.create(ask('fail')).catch((error) => error);
+    return { plain: plain.choices[0].message.content, streamed, failure: { message: failure.message, status: failure.status } };
+}
+
+const recorded = await withLlmCassette('job-1', () => runJob(cassetteClient(liveClient, 'deepseek-direct', 'deepseek-v4-pro')), { mode: 'record' });
+assert.equal(liveCalls, 3);
+const file = JSON.parse(await fs.readFile(path.join(dir, 'job-1.json'), 'utf-8'));
+assert.equal(file.meta.providerTag, 'deepseek-direct');
+assert.equal(file.entries.length, 3);
+assert.equal(file.entries[1].chunks.length, 3);
+assert.equal(file.entries[2].error.status, 429);
+
+// Replay answers the same without touching the provider.
+const replayed = await withLlmCassette('job-1', () => {
+    assert.deepEqual(getLlmCassetteReplay(), { providerTag: 'deepseek-direct', model: 'deepseek-v4-pro' });
+    return runJob(cassetteClient(null, 'deepseek-direct'));
+}, { mode: 'replay' });
+assert.equal(liveCalls, 3);
+assert.deepEqual(replayed, recorded);
+assert.equal(replayed.streamed.tool_calls[0].function.arguments, '{"a":1}');
+
+// A streamed recording still answers a non-streamed request.
+const folded = await withLlmCassette('job-1', async () => {
+    const client = cassetteClient(null, 'deepseek-direct');
+    await client.chat.completions.create(ask('hello'));
+    return client.chat.completions.create(ask('stream it'));
+}, { mode: 'replay' });
+assert.equal(folded.choices[0].message.content, 'streamed');
+
+await assert.rejects(withLlmCassette('missing', async () => {}, { mode: 'replay' }), CassetteMissError);
+
+// Kimi CLI runs: the project files round-trip, binary included.
+const project = path.join(dir, 'project');
+await fs.mkdir(path.join(project, 'src'), { recursive: true });
+await fs.mkdir(path.join(project, 'node_modules'), { recursive: true });
+await withLlmCassette('cli-job', async () => {
+    await fs.writeFile(path.join(project, 'index.html'), '<html>game</html>');
+    await fs.writeFile(path.join(project, 'src', 'sprite.png'), Buffer.from([0x89, 0x50, 0, 1, 2]));
+    await fs.writeFile(path.join(project, 'node_modules', 'skip.js'), 'x');
+    await recordCliRun(project, 'instructions', { code: 0, output: 'done' });
+}, { mode: 'record' });
+const replayRoot = path.join(dir, 'replayed');
+await fs.mkdir(replayRoot);
+const cliResult = await withLlmCassette('cli-job', () => replayCliRun(replayRoot, 'instructions'), { mode: 'replay' });
+assert.deepEqual(cliResult, { code: 0, output: 'done' });
+assert.equal(await fs.readFile(path.join(replayRoot, 'index.html'), 'utf-8'), '<html>game</html>');
+assert.deepEqual([...await fs.readFile(path.join(replayRoot, 'src', 'sprite.png'))], [0x89, 0x50, 0, 1, 2]);
+await assert.rejects(fs.access(path.join(replayRoot, 'node_modules', 'skip.js')));
+assert.equal(await replayCliRun(replayRoot, 'instructions'), null);
+
+await fs.rm(dir, { recursive: true, force: true });
+console.log('✅ LLM cassette checks passed');
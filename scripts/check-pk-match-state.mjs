@@ -0,0 +1,29 @@
+import assert from 'node:assert/strict';
+import { PK_STATES, PK_PLAY_TIMEOUT_MS, canTransition, canCompleteMatch, statesLeadingTo } from '../src/pk-match-state.js';
+
+assert.deepEqual(PK_STATES, ['waiting', 'countdown', 'playing', 'finished', 'abandoned']);
+
+assert.ok(canTransition('waiting', 'countdown'));
+assert.ok(canTransition('countdown', 'playing'));
+assert.ok(canTransition('countdown', 'waiting'), 'a dropped player sends the countdown back to the lobby');
+assert.ok(canTransition('playing', 'finished'));
+assert.ok(canTransition('playing', 'abandoned'));
+assert.ok(!canTransition('waiting', 'playing'), 'no skipping the countdown');
+assert.ok(!canTransition('playing', 'waiting'));
+assert.ok(!canTransition('finished', 'playing'), 'terminal states stay terminal');
+assert.ok(!canTransition('abandoned', 'waiting'));
+assert.ok(!canTransition('nonsense', 'waiting'));
+
+assert.deepEqual(statesLeadingTo('playing'), ['countdown']);
+assert.deepEqual(statesLeadingTo('abandoned').sort(), ['countdown', 'playing', 'waiting']);
+
+// Completing on request: every final score in, or the match has run out of time.
+const startedAt = '2026-10-19T12:00:00Z';
+const soon = Date.parse(startedAt) + 60_000;
+assert.ok(canCompleteMatch({ state: 'playing', startedAt, finished: 2, total: 2 }, soon));
+assert.ok(!canCompleteMatch({ state: 'playing', startedAt, finished: 1, total: 2 }, soon), 'one player cannot lock in a result early');
+assert.ok(canCompleteMatch({ state: 'playing', startedAt, finished: 1, total: 2 }, Date.parse(startedAt) + PK_PLAY_TIMEOUT_MS));
+assert.ok(!canCompleteMatch({ state: 'countdown', startedAt: null, finished: 0, total: 2 }, soon));
+assert.ok(!canCompleteMatch({ state: 'playing', startedAt: null, finished: 0, total: 2 }, soon));
+
+console.log('✅ PK match state checks passed');
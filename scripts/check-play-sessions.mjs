@@ -0,0 +1,25 @@
+import assert from 'node:assert/strict';
+import { evaluateScoreSubmission, verifyPlaySessionToken, admitScoreRejection } from '../src/play-sessions.js';
+
+const envelope = { maxScore: 50_000, maxPointsPerSecond: 100, burst: 50, minSessionMs: 1000 };
+
+assert.deepEqual(evaluateScoreSubmission({ score: 900, elapsedMs: 10_000, envelope }), { ok: true });
+assert.equal(evaluateScoreSubmission({ score: 1051, elapsedMs: 10_000, envelope }).reason, 'rate_exceeded', '50 burst + 100/s * 10s = 1050');
+assert.equal(evaluateScoreSubmission({ score: 50_001, elapsedMs: 3_600_000, envelope }).reason, 'above_ceiling');
+assert.equal(evaluateScoreSubmission({ score: -1, elapsedMs: 10_000, envelope }).reason, 'invalid_score');
+assert.equal(evaluateScoreSubmission({ score: 12.5, elapsedMs: 10_000, envelope }).reason, 'invalid_score');
+assert.equal(evaluateScoreSubmission({ score: '100', elapsedMs: 10_000, envelope }).reason, 'invalid_score');
+assert.deepEqual(evaluateScoreSubmission({ score: 10, elapsedMs: 200, envelope }), { ok: true }, 'live updates may arrive early');
+assert.equal(evaluateScoreSubmission({ score: 10, elapsedMs: 200, envelope, enforceMinElapsed: true }).reason, 'too_early');
+
+assert.equal(verifyPlaySessionToken(null), null);
+assert.equal(verifyPlaySessionToken('not-a-jwt'), null);
+
+// Rejections are capped per key per minute, then allowed again.
+const t0 = Date.parse('2026-10-19T12:00:00Z');
+const admitted = Array.from({ length: 8 }, (_, index) => admitScoreRejection('session-a', t0 + index));
+assert.deepEqual(admitted, [true, true, true, true, true, false, false, false]);
+assert.equal(admitScoreRejection('session-b', t0), true, 'keys are independent');
+assert.equal(admitScoreRejection('session-a', t0 + 60_000), true);
+
+console.log('✅ play session checks passed');
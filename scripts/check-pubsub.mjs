@@ -0,0 +1,107 @@
+import assert from 'node:assert/strict';
+import {
+  splitForNotify,
+  createChunkAssembler,
+  createMemoryHub,
+  createMemoryPubSub,
+  createRoomBroadcaster,
+  createSharedRegistry
+} from '../src/pubsub.js';
+
+const settle = () => new Promise((resolve) => setTimeout(resolve, 20));
+
+// NOTIFY chunking round-trips large and multibyte payloads, in any order.
+assert.deepEqual(splitForNotify('{"small":true}'), ['{"small":true}']);
+const big = JSON.stringify({ text: '🎮 '.repeat(4000) + 'x'.repeat(9000) });
+const frames = splitForNotify(big);
+assert.ok(frames.length > 1);
+assert.ok(frames.every((frame) => Buffer.byteLength(frame) < 8000), 'every frame fits in a NOTIFY');
+const assembler = createChunkAssembler();
+const shuffled = [...frames].reverse();
+const results = shuffled.map((frame) => assembler.push(frame));
+assert.ok(results.slice(0, -1).every((r) => r === null));
+assert.equal(results.at(-1), big);
+assert.equal(assembler.push('{"plain":1}'), '{"plain":1}');
+
+// Registries replicate between replicas on one hub.
+const hub = createMemoryHub();
+const a = createMemoryPubSub(hub, { nodeId: 'node-a' });
+const b = createMemoryPubSub(hub, { nodeId: 'node-b' });
+const changes = [];
+const onA = createSharedRegistry(a, 'online');
+const onB = createSharedRegistry(b, 'online', { onChange: (key, value) => changes.push([key, value]) });
+await settle();
+
+onA.set('u1', { username: 'ann' });
+await settle();
+assert.deepEqual(onB.get('u1'), { username: 'ann' });
+assert.equal(onB.getLocal('u1'), undefined, 'a remote entry is not ours');
+assert.equal(onB.size, 1);
+assert.deepEqual(changes.at(-1), ['u1', { username: 'ann' }]);
+
+// Present on two replicas: one letting go keeps the user online.
+onB.set('u1', { username: 'ann', device: 'tablet' });
+await settle();
+onA.delete('u1');
+await settle();
+assert.ok(onA.has('u1'));
+assert.ok(onB.has('u1'));
+onB.delete('u1');
+await settle();
+assert.ok(!onA.has('u1'));
+assert.deepEqual(changes.at(-1), ['u1', undefined]);
+
+// purge removes a key everywhere, whoever owns it.
+const chA = createSharedRegistry(a, 'challenges');
+const chB = createSharedRegistry(b, 'challenges');
+await settle();
+chA.set('ch1', { from: 'u1', to: 'u2' });
+await settle();
+chB.purge('ch1');
+await settle();
+assert.ok(!chA.has('ch1'));
+assert.equal(chA.getLocal('ch1'), undefined);
+
+// A replica joining late learns existing entries.
+onA.set('u2', { username: 'bo' });
+await settle();
+const c = createMemoryPubSub(hub, { nodeId: 'node-c' });
+const onC = createSharedRegistry(c, 'online');
+await settle();
+assert.deepEqual(onC.get('u2'), { username: 'bo' });
+assert.deepEqual(c.liveNodeIds().sort(), ['node-a', 'node-b', 'node-c']);
+
+// A replica leaving takes its entries with it.
+const down = [];
+b.onNodeDown((nodeId) => down.push(nodeId));
+await a.close();
+await settle();
+assert.deepEqual(down, ['node-a']);
+assert.ok(!onB.has('u2'));
+assert.ok(!onC.has('u2'));
+
+// Room broadcasts reach local sockets and every other replica's.
+function fakeIo(log) {
+  const operator = (rooms, except = null) => ({
+    except: (room) => operator(rooms, room),
+    emit: (event, payload) => log.push({ rooms, except, event, payload }),
+    disconnectSockets: () => log.push({ rooms, except, disconnect: true })
+  });
+  return { to: (rooms) => operator(rooms) };
+}
+const logB = [];
+const logC = [];
+const roomsB = createRoomBroadcaster(b, fakeIo(logB), 'chat');
+createRoomBroadcaster(c, fakeIo(logC), 'chat');
+roomsB.to('conv_1', 'chat:typing', { userId: 'u1' }, { except: 'sock-1' });
+await settle();
+assert.deepEqual(logB, [{ rooms: 'conv_1', except: 'sock-1', event: 'chat:typing', payload: { userId: 'u1' } }]);
+assert.deepEqual(logC, logB, 'the other replica emits the same event to its members');
+roomsB.disconnect('lobby_user_u1', { except: 'sock-2' });
+await settle();
+assert.deepEqual(logC.at(-1), { rooms: 'lobby_user_u1', except: 'sock-2', disconnect: true });
+
+await b.close();
+await c.close();
+
+console.log('✅ PubSub checks passed');
@@ -0,0 +1,49 @@
+import assert from 'node:assert/strict';
+import {
+  computeRatingChanges,
+  expectedScore,
+  kFactor,
+  ratingBandForWait,
+  RATING_BAND_BASE,
+  RATING_BAND_MAX,
+  DEFAULT_RATING
+} from '../src/ratings.js';
+
+assert.equal(expectedScore(1200, 1200), 0.5);
+assert.ok(expectedScore(1400, 1200) > 0.75 && expectedScore(1400, 1200) < 0.77);
+assert.equal(kFactor(0), 40, 'provisional players move faster');
+assert.equal(kFactor(50), 24);
+
+assert.equal(ratingBandForWait(0), RATING_BAND_BASE);
+assert.ok(ratingBandForWait(10) > ratingBandForWait(5), 'band widens with wait');
+assert.equal(ratingBandForWait(1e6), RATING_BAND_MAX);
+
+// Even 1v1, established players: winner +12, loser -12
+const even = computeRatingChanges([
+  { userId: 'a', team: 1, rating: DEFAULT_RATING, gamesPlayed: 30 },
+  { userId: 'b', team: 2, rating: DEFAULT_RATING, gamesPlayed: 30 }
+], 1);
+assert.deepEqual(even.get('a'), { before: 1200, after: 1212, delta: 12, result: 'win' });
+assert.deepEqual(even.get('b'), { before: 1200, after: 1188, delta: -12, result: 'loss' });
+
+// Upset draw: the favourite loses points, the underdog gains
+const draw = computeRatingChanges([
+  { userId: 'fav', team: 1, rating: 1600, gamesPlayed: 30 },
+  { userId: 'dog', team: 2, rating: 1200, gamesPlayed: 30 }
+], null);
+assert.ok(draw.get('fav').delta < 0);
+assert.ok(draw.get('dog').delta > 0);
+assert.equal(draw.get('fav').result, 'draw');
+
+// 2v2 uses team means: both winners gain, by their own K
+const teams = computeRatingChanges([
+  { userId: 'a1', team: 1, rating: 1300, gamesPlayed: 2 },
+  { userId: 'a2', team: 1, rating: 1100, gamesPlayed: 30 },
+  { userId: 'b1', team: 2, rating: 1200, gamesPlayed: 30 },
+  { userId: 'b2', team: 2, rating: 1200, gamesPlayed: 30 }
+], 1);
+assert.equal(teams.get('a1').delta, 20);
+assert.equal(teams.get('a2').delta, 12);
+assert.equal(teams.get('b1').delta, -12);
+
+console.log('✅ rating checks passed');
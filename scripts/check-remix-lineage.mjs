@@ -0,0 +1,45 @@
+import assert from 'node:assert/strict';
+import { remixLineageFor, buildRemixTree, formatLineageNode, MAX_LINEAGE_DEPTH } from '../src/remix-lineage.js';
+
+// An original roots its own family; a remix of a remix inherits the root.
+assert.deepEqual(remixLineageFor({ id: 'a', remix_root_id: null, remix_depth: 0 }), { remixedFrom: 'a', rootId: 'a', depth: 1 });
+assert.deepEqual(remixLineageFor({ id: 'b', remix_root_id: 'a', remix_depth: 1 }), { remixedFrom: 'b', rootId: 'a', depth: 2 });
+assert.equal(remixLineageFor({ id: 'z', remix_root_id: 'a', remix_depth: MAX_LINEAGE_DEPTH }).depth, MAX_LINEAGE_DEPTH);
+
+// Unpublished games keep their creator but nothing else.
+const creatorRow = { user_id: 'u1', creator_username: 'maya', creator_verified: true };
+const hidden = formatLineageNode({ id: 'h', title: 'Secret', is_draft: false, feed_game_id: null, ...creatorRow });
+assert.equal(hidden.available, false);
+assert.equal(hidden.title, null);
+assert.equal(hidden.creator.username, 'maya');
+const shown = formatLineageNode({ id: 's', title: 'Shown', is_draft: false, feed_game_id: 'gm-ai-s', ...creatorRow });
+assert.equal(shown.available, true);
+assert.equal(shown.gameId, 'gm-ai-s');
+assert.equal(formatLineageNode({ id: 'u', title: 'Link only', is_draft: false, feed_game_id: 'gm-ai-u', feed_visibility: 'unlisted', ...creatorRow }).available, false);
+
+// root -> b, c; b -> d, e; d -> f. Counts roll up, busiest branch first, strays and repeats dropped.
+const node = (id, parentId, createdAt = '2026-01-01') => ({ id, parentId, createdAt });
+const tree = buildRemixTree({ id: 'root' }, [
+    node('c', 'root', '2026-01-01'),
+    node('b', 'root', '2026-01-02'),
+    node('d', 'b'),
+    node('e', 'b'),
+    node('f', 'd'),
+    node('f', 'd'),
+    node('x', 'missing'),
+    node('root', 'f'),
+]);
+assert.equal(tree.remixCount, 2);
+assert.equal(tree.totalRemixes, 5);
+assert.deepEqual(tree.remixes.map((child) => child.id), ['b', 'c']);
+const [b] = tree.remixes;
+assert.equal(b.remixCount, 2);
+assert.equal(b.totalRemixes, 3);
+assert.deepEqual(b.remixes.map((child) => [child.id, child.totalRemixes]), [['d', 1], ['e', 0]]);
+assert.equal(b.remixes[0].remixes[0].remixes.length, 0);
+
+// Ties go to the older remix.
+const tied = buildRemixTree({ id: 'r' }, [node('late', 'r', '2026-03-01'), node('early', 'r', '2026-02-01')]);
+assert.deepEqual(tied.remixes.map((child) => child.id), ['early', 'late']);
+
+console.log('✅ remix lineage checks passed');
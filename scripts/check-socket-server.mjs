@@ -0,0 +1,36 @@
+import assert from 'node:assert/strict';
+import { createRateLimiter } from '../src/rate-limiter.js';
+import { emitSocketError, SOCKET_ERROR_EVENT } from '../src/socket-server.js';
+
+// Token bucket: a burst up to capacity, then one event per refill interval.
+const limiter = createRateLimiter({ capacity: 3, refillPerSecond: 2 });
+const t0 = 1_000_000;
+assert.equal(limiter.take('u1', t0), 0);
+assert.equal(limiter.take('u1', t0), 0);
+assert.equal(limiter.take('u1', t0), 0);
+assert.equal(limiter.take('u1', t0), 500, 'empty bucket: retry after one refill');
+assert.equal(limiter.take('u2', t0), 0, 'buckets are per user');
+assert.equal(limiter.take('u1', t0 + 500), 0);
+assert.ok(limiter.take('u1', t0 + 500) > 0);
+assert.equal(limiter.take('u1', t0 + 10_000), 0, 'refill is capped at capacity');
+assert.equal(limiter.take('u1', t0 + 10_000), 0);
+assert.equal(limiter.take('u1', t0 + 10_000), 0);
+assert.ok(limiter.take('u1', t0 + 10_000) > 0);
+
+limiter.prune(t0 + 10_000 + 1501);
+assert.equal(limiter.size, 0, 'refilled buckets are dropped');
+
+// Every namespace reports errors with the same event and shape.
+const sent = [];
+const socket = { nsp: { name: '/pk' }, emit: (event, payload) => sent.push([event, payload]) };
+emitSocketError(socket, { event: 'pk:score', code: 'score_rejected', message: 'Score rejected', matchId: 'm1', reason: 'too_fast' });
+assert.deepEqual(sent, [[SOCKET_ERROR_EVENT, {
+  namespace: '/pk',
+  event: 'pk:score',
+  code: 'score_rejected',
+  message: 'Score rejected',
+  matchId: 'm1',
+  reason: 'too_fast'
+}]]);
+
+console.log('✅ Socket server checks passed');
@@ -0,0 +1,80 @@
+import assert from 'node:assert/strict';
+import {
+    SourceEditError,
+    normalizeSourcePath,
+    isBuildConfigPath,
+    isEditableSourcePath,
+    applyMakerSourcePatches,
+    describeSourceEdit,
+} from '../src/ai-engine/maker-source-edits.js';
+
+// Paths: src/ and index.html only, never outside the project.
+assert.equal(normalizeSourcePath('./src/main.ts'), 'src/main.ts');
+assert.equal(normalizeSourcePath('src\\game\\Game.ts'), 'src/game/Game.ts');
+assert.equal(normalizeSourcePath('index.html'), 'index.html');
+assert.equal(normalizeSourcePath('src/config.ts'), 'src/config.ts');
+for (const bad of ['', '/etc/passwd', 'src/../../x', 'public/assets/hero.png', 'src//main.ts', 'docs/readme.md', 'README.md']) {
+    assert.throws(() => normalizeSourcePath(bad), SourceEditError, bad);
+}
+
+// Nothing the build runs: vite checks vite.config.js before vite.config.ts, and
+// postcss, npm and dotfiles are all read from the project root.
+for (const config of [
+    'vite.config.js', 'vite.config.mjs', 'vite.config.cjs', 'vite.config.mts', 'vite.config.cts', 'vite.config.ts',
+    'postcss.config.js', 'tailwind.config.ts', 'src/vite.config.js', 'package.json', 'package-lock.json', 'yarn.lock',
+    'pnpm-lock.yaml', 'tsconfig.json', '.env', '.npmrc', 'src/.babelrc', 'src/.hidden/main.ts',
+]) {
+    assert.throws(() => normalizeSourcePath(config), SourceEditError, config);
+}
+assert.ok(isBuildConfigPath('postcss.config.js'));
+assert.ok(!isBuildConfigPath('src/config.ts'));
+assert.ok(isEditableSourcePath('src/main.ts'));
+assert.ok(!isEditableSourcePath('vite.config.js'));
+assert.throws(
+    () => applyMakerSourcePatches([], [{ path: 'vite.config.js', content: 'export default {}' }]),
+    /build configuration/
+);
+
+const files = [
+    { path: 'src/main.ts', content: 'const SPEED = 4;\nconst LIVES = 3;\n' },
+    { path: 'src/config.ts', content: 'export const DEBUG = false;\n' },
+    { path: 'src/bootstrap.ts', content: '// kernel\n' },
+];
+const isProtectedFile = (filePath) => filePath === 'src/bootstrap.ts';
+
+// Replacements, whole-file writes, new files and deletes in one go.
+const result = applyMakerSourcePatches(files, [
+    { path: 'src/main.ts', replacements: [{ find: 'SPEED = 4', replace: 'SPEED = 6' }] },
+    { path: 'src/config.ts', delete: true },
+    { path: 'src/levels.ts', content: 'export const LEVELS = [];\n' },
+], { isProtectedFile });
+assert.deepEqual(result.changed, [
+    { path: 'src/main.ts', action: 'modified' },
+    { path: 'src/config.ts', action: 'deleted' },
+    { path: 'src/levels.ts', action: 'created' },
+]);
+assert.equal(result.files.find((file) => file.path === 'src/main.ts').content, 'const SPEED = 6;\nconst LIVES = 3;\n');
+assert.equal(result.files.some((file) => file.path === 'src/config.ts'), false);
+assert.equal(files[0].content, 'const SPEED = 4;\nconst LIVES = 3;\n');
+
+// Rejections are 400s and name the problem.
+const rejects = (patches, pattern) => assert.throws(
+    () => applyMakerSourcePatches(files, patches, { isProtectedFile }),
+    (error) => error instanceof SourceEditError && error.statusCode === 400 && pattern.test(error.message),
+);
+rejects([], /No file patches/);
+rejects([{ path: 'src/bootstrap.ts', content: 'x' }], /kernel/);
+rejects([{ path: 'src/main.ts', replacements: [{ find: 'MISSING', replace: 'x' }] }], /could not find/);
+rejects([{ path: 'src/main.ts', replacements: [{ find: 'const', replace: 'let' }] }], /matched 2 times/);
+rejects([{ path: 'src/main.ts', delete: true }], /can't be deleted/);
+rejects([{ path: 'src/nope.ts', replacements: [{ find: 'a', replace: 'b' }] }], /does not exist/);
+rejects([{ path: 'src/main.ts' }], /needs content/);
+rejects([{ path: 'src/main.ts', content: files[0].content }], /don't change/);
+
+assert.equal(describeSourceEdit(result.changed), 'Edited src/main.ts, src/config.ts, src/levels.ts by hand');
+assert.equal(
+    describeSourceEdit(['a', 'b', 'c', 'd', 'e'].map((name) => ({ path: `src/${name}.ts` }))),
+    'Edited src/a.ts, src/b.ts, src/c.ts and 2 more by hand',
+);
+
+console.log('✅ source edit checks passed');
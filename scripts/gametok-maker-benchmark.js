@@ -2,7 +2,7 @@
 import fs from 'fs';
 import fsp from 'fs/promises';
 import path from 'path';
-import { randomUUID } from 'crypto';
+import { createHash, randomUUID } from 'crypto';
 import pool from '../src/db.js';
 import { selectMakerTemplateContract } from '../src/ai-engine/maker-templates.js';
 import { buildMakerDebugProtocol } from '../src/ai-engine/maker-debug-protocol.js';
@@ -14,6 +14,7 @@ import {
     summarizeMakerBenchmark,
 } from '../src/ai-engine/maker-benchmark-suite.js';
 import { scoreMakerBenchmarkResult } from '../src/ai-engine/maker-benchmark-results.js';
+import { cassetteFilePath } from '../src/ai-engine/llm-cassettes.js';
 
 function readArg(name, fallback = null) {
     const index = process.argv.indexOf(name);
@@ -58,6 +59,11 @@ function usage() {
         '  report [--job-id <uuid>] [--id <benchmark-id>] [--limit N]',
         '      Print aggregate pass/watch/weak/fail counts and recurring blockers.',
         '',
+        '  offline [--record] [--id <benchmark-id>] [--template <template-id>] [--difficulty core|breadth] [--limit N]',
+        '      Run selected prompts in-process through executeDreamJob against LLM cassettes',
+        '      (LLM_CASSETTE_DIR, one per benchmark). Replays by default and fails when a game',
+        '      differs from the recorded one; --record calls the providers and rewrites them.',
+        '',
     ].join('\n'));
 }
 
@@ -314,6 +320,55 @@ function benchmarkReport(rows) {
     };
 }
 
+function outcomePath(benchmark) {
+    return cassetteFilePath(`benchmark-${benchmark.id}`).replace(/\.json$/, '.outcome.json');
+}
+
+function summarizeOfflineOutcome(result) {
+    const html = String(result?.html || '');
+    return {
+        title: result?.title || null,
+        htmlChars: html.length,
+        htmlSha256: createHash('sha256').update(html).digest('hex'),
+    };
+}
+
+// Cassettes are keyed by benchmark so re-runs match the recording; the job id
+// changes every run and is masked out of request fingerprints.
+async function runOfflineBenchmarks(benchmarks, { record }) {
+    process.env.LLM_CASSETTE_MODE = record ? 'record' : 'replay';
+    const { executeDreamJob } = await import('../src/ai-engine/routes.js');
+    const results = [];
+    for (const benchmark of benchmarks) {
+        const started = Date.now();
+        let outcome = null;
+        let error = null;
+        try {
+            outcome = summarizeOfflineOutcome(await executeDreamJob(randomUUID(), benchmarkPrompt(benchmark), [], {
+                persistToDb: false,
+                cassette: `benchmark-${benchmark.id}`,
+            }));
+        } catch (runError) {
+            error = runError?.message || String(runError);
+        }
+        const file = outcomePath(benchmark);
+        let status;
+        if (record) {
+            await fsp.mkdir(path.dirname(file), { recursive: true });
+            await fsp.writeFile(file, JSON.stringify({ benchmarkId: benchmark.id, outcome, error }, null, 2));
+            status = 'recorded';
+        } else {
+            const expected = JSON.parse(await fsp.readFile(file, 'utf-8').catch(() => 'null'));
+            if (!expected) status = 'no-recording';
+            // Error text differs between a live and a replayed CLI failure; failing at all is what must match.
+            else if (expected.error || error) status = expected.error && error ? 'match' : 'mismatch';
+            else status = expected.outcome?.htmlSha256 === outcome?.htmlSha256 ? 'match' : 'mismatch';
+        }
+        results.push({ benchmarkId: benchmark.id, status, durationMs: Date.now() - started, outcome, error });
+    }
+    return results;
+}
+
 async function main() {
     const command = process.argv[2];
     if (!command || hasFlag('--help') || hasFlag('-h')) {
@@ -361,6 +416,17 @@ async function main() {
         return;
     }
 
+    if (command === 'offline') {
+        const benchmarks = selectBenchmarks();
+        if (benchmarks.length === 0) throw new Error('No benchmarks matched the requested filters.');
+        const results = await runOfflineBenchmarks(benchmarks, { record: hasFlag('--record') });
+        console.log(JSON.stringify(results, null, 2));
+        if (results.some((row) => row.status === 'mismatch' || row.status === 'no-recording')) {
+            process.exitCode = 1;
+        }
+        return;
+    }
+
     if (command === 'collect') {
         const results = await collectBenchmarkResults();
         console.log(JSON.stringify(results, null, 2));
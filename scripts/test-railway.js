@@ -15,9 +15,9 @@ async function test() {
     });
     
     const signupData = await signupRes.json();
-    if (!signupData.token) return;
+    if (!signupData.accessToken) return;
     
-    const token = signupData.token;
+    const token = signupData.accessToken;
     const dreamRes = await fetch(`${API_URL}/ai/dream`, {
       method: 'POST',
       headers: { 
@@ -0,0 +1,266 @@
+/**
+ * Achievements for AI-generated games.
+ *
+ * Declarations are keyed by the ai_games row (the draft id that `/api/ai/play/:id` serves), so
+ * they exist before a game is published and survive republishing. They come from two places:
+ *
+ *   - the creator, via `PUT /api/ai/drafts/:id/achievements` — authoritative once set;
+ *   - the maker pipeline, which asks the builder for an `achievements.json` next to index.html.
+ *     Maker declarations never overwrite a creator's.
+ *
+ * The game unlocks them through the runtime bridge injected by `/api/ai/play/:targetId`
+ * (`window.GameTok.achievements.unlock(key)`), which only posts a message to the host app. The
+ * host, which holds the player's token, calls the unlock endpoint. An achievement dropped from a
+ * declaration is retired rather than deleted so nobody loses one they already earned.
+ */
+
+import pool from './db.js';
+import { notifyFriendAchievement } from './notifications.js';
+
+export const MAX_ACHIEVEMENTS_PER_GAME = 20;
+const KEY_PATTERN = /^[a-z0-9][a-z0-9_-]{0,63}$/;
+const DEFAULT_POINTS = 10;
+const MAX_POINTS = 100;
+// Followers pinged per unlock. notifyUser throttles per recipient; this bounds the fan-out itself.
+const FRIEND_NOTIFY_LIMIT = Number(process.env.ACHIEVEMENT_FRIEND_NOTIFY_LIMIT || 200);
+
+export async function ensureAchievementTables() {
+    await pool.query(`
+        CREATE TABLE IF NOT EXISTS game_achievements (
+            id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+            ai_game_id UUID NOT NULL REFERENCES ai_games(id) ON DELETE CASCADE,
+            key VARCHAR(64) NOT NULL,
+            title VARCHAR(80) NOT NULL,
+            description VARCHAR(280),
+            icon VARCHAR(16),
+            points INTEGER NOT NULL DEFAULT 10,
+            hidden BOOLEAN NOT NULL DEFAULT FALSE,
+            sort_order INTEGER NOT NULL DEFAULT 0,
+            source VARCHAR(16) NOT NULL DEFAULT 'creator',
+            retired_at TIMESTAMP,
+            created_at TIMESTAMP DEFAULT NOW(),
+            updated_at TIMESTAMP DEFAULT NOW(),
+            UNIQUE (ai_game_id, key)
+        );
+
+        CREATE TABLE IF NOT EXISTS user_achievements (
+            user_id UUID NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+            achievement_id UUID NOT NULL REFERENCES game_achievements(id) ON DELETE CASCADE,
+            unlocked_at TIMESTAMP NOT NULL DEFAULT NOW(),
+            PRIMARY KEY (user_id, achievement_id)
+        );
+
+        CREATE INDEX IF NOT EXISTS idx_user_achievements_recent ON user_achievements(user_id, unlocked_at DESC);
+        CREATE INDEX IF NOT EXISTS idx_user_achievements_achievement ON user_achievements(achievement_id);
+    `);
+}
+
+/**
+ * Validate a declaration list from a creator or the builder. Throws a 400-flavoured error on
+ * anything malformed rather than silently dropping entries — a creator should know their
+ * "first-blood" key never registered.
+ */
+export function normalizeAchievementDeclarations(input) {
+    if (!Array.isArray(input)) throw badDeclaration('achievements must be an array');
+    if (input.length > MAX_ACHIEVEMENTS_PER_GAME) {
+        throw badDeclaration(`At most ${MAX_ACHIEVEMENTS_PER_GAME} achievements per game`);
+    }
+
+    const seen = new Set();
+    return input.map((raw, index) => {
+        const key = String(raw?.key || '').trim().toLowerCase();
+        if (!KEY_PATTERN.test(key)) throw badDeclaration(`achievements[${index}].key must be lowercase letters, digits, "-" or "_"`);
+        if (seen.has(key)) throw badDeclaration(`Duplicate achievement key "${key}"`);
+        seen.add(key);
+
+        const title = String(raw?.title || '').trim().slice(0, 80);
+        if (!title) throw badDeclaration(`achievements[${index}].title is required`);
+
+        const points = Number.isFinite(Number(raw?.points)) ? Math.round(Number(raw.points)) : DEFAULT_POINTS;
+        return {
+            key,
+            title,
+            description: raw?.description ? String(raw.description).trim().slice(0, 280) : null,
+            icon: raw?.icon ? String(raw.icon).trim().slice(0, 16) : null,
+            points: Math.min(MAX_POINTS, Math.max(0, points)),
+            hidden: raw?.hidden === true,
+            sortOrder: index,
+        };
+    });
+}
+
+function badDeclaration(message) {
+    const error = new Error(message);
+    error.statusCode = 400;
+    return error;
+}
+
+/**
+ * Replace a game's declared set. Listed keys are upserted (and un-retired); keys no longer listed
+ * are retired. A maker declaration is a no-op once the creator has declared anything.
+ * Returns the active list, or null when skipped.
+ */
+export async function declareGameAchievements({ aiGameId, achievements, source = 'creator' }) {
+    const declared = normalizeAchievementDeclarations(achievements);
+    const client = await pool.connect();
+    try {
+        await client.query('BEGIN');
+        if (source !== 'creator') {
+            const creatorOwned = await client.query(
+                `SELECT 1 FROM game_achievements WHERE ai_game_id = $1 AND source = 'creator' LIMIT 1`,
+                [aiGameId]
+            );
+            if (creatorOwned.rows.length > 0) {
+                await client.query('ROLLBACK');
+                return null;
+            }
+        }
+
+        for (const a of declared) {
+            await client.query(
+                `INSERT INTO game_achievements (ai_game_id, key, title, description, icon, points, hidden, sort_order, source)
+                 VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9)
+                 ON CONFLICT (ai_game_id, key) DO UPDATE SET
+                   title = EXCLUDED.title,
+                   description = EXCLUDED.description,
+                   icon = EXCLUDED.icon,
+                   points = EXCLUDED.points,
+                   hidden = EXCLUDED.hidden,
+                   sort_order = EXCLUDED.sort_order,
+                   source = EXCLUDED.source,
+                   retired_at = NULL,
+                   updated_at = NOW()`,
+                [aiGameId, a.key, a.title, a.description, a.icon, a.points, a.hidden, a.sortOrder, source]
+            );
+        }
+        await client.query(
+            `UPDATE game_achievements SET retired_at = NOW(), updated_at = NOW()
+             WHERE ai_game_id = $1 AND retired_at IS NULL AND NOT (key = ANY($2::text[]))`,
+            [aiGameId, declared.map((a) => a.key)]
+        );
+        await client.query('COMMIT');
+    } catch (error) {
+        await client.query('ROLLBACK').catch(() => {});
+        throw error;
+    } finally {
+        client.release();
+    }
+    return listGameAchievements(aiGameId, { revealHidden: true });
+}
+
+function formatAchievement(row) {
+    return {
+        key: row.key,
+        title: row.title,
+        description: row.description,
+        icon: row.icon,
+        points: row.points,
+        hidden: row.hidden,
+        ...(row.unlocked_at !== undefined ? { unlockedAt: row.unlocked_at } : {}),
+    };
+}
+
+/**
+ * The active declarations for one game. With a viewer, each entry carries `unlockedAt` (null if
+ * still locked) and hidden achievements the viewer hasn't earned have their text withheld.
+ * `revealHidden` is for the game's creator.
+ */
+export async function listGameAchievements(aiGameId, { viewerId = null, revealHidden = false } = {}) {
+    const { rows } = await pool.query(
+        `SELECT a.key, a.title, a.description, a.icon, a.points, a.hidden
+                ${viewerId ? ', ua.unlocked_at' : ''}
+         FROM game_achievements a
+         ${viewerId ? 'LEFT JOIN user_achievements ua ON ua.achievement_id = a.id AND ua.user_id = $2' : ''}
+         WHERE a.ai_game_id = $1 AND a.retired_at IS NULL
+         ORDER BY a.sort_order, a.created_at`,
+        viewerId ? [aiGameId, viewerId] : [aiGameId]
+    );
+    return rows.map((row) => {
+        const entry = formatAchievement(row);
+        if (entry.hidden && !entry.unlockedAt && !revealHidden) {
+            return { ...entry, title: 'Hidden achievement', description: null, icon: null };
+        }
+        return entry;
+    });
+}
+
+/**
+ * Record an unlock. Idempotent: a repeat unlock returns `{ newlyUnlocked: false }` and notifies
+ * nobody. Returns null when the key isn't an active achievement of that game.
+ */
+export async function unlockAchievement({ userId, aiGameId, key }) {
+    const achievementRes = await pool.query(
+        `SELECT a.id, a.key, a.title, a.description, a.icon, a.points, a.hidden, g.title AS game_title
+         FROM game_achievements a
+         JOIN ai_games g ON g.id = a.ai_game_id
+         WHERE a.ai_game_id = $1 AND a.key = $2 AND a.retired_at IS NULL`,
+        [aiGameId, String(key || '').trim().toLowerCase()]
+    );
+    const achievement = achievementRes.rows[0];
+    if (!achievement) return null;
+
+    const inserted = await pool.query(
+        `INSERT INTO user_achievements (user_id, achievement_id) VALUES ($1, $2)
+         ON CONFLICT (user_id, achievement_id) DO NOTHING
+         RETURNING unlocked_at`,
+        [userId, achievement.id]
+    );
+    const newlyUnlocked = inserted.rows.length > 0;
+    if (newlyUnlocked && !achievement.hidden) {
+        notifyFollowersOfUnlock(userId, achievement.title).catch((error) => {
+            console.error('[Achievements] Friend notify error:', error);
+        });
+    }
+
+    return {
+        newlyUnlocked,
+        achievement: { ...formatAchievement(achievement), gameTitle: achievement.game_title },
+    };
+}
+
+async function notifyFollowersOfUnlock(userId, achievementTitle) {
+    const unlocker = await pool.query('SELECT username, display_name FROM users WHERE id = $1', [userId]);
+    const name = unlocker.rows[0]?.display_name || unlocker.rows[0]?.username;
+    if (!name) return;
+
+    const followers = await pool.query(
+        'SELECT follower_id FROM followers WHERE following_id = $1 ORDER BY created_at DESC LIMIT $2',
+        [userId, FRIEND_NOTIFY_LIMIT]
+    );
+    for (const { follower_id: followerId } of followers.rows) {
+        await notifyFriendAchievement(followerId, name, achievementTitle);
+    }
+}
+
+/** Profile summary: totals plus the most recent unlocks across every game. */
+export async function getUserAchievementSummary(userId, { limit = 12 } = {}) {
+    const [totals, recent] = await Promise.all([
+        pool.query(
+            `SELECT COUNT(*)::int AS unlocked, COALESCE(SUM(a.points), 0)::int AS points
+             FROM user_achievements ua
+             JOIN game_achievements a ON a.id = ua.achievement_id
+             WHERE ua.user_id = $1`,
+            [userId]
+        ),
+        pool.query(
+            `SELECT a.key, a.title, a.description, a.icon, a.points, a.hidden, ua.unlocked_at,
+                    g.id AS ai_game_id, g.title AS game_title
+             FROM user_achievements ua
+             JOIN game_achievements a ON a.id = ua.achievement_id
+             JOIN ai_games g ON g.id = a.ai_game_id
+             WHERE ua.user_id = $1
+             ORDER BY ua.unlocked_at DESC
+             LIMIT $2`,
+            [userId, Math.max(1, Math.min(Number(limit) || 12, 50))]
+        ),
+    ]);
+    return {
+        unlocked: totals.rows[0]?.unlocked || 0,
+        points: totals.rows[0]?.points || 0,
+        recent: recent.rows.map((row) => ({
+            ...formatAchievement(row),
+            gameId: row.ai_game_id,
+            gameTitle: row.game_title,
+        })),
+    };
+}
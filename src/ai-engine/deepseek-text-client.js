@@ -1,4 +1,5 @@
 import OpenAI from 'openai';
+import { recordLlmUsage } from './generation-costs.js';
 
 export const DEEPSEEK_DIRECT_PROVIDER = 'deepseek-direct';
 
@@ -80,6 +81,7 @@ export async function callDeepSeekFlashJson({ systemPrompt, messages, maxTokens
         messages: [{ role: 'system', content: systemPrompt }, ...messages],
         response_format: { type: 'json_object' },
     });
+    recordLlmUsage('deepseek', res.usage);
     return JSON.parse(res.choices[0].message.content);
 }
 
@@ -0,0 +1,367 @@
+/**
+ * Draft revisions
+ *
+ * Every completed build or edit (AI or by hand) leaves an immutable copy of
+ * what the game was at that point — source files, compiled HTML, the prompt or
+ * edit instruction that produced it and the sandbox verdict — in
+ * `draft_revisions`, numbered 1, 2, 3... per game. Edits still write the live
+ * ai_games row in place; the revisions are what make that safe: any two can be
+ * diffed file by file, and a draft (or a published game, which plays from the
+ * same row) can be put back to any of them. A revert is itself a new revision,
+ * so nothing is lost within the last MAX_REVISIONS_PER_GAME; older ones are
+ * dropped, since each copy carries every asset.
+ *
+ * Games built before revisions existed get a `baseline` revision of their
+ * current state the first time they are edited.
+ */
+import { createHash } from 'crypto';
+import pool from '../db.js';
+
+export const REVISION_KINDS = ['baseline', 'build', 'import', 'edit', 'source', 'revert'];
+// Line diffs are LCS over lines; past this many line pairs a file is reported
+// as replaced wholesale instead of diffed.
+const MAX_DIFF_CELLS = 4_000_000;
+const DIFF_CONTEXT_LINES = 3;
+const MAX_REVISIONS_PER_GAME = Math.max(2, Number(process.env.MAX_DRAFT_REVISIONS || 50));
+
+// Source files plus assets in a maker_project, or 1 for a bare index.html; what
+// revisionFiles() would count, without loading the project into Node to count it.
+const jsonArrayLengthSql = (expr) => `COALESCE(jsonb_array_length(CASE WHEN jsonb_typeof(${expr}) = 'array' THEN ${expr} END), 0)`;
+const fileCountSql = (alias) => `(
+    SELECT CASE WHEN n > 0 THEN n WHEN COALESCE(${alias}.html_payload, '') <> '' THEN 1 ELSE 0 END
+    FROM (SELECT ${jsonArrayLengthSql(`${alias}.maker_project->'files'`)} + ${jsonArrayLengthSql(`${alias}.maker_project->'assetFiles'`)} AS n) counts
+)`;
+
+let schemaReadyPromise = null;
+
+export function ensureDraftRevisionSchema() {
+    if (!schemaReadyPromise) {
+        schemaReadyPromise = pool.query(`
+            CREATE TABLE IF NOT EXISTS draft_revisions (
+                id BIGSERIAL PRIMARY KEY,
+                game_id UUID NOT NULL REFERENCES ai_games(id) ON DELETE CASCADE,
+                revision INTEGER NOT NULL,
+                kind VARCHAR(16) NOT NULL,
+                job_id UUID,
+                prompt TEXT,
+                title TEXT,
+                html_payload TEXT,
+                raw_code TEXT,
+                maker_project JSONB,
+                thumbnail TEXT,
+                game_url TEXT,
+                sandbox JSONB,
+                reverted_from INTEGER,
+                created_by UUID,
+                created_at TIMESTAMP NOT NULL DEFAULT NOW(),
+                UNIQUE (game_id, revision)
+            );
+            ALTER TABLE draft_revisions ADD COLUMN IF NOT EXISTS file_count INTEGER;
+            UPDATE draft_revisions r SET file_count = ${fileCountSql('r')} WHERE r.file_count IS NULL;
+        `).catch((error) => {
+            schemaReadyPromise = null;
+            throw error;
+        });
+    }
+    return schemaReadyPromise;
+}
+
+export class RevisionError extends Error {
+    constructor(message, statusCode) {
+        super(message);
+        this.statusCode = statusCode;
+    }
+}
+
+/** The parts of a sandbox result worth keeping with a revision. */
+export function summarizeSandboxVerdict(result) {
+    if (!result) return null;
+    return {
+        success: Boolean(result.success),
+        bypassed: Boolean(result.bypassed),
+        crashes: (Array.isArray(result.crashes) ? result.crashes : []).slice(0, 3).map((crash) => String(crash).slice(0, 500)),
+    };
+}
+
+function parseProject(project) {
+    if (typeof project !== 'string') return project || null;
+    try { return JSON.parse(project); } catch { return null; }
+}
+
+function sha256(value) {
+    return createHash('sha256').update(value).digest('hex');
+}
+
+/**
+ * A revision's files as path -> { content } (text) or { hash } (binary art).
+ * Games without saved source are a single index.html.
+ */
+export function revisionFiles(revision) {
+    const files = new Map();
+    const project = parseProject(revision?.maker_project);
+    for (const file of Array.isArray(project?.files) ? project.files : []) {
+        if (file?.path) files.set(file.path, { content: String(file.content ?? '') });
+    }
+    for (const asset of Array.isArray(project?.assetFiles) ? project.assetFiles : []) {
+        if (asset?.file) files.set(`public/${asset.file}`, { hash: sha256(String(asset.b64 || '')) });
+    }
+    if (files.size === 0 && revision?.html_payload) files.set('index.html', { content: revision.html_payload });
+    return files;
+}
+
+/**
+ * Unified-style hunks between two texts: [{ fromLine, toLine, lines: [' ctx', '-old', '+new'] }].
+ * Returns null when the files are too big to diff line by line.
+ */
+export function diffLines(fromText, toText, { context = DIFF_CONTEXT_LINES } = {}) {
+    const a = String(fromText ?? '').split('\n');
+    const b = String(toText ?? '').split('\n');
+    // Trim the common head and tail so the LCS table only covers what changed.
+    let head = 0;
+    while (head < a.length && head < b.length && a[head] === b[head]) head += 1;
+    let tail = 0;
+    while (tail < a.length - head && tail < b.length - head && a[a.length - 1 - tail] === b[b.length - 1 - tail]) tail += 1;
+    const midA = a.slice(head, a.length - tail);
+    const midB = b.slice(head, b.length - tail);
+    if (midA.length * midB.length > MAX_DIFF_CELLS) return null;
+
+    const lcs = Array.from({ length: midA.length + 1 }, () => new Uint32Array(midB.length + 1));
+    for (let i = midA.length - 1; i >= 0; i -= 1) {
+        for (let j = midB.length - 1; j >= 0; j -= 1) {
+            lcs[i][j] = midA[i] === midB[j] ? lcs[i + 1][j + 1] + 1 : Math.max(lcs[i + 1][j], lcs[i][j + 1]);
+        }
+    }
+    const ops = a.slice(0, head).map((line) => [' ', line]);
+    let i = 0;
+    let j = 0;
+    while (i < midA.length || j < midB.length) {
+        if (i < midA.length && j < midB.length && midA[i] === midB[j]) {
+            ops.push([' ', midA[i]]); i += 1; j += 1;
+        } else if (i < midA.length && (j === midB.length || lcs[i + 1][j] >= lcs[i][j + 1])) {
+            ops.push(['-', midA[i]]); i += 1;
+        } else {
+            ops.push(['+', midB[j]]); j += 1;
+        }
+    }
+    for (const line of a.slice(a.length - tail)) ops.push([' ', line]);
+
+    // Line numbers before each op, then changes grouped with their context;
+    // groups whose context would touch are merged into one hunk.
+    const positions = [];
+    let fromLine = 1;
+    let toLine = 1;
+    for (const [op] of ops) {
+        positions.push({ fromLine, toLine });
+        if (op !== '+') fromLine += 1;
+        if (op !== '-') toLine += 1;
+    }
+    const ranges = [];
+    ops.forEach(([op], index) => {
+        if (op === ' ') return;
+        const last = ranges[ranges.length - 1];
+        if (last && index - context <= last.end + context + 1) last.end = index;
+        else ranges.push({ start: index, end: index });
+    });
+    return ranges.map(({ start, end }) => {
+        const from = Math.max(0, start - context);
+        const to = Math.min(ops.length, end + context + 1);
+        return {
+            fromLine: positions[from].fromLine,
+            toLine: positions[from].toLine,
+            lines: ops.slice(from, to).map(([op, line]) => `${op}${line}`),
+        };
+    });
+}
+
+/**
+ * File-by-file differences between two revisions, sorted by path. Binary art
+ * is compared by hash and reported without hunks.
+ */
+export function diffRevisionFiles(fromRevision, toRevision) {
+    const from = revisionFiles(fromRevision);
+    const to = revisionFiles(toRevision);
+    const files = [];
+    let unchanged = 0;
+    for (const filePath of [...new Set([...from.keys(), ...to.keys()])].sort()) {
+        const before = from.get(filePath);
+        const after = to.get(filePath);
+        const binary = Boolean(before?.hash || after?.hash);
+        if (before && after && (binary ? before.hash === after.hash : before.content === after.content)) {
+            unchanged += 1;
+            continue;
+        }
+        const status = !before ? 'added' : !after ? 'removed' : 'modified';
+        if (binary) {
+            files.push({ path: filePath, status, binary: true });
+            continue;
+        }
+        const hunks = diffLines(before?.content ?? '', after?.content ?? '');
+        files.push({ path: filePath, status, ...(hunks ? { hunks } : { tooLarge: true }) });
+    }
+    return { files, unchanged };
+}
+
+export function formatRevision(row, { full = false } = {}) {
+    const project = parseProject(row.maker_project);
+    const summary = {
+        revision: row.revision,
+        kind: row.kind,
+        jobId: row.job_id || null,
+        prompt: row.prompt || null,
+        title: row.title || null,
+        sandbox: row.sandbox || null,
+        revertedFrom: row.reverted_from ?? null,
+        fileCount: row.file_count ?? revisionFiles(row).size,
+        htmlChars: row.html_chars ?? String(row.html_payload || '').length,
+        createdBy: row.created_by || null,
+        createdAt: row.created_at,
+    };
+    if (!full) return summary;
+    return {
+        ...summary,
+        html: row.html_payload || '',
+        files: (Array.isArray(project?.files) ? project.files : []).map((file) => ({ path: file.path, content: file.content })),
+        assets: (Array.isArray(project?.assetFiles) ? project.assetFiles : []).map((asset) => asset.file),
+        gameUrl: row.game_url || null,
+    };
+}
+
+// Copy the live row into the next revision, dropping any beyond the newest
+// MAX_REVISIONS_PER_GAME. Runs on the caller's transaction with the ai_games
+// row locked.
+async function insertRevisionFromRow(client, gameId, { kind, jobId = null, prompt = null, sandbox = null, createdBy = null, revertedFrom = null }) {
+    const result = await client.query(
+        `INSERT INTO draft_revisions (game_id, revision, kind, job_id, prompt, title, html_payload, raw_code,
+                                      maker_project, thumbnail, game_url, sandbox, reverted_from, created_by, file_count)
+         SELECT g.id,
+                COALESCE((SELECT MAX(revision) FROM draft_revisions WHERE game_id = g.id), 0) + 1,
+                $2, $3, COALESCE($4, g.prompt), g.title, g.html_payload, g.raw_code,
+                g.maker_project, g.thumbnail, g.game_url, $5::jsonb, $6, COALESCE($7, g.user_id),
+                ${fileCountSql('g')}
+         FROM ai_games g
+         WHERE g.id = $1
+         RETURNING *`,
+        [gameId, kind, jobId, prompt, sandbox ? JSON.stringify(sandbox) : null, revertedFrom, createdBy]
+    );
+    const row = result.rows[0] || null;
+    if (row) {
+        await client.query(
+            'DELETE FROM draft_revisions WHERE game_id = $1 AND revision <= $2',
+            [gameId, row.revision - MAX_REVISIONS_PER_GAME]
+        );
+    }
+    return row;
+}
+
+async function inTransaction(fn) {
+    const client = await pool.connect();
+    try {
+        await client.query('BEGIN');
+        const result = await fn(client);
+        await client.query('COMMIT');
+        return result;
+    } catch (error) {
+        await client.query('ROLLBACK').catch(() => {});
+        throw error;
+    } finally {
+        client.release();
+    }
+}
+
+/**
+ * Keep the game's current state as a revision, after a build or edit has
+ * saved it. Best-effort: returns the revision number, or null (logged) if it
+ * couldn't be written — the build itself has already succeeded.
+ */
+export async function recordDraftRevision(gameId, meta) {
+    try {
+        await ensureDraftRevisionSchema();
+        const row = await inTransaction(async (client) => {
+            await client.query('SELECT id FROM ai_games WHERE id = $1 FOR UPDATE', [gameId]);
+            return insertRevisionFromRow(client, gameId, meta);
+        });
+        return row?.revision ?? null;
+    } catch (error) {
+        console.warn(`[Draft Revisions] Could not record ${meta?.kind} revision for ${gameId}:`, error?.message || error);
+        return null;
+    }
+}
+
+/** Before the first edit of a game that predates revisions, keep what it is now. */
+export async function ensureBaselineRevision(gameId) {
+    try {
+        await ensureDraftRevisionSchema();
+        await inTransaction(async (client) => {
+            const game = await client.query(
+                `SELECT id FROM ai_games WHERE id = $1 AND (html_payload <> '' OR maker_project IS NOT NULL) FOR UPDATE`,
+                [gameId]
+            );
+            if (game.rows.length === 0) return;
+            const existing = await client.query('SELECT 1 FROM draft_revisions WHERE game_id = $1 LIMIT 1', [gameId]);
+            if (existing.rows.length === 0) await insertRevisionFromRow(client, gameId, { kind: 'baseline' });
+        });
+    } catch (error) {
+        console.warn(`[Draft Revisions] Could not record baseline for ${gameId}:`, error?.message || error);
+    }
+}
+
+export async function listDraftRevisions(gameId) {
+    await ensureDraftRevisionSchema();
+    const result = await pool.query(
+        `SELECT r.revision, r.kind, r.job_id, r.prompt, r.title, r.sandbox, r.reverted_from, r.created_by, r.created_at,
+                COALESCE(r.file_count, ${fileCountSql('r')}) AS file_count, length(r.html_payload) AS html_chars
+         FROM draft_revisions r
+         WHERE r.game_id = $1
+         ORDER BY r.revision DESC`,
+        [gameId]
+    );
+    return result.rows.map((row) => formatRevision({ ...row, html_chars: Number(row.html_chars || 0) }));
+}
+
+export async function getDraftRevision(gameId, revision) {
+    await ensureDraftRevisionSchema();
+    const result = await pool.query(
+        'SELECT * FROM draft_revisions WHERE game_id = $1 AND revision = $2',
+        [gameId, revision]
+    );
+    if (result.rows.length === 0) throw new RevisionError(`Revision ${revision} not found`, 404);
+    return result.rows[0];
+}
+
+/**
+ * Put a game back to `revision` and record that as a new revision. Title and
+ * thumbnail are only restored on drafts; a published game keeps the name and
+ * cover it was published with. Returns the new revision.
+ */
+export async function revertDraftToRevision(gameId, revision, { userId = null } = {}) {
+    await ensureDraftRevisionSchema();
+    return inTransaction(async (client) => {
+        const game = await client.query('SELECT is_draft FROM ai_games WHERE id = $1 FOR UPDATE', [gameId]);
+        if (game.rows.length === 0) throw new RevisionError('Game not found', 404);
+        const target = await client.query(
+            'SELECT * FROM draft_revisions WHERE game_id = $1 AND revision = $2',
+            [gameId, revision]
+        );
+        if (target.rows.length === 0) throw new RevisionError(`Revision ${revision} not found`, 404);
+        const source = target.rows[0];
+        await client.query(
+            `UPDATE ai_games
+             SET html_payload = $2,
+                 raw_code = $3,
+                 maker_project = $4,
+                 game_url = $5,
+                 title = CASE WHEN is_draft THEN COALESCE($6, title) ELSE title END,
+                 thumbnail = CASE WHEN is_draft THEN $7 ELSE thumbnail END
+             WHERE id = $1`,
+            [gameId, source.html_payload, source.raw_code, source.maker_project, source.game_url, source.title, source.thumbnail]
+        );
+        const row = await insertRevisionFromRow(client, gameId, {
+            kind: 'revert',
+            prompt: source.prompt,
+            sandbox: source.sandbox,
+            createdBy: userId,
+            revertedFrom: source.revision,
+        });
+        return formatRevision(row);
+    });
+}
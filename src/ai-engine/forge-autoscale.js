@@ -1,4 +1,5 @@
 import pool from '../db.js';
+import { summarizeGenerationLanes } from './generation-scheduler.js';
 
 const RAILWAY_GRAPHQL_URL = process.env.RAILWAY_GRAPHQL_URL || 'https://backboard.railway.com/graphql/v2';
 const IS_RAILWAY = Boolean(
@@ -136,16 +137,21 @@ export function computeForgeAutoscalePlan({
     };
 }
 
+// Totals drive the replica count; `lanes` shows what the demand is made of
+// (a backlog of background work scales the forge too, it just runs last).
 export async function getForgeQueueMetrics() {
     const result = await pool.query(
-        `SELECT
-            COUNT(*) FILTER (WHERE status = 'running' AND kind = 'dream')::int AS running,
-            COUNT(*) FILTER (WHERE status = 'queued' AND kind = 'dream')::int AS queued
-         FROM generation_jobs`
+        `SELECT queue_lane, status, COUNT(*)::int AS count
+         FROM generation_jobs
+         WHERE status IN ('queued', 'running')
+           AND kind IN ('dream', 'edit')
+         GROUP BY queue_lane, status`
     );
+    const lanes = summarizeGenerationLanes(result.rows);
     return {
-        running: Number(result.rows[0]?.running || 0),
-        queued: Number(result.rows[0]?.queued || 0),
+        running: Object.values(lanes).reduce((sum, lane) => sum + lane.running, 0),
+        queued: Object.values(lanes).reduce((sum, lane) => sum + lane.queued, 0),
+        lanes,
     };
 }
 
@@ -269,6 +275,7 @@ export async function buildForgeAutoscaleReport(options = {}) {
         environmentId: RAILWAY_ENVIRONMENT_ID || null,
         region: RAILWAY_FORGE_REGION,
         ...plan,
+        lanes: metrics.lanes,
         lastTickAt: autoscalerState.lastTickAt,
         lastError: autoscalerState.lastError,
     };
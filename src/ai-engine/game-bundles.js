@@ -0,0 +1,317 @@
+/**
+ * Portable game bundles.
+ *
+ * A bundle is a zip that carries one game out of GameTok and back in:
+ *
+ *   gametok.json          metadata: title, prompt, orientation, categories, remix lineage
+ *                         (informational: imports never trust it, see the import route)
+ *   index.html            the built, playable game
+ *   asset-manifest.json   the asset pack plus size and sha256 of every art file
+ *   cover.<ext>           cover art, when the game has one
+ *   project/...           the maker project source (src/ and index.html only, as for
+ *                         hand edits), art under project/public/assets/
+ *
+ * `GET /drafts/:id/export` builds one from an ai_games row (buildGameBundle);
+ * `POST /drafts/import` checks one (parseGameBundle), re-runs the sandbox on
+ * its HTML and saves it as a new draft. Older games without saved source
+ * export without the project/ folder and import as plain HTML games.
+ *
+ * The zip reader and writer are the small subset of the format bundles need
+ * (stored or deflated entries, no zip64, no encryption), on node's zlib.
+ */
+import { createHash } from 'crypto';
+import zlib from 'zlib';
+import { isEditableSourcePath, normalizeSourcePath } from './maker-source-edits.js';
+
+export const BUNDLE_FORMAT = 'gametok-bundle';
+export const BUNDLE_VERSION = 1;
+const MAX_BUNDLE_ENTRIES = 2000;
+const MAX_BUNDLE_UNPACKED_BYTES = 120 * 1024 * 1024;
+const COVER_TYPES = { png: 'image/png', jpg: 'image/jpeg', jpeg: 'image/jpeg', webp: 'image/webp' };
+
+export class BundleError extends Error {
+    constructor(message, statusCode = 400) {
+        super(message);
+        this.statusCode = statusCode;
+    }
+}
+
+const CRC_TABLE = (() => {
+    const table = new Uint32Array(256);
+    for (let n = 0; n < 256; n += 1) {
+        let c = n;
+        for (let k = 0; k < 8; k += 1) c = c & 1 ? 0xedb88320 ^ (c >>> 1) : c >>> 1;
+        table[n] = c >>> 0;
+    }
+    return table;
+})();
+
+function crc32(buffer) {
+    let crc = 0xffffffff;
+    for (let i = 0; i < buffer.length; i += 1) crc = CRC_TABLE[(crc ^ buffer[i]) & 0xff] ^ (crc >>> 8);
+    return (crc ^ 0xffffffff) >>> 0;
+}
+
+function dosDateTime(date) {
+    return {
+        time: (date.getHours() << 11) | (date.getMinutes() << 5) | Math.floor(date.getSeconds() / 2),
+        date: ((Math.max(date.getFullYear(), 1980) - 1980) << 9) | ((date.getMonth() + 1) << 5) | date.getDate(),
+    };
+}
+
+/** Zip `entries` ([{ name, data }], data a Buffer or string). Deflates where it helps. */
+export function createZipArchive(entries, { modifiedAt = new Date() } = {}) {
+    const { time, date } = dosDateTime(modifiedAt);
+    const locals = [];
+    const centrals = [];
+    let offset = 0;
+    for (const entry of entries) {
+        const name = Buffer.from(entry.name, 'utf8');
+        const data = Buffer.isBuffer(entry.data) ? entry.data : Buffer.from(String(entry.data ?? ''), 'utf8');
+        const deflated = zlib.deflateRawSync(data);
+        const method = deflated.length < data.length ? 8 : 0;
+        const body = method === 8 ? deflated : data;
+        const crc = crc32(data);
+
+        const local = Buffer.alloc(30);
+        local.writeUInt32LE(0x04034b50, 0);
+        local.writeUInt16LE(20, 4);
+        local.writeUInt16LE(0x0800, 6); // names are UTF-8
+        local.writeUInt16LE(method, 8);
+        local.writeUInt16LE(time, 10);
+        local.writeUInt16LE(date, 12);
+        local.writeUInt32LE(crc, 14);
+        local.writeUInt32LE(body.length, 18);
+        local.writeUInt32LE(data.length, 22);
+        local.writeUInt16LE(name.length, 26);
+        locals.push(local, name, body);
+
+        const central = Buffer.alloc(46);
+        central.writeUInt32LE(0x02014b50, 0);
+        central.writeUInt16LE(20, 4);
+        central.writeUInt16LE(20, 6);
+        central.writeUInt16LE(0x0800, 8);
+        central.writeUInt16LE(method, 10);
+        central.writeUInt16LE(time, 12);
+        central.writeUInt16LE(date, 14);
+        central.writeUInt32LE(crc, 16);
+        central.writeUInt32LE(body.length, 20);
+        central.writeUInt32LE(data.length, 24);
+        central.writeUInt16LE(name.length, 28);
+        central.writeUInt32LE(offset, 42);
+        centrals.push(central, name);
+        offset += local.length + name.length + body.length;
+    }
+    const centralSize = centrals.reduce((sum, part) => sum + part.length, 0);
+    const end = Buffer.alloc(22);
+    end.writeUInt32LE(0x06054b50, 0);
+    end.writeUInt16LE(entries.length, 8);
+    end.writeUInt16LE(entries.length, 10);
+    end.writeUInt32LE(centralSize, 12);
+    end.writeUInt32LE(offset, 16);
+    return Buffer.concat([...locals, ...centrals, end]);
+}
+
+/** Unzip into a Map of name -> Buffer. Throws BundleError on anything it can't read safely. */
+export function readZipArchive(buffer, { maxEntries = MAX_BUNDLE_ENTRIES, maxUnpackedBytes = MAX_BUNDLE_UNPACKED_BYTES } = {}) {
+    if (!Buffer.isBuffer(buffer) || buffer.length < 22) throw new BundleError('Not a zip file');
+    let endAt = -1;
+    for (let i = buffer.length - 22; i >= Math.max(0, buffer.length - 22 - 0xffff); i -= 1) {
+        if (buffer.readUInt32LE(i) === 0x06054b50) { endAt = i; break; }
+    }
+    if (endAt === -1) throw new BundleError('Not a zip file');
+    const count = buffer.readUInt16LE(endAt + 10);
+    let cursor = buffer.readUInt32LE(endAt + 16);
+    if (count > maxEntries) throw new BundleError(`Bundle has more than ${maxEntries} files`);
+
+    const files = new Map();
+    let unpacked = 0;
+    for (let index = 0; index < count; index += 1) {
+        if (cursor + 46 > buffer.length || buffer.readUInt32LE(cursor) !== 0x02014b50) throw new BundleError('Zip directory is corrupt');
+        const flags = buffer.readUInt16LE(cursor + 8);
+        const method = buffer.readUInt16LE(cursor + 10);
+        const crc = buffer.readUInt32LE(cursor + 16);
+        const compressedSize = buffer.readUInt32LE(cursor + 20);
+        const size = buffer.readUInt32LE(cursor + 24);
+        const nameLength = buffer.readUInt16LE(cursor + 28);
+        const extraLength = buffer.readUInt16LE(cursor + 30);
+        const commentLength = buffer.readUInt16LE(cursor + 32);
+        const localAt = buffer.readUInt32LE(cursor + 42);
+        const name = buffer.toString('utf8', cursor + 46, cursor + 46 + nameLength);
+        cursor += 46 + nameLength + extraLength + commentLength;
+
+        if (flags & 0x1) throw new BundleError('Encrypted zips are not supported');
+        if (compressedSize === 0xffffffff || size === 0xffffffff) throw new BundleError('Zip64 bundles are not supported');
+        if (method !== 0 && method !== 8) throw new BundleError(`Unsupported compression in ${name}`);
+        if (name.endsWith('/')) continue;
+        unpacked += size;
+        if (unpacked > maxUnpackedBytes) throw new BundleError('Bundle is too large once unpacked');
+
+        if (localAt + 30 > buffer.length || buffer.readUInt32LE(localAt) !== 0x04034b50) throw new BundleError(`Zip entry ${name} is corrupt`);
+        const dataAt = localAt + 30 + buffer.readUInt16LE(localAt + 26) + buffer.readUInt16LE(localAt + 28);
+        const body = buffer.subarray(dataAt, dataAt + compressedSize);
+        let data;
+        try {
+            data = method === 8 ? zlib.inflateRawSync(body, { maxOutputLength: Math.max(size, 1) }) : Buffer.from(body);
+        } catch {
+            throw new BundleError(`Zip entry ${name} is corrupt`);
+        }
+        if (data.length !== size || crc32(data) !== crc) throw new BundleError(`Zip entry ${name} is corrupt`);
+        files.set(name, data);
+    }
+    return files;
+}
+
+function sha256(buffer) {
+    return createHash('sha256').update(buffer).digest('hex');
+}
+
+function parseProject(project) {
+    if (typeof project !== 'string') return project || null;
+    try { return JSON.parse(project); } catch { return null; }
+}
+
+/** Decode a `data:image/...;base64,` thumbnail; null for URLs and anything else. */
+export function decodeDataUrlImage(value) {
+    const match = /^data:(image\/(?:png|jpeg|webp));base64,([A-Za-z0-9+/=]+)$/.exec(String(value || ''));
+    return match ? { contentType: match[1], buffer: Buffer.from(match[2], 'base64') } : null;
+}
+
+/**
+ * The zip entries for one game. `game` is an ai_games row; `cover`, when
+ * given, is { buffer, contentType }.
+ */
+export function buildGameBundle(game, { categories = [], cover = null, exportedAt = new Date() } = {}) {
+    const project = parseProject(game.maker_project);
+    // Build config always comes from the scaffold, so older rows that saved some don't export it.
+    const projectFiles = (Array.isArray(project?.files) ? project.files : []).filter((file) => isEditableSourcePath(file?.path));
+    const assetFiles = (Array.isArray(project?.assetFiles) ? project.assetFiles : [])
+        .filter((asset) => asset?.file && asset?.b64)
+        .map((asset) => ({ file: asset.file, data: Buffer.from(asset.b64, 'base64') }));
+    const coverExt = cover ? Object.keys(COVER_TYPES).find((ext) => COVER_TYPES[ext] === cover.contentType) : null;
+
+    const metadata = {
+        format: BUNDLE_FORMAT,
+        version: BUNDLE_VERSION,
+        exportedAt: exportedAt.toISOString(),
+        sourceGameId: game.id,
+        title: game.title || null,
+        prompt: game.prompt || '',
+        orientation: game.orientation || null,
+        categories,
+        remix: game.remixed_from
+            ? { remixedFrom: game.remixed_from, remixedFromUsername: game.remixed_from_username || null }
+            : null,
+        architecture: projectFiles.length ? (project.architecture || 'canvas-kernel') : null,
+        cover: coverExt ? `cover.${coverExt}` : null,
+    };
+    const manifest = {
+        assetPack: project?.assetPack || null,
+        assets: assetFiles.map((asset) => ({ file: asset.file, bytes: asset.data.length, sha256: sha256(asset.data) })),
+    };
+    return [
+        { name: 'gametok.json', data: JSON.stringify(metadata, null, 2) },
+        { name: 'index.html', data: game.html_payload || '' },
+        { name: 'asset-manifest.json', data: JSON.stringify(manifest, null, 2) },
+        ...(coverExt ? [{ name: metadata.cover, data: cover.buffer }] : []),
+        ...projectFiles.map((file) => ({ name: `project/${file.path}`, data: String(file.content ?? '') })),
+        ...assetFiles.map((asset) => ({ name: `project/public/${asset.file}`, data: asset.data })),
+    ];
+}
+
+function readJsonEntry(files, name) {
+    const data = files.get(name);
+    if (!data) throw new BundleError(`Bundle is missing ${name}`);
+    try {
+        return JSON.parse(data.toString('utf8'));
+    } catch {
+        throw new BundleError(`${name} is not valid JSON`);
+    }
+}
+
+/**
+ * Check an uploaded bundle and turn it back into what a draft needs:
+ * { metadata, html, makerProject (null for plain HTML games), cover (data URL or null) }.
+ * Project files go through the same allow-list as hand edits: a bundle carrying
+ * build config (vite.config.js, package.json...) is rejected outright, since the
+ * server builds the project on its next edit.
+ */
+export function parseGameBundle(buffer) {
+    const files = readZipArchive(buffer);
+    const meta = readJsonEntry(files, 'gametok.json');
+    if (meta?.format !== BUNDLE_FORMAT) throw new BundleError('Not a GameTok bundle');
+    if (meta.version !== BUNDLE_VERSION) throw new BundleError(`Unsupported bundle version ${meta.version}`);
+
+    const html = files.get('index.html')?.toString('utf8') || '';
+    if (!/<\/html>\s*$/i.test(html.trim())) throw new BundleError('index.html is not a complete HTML document');
+
+    const sources = [];
+    const assets = new Map();
+    for (const [name, data] of files) {
+        if (!name.startsWith('project/')) continue;
+        const projectPath = name.slice('project/'.length);
+        if (projectPath.startsWith('public/')) {
+            const file = projectPath.slice('public/'.length);
+            if (!/^assets\/[A-Za-z0-9_.-]+$/.test(file)) throw new BundleError(`Unexpected asset path ${name}`);
+            assets.set(file, data);
+            continue;
+        }
+        let cleanPath;
+        try {
+            cleanPath = normalizeSourcePath(projectPath);
+        } catch (error) {
+            throw new BundleError(error.message);
+        }
+        sources.push({ path: cleanPath, content: data.toString('utf8') });
+    }
+
+    let makerProject = null;
+    if (sources.length > 0 || assets.size > 0) {
+        if (!sources.some((file) => file.path === 'src/main.ts')) throw new BundleError('Bundle project has no src/main.ts');
+        const manifest = readJsonEntry(files, 'asset-manifest.json');
+        const listed = Array.isArray(manifest?.assets) ? manifest.assets : [];
+        for (const entry of listed) {
+            const data = assets.get(entry?.file);
+            if (!data) throw new BundleError(`Asset ${entry?.file} is listed in the manifest but missing`);
+            if (sha256(data) !== entry.sha256) throw new BundleError(`Asset ${entry.file} does not match its manifest hash`);
+        }
+        if (listed.length !== assets.size) throw new BundleError('Bundle has assets that are not in the manifest');
+        makerProject = {
+            version: 1,
+            architecture: typeof meta.architecture === 'string' ? meta.architecture.slice(0, 64) : 'canvas-kernel',
+            savedAt: new Date().toISOString(),
+            title: typeof meta.title === 'string' ? meta.title : null,
+            files: sources.sort((a, b) => a.path.localeCompare(b.path)),
+            assetPack: manifest.assetPack || null,
+            assetFiles: [...assets.entries()].map(([file, data]) => ({ file, b64: data.toString('base64') })),
+        };
+    }
+
+    let cover = null;
+    if (meta.cover) {
+        const ext = String(meta.cover).replace(/^cover\./, '');
+        const data = COVER_TYPES[ext] && /^cover\.[a-z]+$/.test(meta.cover) ? files.get(meta.cover) : null;
+        if (!data) throw new BundleError(`Cover ${meta.cover} is missing or not an image`);
+        cover = `data:${COVER_TYPES[ext]};base64,${data.toString('base64')}`;
+    }
+
+    const remix = meta.remix && typeof meta.remix === 'object' ? meta.remix : null;
+    return {
+        metadata: {
+            title: typeof meta.title === 'string' ? meta.title.slice(0, 255) : null,
+            prompt: typeof meta.prompt === 'string' ? meta.prompt : '',
+            orientation: typeof meta.orientation === 'string' ? meta.orientation : null,
+            categories: Array.isArray(meta.categories) ? meta.categories.filter((slug) => typeof slug === 'string') : [],
+            remix: remix
+                ? {
+                    remixedFrom: typeof remix.remixedFrom === 'string' ? remix.remixedFrom : null,
+                    remixedFromUsername: typeof remix.remixedFromUsername === 'string' ? remix.remixedFromUsername.slice(0, 64) : null,
+                }
+                : null,
+            sourceGameId: typeof meta.sourceGameId === 'string' ? meta.sourceGameId : null,
+        },
+        html,
+        makerProject,
+        cover,
+    };
+}
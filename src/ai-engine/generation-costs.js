@@ -0,0 +1,187 @@
+/**
+ * What a generation cost to make.
+ *
+ * A job runs inside a cost meter (AsyncLocalStorage, like the per-job log
+ * capture in routes.js), and every paid call made on its behalf — chat
+ * completions on NVIDIA, DeepSeek, Moonshot or OpenAI, image generations,
+ * Kimi CLI runs (under the provider they ran on) — adds to it without the job having to thread anything
+ * through. Providers that report `usage` are counted exactly; streams and the
+ * CLI, which don't, are estimated from characters and marked `estimated`.
+ *
+ * The summary lands on the job via recordGenerationTelemetry (cost JSON plus a
+ * USD estimate from GENERATION_PRICES); work done for a game after its job
+ * (cover art) is added to the same row with addGenerationCost.
+ */
+import { AsyncLocalStorage } from 'node:async_hooks';
+import pool from '../db.js';
+
+const costMeterStore = new AsyncLocalStorage();
+
+// USD per million tokens / per image. Rough list prices; override with
+// GENERATION_PRICES='{"nvidia":{"input":0,"output":0},...}'.
+const DEFAULT_PRICES = {
+    nvidia: { input: 0, output: 0 },
+    deepseek: { input: 0.27, output: 1.1 },
+    moonshot: { input: 0.6, output: 2.5 },
+    openai: { input: 2.5, output: 10, image: 0.011 },
+    'stable-horde': { image: 0 },
+    huggingface: { image: 0 },
+};
+
+function loadPrices() {
+    try {
+        return { ...DEFAULT_PRICES, ...JSON.parse(process.env.GENERATION_PRICES || '{}') };
+    } catch {
+        console.warn('[Generation Costs] GENERATION_PRICES is not valid JSON; using defaults');
+        return DEFAULT_PRICES;
+    }
+}
+const PRICES = loadPrices();
+
+export function createCostMeter() {
+    return { providers: {} };
+}
+
+/** Run `fn` with a fresh meter; resolves to { result, meter } (meter is attached to thrown errors as `costMeter`). */
+export async function withGenerationCostMeter(fn) {
+    const meter = createCostMeter();
+    try {
+        const result = await costMeterStore.run(meter, fn);
+        return { result, meter };
+    } catch (error) {
+        if (error && typeof error === 'object') error.costMeter = meter;
+        throw error;
+    }
+}
+
+export function estimateTokens(text) {
+    return Math.ceil(String(text || '').length / 4);
+}
+
+/** Which provider a client talks to, from its base URL. */
+export function providerFromClient(client) {
+    const baseURL = String(client?.baseURL || '');
+    if (baseURL.includes('nvidia')) return 'nvidia';
+    if (baseURL.includes('deepseek')) return 'deepseek';
+    if (baseURL.includes('moonshot')) return 'moonshot';
+    if (!baseURL || baseURL.includes('openai.com')) return 'openai';
+    return 'other';
+}
+
+function providerEntry(meter, provider) {
+    if (!meter.providers[provider]) {
+        meter.providers[provider] = { calls: 0, inputTokens: 0, outputTokens: 0, imageCalls: 0, estimated: false };
+    }
+    return meter.providers[provider];
+}
+
+/**
+ * Count one chat call against the current job (a no-op outside a meter).
+ * `usage` is the provider's usage object when there is one; otherwise pass
+ * `estimate: { input, output }` text and the tokens are estimated.
+ */
+export function recordLlmUsage(provider, usage = null, estimate = null, meter = costMeterStore.getStore()) {
+    if (!meter) return;
+    const entry = providerEntry(meter, provider);
+    entry.calls += 1;
+    if (usage && Number.isFinite(Number(usage.prompt_tokens ?? usage.input_tokens))) {
+        entry.inputTokens += Number(usage.prompt_tokens ?? usage.input_tokens) || 0;
+        entry.outputTokens += Number(usage.completion_tokens ?? usage.output_tokens) || 0;
+        return;
+    }
+    entry.estimated = true;
+    entry.inputTokens += estimateTokens(estimate?.input);
+    entry.outputTokens += estimateTokens(estimate?.output);
+}
+
+/** Text of a chat request's messages, for estimates. */
+export function messagesText(messages = []) {
+    return messages.map((message) => (typeof message?.content === 'string' ? message.content : JSON.stringify(message?.content ?? ''))).join('\n');
+}
+
+export function recordImageCall(provider, count = 1, meter = costMeterStore.getStore()) {
+    if (!meter) return;
+    const entry = providerEntry(meter, provider);
+    entry.calls += count;
+    entry.imageCalls += count;
+}
+
+export function summarizeGenerationCost(meter, prices = PRICES) {
+    let usd = 0;
+    let inputTokens = 0;
+    let outputTokens = 0;
+    let imageCalls = 0;
+    for (const [provider, entry] of Object.entries(meter?.providers || {})) {
+        const price = prices[provider] || {};
+        usd += (entry.inputTokens * (price.input || 0) + entry.outputTokens * (price.output || 0)) / 1_000_000;
+        usd += entry.imageCalls * (price.image || 0);
+        inputTokens += entry.inputTokens;
+        outputTokens += entry.outputTokens;
+        imageCalls += entry.imageCalls;
+    }
+    return {
+        providers: meter?.providers || {},
+        inputTokens,
+        outputTokens,
+        imageCalls,
+        estimatedUsd: Math.round(usd * 1_000_000) / 1_000_000,
+    };
+}
+
+/** Merge two summaries' provider tallies (for costs added after the job). */
+export function mergeGenerationCosts(a, b) {
+    const meter = createCostMeter();
+    for (const summary of [a, b]) {
+        for (const [provider, entry] of Object.entries(summary?.providers || {})) {
+            const target = providerEntry(meter, provider);
+            target.calls += entry.calls || 0;
+            target.inputTokens += entry.inputTokens || 0;
+            target.outputTokens += entry.outputTokens || 0;
+            target.imageCalls += entry.imageCalls || 0;
+            target.estimated = target.estimated || Boolean(entry.estimated);
+        }
+    }
+    return summarizeGenerationCost(meter);
+}
+
+/**
+ * Add a meter's spend to a job's recorded cost, e.g. a cover generated for
+ * the game after its build finished. Never throws.
+ */
+export async function addGenerationCost(jobId, meter) {
+    const summary = summarizeGenerationCost(meter);
+    if (!jobId || Object.keys(summary.providers).length === 0) return;
+    const client = await pool.connect();
+    try {
+        await client.query('BEGIN');
+        const current = await client.query('SELECT cost FROM generation_jobs WHERE id = $1 FOR UPDATE', [jobId]);
+        if (current.rows.length > 0) {
+            const merged = mergeGenerationCosts(current.rows[0].cost, summary);
+            await client.query(
+                'UPDATE generation_jobs SET cost = $2::jsonb, cost_usd = $3 WHERE id = $1',
+                [jobId, JSON.stringify(merged), merged.estimatedUsd]
+            );
+        }
+        await client.query('COMMIT');
+    } catch (error) {
+        await client.query('ROLLBACK').catch(() => {});
+        console.warn(`[Generation Costs] Failed to add cost for ${jobId}:`, error?.message || error);
+    } finally {
+        client.release();
+    }
+}
+
+/** Run `fn` metered and add its spend to `jobId`; for work outside the job itself. */
+export async function meterForJob(jobId, fn) {
+    let meter = createCostMeter();
+    try {
+        const metered = await withGenerationCostMeter(fn);
+        meter = metered.meter;
+        return metered.result;
+    } catch (error) {
+        meter = error?.costMeter || meter;
+        throw error;
+    } finally {
+        await addGenerationCost(jobId, meter);
+    }
+}
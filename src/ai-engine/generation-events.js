@@ -0,0 +1,250 @@
+/**
+ * Generation progress events
+ *
+ * Every dream/edit job transition worth showing — progress ticks, intermediate
+ * artifacts and the final status — is appended to `generation_job_events` and
+ * pushed to anyone streaming the job (GET /api/ai/dream/events/:jobId, SSE).
+ * Event ids are the row ids, so a client that reconnects with `Last-Event-ID`
+ * is replayed exactly what it missed; events written on another replica reach
+ * local listeners over the pub/sub bus.
+ *
+ * Event types:
+ *   progress  { progress, phase, statusMessage }
+ *   artifact  { kind: 'design_brief' | 'assets' | 'screenshot', ... }
+ *   status    { status: 'complete' | 'failed' | 'canceled', draftId?, error? }  (terminal)
+ */
+import { EventEmitter } from 'events';
+import pool from '../db.js';
+import { getPubSub } from '../pubsub.js';
+
+const PUBSUB_CHANNEL = 'generation_events';
+const EVENT_RETENTION_HOURS = Number(process.env.GENERATION_EVENT_RETENTION_HOURS || 24);
+export const SSE_RETRY_MS = 3000;
+export const SSE_HEARTBEAT_MS = 15_000;
+export const TERMINAL_STATUSES = ['complete', 'failed', 'canceled'];
+
+const localEvents = new EventEmitter();
+localEvents.setMaxListeners(0);
+
+// jobId -> { progressKey, artifacts: Set<kind>, finished }: what this replica
+// has already recorded, so creep timers and repeated marks don't spam the log.
+const recorded = new Map();
+let schemaReadyPromise = null;
+let busSubscribed = false;
+
+function ensureGenerationEventSchema() {
+    if (!schemaReadyPromise) {
+        schemaReadyPromise = pool.query(`
+            CREATE TABLE IF NOT EXISTS generation_job_events (
+                id BIGSERIAL PRIMARY KEY,
+                job_id UUID NOT NULL,
+                type VARCHAR(16) NOT NULL,
+                data JSONB NOT NULL DEFAULT '{}'::jsonb,
+                created_at TIMESTAMP NOT NULL DEFAULT NOW()
+            );
+            CREATE INDEX IF NOT EXISTS idx_generation_job_events_job ON generation_job_events(job_id, id);
+            CREATE INDEX IF NOT EXISTS idx_generation_job_events_created ON generation_job_events(created_at);
+        `).catch((error) => {
+            schemaReadyPromise = null;
+            throw error;
+        });
+    }
+    return schemaReadyPromise;
+}
+
+function listenToPeers() {
+    if (busSubscribed) return;
+    busSubscribed = true;
+    getPubSub().subscribe(PUBSUB_CHANNEL, (event) => {
+        if (event?.jobId) localEvents.emit(event.jobId, event);
+    });
+}
+
+export function isTerminalGenerationEvent(event) {
+    return event?.type === 'status' && TERMINAL_STATUSES.includes(event.data?.status);
+}
+
+/**
+ * Whether an event adds anything over what was last recorded for the job.
+ * Mutates `state`, except for the terminal mark (markGenerationEventRecorded),
+ * which waits until the event is stored; exported for the checks.
+ */
+export function shouldRecordGenerationEvent(state, type, data = {}) {
+    if (state.finished) return false;
+    if (type === 'progress') {
+        const key = `${data.progress}|${data.phase || ''}|${data.statusMessage || ''}`;
+        if (key === state.progressKey) return false;
+        state.progressKey = key;
+        return true;
+    }
+    if (type === 'artifact') {
+        if (state.artifacts.has(data.kind)) return false;
+        state.artifacts.add(data.kind);
+        return true;
+    }
+    if (type === 'status') return true;
+    return false;
+}
+
+/** After an event is stored: a terminal status closes the job to further events. */
+export function markGenerationEventRecorded(state, type, data = {}) {
+    if (isTerminalGenerationEvent({ type, data })) state.finished = true;
+}
+
+/**
+ * Append an event for a job and push it to every listener. Never throws:
+ * progress reporting must not fail a build. Returns the event, or null when it
+ * was a duplicate or couldn't be stored.
+ */
+export async function recordGenerationEvent(jobId, type, data = {}) {
+    if (!jobId) return null;
+    if (!recorded.has(jobId)) recorded.set(jobId, { progressKey: null, artifacts: new Set(), finished: false });
+    const state = recorded.get(jobId);
+    if (!shouldRecordGenerationEvent(state, type, data)) return null;
+
+    try {
+        await ensureGenerationEventSchema();
+        const result = await pool.query(
+            `INSERT INTO generation_job_events (job_id, type, data)
+             VALUES ($1, $2, $3)
+             RETURNING id, created_at`,
+            [jobId, type, JSON.stringify(data)]
+        );
+        const event = { id: Number(result.rows[0].id), jobId, type, data, createdAt: result.rows[0].created_at };
+        markGenerationEventRecorded(state, type, data);
+        if (state.finished) setTimeout(() => recorded.delete(jobId), 60_000).unref?.();
+        localEvents.emit(jobId, event);
+        listenToPeers();
+        getPubSub().publish(PUBSUB_CHANNEL, event)
+            .catch((error) => console.warn(`[GEN EVENTS] Publish failed for ${jobId}:`, error?.message || error));
+        return event;
+    } catch (error) {
+        console.warn(`[GEN EVENTS] Could not record ${type} event for ${jobId}:`, error?.message || error);
+        return null;
+    }
+}
+
+/**
+ * Stored events for a job after `afterId`, oldest first
+ */
+export async function listGenerationEvents(jobId, afterId = 0) {
+    await ensureGenerationEventSchema();
+    const result = await pool.query(
+        `SELECT id, type, data, created_at
+         FROM generation_job_events
+         WHERE job_id = $1 AND id > $2
+         ORDER BY id ASC`,
+        [jobId, afterId]
+    );
+    return result.rows.map((row) => ({ id: Number(row.id), jobId, type: row.type, data: row.data, createdAt: row.created_at }));
+}
+
+/**
+ * Live events for a job from any replica. Returns an unsubscribe function.
+ */
+export function subscribeGenerationEvents(jobId, fn) {
+    listenToPeers();
+    localEvents.on(jobId, fn);
+    return () => localEvents.off(jobId, fn);
+}
+
+/**
+ * `Last-Event-ID` header (or `?lastEventId=` for clients that can't set
+ * headers) as a row id; 0 means "from the beginning".
+ */
+export function parseLastEventId(req) {
+    const raw = req.headers?.['last-event-id'] ?? req.query?.lastEventId;
+    const id = Number(raw);
+    return Number.isSafeInteger(id) && id > 0 ? id : 0;
+}
+
+/**
+ * One SSE frame. Events without an id (the snapshot) don't move the client's
+ * Last-Event-ID.
+ */
+export function formatSseEvent({ id, type, data }) {
+    const lines = [];
+    if (id) lines.push(`id: ${id}`);
+    lines.push(`event: ${type}`);
+    for (const line of JSON.stringify(data ?? {}).split('\n')) lines.push(`data: ${line}`);
+    return `${lines.join('\n')}\n\n`;
+}
+
+/**
+ * Serve a job's events as SSE: the snapshot, then everything after
+ * Last-Event-ID, then live events until a terminal status or disconnect.
+ * `snapshot` is the job's current state ({ status, progress, phase,
+ * statusMessage, ... }) or null when only the event log knows the job.
+ */
+export async function streamGenerationEvents(req, res, jobId, snapshot) {
+    const lastId = parseLastEventId(req);
+    // Subscribe before replaying so nothing written in between is lost; the
+    // replay and the live buffer are then merged by id.
+    const pending = [];
+    let live = false;
+    let sentId = lastId;
+    let closed = false;
+    let heartbeat = null;
+
+    const close = () => {
+        if (closed) return;
+        closed = true;
+        unsubscribe();
+        clearInterval(heartbeat);
+        res.end();
+    };
+    const send = (event) => {
+        if (closed || event.id <= sentId) return;
+        sentId = event.id;
+        res.write(formatSseEvent(event));
+        if (isTerminalGenerationEvent(event)) close();
+    };
+    const unsubscribe = subscribeGenerationEvents(jobId, (event) => {
+        if (live) send(event);
+        else pending.push(event);
+    });
+    req.on('close', close);
+
+    let replay;
+    try {
+        replay = await listGenerationEvents(jobId, lastId);
+    } catch (error) {
+        unsubscribe();
+        throw error;
+    }
+    if (closed) return;
+    if (!snapshot && replay.length === 0 && lastId === 0) {
+        unsubscribe();
+        return res.status(404).json({ error: 'Job not found' });
+    }
+
+    res.writeHead(200, {
+        'Content-Type': 'text/event-stream',
+        'Cache-Control': 'no-cache, no-transform',
+        Connection: 'keep-alive',
+        'X-Accel-Buffering': 'no',
+    });
+    res.write(`retry: ${SSE_RETRY_MS}\n\n`);
+    if (snapshot) res.write(formatSseEvent({ type: 'snapshot', data: snapshot }));
+
+    for (const event of replay) send(event);
+    live = true;
+    for (const event of pending.sort((a, b) => a.id - b.id)) send(event);
+    if (closed) return;
+
+    // Finished before events were recorded for it (or the log was pruned):
+    // the snapshot is all there is.
+    if (snapshot && TERMINAL_STATUSES.includes(snapshot.status)) return close();
+
+    heartbeat = setInterval(() => res.write(': ping\n\n'), SSE_HEARTBEAT_MS);
+    heartbeat.unref?.();
+}
+
+const pruneTimer = setInterval(() => {
+    if (!schemaReadyPromise) return;
+    pool.query(
+        `DELETE FROM generation_job_events WHERE created_at < NOW() - make_interval(hours => $1)`,
+        [EVENT_RETENTION_HOURS]
+    ).catch((error) => console.warn('[GEN EVENTS] Prune failed:', error?.message || error));
+}, 60 * 60 * 1000);
+pruneTimer.unref?.();
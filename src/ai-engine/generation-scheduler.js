@@ -0,0 +1,100 @@
+/**
+ * Generation queue scheduling
+ *
+ * Queued jobs sit in one of three lanes, served strictly in priority order:
+ * interactive user builds, then edits, then background work (bot games,
+ * backfills). Within a lane users take turns: a job's place is its owner's
+ * running jobs plus its rank among the owner's queued jobs, so one user with
+ * twenty builds queued gets one turn per round like everyone else, with age
+ * breaking ties. On top of that no user runs more than a few jobs at once and
+ * background work never takes more than its share of the workers.
+ *
+ * Everything here is pure; routes.js loads the queue, picks with these and
+ * claims under an advisory lock.
+ */
+
+export const GENERATION_LANES = ['interactive', 'edit', 'background'];
+
+// Typical run time per lane until there's history to average over.
+const DEFAULT_RUN_SECONDS = { interactive: 240, edit: 120, background: 240 };
+
+export function normalizeGenerationLane(lane, fallback = 'interactive') {
+    return GENERATION_LANES.includes(lane) ? lane : fallback;
+}
+
+function countBy(rows, key) {
+    const counts = new Map();
+    for (const row of rows) counts.set(row[key], (counts.get(row[key]) || 0) + 1);
+    return counts;
+}
+
+/**
+ * Queued jobs in the order they should run, ignoring caps. `queued` rows need
+ * { id, user_id, queue_lane, created_at }; `running` rows { user_id, queue_lane }.
+ */
+export function orderQueuedGenerationJobs(queued, running = []) {
+    const runningByUser = countBy(running, 'user_id');
+    const turns = new Map();
+    const keyed = [...queued]
+        .sort((a, b) => new Date(a.created_at) - new Date(b.created_at))
+        .map((job) => {
+            const lane = normalizeGenerationLane(job.queue_lane);
+            const turnKey = `${lane}:${job.user_id}`;
+            const turn = (turns.get(turnKey) || 0) + 1;
+            turns.set(turnKey, turn);
+            return { job, lane: GENERATION_LANES.indexOf(lane), round: (runningByUser.get(job.user_id) || 0) + turn };
+        });
+    keyed.sort((a, b) => (a.lane - b.lane)
+        || (a.round - b.round)
+        || (new Date(a.job.created_at) - new Date(b.job.created_at)));
+    return keyed.map((entry) => entry.job);
+}
+
+/**
+ * The next job to claim, or null when everything queued is held back by a cap.
+ */
+export function pickNextGenerationJob(queued, running = [], { userMaxRunning = 2, backgroundMaxRunning = 1 } = {}) {
+    const runningByUser = countBy(running, 'user_id');
+    const backgroundRunning = running.filter((job) => normalizeGenerationLane(job.queue_lane) === 'background').length;
+    for (const job of orderQueuedGenerationJobs(queued, running)) {
+        if ((runningByUser.get(job.user_id) || 0) >= userMaxRunning) continue;
+        if (normalizeGenerationLane(job.queue_lane) === 'background' && backgroundRunning >= backgroundMaxRunning) continue;
+        return job;
+    }
+    return null;
+}
+
+/**
+ * Where a queued job stands: how many jobs run before it and a rough wait.
+ * `slots` is how many jobs the forge runs at once; `runSeconds` maps lane to
+ * average run time (missing lanes use defaults).
+ */
+export function estimateGenerationQueuePosition(jobId, queued, running = [], { slots = 1, runSeconds = {} } = {}) {
+    const ordered = orderQueuedGenerationJobs(queued, running);
+    const index = ordered.findIndex((job) => job.id === jobId);
+    if (index < 0) return null;
+    const ahead = ordered.slice(0, index);
+    const lane = normalizeGenerationLane(ordered[index].queue_lane);
+    const secondsFor = (l) => Number(runSeconds[l]) || DEFAULT_RUN_SECONDS[l];
+    // Work ahead (plus what's already running) drains across the slots in parallel.
+    const workSeconds = [...ahead, ...running].reduce((sum, job) => sum + secondsFor(normalizeGenerationLane(job.queue_lane)), 0);
+    return {
+        lane,
+        queuedAhead: ahead.length,
+        queuePosition: ahead.length + 1,
+        queuedAheadInLane: ahead.filter((job) => normalizeGenerationLane(job.queue_lane) === lane).length,
+        etaSeconds: Math.round(workSeconds / Math.max(1, slots)),
+    };
+}
+
+/**
+ * Queued/running counts per lane from rows of { queue_lane, status, count }.
+ */
+export function summarizeGenerationLanes(rows = []) {
+    const lanes = Object.fromEntries(GENERATION_LANES.map((lane) => [lane, { queued: 0, running: 0 }]));
+    for (const row of rows) {
+        const lane = lanes[normalizeGenerationLane(row.queue_lane)];
+        if (row.status === 'queued' || row.status === 'running') lane[row.status] += Number(row.count || 0);
+    }
+    return lanes;
+}
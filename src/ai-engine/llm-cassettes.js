@@ -0,0 +1,358 @@
+/**
+ * LLM cassettes
+ *
+ * Record/replay for the model calls a generation job makes, so the maker
+ * pipeline can run without provider keys. With LLM_CASSETTE_MODE=record every
+ * chat completion (request, response or streamed chunks, provider errors) and
+ * every Kimi CLI run (the files it left in the project) is kept and written to
+ * <LLM_CASSETTE_DIR>/<name>.json when the job ends. With =replay the same calls
+ * are answered from that file and no provider is contacted.
+ *
+ * Calls are matched on a fingerprint of the request (model, messages, tools)
+ * with job ids and timestamps masked out, taking recorded calls with the same
+ * fingerprint in order. A call with no match gets the next unused call of its
+ * kind, unless LLM_CASSETTE_STRICT=true, which makes a miss an error.
+ *
+ * The cassette for a job is entered with withLlmCassette(); clients are
+ * wrapped with cassetteClient(), which is a no-op outside a cassette.
+ */
+import { AsyncLocalStorage } from 'node:async_hooks';
+import { createHash } from 'crypto';
+import fs from 'fs/promises';
+import path from 'path';
+import { applyStreamChunk, createStreamAccumulator, finalizeStreamedMessage } from './maker-agent-stream.js';
+
+export const CASSETTE_MODES = ['off', 'record', 'replay'];
+const CASSETTE_VERSION = 1;
+const REPLAY_BASE_URL = 'cassette://replay';
+// Project files the CLI leaves behind that aren't part of the game.
+const CLI_SNAPSHOT_SKIP = new Set(['node_modules', '.kimi-home', 'threejs-skills', '.git']);
+const CLI_SNAPSHOT_MAX_FILE_BYTES = 5 * 1024 * 1024;
+
+const cassetteStore = new AsyncLocalStorage();
+
+export class CassetteMissError extends Error {
+    constructor(message) {
+        super(message);
+        this.code = 'CASSETTE_MISS';
+    }
+}
+
+export function getLlmCassetteMode(env = process.env) {
+    const mode = String(env.LLM_CASSETTE_MODE || 'off').trim().toLowerCase();
+    return CASSETTE_MODES.includes(mode) ? mode : 'off';
+}
+
+export function getLlmCassetteDir(env = process.env) {
+    return path.resolve(env.LLM_CASSETTE_DIR || path.join(process.cwd(), 'cassettes', 'llm'));
+}
+
+export function cassetteFilePath(name, env = process.env) {
+    const safeName = String(name || 'unnamed').replace(/[^a-zA-Z0-9._-]+/g, '_').slice(0, 120);
+    return path.join(getLlmCassetteDir(env), `${safeName}.json`);
+}
+
+/** Mask values that change from run to run of the same job (ids, clocks). */
+export function maskVolatile(text) {
+    return String(text ?? '')
+        .replace(/[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}/gi, '<uuid>')
+        .replace(/\d{4}-\d{2}-\d{2}T\d{2}:\d{2}:\d{2}(?:\.\d+)?Z?/g, '<time>')
+        .replace(/\b1\d{12}\b/g, '<epoch>');
+}
+
+function hash(value) {
+    return createHash('sha256').update(value).digest('hex').slice(0, 24);
+}
+
+/** What identifies a chat request for matching: everything that shapes the answer. */
+export function chatRequestFingerprint(options = {}) {
+    return hash(maskVolatile(JSON.stringify({
+        model: options.model || null,
+        messages: options.messages || [],
+        tools: (options.tools || []).map((tool) => tool?.function?.name || tool?.type || null),
+        tool_choice: options.tool_choice || null,
+        response_format: options.response_format || null,
+    })));
+}
+
+export function cliRunFingerprint(instructions) {
+    return hash(maskVolatile(instructions));
+}
+
+export function createCassette(name, mode, recorded = null) {
+    return {
+        name,
+        mode,
+        meta: recorded?.meta || {},
+        entries: recorded?.entries || [],
+        used: new Set(),
+    };
+}
+
+/**
+ * The recorded entry for a call: the first unused one with the same
+ * fingerprint, else (unless strict) the next unused one of the same kind.
+ */
+export function takeCassetteEntry(cassette, kind, fingerprint, { strict = false } = {}) {
+    const unused = (entry, index) => entry.kind === kind && !cassette.used.has(index);
+    let index = cassette.entries.findIndex((entry, i) => unused(entry, i) && entry.fingerprint === fingerprint);
+    if (index < 0 && !strict) index = cassette.entries.findIndex(unused);
+    if (index < 0) {
+        throw new CassetteMissError(`Cassette "${cassette.name}" has no ${kind} call left for fingerprint ${fingerprint}`);
+    }
+    cassette.used.add(index);
+    return cassette.entries[index];
+}
+
+function serializeError(error) {
+    return {
+        name: error?.name || 'Error',
+        message: String(error?.message || error || 'Provider error'),
+        status: error?.status ?? null,
+        code: error?.code ?? null,
+    };
+}
+
+function rebuildError(recorded) {
+    const error = new Error(recorded.message);
+    error.name = recorded.name || 'Error';
+    if (recorded.status != null) error.status = recorded.status;
+    if (recorded.code != null) error.code = recorded.code;
+    error.replayed = true;
+    return error;
+}
+
+// A streamed recording asked for without streaming (or the reverse) still
+// answers: chunks fold into one message, a message becomes one chunk.
+function chunksToResponse(chunks) {
+    const state = createStreamAccumulator();
+    for (const chunk of chunks) applyStreamChunk(state, chunk);
+    const usage = [...chunks].reverse().find((chunk) => chunk?.usage)?.usage;
+    return { choices: [{ index: 0, message: finalizeStreamedMessage(state), finish_reason: state.finishReason }], ...(usage ? { usage } : {}) };
+}
+
+function responseToChunks(response) {
+    const choice = response?.choices?.[0] || {};
+    const message = choice.message || {};
+    const toolCalls = (message.tool_calls || []).map((call, index) => ({ index, ...call }));
+    return [{
+        choices: [{
+            index: 0,
+            delta: { role: 'assistant', content: message.content ?? null, ...(toolCalls.length > 0 ? { tool_calls: toolCalls } : {}) },
+            finish_reason: choice.finish_reason || 'stop',
+        }],
+        ...(response?.usage ? { usage: response.usage } : {}),
+    }];
+}
+
+async function* replayChunks(chunks, error) {
+    for (const chunk of chunks) yield chunk;
+    if (error) throw rebuildError(error);
+}
+
+// Streaming callers await the create() promise for the chunk iterator and may
+// also call .asResponse() on it for connect diagnostics, as with the SDK.
+function streamPromise(promise, asResponse) {
+    promise.asResponse = asResponse;
+    return promise;
+}
+
+function describeRequest(options) {
+    return {
+        model: options.model || null,
+        stream: Boolean(options.stream),
+        messages: options.messages || [],
+        tools: (options.tools || []).map((tool) => tool?.function?.name).filter(Boolean),
+    };
+}
+
+function recordingClient(cassette, client, providerTag) {
+    const create = (options = {}, requestOptions) => {
+        const entry = {
+            kind: 'chat',
+            provider: providerTag,
+            fingerprint: chatRequestFingerprint(options),
+            request: describeRequest(options),
+        };
+        cassette.entries.push(entry);
+        const apiPromise = client.chat.completions.create(options, requestOptions);
+        if (!options.stream) {
+            return apiPromise.then((response) => {
+                entry.response = response;
+                return response;
+            }, (error) => {
+                entry.error = serializeError(error);
+                throw error;
+            });
+        }
+        entry.chunks = [];
+        const teed = apiPromise.then((stream) => (async function* tee() {
+            try {
+                for await (const chunk of stream) {
+                    entry.chunks.push(chunk);
+                    yield chunk;
+                }
+            } catch (error) {
+                entry.error = serializeError(error);
+                throw error;
+            }
+        })(), (error) => {
+            entry.error = serializeError(error);
+            throw error;
+        });
+        return streamPromise(teed, () => apiPromise.asResponse());
+    };
+    return { baseURL: client.baseURL, chat: { completions: { create } } };
+}
+
+function replayClient(cassette) {
+    const strict = process.env.LLM_CASSETTE_STRICT === 'true';
+    const create = (options = {}) => {
+        let entry;
+        try {
+            entry = takeCassetteEntry(cassette, 'chat', chatRequestFingerprint(options), { strict });
+        } catch (error) {
+            return streamPromise(Promise.reject(error), () => Promise.reject(error));
+        }
+        const chunks = entry.chunks || (entry.response ? responseToChunks(entry.response) : []);
+        const failedBeforeOutput = entry.error && chunks.length === 0;
+        if (!options.stream) {
+            if (entry.error && !entry.response) return Promise.reject(rebuildError(entry.error));
+            return Promise.resolve(entry.response || chunksToResponse(chunks));
+        }
+        const result = failedBeforeOutput
+            ? Promise.reject(rebuildError(entry.error))
+            : Promise.resolve(replayChunks(chunks, entry.error));
+        return streamPromise(result, () => (failedBeforeOutput
+            ? Promise.reject(rebuildError(entry.error))
+            : Promise.resolve({ status: 200, headers: new Headers({ 'x-request-id': `cassette-${entry.fingerprint}` }) })));
+    };
+    return { baseURL: REPLAY_BASE_URL, chat: { completions: { create } } };
+}
+
+export function activeLlmCassette() {
+    return cassetteStore.getStore() || null;
+}
+
+/**
+ * The client to use for `providerTag` under the active cassette: the real one
+ * (recorded) when recording, a stand-in needing no key when replaying, and
+ * `client` unchanged otherwise. `model` is the provider's default model,
+ * remembered so a replay picks the same one.
+ */
+export function cassetteClient(client, providerTag, model = null) {
+    const cassette = activeLlmCassette();
+    if (!cassette) return client;
+    if (cassette.mode === 'replay') return replayClient(cassette);
+    if (!client) return client;
+    if (!cassette.meta.providerTag) cassette.meta = { ...cassette.meta, providerTag, model };
+    return recordingClient(cassette, client, providerTag);
+}
+
+/** { providerTag, model } recorded for the replaying cassette, or null when not replaying. */
+export function getLlmCassetteReplay() {
+    const cassette = activeLlmCassette();
+    if (cassette?.mode !== 'replay') return null;
+    return { providerTag: cassette.meta.providerTag || null, model: cassette.meta.model || null };
+}
+
+async function readCassette(file) {
+    try {
+        return JSON.parse(await fs.readFile(file, 'utf-8'));
+    } catch (error) {
+        if (error.code === 'ENOENT') throw new CassetteMissError(`No LLM cassette at ${file}`);
+        throw error;
+    }
+}
+
+async function writeCassette(file, cassette) {
+    await fs.mkdir(path.dirname(file), { recursive: true });
+    const tmp = `${file}.${process.pid}.tmp`;
+    await fs.writeFile(tmp, JSON.stringify({
+        version: CASSETTE_VERSION,
+        name: cassette.name,
+        recordedAt: new Date().toISOString(),
+        meta: cassette.meta,
+        entries: cassette.entries,
+    }, null, 2));
+    await fs.rename(tmp, file);
+}
+
+/**
+ * Run `fn` (a job) inside the cassette `name` for the configured mode. Nested
+ * calls share the outer cassette. A recording is saved even when the job
+ * fails, so failures replay too.
+ */
+export async function withLlmCassette(name, fn, { mode = getLlmCassetteMode() } = {}) {
+    if (mode === 'off' || activeLlmCassette()) return fn();
+    const file = cassetteFilePath(name);
+    const cassette = createCassette(name, mode, mode === 'replay' ? await readCassette(file) : null);
+    console.log(`📼 [LLM Cassette] ${mode === 'replay' ? 'Replaying' : 'Recording'} "${name}" (${file})`);
+    try {
+        return await cassetteStore.run(cassette, fn);
+    } finally {
+        if (mode === 'record') {
+            await writeCassette(file, cassette).catch((error) => {
+                console.error(`[LLM Cassette] Failed to write ${file}:`, error?.message || error);
+            });
+        }
+    }
+}
+
+async function snapshotProjectFiles(root, dir = root, files = []) {
+    for (const dirent of await fs.readdir(dir, { withFileTypes: true })) {
+        if (CLI_SNAPSHOT_SKIP.has(dirent.name) || dirent.isSymbolicLink()) continue;
+        const full = path.join(dir, dirent.name);
+        if (dirent.isDirectory()) {
+            await snapshotProjectFiles(root, full, files);
+            continue;
+        }
+        if (!dirent.isFile()) continue;
+        const buffer = await fs.readFile(full);
+        const relative = path.relative(root, full).split(path.sep).join('/');
+        if (buffer.length > CLI_SNAPSHOT_MAX_FILE_BYTES) {
+            console.warn(`[LLM Cassette] Not recording ${relative} (${buffer.length} bytes)`);
+            continue;
+        }
+        const text = buffer.toString('utf-8');
+        const isText = !buffer.includes(0) && Buffer.from(text, 'utf-8').equals(buffer);
+        files.push(isText
+            ? { path: relative, encoding: 'utf8', content: text }
+            : { path: relative, encoding: 'base64', content: buffer.toString('base64') });
+    }
+    return files;
+}
+
+/** Keep what a Kimi CLI run produced, when recording. */
+export async function recordCliRun(projectRoot, instructions, { code, output = '', provider = null }) {
+    const cassette = activeLlmCassette();
+    if (cassette?.mode !== 'record') return;
+    cassette.entries.push({
+        kind: 'cli',
+        provider,
+        fingerprint: cliRunFingerprint(instructions),
+        code,
+        output: String(output || '').slice(-4000),
+        files: await snapshotProjectFiles(projectRoot),
+    });
+}
+
+/**
+ * When replaying, write a recorded Kimi CLI run's files into `projectRoot`
+ * and return { code, output } in place of spawning the CLI; null otherwise.
+ */
+export async function replayCliRun(projectRoot, instructions) {
+    const cassette = activeLlmCassette();
+    if (cassette?.mode !== 'replay') return null;
+    const entry = takeCassetteEntry(cassette, 'cli', cliRunFingerprint(instructions), {
+        strict: process.env.LLM_CASSETTE_STRICT === 'true',
+    });
+    const root = path.resolve(projectRoot);
+    for (const file of entry.files || []) {
+        const target = path.resolve(root, file.path);
+        if (!target.startsWith(`${root}${path.sep}`)) continue;
+        await fs.mkdir(path.dirname(target), { recursive: true });
+        await fs.writeFile(target, Buffer.from(file.content, file.encoding === 'base64' ? 'base64' : 'utf-8'));
+    }
+    return { code: entry.code, output: entry.output || '' };
+}
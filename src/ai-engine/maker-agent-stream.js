@@ -5,6 +5,7 @@ import {
     formatStreamConnectLog,
     formatStreamDiagnosticsSummary,
 } from './stream-diagnostics.js';
+import { messagesText, providerFromClient, recordLlmUsage } from './generation-costs.js';
 
 export function createStreamAccumulator() {
     return {
@@ -192,6 +193,7 @@ export async function streamChatCompletionToMessage(client, createOptions, {
     let firstChunkAt = null;
     let stallIdleMs = 0;
     let stallLimitMs = firstByteTimeoutMs;
+    let usage = null;
 
     const stallController = new AbortController();
     const requestController = new AbortController();
@@ -260,6 +262,7 @@ export async function streamChatCompletionToMessage(client, createOptions, {
                 gotBytes = true;
             }
 
+            if (chunk?.usage) usage = chunk.usage;
             applyStreamChunk(state, chunk);
             if (typeof onChunk === 'function') {
                 onChunk(chunk, state, getStreamProgressStats(state));
@@ -312,6 +315,14 @@ export async function streamChatCompletionToMessage(client, createOptions, {
         clearInterval(stallTimer);
         unlinkExternal();
         unlinkStall();
+        // Interrupted streams are still billed for what they produced.
+        if (gotBytes) {
+            const toolArguments = Array.from(state.toolCallsByIndex.values()).map((call) => call.function?.arguments || '');
+            recordLlmUsage(providerFromClient(client), usage, {
+                input: messagesText(createOptions.messages),
+                output: [state.content, state.reasoningContent, ...toolArguments].join(''),
+            });
+        }
     }
 
     const message = finalizeStreamedMessage(state);
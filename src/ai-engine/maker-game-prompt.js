@@ -75,6 +75,11 @@ ${orientationRule}
 
 7. **Pure JavaScript**: Use standard JS (.js files). No TypeScript.
 ${loadingScreenRule}
+${isLandscape ? 9 : 8}. **Achievements**: Declare 3-6 achievements for this game in an \`achievements.json\` file next to index.html: a JSON array of \`{ "key": "first-win", "title": "First Win", "description": "Clear the first wave", "icon": "🏆" }\`. Keys are lowercase letters, digits, "-" or "_". Make them reachable by playing well (milestones, streaks, secrets), not by simply opening the game.
+   - When the player earns one, call this helper from your game code (define it once in main.js):
+     \`function unlockAchievement(key){var m={type:'gt-achievement-unlock',key:key};try{if(window.GameTok&&window.GameTok.achievements){window.GameTok.achievements.unlock(key);return;}}catch(e){}try{window.parent&&window.parent!==window&&window.parent.postMessage(m,'*');}catch(e){}try{window.ReactNativeWebView&&window.ReactNativeWebView.postMessage(JSON.stringify(m));}catch(e){}}\`
+   - Call it only with keys from achievements.json, and at most once per key per run.
+
 `,
         user: `Create a complete web game based on this description:
 
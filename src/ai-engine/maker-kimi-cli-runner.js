@@ -4,6 +4,8 @@ import path from 'path';
 import { fileURLToPath } from 'url';
 import { ensureKimiCliAuth, availableKimiProviders } from './kimi-cli-auth.js';
 import { getNvidiaTextKeys } from './nvidia-key-pool.js';
+import { recordLlmUsage } from './generation-costs.js';
+import { recordCliRun, replayCliRun } from './llm-cassettes.js';
 
 const __dirname = path.dirname(fileURLToPath(import.meta.url));
 
@@ -111,6 +113,14 @@ export async function runKimiCliAgent(projectRoot, systemPrompt, userPrompt) {
     };
     await fs.writeFile(packageJsonPath, JSON.stringify(minimalPackageJson, null, 2), 'utf-8');
 
+    // Replaying an LLM cassette: lay down the files the recorded run produced instead of spawning.
+    const replayed = await replayCliRun(projectRoot, combined);
+    if (replayed) {
+        console.log(`📼 [Kimi Runner] Replayed recorded Kimi CLI run (exit code ${replayed.code})`);
+        if (replayed.code === 0) return;
+        throw new Error(`Kimi CLI failed with exit code ${replayed.code} (replayed)`);
+    }
+
     // 3. Define the instruction for Kimi CLI
     const instructionPrompt = `
 Read instructions.txt in this directory.
@@ -203,6 +213,8 @@ CRITICAL Rules:
         console.error(`❌ [Kimi Runner] Failed to start Kimi CLI process:`, err);
         throw err;
     });
+    // The CLI doesn't report usage; estimate it from the prompt and what it printed.
+    recordLlmUsage(provider, null, { input: instructionPrompt, output });
     console.log(`ℹ [Kimi Runner] Kimi CLI exited with code: ${code}`);
 
     let retries = 0;
@@ -229,9 +241,11 @@ CRITICAL Rules:
             console.error(`❌ [Kimi Runner] Failed to start Kimi CLI process on fail-over:`, err);
             throw err;
         }));
+        recordLlmUsage(provider, null, { input: instructionPrompt, output });
         console.log(`ℹ [Kimi Runner] Kimi CLI (fail-over ${retries}) exited with code: ${code}`);
     }
 
+    await recordCliRun(projectRoot, combined, { code, output, provider });
     if (code === 0) return;
     throw new Error(`Kimi CLI failed with exit code ${code} (provider "${provider}", ${retries} fail-over attempt(s))`);
 }
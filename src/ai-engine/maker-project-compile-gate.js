@@ -1,5 +1,8 @@
 import fs from 'fs/promises';
-import { execSync } from 'child_process';
+import { exec } from 'child_process';
+import { promisify } from 'util';
+
+const execAsync = promisify(exec);
 
 export function parseTscOutput(rawOutput = '') {
     return String(rawOutput || '')
@@ -21,7 +24,8 @@ export function createTscFailedError(rawOutput = '') {
 
 export async function runMakerProjectTscCheck(projectRoot, { timeoutMs = 60_000 } = {}) {
     try {
-        execSync('npx tsc --noEmit', { cwd: projectRoot, stdio: 'pipe', timeout: timeoutMs });
+        // Async so a type-check never blocks the event loop (sockets, the queue worker, every API).
+        await execAsync('npx tsc --noEmit', { cwd: projectRoot, timeout: timeoutMs, maxBuffer: 10 * 1024 * 1024 });
         return { ok: true };
     } catch (tscError) {
         const stderr = tscError.stderr?.toString?.() || '';
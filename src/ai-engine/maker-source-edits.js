@@ -0,0 +1,132 @@
+/**
+ * Hand edits to a maker project's saved source.
+ *
+ * `PATCH /drafts/:id/source` lets a creator who can code change a game
+ * without spending an AI edit. This module is the pure half: it checks and
+ * applies the requested file patches to `maker_project.files`. Rebuilding,
+ * the compile gate and sandbox verification happen in routes.js exactly as
+ * they do for AI edits, and nothing is saved unless all of them pass.
+ *
+ * A patch is one of
+ *   { path, content }                              write the whole file (creates it if new)
+ *   { path, replacements: [{ find, replace, replaceAll? }] }   find/replace, as the maker agent does
+ *   { path, delete: true }                         remove the file
+ */
+import { applyPatchReplacements } from './maker-agent-patches.js';
+
+const MAX_PATCHES = 40;
+const MAX_FILE_CHARS = 512 * 1024;
+
+export class SourceEditError extends Error {
+    constructor(message, statusCode = 400) {
+        super(message);
+        this.statusCode = statusCode;
+    }
+}
+
+// Root files a creator may edit besides src/. Everything else at the root is
+// build setup the server runs (vite, postcss, npm), so it stays the scaffold's.
+const ROOT_SOURCE_FILES = ['index.html'];
+
+/**
+ * Whether a path is a build tool's config or manifest: `*.config.*`
+ * (vite.config.js, postcss.config.cjs...), `package*.json`, lockfiles, or a
+ * dotfile or dot-directory anywhere in the path. Never written from user input.
+ */
+export function isBuildConfigPath(cleanPath) {
+    const parts = String(cleanPath || '').split('/');
+    const name = parts[parts.length - 1];
+    return parts.some((part) => part.startsWith('.'))
+        || /\.config\./i.test(name)
+        || /^package.*\.json$/i.test(name)
+        || /^(?:npm-shrinkwrap\.json|pnpm-lock\.yaml|bun\.lockb)$/i.test(name)
+        || /\.lock$/i.test(name);
+}
+
+/**
+ * Project-relative path a creator may edit: source under src/ or index.html,
+ * never build config (isBuildConfigPath). Art lives in assetFiles and is not
+ * editable here.
+ */
+export function normalizeSourcePath(value) {
+    const cleanPath = String(value || '').replace(/\\/g, '/').replace(/^\.\/+/, '');
+    if (!cleanPath || cleanPath.startsWith('/') || cleanPath.includes('\0') || cleanPath.split('/').some((part) => part === '..' || part === '')) {
+        throw new SourceEditError(`Unsafe project file path: ${value}`);
+    }
+    if (isBuildConfigPath(cleanPath)) {
+        throw new SourceEditError(`${cleanPath} is build configuration and can't be edited`);
+    }
+    if (!cleanPath.startsWith('src/') && !ROOT_SOURCE_FILES.includes(cleanPath)) {
+        throw new SourceEditError(`Only index.html and files under src/ can be edited: ${value}`);
+    }
+    return cleanPath;
+}
+
+/** normalizeSourcePath as a yes/no, for filtering files already saved. */
+export function isEditableSourcePath(value) {
+    try {
+        return normalizeSourcePath(value) === value;
+    } catch {
+        return false;
+    }
+}
+
+/**
+ * Apply `patches` to a project's files. Returns the new file list and what
+ * changed; throws SourceEditError (400) on anything malformed, on protected
+ * kernel files, or when nothing would change.
+ */
+export function applyMakerSourcePatches(files, patches, { isProtectedFile = () => false } = {}) {
+    if (!Array.isArray(patches) || patches.length === 0) throw new SourceEditError('No file patches given');
+    if (patches.length > MAX_PATCHES) throw new SourceEditError(`At most ${MAX_PATCHES} file patches per edit`);
+
+    const byPath = new Map((Array.isArray(files) ? files : []).map((file) => [file.path, String(file.content ?? '')]));
+    const changed = [];
+    patches.forEach((patch, index) => {
+        if (!patch || typeof patch !== 'object') throw new SourceEditError(`Patch ${index + 1} is invalid`);
+        const filePath = normalizeSourcePath(patch.path);
+        if (isProtectedFile(filePath)) throw new SourceEditError(`${filePath} is part of the game kernel and can't be edited`);
+        const current = byPath.get(filePath);
+
+        if (patch.delete === true) {
+            if (current === undefined) throw new SourceEditError(`${filePath} does not exist`);
+            if (filePath === 'src/main.ts') throw new SourceEditError('src/main.ts can\'t be deleted');
+            byPath.delete(filePath);
+            changed.push({ path: filePath, action: 'deleted' });
+            return;
+        }
+
+        let next;
+        if (typeof patch.content === 'string') {
+            next = patch.content;
+        } else if (Array.isArray(patch.replacements) && patch.replacements.length > 0) {
+            if (current === undefined) throw new SourceEditError(`${filePath} does not exist`);
+            const bad = patch.replacements.findIndex((entry) => typeof entry?.find !== 'string' || !entry.find || typeof entry.replace !== 'string');
+            if (bad !== -1) throw new SourceEditError(`Replacement ${bad + 1} for ${filePath} needs find and replace strings`);
+            try {
+                next = applyPatchReplacements(current, patch.replacements, { path: filePath }).content;
+            } catch (error) {
+                throw new SourceEditError(error.message);
+            }
+        } else {
+            throw new SourceEditError(`Patch for ${filePath} needs content, replacements or delete`);
+        }
+        if (next.length > MAX_FILE_CHARS) throw new SourceEditError(`${filePath} is larger than ${MAX_FILE_CHARS} characters`);
+        if (next === current) return;
+        byPath.set(filePath, next);
+        changed.push({ path: filePath, action: current === undefined ? 'created' : 'modified' });
+    });
+    if (changed.length === 0) throw new SourceEditError('The patches don\'t change any file');
+
+    return {
+        files: [...byPath.entries()].map(([filePath, content]) => ({ path: filePath, content })),
+        changed,
+    };
+}
+
+/** One line for the revision list, e.g. "Edited src/main.ts, src/config.ts". */
+export function describeSourceEdit(changed) {
+    const paths = changed.map((entry) => entry.path);
+    const shown = paths.slice(0, 3).join(', ');
+    return `Edited ${shown}${paths.length > 3 ? ` and ${paths.length - 3} more` : ''} by hand`;
+}
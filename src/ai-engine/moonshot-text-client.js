@@ -1,5 +1,6 @@
 import OpenAI from 'openai';
 import { getNvidiaTextKeys, nextNvidiaTextApiKey } from './nvidia-key-pool.js';
+import { recordLlmUsage } from './generation-costs.js';
 
 export const MOONSHOT_DIRECT_PROVIDER = 'moonshot-direct';
 
@@ -96,6 +97,7 @@ export async function callKimiJson(
     };
     if (kimi.allowTemperature) req.temperature = temperature;
     const res = await kimi.client.chat.completions.create(req);
+    recordLlmUsage(kimi.provider, res.usage);
     return JSON.parse(res.choices[0].message.content);
 }
 
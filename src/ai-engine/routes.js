@@ -1,4 +1,5 @@
 import express from 'express';
+import multer from 'multer';
 import http from 'http';
 import OpenAI from 'openai';
 import { randomUUID } from 'crypto';
@@ -7,15 +8,43 @@ import fs from 'fs';
 import path from 'path';
 import { fileURLToPath } from 'url';
 import { AsyncLocalStorage } from 'node:async_hooks';
-import { inspect } from 'node:util';
+import { inspect, promisify } from 'node:util';
+import { exec } from 'child_process';
 import pool from '../db.js';
+import { resolveAccessToken, AuthError } from '../auth.js';
 import { classifyGame, normalizeCategories, setGameCategories } from '../categories.js';
 import { buildPhase2_EditGame, postProcessRawHtml } from './promptRegistry.js';
 import { normalizeDreamSpec, wantsFirstPerson3D, inferRuntimeLaneFromPrompt } from './spec-normalizer.js';
 import { verifyGame } from './sandbox.js';
+import { recordGenerationEvent, streamGenerationEvents } from './generation-events.js';
+import {
+    estimateGenerationQueuePosition,
+    normalizeGenerationLane,
+    pickNextGenerationJob,
+    summarizeGenerationLanes,
+} from './generation-scheduler.js';
+import { cassetteClient, getLlmCassetteReplay, withLlmCassette } from './llm-cassettes.js';
+import { addGenerationCost, messagesText, providerFromClient, recordLlmUsage, withGenerationCostMeter } from './generation-costs.js';
+import { CreditError, debitGenerationJob, refundGenerationJob } from '../credits.js';
+import { ContentRefusedError, assertContentAllowed } from '../content-safety.js';
+import {
+    RevisionError,
+    diffRevisionFiles,
+    ensureBaselineRevision,
+    formatRevision,
+    getDraftRevision,
+    listDraftRevisions,
+    recordDraftRevision,
+    revertDraftToRevision,
+    summarizeSandboxVerdict,
+} from './draft-revisions.js';
 import { setAssetBaseUrl, getAssetRuntimeDiagnostics } from './asset-dictionary.js';
 import { notifyGameReady, notifyGameFailed } from '../notifications.js';
 import { deleteCoverAsset, enqueueCoverGeneration } from '../cover-art.js';
+import { declareGameAchievements, listGameAchievements, unlockAchievement } from '../achievements.js';
+import { PublishingError, isGameVisibility, listedGameSql, normalizeVisibility, parsePublishAt } from '../game-visibility.js';
+import { remixLineageFor, getRemixLineage, listRemixAncestors, getRemixTree, announceRemix } from '../remix-lineage.js';
+import { refreshGameSearchDocuments } from '../game-search.js';
 import { findUserBgmAttachment, injectUserMediaAssets, resolveDreamAudioForJob } from './asset-pipeline.js';
 import { formatUnitySpecPromptBlock } from './gametok-unity.js';
 import { selectMakerTemplateContract, summarizeMakerTemplateContract } from './maker-templates.js';
@@ -97,6 +126,8 @@ import {
 import { getMakerFileJsonEncodingRuleLines, getMakerFileJsonSchemaExample, normalizeMakerProtocolResponse, validateMakerProtocolJsonPayload } from './maker-agent-response.js';
 import { applyPatchReplacements } from './maker-agent-patches.js';
 import { buildMakerCompileFailureEvidence, buildMakerDecodeFailureEvidence, buildMakerPatchFailureEvidence, restoreMakerFileBackups, runMakerProjectTscCheck } from './maker-project-compile-gate.js';
+import { applyMakerSourcePatches, describeSourceEdit, isBuildConfigPath, isEditableSourcePath } from './maker-source-edits.js';
+import { buildGameBundle, createZipArchive, decodeDataUrlImage, parseGameBundle } from './game-bundles.js';
 import { buildMakerAcceptanceResult, mergeAcceptanceIntoSandboxDiagnostics } from './maker-acceptance.js';
 import { buildForgeAutoscaleReport, runForgeAutoscaleTick, isForgeAutoscaleEnabled } from './forge-autoscale.js';
 import { buildHeuristicQualityIntent } from './maker-intent-fallback.js';
@@ -120,6 +151,11 @@ import { formatMakerSystemManual, getMakerSystemManualSummary } from './maker-sy
 
 const __filename = fileURLToPath(import.meta.url);
 const __dirname = path.dirname(__filename);
+// Project builds run as child processes without blocking the event loop; the
+// timeout is what a stuck vite or tsc gets before the build fails.
+const execAsync = promisify(exec);
+const MAKER_BUILD_TIMEOUT_MS = 120_000;
+const MAKER_BUILD_MAX_BUFFER = 10 * 1024 * 1024;
 const STORAGE_ROOT = process.env.ASSET_STORAGE_ROOT || '/app/storage';
 const GAMETOK_MAKER_ROOT = process.env.GAMETOK_MAKER_ROOT || path.join(STORAGE_ROOT, 'gametok-maker-jobs');
 
@@ -405,6 +441,10 @@ const GENERATION_JOB_MAX_ATTEMPTS = Math.max(1, Number(process.env.GENERATION_JO
 const GENERATION_JOB_STALE_MINUTES = Math.max(2, Number(process.env.GENERATION_JOB_STALE_MINUTES || 2));
 const GENERATION_JOB_RETRY_DELAY_MS = Math.max(5000, Number(process.env.GENERATION_JOB_RETRY_DELAY_MS || 30000));
 const GENERATION_JOB_HEARTBEAT_MS = Math.max(15000, Number(process.env.GENERATION_JOB_HEARTBEAT_MS || 30000));
+// Fair-share caps (see generation-scheduler.js): per user, and for the background lane as a whole.
+const GENERATION_USER_MAX_RUNNING = Math.max(1, Number(process.env.GENERATION_USER_MAX_RUNNING || 2));
+const GENERATION_BACKGROUND_MAX_RUNNING = Math.max(1, Number(process.env.GENERATION_BACKGROUND_MAX_RUNNING || Math.floor(GENERATION_JOB_MAX_CONCURRENCY / 4)));
+const GENERATION_QUEUE_LOCK_KEY = 8450922;
 const ALLOW_LEGACY_HTML_FALLBACK = process.env.ALLOW_LEGACY_HTML_FALLBACK === 'true';
 const GAMETOK_MAKER_RESUME_WORKSPACE = process.env.GAMETOK_MAKER_RESUME_WORKSPACE !== 'false';
 const generationJobRunners = new Map();
@@ -547,7 +587,9 @@ async function callAI(systemPrompt, userPrompt, maxTokens = 2000, temperature =
                 });
                 return { choices: [{ message }] };
             }
-            return client.chat.completions.create(chatOptions, { signal });
+            const response = await client.chat.completions.create(chatOptions, { signal });
+            recordLlmUsage(providerFromClient(client), response?.usage, { input: messagesText(messages), output: response?.choices?.[0]?.message?.content });
+            return response;
         }, PHASE1_TIMEOUT_MS, 'Phase 1 Builder'), { label: 'Phase 1 Builder', maxAttempts: PHASE1_ATTEMPTS_PER_MODEL, baseDelayMs: 2000, fallbackModels: callFallbackModels });
         if (!res || !res.choices || !res.choices[0]) {
             throw new Error("API Provider Error (Phase 1): " + (res?.error?.message || JSON.stringify(res)));
@@ -859,7 +901,7 @@ async function upsertPublishedAIGame({ draftId, userId, draft, forceRefreshClass
     // legacy stored tags a draft already carries; null for anything newer.
     const classification = getStoredDraftClassification(draft);
     await pool.query(
-        `INSERT INTO games (id, name, description, icon, color, developer, embed_url, thumbnail, preview_video_url, remixed_from, remixed_from_username, orientation) VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, $12)
+        `INSERT INTO games (id, name, description, icon, color, developer, embed_url, thumbnail, preview_video_url, remixed_from, remixed_from_username, orientation, visibility) VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, $12, $13)
          ON CONFLICT (id) DO UPDATE SET
             name = EXCLUDED.name,
             description = EXCLUDED.description,
@@ -868,7 +910,8 @@ async function upsertPublishedAIGame({ draftId, userId, draft, forceRefreshClass
             preview_video_url = EXCLUDED.preview_video_url,
             remixed_from = EXCLUDED.remixed_from,
             remixed_from_username = EXCLUDED.remixed_from_username,
-            orientation = EXCLUDED.orientation`,
+            orientation = EXCLUDED.orientation,
+            visibility = EXCLUDED.visibility`,
         [
             globalId,
             draft.title,
@@ -884,6 +927,8 @@ async function upsertPublishedAIGame({ draftId, userId, draft, forceRefreshClass
             // Denormalized off the draft so the feed's `SELECT g.*` queries carry it without edits.
             // Must be in the ON CONFLICT set too, or a republish keeps a stale value.
             normalizeOrientation(draft.orientation),
+            // Feed queries filter on this (see game-visibility.js); republishing is how it changes.
+            isGameVisibility(draft.visibility) ? draft.visibility : 'public',
         ]
     );
 
@@ -914,6 +959,8 @@ async function upsertPublishedAIGame({ draftId, userId, draft, forceRefreshClass
     } catch (e) {
         console.warn('[categories] could not categorise', globalId, '-', e.message);
     }
+    // After categories, which are part of the document.
+    await refreshGameSearchDocuments({ gameIds: [globalId] });
 
     return { globalId, classification };
 }
@@ -985,12 +1032,16 @@ async function withNvidiaRetries(task, {
 } = {}) {
     let lastError;
     const logLabel = formatJobLogLabel(label, jobId);
-    const deepseekPrimary = isDeepSeekPrimaryEnabled();
-    const moonshotPrimary = !deepseekPrimary && isMoonshotPrimaryEnabled();
+    // Replaying an LLM cassette needs no keys: take the provider it was recorded
+    // on and let cassetteClient answer in place of the real client.
+    const replay = getLlmCassetteReplay();
+    const replayTag = replay?.providerTag || DEEPSEEK_DIRECT_PROVIDER;
+    const deepseekPrimary = replay ? replayTag === DEEPSEEK_DIRECT_PROVIDER : isDeepSeekPrimaryEnabled();
+    const moonshotPrimary = replay ? replayTag === MOONSHOT_DIRECT_PROVIDER : (!deepseekPrimary && isMoonshotPrimaryEnabled());
 
     if (deepseekPrimary) {
-        const deepseekConfig = getDeepSeekTextConfig();
-        const deepseekClient = createDeepSeekTextClient();
+        const deepseekConfig = replay ? { apiKey: '', model: resolveDeepSeekModel(replay.model) } : getDeepSeekTextConfig();
+        const deepseekClient = cassetteClient(replay ? null : createDeepSeekTextClient(), DEEPSEEK_DIRECT_PROVIDER, deepseekConfig?.model);
         if (!deepseekConfig || !deepseekClient) {
             throw new Error(`[${logLabel}] DeepSeek primary requested but DEEPSEEK_API_KEY is missing`);
         }
@@ -1029,8 +1080,8 @@ async function withNvidiaRetries(task, {
     }
 
     if (moonshotPrimary) {
-        const moonshotConfig = getMoonshotTextConfig();
-        const moonshotClient = createMoonshotTextClient();
+        const moonshotConfig = replay ? { apiKey: '', model: replay.model } : getMoonshotTextConfig();
+        const moonshotClient = cassetteClient(replay ? null : createMoonshotTextClient(), MOONSHOT_DIRECT_PROVIDER, moonshotConfig?.model);
         if (!moonshotConfig || !moonshotClient) {
             throw new Error(`[${logLabel}] Moonshot primary requested but MOONSHOT_API_KEY is missing`);
         }
@@ -1259,6 +1310,7 @@ async function requestBuilderMessage(userPrompt, { label, jobId = null, timeoutM
         await assertJobNotCancelledShared(jobId);
         console.log(`⏳ [${logLabel}] Requesting builder output (timeout ${Math.round(timeoutMs / 1000)}s, model: ${modelToUse})...`);
         let output = "";
+        let usage = null;
         try {
             const stream = await client.chat.completions.create({
                 ...getTextChatOptions(modelToUse, BUILDER_MAX_TOKENS, { providerTag }),
@@ -1268,6 +1320,7 @@ async function requestBuilderMessage(userPrompt, { label, jobId = null, timeoutM
             for await (const chunk of stream) {
                 assertJobNotCancelled(jobId);
                 await assertJobNotCancelledShared(jobId);
+                if (chunk.usage) usage = chunk.usage;
                 const delta = chunk.choices?.[0]?.delta?.content;
                 if (delta) {
                     output += delta;
@@ -1288,6 +1341,8 @@ async function requestBuilderMessage(userPrompt, { label, jobId = null, timeoutM
                 lastPartialStopReason = error.partialStopReason;
             }
             throw error;
+        } finally {
+            if (output) recordLlmUsage(providerFromClient(client), usage, { input: userPrompt, output });
         }
     }, timeoutMs, logLabel), { label, jobId, maxAttempts, baseDelayMs: 1500, fallbackModels: currentModel ? [currentModel] : BUILDER_FALLBACK_MODELS }).catch((error) => {
         if (String(lastPartialText || '').trim()) {
@@ -1392,6 +1447,10 @@ async function requestMakerToolCompletion(messages, {
                 stream: false,
             }, { signal });
             message = response?.choices?.[0]?.message;
+            recordLlmUsage(providerFromClient(client), response?.usage, {
+                input: messagesText(messages),
+                output: `${message?.content || ''}${JSON.stringify(message?.tool_calls || '')}`,
+            });
         }
 
         if (!message) {
@@ -2111,6 +2170,7 @@ async function recordGenerationTelemetry(jobId, fields = {}) {
                 Number.isFinite(fields.durationMs) ? Math.round(fields.durationMs) : null,
             ],
         );
+        if (fields.costMeter) await addGenerationCost(jobId, fields.costMeter);
     } catch (error) {
         console.warn(`[Generation Telemetry] Failed to record for ${jobId}:`, error?.message || error);
     }
@@ -2136,6 +2196,11 @@ async function markJobCanceled(jobId) {
 
 function markEphemeralJob(jobId, update) {
     rememberPendingBoot(jobId, update);
+    // Edit jobs report progress here rather than through reportProgress; mirror
+    // it onto their queue row so other replicas (and the event stream) see it.
+    if (update.status === 'pending' && typeof update.progress === 'number') {
+        updateGenerationJobProgress(jobId, update.progress, 'edit', update.statusMessage || null).catch(() => {});
+    }
 }
 
 async function createPendingJob(userId, prompt, title, jobId = randomUUID()) {
@@ -2188,6 +2253,14 @@ async function ensureGenerationQueueSchema() {
             ALTER TABLE generation_jobs ADD COLUMN IF NOT EXISTS result_title TEXT;
             ALTER TABLE generation_jobs ADD COLUMN IF NOT EXISTS duration_ms INTEGER;
             ALTER TABLE generation_jobs ADD COLUMN IF NOT EXISTS log TEXT;
+            -- Scheduling lane (interactive | edit | background), unrelated to the runtime lane column above.
+            ALTER TABLE generation_jobs ADD COLUMN IF NOT EXISTS queue_lane VARCHAR(16) NOT NULL DEFAULT 'interactive';
+            ALTER TABLE generation_jobs ADD COLUMN IF NOT EXISTS started_at TIMESTAMP;
+            -- What the job spent: tokens and image calls per provider, plus a USD estimate.
+            ALTER TABLE generation_jobs ADD COLUMN IF NOT EXISTS cost JSONB;
+            ALTER TABLE generation_jobs ADD COLUMN IF NOT EXISTS cost_usd NUMERIC(12, 6);
+            CREATE INDEX IF NOT EXISTS idx_generation_jobs_active ON generation_jobs(status, created_at)
+                WHERE status IN ('queued', 'running');
         `);
     }
     return generationQueueReadyPromise;
@@ -2225,11 +2298,13 @@ async function enqueueGenerationJob({
     prompt,
     title,
     kind = 'dream',
+    lane = 'interactive',
     payload = {},
     maxAttempts = GENERATION_JOB_MAX_ATTEMPTS,
     allowDuplicate = false,
 }) {
     await ensureGenerationQueueSchema();
+    const queueLane = normalizeGenerationLane(lane);
     // Orientation rides in the job payload but is written onto the draft row up front, so every
     // downstream reader (generation, sandbox, edit, remix, publish) can just read the row.
     const orientation = normalizeOrientation(payload?.orientation);
@@ -2257,13 +2332,14 @@ async function enqueueGenerationJob({
             [jobId, userId, prompt, safeTitle, '', '', true, orientation]
         );
         await client.query(
-            `INSERT INTO generation_jobs (id, user_id, kind, status, prompt, payload, max_attempts, progress, phase, status_message)
-             VALUES ($1, $2, $3, 'queued', $4, $5::jsonb, $6, 0, 'queued', 'Waiting for a forge worker...')
+            `INSERT INTO generation_jobs (id, user_id, kind, status, prompt, payload, max_attempts, progress, phase, status_message, queue_lane)
+             VALUES ($1, $2, $3, 'queued', $4, $5::jsonb, $6, 0, 'queued', 'Waiting for a forge worker...', $7)
              ON CONFLICT (id) DO UPDATE
              SET status = 'queued',
                  prompt = EXCLUDED.prompt,
                  payload = EXCLUDED.payload,
                  max_attempts = EXCLUDED.max_attempts,
+                 queue_lane = EXCLUDED.queue_lane,
                  progress = 0,
                  phase = 'queued',
                  status_message = 'Waiting for a forge worker...',
@@ -2272,8 +2348,9 @@ async function enqueueGenerationJob({
                  updated_at = NOW(),
                  completed_at = NULL,
                  canceled_at = NULL`,
-            [jobId, userId, kind, prompt, JSON.stringify(payload || {}), maxAttempts]
+            [jobId, userId, kind, prompt, JSON.stringify(payload || {}), maxAttempts, queueLane]
         );
+        await debitGenerationJob(client, { userId, jobId, kind, lane: queueLane });
         await client.query('COMMIT');
     } catch (error) {
         await client.query('ROLLBACK').catch(() => {});
@@ -2281,9 +2358,14 @@ async function enqueueGenerationJob({
     } finally {
         client.release();
     }
-    const queueMetrics = await getGenerationQueueMetrics(jobId);
+    await afterGenerationJobEnqueued(jobId, kind, queueLane);
+    return jobId;
+}
+
+async function afterGenerationJobEnqueued(jobId, kind, queueLane) {
+    const queueMetrics = await getGenerationQueueMetrics();
     console.log(
-        `🏗️ [GEN QUEUE] Enqueued ${kind} job ${jobId}; queued=${queueMetrics.queued} running=${queueMetrics.running} baseConcurrency=${GENERATION_JOB_CONCURRENCY} maxConcurrency=${GENERATION_JOB_MAX_CONCURRENCY}`
+        `🏗️ [GEN QUEUE] Enqueued ${kind} job ${jobId} (${queueLane}); queued=${queueMetrics.queued} running=${queueMetrics.running} baseConcurrency=${GENERATION_JOB_CONCURRENCY} maxConcurrency=${GENERATION_JOB_MAX_CONCURRENCY}`
     );
     if (isForgeAutoscaleEnabled() && queueMetrics.queued > 0) {
         void runForgeAutoscaleTick().catch((error) => {
@@ -2291,42 +2373,96 @@ async function enqueueGenerationJob({
         });
     }
     scheduleGenerationWorker(0);
+}
+
+// Edits queue behind new builds in their own lane. The draft being edited
+// already exists, so unlike enqueueGenerationJob there is no ai_games row to
+// create; the job id only names the run.
+async function enqueueEditJob({ jobId, userId, draftId, instructions, mediaAttachments = [] }) {
+    await ensureGenerationQueueSchema();
+    const client = await pool.connect();
+    try {
+        await client.query('BEGIN');
+        await client.query(
+            `INSERT INTO generation_jobs (id, user_id, kind, status, prompt, payload, max_attempts, progress, phase, status_message, queue_lane)
+             VALUES ($1, $2, 'edit', 'queued', $3, $4::jsonb, 1, 0, 'queued', 'Waiting for a forge worker...', 'edit')`,
+            [jobId, userId, instructions, JSON.stringify({ draftId, mediaAttachments })]
+        );
+        await debitGenerationJob(client, { userId, jobId, kind: 'edit', lane: 'edit' });
+        await client.query('COMMIT');
+    } catch (error) {
+        await client.query('ROLLBACK').catch(() => {});
+        throw error;
+    } finally {
+        client.release();
+    }
+    await afterGenerationJobEnqueued(jobId, 'edit', 'edit');
     return jobId;
 }
 
+// Active jobs of the kinds this worker runs. `runnableOnly` leaves out queued
+// jobs still waiting out a retry delay.
+async function loadGenerationQueue(db = pool, { runnableOnly = false } = {}) {
+    const result = await db.query(
+        `SELECT id, user_id, status, queue_lane, created_at
+         FROM generation_jobs
+         WHERE kind = ANY($1::text[])
+           AND (status = 'running' OR (status = 'queued' AND (NOT $2::boolean OR run_after <= NOW())))
+         ORDER BY created_at ASC
+         LIMIT 5000`,
+        [[...generationJobRunners.keys()], runnableOnly]
+    );
+    return {
+        queued: result.rows.filter((job) => job.status === 'queued'),
+        running: result.rows.filter((job) => job.status === 'running'),
+    };
+}
+
+// Claims run one at a time across replicas (advisory lock) so the per-user and
+// background caps can't be overshot by two workers picking at once.
 async function claimGenerationJob() {
     await ensureGenerationQueueSchema();
-    const result = await pool.query(
-        `WITH candidate AS (
-            SELECT id
-            FROM generation_jobs
-            WHERE status = 'queued'
-              AND kind = 'dream'
-              AND run_after <= NOW()
-            ORDER BY created_at ASC
-            FOR UPDATE SKIP LOCKED
-            LIMIT 1
-         )
-         UPDATE generation_jobs job
-         SET status = 'running',
-             attempts = attempts + 1,
-             progress = GREATEST(progress, 2),
-             phase = 'starting',
-             status_message = 'Forge worker started...',
-             locked_by = $1,
-             locked_at = NOW(),
-             updated_at = NOW()
-         FROM candidate
-         WHERE job.id = candidate.id
-         RETURNING job.*`,
-        [GENERATION_WORKER_ID]
-    );
-    return result.rows[0] || null;
+    const client = await pool.connect();
+    try {
+        await client.query('BEGIN');
+        await client.query('SELECT pg_advisory_xact_lock($1)', [GENERATION_QUEUE_LOCK_KEY]);
+        const { queued, running } = await loadGenerationQueue(client, { runnableOnly: true });
+        const next = pickNextGenerationJob(queued, running, {
+            userMaxRunning: GENERATION_USER_MAX_RUNNING,
+            backgroundMaxRunning: GENERATION_BACKGROUND_MAX_RUNNING,
+        });
+        let claimed = null;
+        if (next) {
+            const result = await client.query(
+                `UPDATE generation_jobs
+                 SET status = 'running',
+                     attempts = attempts + 1,
+                     progress = GREATEST(progress, 2),
+                     phase = 'starting',
+                     status_message = 'Forge worker started...',
+                     locked_by = $2,
+                     locked_at = NOW(),
+                     started_at = NOW(),
+                     updated_at = NOW()
+                 WHERE id = $1 AND status = 'queued'
+                 RETURNING *`,
+                [next.id, GENERATION_WORKER_ID]
+            );
+            claimed = result.rows[0] || null;
+        }
+        await client.query('COMMIT');
+        return claimed;
+    } catch (error) {
+        await client.query('ROLLBACK').catch(() => {});
+        throw error;
+    } finally {
+        client.release();
+    }
 }
 
 async function recoverStaleGenerationJobs() {
     await ensureGenerationQueueSchema();
-    await pool.query(
+    const result = await pool.query(
         `UPDATE generation_jobs
          SET status = CASE WHEN attempts < max_attempts THEN 'queued' ELSE 'failed' END,
              phase = CASE WHEN attempts < max_attempts THEN 'recovering' ELSE 'failed' END,
@@ -2340,12 +2476,32 @@ async function recoverStaleGenerationJobs() {
              error = COALESCE(error, 'Generation worker stopped before finishing.'),
              updated_at = NOW()
          WHERE status = 'running'
-           AND locked_at < NOW() - ($1::text)::interval`,
+           AND locked_at < NOW() - ($1::text)::interval
+         RETURNING id, status, progress, phase, status_message, error`,
         [`${GENERATION_JOB_STALE_MINUTES} minutes`]
     );
+    for (const job of result.rows) {
+        if (job.status === 'failed') {
+            await refundJobCredits(job.id, 'worker stopped');
+            await recordGenerationEvent(job.id, 'status', { status: 'failed', error: job.error });
+        } else {
+            await recordGenerationEvent(job.id, 'progress', { progress: job.progress, phase: job.phase, statusMessage: job.status_message });
+        }
+    }
 }
 
-async function markGenerationJobComplete(jobId) {
+// Status polls used to run the recovery sweep on every request; once per
+// interval per process is plenty (the worker sweeps on its own schedule too).
+const STALE_RECOVERY_INTERVAL_MS = 30_000;
+let lastStaleRecoveryAt = 0;
+
+async function recoverStaleGenerationJobsThrottled() {
+    if (Date.now() - lastStaleRecoveryAt < STALE_RECOVERY_INTERVAL_MS) return;
+    lastStaleRecoveryAt = Date.now();
+    await recoverStaleGenerationJobs();
+}
+
+async function markGenerationJobComplete(jobId, draftId = jobId) {
     await pool.query(
         `UPDATE generation_jobs
          SET status = 'complete',
@@ -2360,6 +2516,7 @@ async function markGenerationJobComplete(jobId) {
          WHERE id = $1`,
         [jobId]
     );
+    await recordGenerationEvent(jobId, 'status', { status: 'complete', draftId });
 }
 
 async function markGenerationJobFailed(job, errorMessage) {
@@ -2384,6 +2541,23 @@ async function markGenerationJobFailed(job, errorMessage) {
             errorMessage || 'Generation failed',
         ]
     );
+    if (shouldRetry) {
+        await recordGenerationEvent(job.id, 'progress', { progress: Number(job.progress || 0), phase: 'retrying', statusMessage: errorMessage || 'Generation failed' });
+    } else {
+        await refundJobCredits(job.id, 'failed');
+        await recordGenerationEvent(job.id, 'status', { status: 'failed', error: errorMessage || 'Generation failed' });
+    }
+}
+
+// A refund that can't be written now is logged, not thrown: the job's outcome
+// is already recorded, and refundGenerationJob is safe to replay by hand.
+async function refundJobCredits(jobId, note) {
+    try {
+        const refunded = await refundGenerationJob(jobId, note);
+        if (refunded > 0) console.log(`💳 [Credits] Refunded ${refunded} for ${note} job ${jobId}`);
+    } catch (error) {
+        console.warn(`[Credits] Refund failed for ${jobId}:`, error?.message || error);
+    }
 }
 
 async function markGenerationJobCanceled(jobId) {
@@ -2401,19 +2575,26 @@ async function markGenerationJobCanceled(jobId) {
          WHERE id = $1`,
         [jobId]
     );
+    await refundJobCredits(jobId, 'canceled');
+    await recordGenerationEvent(jobId, 'status', { status: 'canceled', error: 'Generation cancelled by user' });
 }
 
 async function updateGenerationJobProgress(jobId, progress, phase, statusMessage) {
-    await pool.query(
+    const result = await pool.query(
         `UPDATE generation_jobs
          SET progress = GREATEST(progress, $2),
              phase = COALESCE($3, phase),
              status_message = COALESCE($4, status_message),
              updated_at = NOW()
          WHERE id = $1
-           AND status IN ('queued', 'running')`,
+           AND status IN ('queued', 'running')
+         RETURNING progress, phase, status_message`,
         [jobId, clampNumber(Number(progress) || 0, 0, 100), phase || null, statusMessage || null]
     );
+    const job = result.rows[0];
+    if (job) {
+        await recordGenerationEvent(jobId, 'progress', { progress: job.progress, phase: job.phase, statusMessage: job.status_message });
+    }
 }
 
 async function updateGenerationJobBenchmarkResult(jobId, benchmarkResult) {
@@ -2441,53 +2622,62 @@ function getQueueProgressPayload(queueJob, queueMetrics = null) {
         payload.queuedTotal = queueMetrics.queued;
         payload.runningTotal = queueMetrics.running;
         payload.workerConcurrency = queueMetrics.workerConcurrency;
+        payload.queueLane = queueMetrics.queueLane;
+        payload.etaSeconds = queueMetrics.etaSeconds;
     }
     return payload;
 }
 
+// Average run time per lane over the last day, for queue ETAs. Cached briefly;
+// it only moves as jobs finish.
+let laneRunSecondsCache = { at: 0, value: {} };
+
+async function getGenerationLaneRunSeconds() {
+    if (Date.now() - laneRunSecondsCache.at < 5 * 60 * 1000) return laneRunSecondsCache.value;
+    const result = await pool.query(
+        `SELECT queue_lane, AVG(EXTRACT(EPOCH FROM (completed_at - started_at)))::int AS seconds
+         FROM generation_jobs
+         WHERE status = 'complete'
+           AND started_at IS NOT NULL
+           AND completed_at > NOW() - INTERVAL '1 day'
+         GROUP BY queue_lane`
+    );
+    const value = Object.fromEntries(result.rows.map((row) => [row.queue_lane, Number(row.seconds) || null]));
+    laneRunSecondsCache = { at: Date.now(), value };
+    return value;
+}
+
 async function getGenerationQueueMetrics(jobId = null) {
     await ensureGenerationQueueSchema();
     const counts = await pool.query(
-        `SELECT
-            COUNT(*) FILTER (WHERE status = 'running' AND kind = 'dream')::int AS running,
-            COUNT(*) FILTER (WHERE status = 'queued' AND kind = 'dream')::int AS queued
-         FROM generation_jobs`
+        `SELECT queue_lane, status, COUNT(*)::int AS count
+         FROM generation_jobs
+         WHERE status IN ('queued', 'running')
+           AND kind = ANY($1::text[])
+         GROUP BY queue_lane, status`,
+        [[...generationJobRunners.keys()]]
     );
-    const running = Number(counts.rows[0]?.running || 0);
-    const queued = Number(counts.rows[0]?.queued || 0);
-    let queuePosition = null;
-    let queuedAhead = null;
-
-    if (jobId) {
-        const positionRes = await pool.query(
-            `WITH target AS (
-                SELECT created_at
-                FROM generation_jobs
-                WHERE id = $1
-                  AND status = 'queued'
-                  AND kind = 'dream'
-             )
-             SELECT COUNT(*)::int AS ahead
-             FROM generation_jobs gj, target
-             WHERE gj.status = 'queued'
-               AND gj.kind = 'dream'
-               AND target.created_at IS NOT NULL
-               AND gj.created_at < target.created_at`,
-            [jobId]
-        );
-        queuedAhead = Number.isFinite(Number(positionRes.rows[0]?.ahead))
-            ? Number(positionRes.rows[0]?.ahead)
-            : null;
-        if (queuedAhead !== null) {
-            queuePosition = queuedAhead + 1;
-        }
+    const lanes = summarizeGenerationLanes(counts.rows);
+    const running = Object.values(lanes).reduce((sum, lane) => sum + lane.running, 0);
+    const queued = Object.values(lanes).reduce((sum, lane) => sum + lane.queued, 0);
+    let position = null;
+
+    if (jobId && queued > 0) {
+        const { queued: queuedJobs, running: runningJobs } = await loadGenerationQueue();
+        position = estimateGenerationQueuePosition(jobId, queuedJobs, runningJobs, {
+            slots: Math.max(GENERATION_JOB_CONCURRENCY, runningJobs.length),
+            runSeconds: await getGenerationLaneRunSeconds(),
+        });
     }
 
     return {
         running,
         queued,
-        queuedAhead,
-        queuePosition,
+        lanes,
+        queueLane: position?.lane ?? null,
+        queuedAhead: position?.queuedAhead ?? null,
+        queuePosition: position?.queuePosition ?? null,
+        etaSeconds: position?.etaSeconds ?? null,
         workerConcurrency: GENERATION_JOB_CONCURRENCY,
         workerEnabled: GENERATION_WORKER_ENABLED,
     };
@@ -2610,10 +2800,21 @@ async function runGenerationJob(job) {
     }, GENERATION_JOB_HEARTBEAT_MS);
     heartbeat.unref?.();
 
+    let costMeter = null;
     try {
-        await runner(job.id, job.prompt, payload);
+        ({ meter: costMeter } = await withGenerationCostMeter(() => (
+            withLlmCassette(payload.cassette || job.id, () => runner(job.id, job.prompt, payload))
+        )));
         await assertJobNotCancelledShared(job.id, { force: true });
 
+        if (job.kind === 'edit') {
+            // executeEditJob records its outcome on the ephemeral job instead of throwing.
+            const outcome = pendingJobBoots.get(job.id);
+            if (outcome?.status === 'error') throw new Error(outcome.error || 'Edit failed');
+            await markGenerationJobComplete(job.id, payload.draftId);
+            return;
+        }
+
         const result = await pool.query('SELECT title, html_payload FROM ai_games WHERE id = $1', [job.id]);
         const row = result.rows[0];
         if (!row) {
@@ -2632,8 +2833,12 @@ async function runGenerationJob(job) {
 
         await markGenerationJobComplete(job.id);
         forgetPendingBoot(job.id);
+    } catch (error) {
+        costMeter = costMeter || error?.costMeter || null;
+        throw error;
     } finally {
         clearInterval(heartbeat);
+        if (costMeter) await recordGenerationTelemetry(job.id, { costMeter });
         await persistGenerationLog(job.id, __logCtx);
     }
     });
@@ -3700,9 +3905,8 @@ function isProtectedMakerRuntimeFile(cleanPath = '') {
         /^src\/types\/global\.d\.ts$/,
         /^src\/scenes\/Preloader\.ts$/,
         /^src\/(?:characters|scenes|systems|behaviors)\/Base[A-Za-z0-9_]*\.ts$/,
-        /^(?:package|tsconfig|vite\.config)\.json$/,
-        /^vite\.config\.ts$/,
-    ].some((pattern) => pattern.test(cleanPath));
+        /^tsconfig\.json$/,
+    ].some((pattern) => pattern.test(cleanPath)) || isBuildConfigPath(cleanPath);
 }
 
 function directRepairTaskForFailure(failure = '', templateId = null) {
@@ -5752,8 +5956,7 @@ async function assembleMakerProjectHtml(projectRoot) {
         }
 
         console.log(`[Vite Build] Building TypeScript project...`);
-        const { execSync } = await import('child_process');
-        execSync('npm run build', { cwd: projectRoot, stdio: 'inherit' });
+        await execAsync('npm run build', { cwd: projectRoot, timeout: MAKER_BUILD_TIMEOUT_MS, maxBuffer: MAKER_BUILD_MAX_BUFFER });
         
         const distIndexHtml = path.join(projectRoot, 'dist', 'index.html');
         let html = await fs.promises.readFile(distIndexHtml, 'utf8');
@@ -5765,7 +5968,6 @@ async function assembleMakerProjectHtml(projectRoot) {
 }
 
 async function rebuildMakerProjectDist(projectRoot) {
-    const { execSync } = await import('child_process');
     await normalizeMakerProjectRuntimeDeclarations(projectRoot);
     const projectNodeModules = path.join(projectRoot, 'node_modules');
     const backendRoot = path.resolve(__dirname, '..', '..');
@@ -5795,7 +5997,7 @@ async function rebuildMakerProjectDist(projectRoot) {
 
     // Step 2: Vite build (tsc passed, so this should rarely fail)
     try {
-        execSync('npx vite build', { cwd: projectRoot, stdio: 'pipe', timeout: 120_000 });
+        await execAsync('npx vite build', { cwd: projectRoot, timeout: MAKER_BUILD_TIMEOUT_MS, maxBuffer: MAKER_BUILD_MAX_BUFFER });
     } catch (viteError) {
         const stderr = viteError.stderr?.toString?.() || '';
         const stdout = viteError.stdout?.toString?.() || '';
@@ -5843,19 +6045,17 @@ async function getUserIdFromToken(token, invalidMessage = 'Expired session') {
     }
 
     const startedAt = Date.now();
-    const userResult = await withTimeout(
-        pool.query('SELECT id FROM users WHERE token = $1', [token]),
-        12000,
-        'Auth lookup'
-    );
-    console.log(`⏱️ [AI AUTH] Token lookup completed in ${Date.now() - startedAt}ms`);
-    if (userResult.rows.length === 0) {
+    try {
+        const { userId } = await withTimeout(resolveAccessToken(token), 12000, 'Auth lookup');
+        console.log(`⏱️ [AI AUTH] Token lookup completed in ${Date.now() - startedAt}ms`);
+        return userId;
+    } catch (authError) {
+        if (!(authError instanceof AuthError)) throw authError;
         const error = new Error(invalidMessage);
         error.statusCode = 401;
+        error.code = authError.code;
         throw error;
     }
-
-    return userResult.rows[0].id;
 }
 
 /**
@@ -5910,6 +6110,23 @@ async function persistEditableMakerSource(jobId, makerProject, qualityIntent = {
     }
 }
 
+/**
+ * Register the achievements the builder declared in achievements.json (see maker-game-prompt.js).
+ * Best-effort like the source snapshot: a malformed or missing file just means no achievements.
+ */
+async function declareMakerAchievements(jobId, projectRoot) {
+    try {
+        const raw = await fs.promises.readFile(path.join(projectRoot, 'achievements.json'), 'utf8').catch(() => null);
+        if (!raw) return;
+        const parsed = JSON.parse(raw);
+        const achievements = Array.isArray(parsed) ? parsed : parsed?.achievements;
+        const declared = await declareGameAchievements({ aiGameId: jobId, achievements, source: 'maker' });
+        if (declared) console.log(`🏆 [Game-Gen job=${jobId}] Declared ${declared.length} achievements`);
+    } catch (error) {
+        console.warn(`[Game-Gen job=${jobId}] Could not declare achievements: ${error?.message || error}`);
+    }
+}
+
 // Game generation flow: the simplified static file path — R2 CDN
 // assets, no scaffold/foundation/contract machinery. buildGamePrompt() already injects the
 // R2 asset catalog (themed by prompt) and the correct CDN base URL, so the model emits complete
@@ -5983,6 +6200,7 @@ async function runGameGenerationJob({ jobId, prompt, makerWorkspace, reportProgr
     // 1. Build the game prompt (asset catalog + CDN base URL are injected here).
     const { system, user } = await buildGamePrompt(prompt, orientation);
     await writeMakerText(makerWorkspace, 'logs/game-prompt.txt', `${system}\n\n---\n\n${user}`);
+    await recordGenerationEvent(jobId, 'artifact', { kind: 'design_brief', chars: system.length + user.length });
 
     // 2. Setup project folder
     const projectRoot = path.join(makerWorkspace, 'game-project');
@@ -5996,8 +6214,15 @@ async function runGameGenerationJob({ jobId, prompt, makerWorkspace, reportProgr
     // Snapshot the files and save the editable source to DB
     const finalFiles = await snapshotMakerSourceFiles(projectRoot, []);
     console.log(`📝 [Game-Gen] Kimi CLI wrote files: ${finalFiles.map((f) => f.path).join(', ')}`);
+    await recordGenerationEvent(jobId, 'artifact', {
+        kind: 'assets',
+        files: finalFiles.length,
+        assetKeys: finalFiles.some((f) => f.path === 'src/assetKeys.ts'),
+    });
     await persistEditableMakerSource(persistToDb ? jobId : null, { projectRoot, files: finalFiles }, { title: prompt }, 'r2-cdn').catch(() => {});
 
+    if (persistToDb) await declareMakerAchievements(jobId, projectRoot);
+
     // 4. Spin up local static HTTP server for Puppeteer verification
     await reportProgress(60, 'build', 'Setting up local sandbox test environment...');
     const localServer = await startLocalServer(projectRoot);
@@ -6010,6 +6235,7 @@ async function runGameGenerationJob({ jobId, prompt, makerWorkspace, reportProgr
     try {
         sandboxRes = await verifyGame(localServer.url, { sourceHtml: rawGameHtml, orientation });
         finalScreenshot = sandboxRes?.screenshot || null;
+        if (finalScreenshot) await recordGenerationEvent(jobId, 'artifact', { kind: 'screenshot', screenshot: finalScreenshot });
     } catch (verifyErr) {
         console.warn(`[Game-Gen] verify skipped: ${verifyErr?.message || verifyErr}`);
     }
@@ -6031,6 +6257,7 @@ Please inspect the code files in this directory, fix the bug causing this crash,
             try {
                 const rerun = await verifyGame(localServer.url, { sourceHtml: rawGameHtml, orientation });
                 finalScreenshot = rerun?.screenshot || null;
+                sandboxRes = rerun;
                 if (rerun?.success) console.log('✅ [Game-Gen] Kimi self-repair passed sandbox.');
                 else console.log(`⚠️ [Game-Gen] Kimi self-repair still fails sandbox: ${String(rerun?.crashes?.[0] || '').slice(0, 200)}`);
             } catch (rerunErr) {
@@ -6067,6 +6294,7 @@ Please inspect the code files in this directory, fix the bug causing this crash,
          [finalTitle, finalHtml, rawGameHtml, finalScreenshot, publicGameUrl, jobId]
     );
     console.log(`✅ [Game-Gen] Complete! "${finalTitle}" saved for job ${jobId}`);
+    await recordDraftRevision(jobId, { kind: 'build', jobId, prompt, sandbox: summarizeSandboxVerdict(sandboxRes) });
     await recordGenerationTelemetry(jobId, { engine: 'r2-cdn', resultTitle: finalTitle, durationMs: Date.now() - progStartedAt });
     await reportProgress(100, 'complete', 'Game ready!');
     forgetCancelledJob(jobId);
@@ -6143,7 +6371,9 @@ async function executeDreamJob(jobId, prompt, mediaAttachments = [], jobPayload
         await reportProgress(5, 'maker_workspace', 'Opening GameTok maker workspace...');
         // The Kimi CLI is the entire builder: it talks to the user's idea, plans,
         // fetches assets, writes the game, and self-verifies. No pre-planning phases.
-        return await runGameGenerationJob({ jobId, prompt, makerWorkspace, reportProgress, persistToDb, progStartedAt, orientation });
+        return await withLlmCassette(jobPayload?.cassette || jobId, () => (
+            runGameGenerationJob({ jobId, prompt, makerWorkspace, reportProgress, persistToDb, progStartedAt, orientation })
+        ));
     } catch (err) {
         stopProgressCreep();
         if (isCancellationError(err)) {
@@ -6253,6 +6483,31 @@ async function snapshotMakerSourceFiles(projectRoot, priorFiles = []) {
     return files;
 }
 
+// Lay a saved maker project back out on disk: the kernel scaffold, overlaid with the saved source,
+// plus the saved art bytes. Returns how many source files were written.
+async function reconstructMakerProject(projectRoot, makerProject) {
+    const kernel = await loadMakerTemplateScaffold(makerProject.architecture || 'canvas-kernel');
+    const byPath = new Map((kernel && kernel.files ? kernel.files : []).map((f) => [f.path, f.content]));
+    for (const f of (Array.isArray(makerProject.files) ? makerProject.files : [])) {
+        // Saved source wins over the bare scaffold, but build config always comes from the scaffold.
+        if (isEditableSourcePath(f?.path)) byPath.set(f.path, f.content);
+    }
+    await writeProjectFilesToRoot(projectRoot, [...byPath.entries()].map(([p, c]) => ({ path: p, content: c })));
+
+    const assetDir = path.join(projectRoot, 'public', 'assets');
+    await fs.promises.mkdir(assetDir, { recursive: true });
+    if (makerProject.assetPack) {
+        await fs.promises.writeFile(path.join(assetDir, 'asset-pack.json'), JSON.stringify(makerProject.assetPack), 'utf8');
+    }
+    for (const a of (Array.isArray(makerProject.assetFiles) ? makerProject.assetFiles : [])) {
+        if (!a || !a.file || !a.b64) continue;
+        const dest = path.join(projectRoot, 'public', a.file);
+        await fs.promises.mkdir(path.dirname(dest), { recursive: true });
+        await fs.promises.writeFile(dest, Buffer.from(a.b64, 'base64'));
+    }
+    return byPath.size;
+}
+
 /**
  * Edit an existing canvas-kernel game from its saved source (ai_games.maker_project).
  *
@@ -6290,23 +6545,8 @@ async function executeMakerEditJob(newJobId, parentDraftId, parentDraft, makerPr
     const maker = await createGameTokMakerWorkspace(newJobId, instructions);
     const workspace = maker.workspace;
     const projectRoot = path.join(workspace, 'project');
-    const kernel = await loadMakerTemplateScaffold(savedTemplateId);
-    const byPath = new Map((kernel && kernel.files ? kernel.files : []).map((f) => [f.path, f.content]));
-    for (const f of savedFiles) byPath.set(f.path, f.content); // saved source wins over the bare scaffold
-    await writeProjectFilesToRoot(projectRoot, [...byPath.entries()].map(([p, c]) => ({ path: p, content: c })));
-
-    const assetDir = path.join(projectRoot, 'public', 'assets');
-    await fs.promises.mkdir(assetDir, { recursive: true });
-    if (makerProject.assetPack) {
-        await fs.promises.writeFile(path.join(assetDir, 'asset-pack.json'), JSON.stringify(makerProject.assetPack), 'utf8');
-    }
-    for (const a of (Array.isArray(makerProject.assetFiles) ? makerProject.assetFiles : [])) {
-        if (!a || !a.file || !a.b64) continue;
-        const dest = path.join(projectRoot, 'public', a.file);
-        await fs.promises.mkdir(path.dirname(dest), { recursive: true });
-        await fs.promises.writeFile(dest, Buffer.from(a.b64, 'base64'));
-    }
-    console.log(`🛠️ [MAKER EDIT] reconstructed project: ${byPath.size} files + ${(makerProject.assetFiles || []).length} assets at ${projectRoot}`);
+    const fileCount = await reconstructMakerProject(projectRoot, makerProject);
+    console.log(`🛠️ [MAKER EDIT] reconstructed project: ${fileCount} files + ${(makerProject.assetFiles || []).length} assets at ${projectRoot}`);
     setEditProgress(28, 'Rebuilding the project…');
 
     // 2. Apply the edit. 3D games are MULTI-FILE — the real game lives across src/game, src/systems,
@@ -6442,6 +6682,7 @@ async function executeMakerEditJob(newJobId, parentDraftId, parentDraft, makerPr
     } catch (e) {
         sandboxRes = { success: false, crashes: [e?.message || String(e)], screenshot: null };
     }
+    if (sandboxRes.screenshot) recordGenerationEvent(newJobId, 'artifact', { kind: 'screenshot', screenshot: sandboxRes.screenshot });
     if (!sandboxRes.success && sandboxRes.crashes && sandboxRes.crashes.length) {
         throw new Error(`Edited game failed sandbox verification: ${sandboxRes.crashes[0]}`);
     }
@@ -6463,6 +6704,7 @@ async function executeMakerEditJob(newJobId, parentDraftId, parentDraft, makerPr
          WHERE id = $5`,
         [finalHtml, sandboxRes.screenshot || null, JSON.stringify(newHistory), JSON.stringify(updatedProject), parentDraftId]
     );
+    await recordDraftRevision(parentDraftId, { kind: 'edit', jobId: newJobId, prompt: instructions, sandbox: summarizeSandboxVerdict(sandboxRes) });
     markEphemeralJob(newJobId, { status: 'complete', draftId: parentDraftId });
     console.log(`✅ [MAKER EDIT] job ${newJobId} applied edit to ${parentDraftId} (main.ts ${currentMain.length}->${newMain.length} chars, history=${newHistory.length})`);
 }
@@ -6477,6 +6719,7 @@ async function executeEditJob(newJobId, parentDraftId, instructions, mediaAttach
         if (parentRes.rows.length === 0) throw new Error("Parent draft not found.");
 
         const parentDraft = parentRes.rows[0];
+        await ensureBaselineRevision(parentDraftId);
         // Orientation is read off the row, never taken from the client. An edit must not be able to
         // reshape a landscape game into a portrait one — the verifier would then check it in the
         // wrong box and the feed would still rotate it.
@@ -6569,6 +6812,7 @@ async function executeEditJob(newJobId, parentDraftId, instructions, mediaAttach
 
         let finalHtml = postProcessRawHtml(editedHtml);
         let finalScreenshot = null;
+        let finalSandbox = null;
         let maxRetries = 2;
         let stable = false;
 
@@ -6589,6 +6833,8 @@ async function executeEditJob(newJobId, parentDraftId, instructions, mediaAttach
             }
 
             finalScreenshot = sandboxRes.screenshot || null;
+            finalSandbox = sandboxRes;
+            if (finalScreenshot) recordGenerationEvent(newJobId, 'artifact', { kind: 'screenshot', screenshot: finalScreenshot });
             if (sandboxRes.success || !sandboxRes.crashes?.length) {
                 stable = true;
                 break;
@@ -6647,6 +6893,7 @@ Output ONLY the complete fixed HTML document.`;
                 parentDraftId,
             ]
         );
+        await recordDraftRevision(parentDraftId, { kind: 'edit', jobId: newJobId, prompt: instructions, sandbox: summarizeSandboxVerdict(finalSandbox) });
         markEphemeralJob(newJobId, { status: 'complete', draftId: parentDraftId });
         console.log(`✅ [EDIT JOB] Edit complete for job ${newJobId} -> updated draft ${parentDraftId} (history now has ${newHistory.length} edits)`);
 
@@ -7082,6 +7329,7 @@ router.post('/dream', async (req, res) => {
         const orientation = normalizeOrientation(requestedOrientation);
 
         if (!prompt) return res.status(400).json({ error: "Prompt is required" });
+        await assertContentAllowed({ surface: 'dream_prompt', fields: { prompt }, userId });
         setAssetBaseUrl(req); // Set correct base URL for Kenney assets
 
         const existingJob = await findActiveDuplicateGenerationJob(userId, 'dream', prompt, orientation);
@@ -7106,6 +7354,8 @@ router.post('/dream', async (req, res) => {
         res.json({ success: true, jobId: jobId });
 
     } catch (outerError) {
+        if (outerError instanceof CreditError) return res.status(outerError.statusCode).json({ error: outerError.message, code: outerError.code });
+        if (outerError instanceof ContentRefusedError) return res.status(outerError.statusCode).json({ error: outerError.message, code: outerError.code, refusal: outerError.refusal });
         console.error("OUTER GENERATION ERROR:", outerError);
         res.status(outerError.statusCode || 500).json({ error: outerError.message || "System Error" });
     }
@@ -7120,17 +7370,17 @@ router.post('/edit', async (req, res) => {
         const mediaAttachments = sanitizeMediaAttachments(attachments);
 
         if (!draftId || !instructions) return res.status(400).json({ error: "draftId and instructions are required" });
+        await assertContentAllowed({ surface: 'edit_instructions', fields: { instructions }, userId, subjectId: draftId });
         console.log(`🧠 [EDIT ROUTE] Creating edit job for User[${userId}] -> Draft: ${draftId}, Inst: "${instructions}"`);
 
         const newJobId = randomUUID();
-        markEphemeralJob(newJobId, { status: 'pending', draftId });
-        setImmediate(() => {
-            void executeEditJob(newJobId, draftId, instructions, mediaAttachments);
-        });
+        await enqueueEditJob({ jobId: newJobId, userId, draftId, instructions, mediaAttachments });
 
         res.json({ success: true, jobId: newJobId });
 
     } catch (outerError) {
+        if (outerError instanceof CreditError) return res.status(outerError.statusCode).json({ error: outerError.message, code: outerError.code });
+        if (outerError instanceof ContentRefusedError) return res.status(outerError.statusCode).json({ error: outerError.message, code: outerError.code, refusal: outerError.refusal });
         console.error("OUTER EDIT ERROR:", outerError);
         res.status(outerError.statusCode || 500).json({ error: outerError.message || "System Error" });
     }
@@ -7162,10 +7412,82 @@ router.post('/dream/cancel/:jobId', async (req, res) => {
     }
 });
 
+// Where a job stands right now, as the first frame of its event stream. Edit
+// jobs live in memory on the replica running them; elsewhere only their event
+// log knows them (null).
+async function loadGenerationSnapshot(jobId) {
+    const ephemeralJob = pendingJobBoots.get(jobId);
+    if (ephemeralJob?.status === 'canceled' || isJobCancelled(jobId)) {
+        return { status: 'canceled', error: ephemeralJob?.error || 'Generation cancelled by user' };
+    }
+    if (ephemeralJob?.draftId) {
+        if (ephemeralJob.status === 'error') return { status: 'failed', draftId: ephemeralJob.draftId, error: ephemeralJob.error || 'Job failed' };
+        if (ephemeralJob.status === 'complete') return { status: 'complete', draftId: ephemeralJob.draftId };
+        return {
+            status: 'running',
+            draftId: ephemeralJob.draftId,
+            progress: typeof ephemeralJob.progress === 'number' ? ephemeralJob.progress : 0,
+            statusMessage: ephemeralJob.statusMessage || null,
+        };
+    }
+    await ensureGenerationQueueSchema();
+    const queueRes = await pool.query('SELECT kind, status, error, progress, phase, status_message, payload, queue_lane FROM generation_jobs WHERE id = $1', [jobId]);
+    const queueJob = queueRes.rows[0];
+    if (!queueJob) return null;
+    return {
+        status: queueJob.status,
+        queueLane: queueJob.queue_lane,
+        progress: queueJob.progress,
+        phase: queueJob.phase,
+        statusMessage: queueJob.status_message,
+        ...(queueJob.status === 'complete' ? { draftId: queueJob.kind === 'edit' ? queueJob.payload?.draftId : jobId } : {}),
+        ...(queueJob.error && ['failed', 'canceled'].includes(queueJob.status) ? { error: queueJob.error } : {}),
+    };
+}
+
+async function sendEditedDraftStatus(res, draftId) {
+    const editResult = await pool.query('SELECT title, html_payload, raw_code, game_url, thumbnail, orientation, category, subcategory, primary_tab, interaction_type, classification_confidence, classification_tags, discovery_chips FROM ai_games WHERE id = $1', [draftId]);
+    if (editResult.rows.length === 0) {
+        return res.status(404).json({ error: 'Draft not found' });
+    }
+
+    const row = editResult.rows[0];
+    if ((!row.html_payload || row.html_payload === '') && !row.game_url) {
+        return res.json({ status: 'pending' });
+    }
+
+    return res.json({
+        success: true,
+        status: 'complete',
+        draftId,
+        title: row.title,
+        htmlPreview: row.html_payload,
+        gameUrl: row.game_url || null,
+        thumbnail: row.thumbnail,
+        orientation: normalizeOrientation(row.orientation),
+        classification: getStoredDraftClassification(row),
+    });
+}
+
+// Server-Sent Events alternative to polling /dream/status: progress, artifacts
+// and the final status, resumable with Last-Event-ID. See generation-events.js.
+router.get('/dream/events/:jobId', async (req, res) => {
+    const { jobId } = req.params;
+    if (!/^[0-9a-f-]{36}$/i.test(jobId)) return res.status(404).json({ error: 'Job not found' });
+    try {
+        await recoverStaleGenerationJobsThrottled();
+        await streamGenerationEvents(req, res, jobId, await loadGenerationSnapshot(jobId));
+    } catch (error) {
+        console.error('[DREAM EVENTS] Error:', error);
+        if (!res.headersSent) res.status(500).json({ error: 'Could not stream job events' });
+        else res.end();
+    }
+});
+
 router.get('/dream/status/:jobId', async (req, res) => {
     try {
         const { jobId } = req.params;
-        await recoverStaleGenerationJobs();
+        await recoverStaleGenerationJobsThrottled();
         const ephemeralJob = pendingJobBoots.get(jobId);
         if (ephemeralJob?.status === 'canceled' || isJobCancelled(jobId)) {
             return res.json({ success: false, status: 'canceled', error: ephemeralJob?.error || 'Generation cancelled by user' });
@@ -7182,28 +7504,7 @@ router.get('/dream/status/:jobId', async (req, res) => {
                 });
             }
 
-            const targetDraftId = ephemeralJob.draftId;
-            const editResult = await pool.query('SELECT title, html_payload, raw_code, game_url, thumbnail, orientation, category, subcategory, primary_tab, interaction_type, classification_confidence, classification_tags, discovery_chips FROM ai_games WHERE id = $1', [targetDraftId]);
-            if (editResult.rows.length === 0) {
-                return res.status(404).json({ error: 'Draft not found' });
-            }
-
-            const row = editResult.rows[0];
-            if ((!row.html_payload || row.html_payload === '') && !row.game_url) {
-                return res.json({ status: 'pending' });
-            }
-
-            return res.json({
-                success: true,
-                status: 'complete',
-                draftId: targetDraftId,
-                title: row.title,
-                htmlPreview: row.html_payload,
-                gameUrl: row.game_url || null,
-                thumbnail: row.thumbnail,
-                orientation: normalizeOrientation(row.orientation),
-                classification: getStoredDraftClassification(row),
-            });
+            return sendEditedDraftStatus(res, ephemeralJob.draftId);
         }
 
         const result = await pool.query('SELECT title, html_payload, raw_code, game_url, thumbnail, orientation, category, subcategory, primary_tab, interaction_type, classification_confidence, classification_tags, discovery_chips FROM ai_games WHERE id = $1', [jobId]);
@@ -7215,8 +7516,12 @@ router.get('/dream/status/:jobId', async (req, res) => {
             if (pendingBoot) {
                 return res.json({ status: 'pending' });
             }
-            const queueRes = await pool.query('SELECT status, error, progress, phase, status_message FROM generation_jobs WHERE id = $1', [jobId]);
+            const queueRes = await pool.query('SELECT kind, status, error, progress, phase, status_message, payload FROM generation_jobs WHERE id = $1', [jobId]);
             const queueJob = queueRes.rows[0];
+            // Edit jobs have no draft row of their own; once done, answer with the edited draft.
+            if (queueJob?.kind === 'edit' && queueJob.status === 'complete') {
+                return sendEditedDraftStatus(res, queueJob.payload?.draftId);
+            }
             if (queueJob?.status === 'failed') {
                 return res.json({ status: 'error', error: queueJob.error || 'Generation failed', ...(await buildQueueProgressPayload(queueJob, jobId)) });
             }
@@ -7328,6 +7633,7 @@ router.post('/dream/retry/:jobId', async (req, res) => {
 
         res.json({ success: true, jobId: newJobId });
     } catch (error) {
+        if (error instanceof CreditError) return res.status(error.statusCode).json({ error: error.message, code: error.code });
         console.error('[RETRY] Error:', error);
         res.status(500).json({ error: error.message || 'Retry failed' });
     }
@@ -7338,7 +7644,7 @@ router.get('/drafts', async (req, res) => {
         const token = req.headers.authorization?.replace('Bearer ', '');
         if (!token) return res.status(401).json({ error: 'Auth failed' });
         const userId = await getUserIdFromToken(token, 'Invalid token');
-        const drafts = await pool.query("SELECT id, title, prompt, thumbnail, orientation, created_at, category, subcategory, primary_tab, interaction_type, classification_confidence, classification_tags, discovery_chips FROM ai_games WHERE user_id = $1 AND is_draft = true AND (html_payload != '' OR game_url IS NOT NULL) ORDER BY created_at DESC", [userId]);
+        const drafts = await pool.query("SELECT id, title, prompt, thumbnail, orientation, visibility, publish_at, created_at, category, subcategory, primary_tab, interaction_type, classification_confidence, classification_tags, discovery_chips FROM ai_games WHERE user_id = $1 AND is_draft = true AND (html_payload != '' OR game_url IS NOT NULL) ORDER BY created_at DESC", [userId]);
         res.json({ drafts: drafts.rows });
     } catch(e) { res.status(e.statusCode || 500).json({ error: e.message }); }
 });
@@ -7348,7 +7654,7 @@ router.get('/drafts/:id', async (req, res) => {
         const token = req.headers.authorization?.replace('Bearer ', '');
         if (!token) return res.status(401).json({ error: 'Auth failed' });
         const userId = await getUserIdFromToken(token, 'Invalid token');
-        const draft = await pool.query("SELECT id, title, prompt, html_payload, game_url, thumbnail, orientation, created_at, category, subcategory, primary_tab, interaction_type, classification_confidence, classification_tags, discovery_chips FROM ai_games WHERE id = $1 AND user_id = $2 AND is_draft = true", [req.params.id, userId]);
+        const draft = await pool.query("SELECT id, title, prompt, html_payload, game_url, thumbnail, orientation, visibility, publish_at, publish_options, created_at, category, subcategory, primary_tab, interaction_type, classification_confidence, classification_tags, discovery_chips FROM ai_games WHERE id = $1 AND user_id = $2 AND is_draft = true", [req.params.id, userId]);
         if (draft.rows.length === 0) return res.status(404).json({ error: 'Draft not found' });
         res.json({ draft: draft.rows[0] });
     } catch(e) { res.status(e.statusCode || 500).json({ error: e.message }); }
@@ -7383,6 +7689,294 @@ router.get('/drafts/:id/source', async (req, res) => {
     } catch (e) { res.status(e.statusCode || 500).json({ error: e.message }); }
 });
 
+// Hand edits to the saved source (see maker-source-edits.js). Body: { files: [patch, ...] }.
+// The patched project goes through the same compile gate, build and sandbox check as an AI edit,
+// synchronously; a 422 carries the TypeScript/Vite diagnostics or sandbox crashes and nothing is
+// saved. On success the game plays from the rebuilt html_payload.
+const sourceEditsInFlight = new Set();
+
+router.patch('/drafts/:id/source', async (req, res) => {
+    let gameId = null;
+    let workspace = null;
+    try {
+        const token = req.headers.authorization?.replace('Bearer ', '');
+        if (!token) return res.status(401).json({ error: 'Auth failed' });
+        const userId = await getUserIdFromToken(token, 'Invalid token');
+        const row = await pool.query('SELECT id, maker_project, orientation FROM ai_games WHERE id = $1 AND user_id = $2', [req.params.id, userId]);
+        if (row.rows.length === 0) return res.status(404).json({ error: 'Game not found' });
+        let project = row.rows[0].maker_project;
+        if (typeof project === 'string') { try { project = JSON.parse(project); } catch { project = null; } }
+        if (!Array.isArray(project?.files) || !project.files.some((f) => f.path === 'src/main.ts')) {
+            return res.status(400).json({ error: 'This game has no editable source (older or non-maker build).' });
+        }
+        const { files, changed } = applyMakerSourcePatches(project.files, req.body?.files, { isProtectedFile: isProtectedMakerRuntimeFile });
+
+        if (sourceEditsInFlight.has(row.rows[0].id)) return res.status(409).json({ error: 'Another source edit is still building for this game' });
+        const editJobId = await findActiveEditJob(row.rows[0].id);
+        if (editJobId) return res.status(409).json({ error: 'An edit is still running for this game', jobId: editJobId });
+        gameId = row.rows[0].id;
+        sourceEditsInFlight.add(gameId);
+
+        const maker = await createGameTokMakerWorkspace(`source-${randomUUID()}`, describeSourceEdit(changed));
+        workspace = maker.workspace;
+        const projectRoot = path.join(workspace, 'project');
+        const updatedProject = { ...project, files, savedAt: new Date().toISOString() };
+        await reconstructMakerProject(projectRoot, updatedProject);
+        let rawHtml;
+        try {
+            await rebuildMakerProjectDist(projectRoot);
+            rawHtml = await assembleMakerProjectHtml(projectRoot);
+        } catch (buildError) {
+            if (!buildError?.code) throw buildError;
+            return res.status(422).json({
+                error: buildError.code === 'TSC_FAILED' ? 'The edited source does not compile' : 'The edited source does not build',
+                code: buildError.code,
+                diagnostics: buildError.buildErrors || [],
+                rawOutput: buildError.rawOutput || null,
+            });
+        }
+        let finalHtml = rawHtml;
+        try { finalHtml = postProcessRawHtml(rawHtml); } catch (e) {
+            console.warn(`🛠️ [SOURCE EDIT] postProcess skipped (${e?.message || e}); using raw assembled HTML.`);
+        }
+        let sandboxRes;
+        try {
+            sandboxRes = await verifyGame(finalHtml, { orientation: normalizeOrientation(row.rows[0].orientation) });
+        } catch (e) {
+            sandboxRes = { success: false, crashes: [e?.message || String(e)], screenshot: null };
+        }
+        if (!sandboxRes.success && sandboxRes.crashes?.length) {
+            return res.status(422).json({ error: 'The edited game failed sandbox verification', code: 'SANDBOX_FAILED', crashes: sandboxRes.crashes.slice(0, 5) });
+        }
+
+        await ensureBaselineRevision(gameId);
+        // game_url points at the uploaded build from before the edit; clear it so play serves this one.
+        await pool.query(
+            `UPDATE ai_games
+             SET html_payload = $1, maker_project = $2, game_url = NULL,
+                 thumbnail = CASE WHEN is_draft THEN COALESCE($3, thumbnail) ELSE thumbnail END
+             WHERE id = $4`,
+            [finalHtml, JSON.stringify(updatedProject), sandboxRes.screenshot || null, gameId]
+        );
+        const revision = await recordDraftRevision(gameId, {
+            kind: 'source',
+            prompt: describeSourceEdit(changed),
+            sandbox: summarizeSandboxVerdict(sandboxRes),
+            createdBy: userId,
+        });
+        console.log(`✅ [SOURCE EDIT] ${gameId}: ${changed.map((entry) => `${entry.action} ${entry.path}`).join(', ')}`);
+        res.json({ success: true, changed, revision });
+    } catch (e) {
+        res.status(e.statusCode || 500).json({ error: e.message });
+    } finally {
+        if (gameId) sourceEditsInFlight.delete(gameId);
+        if (workspace) await fs.promises.rm(workspace, { recursive: true, force: true }).catch(() => {});
+    }
+});
+
+// Portable bundles (see game-bundles.js). Export is owner-only and works for drafts and published
+// games; import takes a multipart `bundle` file, re-runs the sandbox on its HTML and saves a new draft.
+const bundleUpload = multer({
+    storage: multer.memoryStorage(),
+    limits: { fileSize: 50 * 1024 * 1024 },
+});
+const BUNDLE_COVER_MAX_BYTES = 8 * 1024 * 1024;
+
+// Covers are usually R2 URLs; a cover that can't be fetched is left out rather than failing the export.
+async function loadBundleCover(thumbnail) {
+    const inline = decodeDataUrlImage(thumbnail);
+    if (inline) return inline;
+    if (!/^https?:\/\//i.test(String(thumbnail || ''))) return null;
+    try {
+        const response = await fetch(thumbnail, { signal: AbortSignal.timeout(10_000) });
+        const contentType = String(response.headers.get('content-type') || '').split(';')[0].trim();
+        if (!response.ok || !/^image\/(png|jpeg|webp)$/.test(contentType)) return null;
+        const buffer = Buffer.from(await response.arrayBuffer());
+        return buffer.length <= BUNDLE_COVER_MAX_BYTES ? { buffer, contentType } : null;
+    } catch (error) {
+        console.warn(`[Bundle] Cover not included (${error?.message || error})`);
+        return null;
+    }
+}
+
+router.get('/drafts/:id/export', async (req, res) => {
+    try {
+        const token = req.headers.authorization?.replace('Bearer ', '');
+        if (!token) return res.status(401).json({ error: 'Auth failed' });
+        const userId = await getUserIdFromToken(token, 'Invalid token');
+        const row = await pool.query('SELECT * FROM ai_games WHERE id = $1 AND user_id = $2', [req.params.id, userId]);
+        if (row.rows.length === 0) return res.status(404).json({ error: 'Game not found' });
+        const game = row.rows[0];
+        if (!game.html_payload) return res.status(400).json({ error: 'This game has no built HTML to export' });
+        const categories = await pool.query(
+            'SELECT category FROM game_categories WHERE game_id = $1 ORDER BY category',
+            [`gm-ai-${String(game.id).substring(0, 8)}`]
+        );
+        const entries = buildGameBundle(game, {
+            categories: categories.rows.map((entry) => entry.category),
+            cover: await loadBundleCover(game.thumbnail),
+        });
+        const slug = String(game.title || 'game').toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-+|-+$/g, '').slice(0, 60) || 'game';
+        res.set('Content-Type', 'application/zip');
+        res.set('Content-Disposition', `attachment; filename="${slug}.gametok.zip"`);
+        res.send(createZipArchive(entries));
+    } catch (e) { res.status(e.statusCode || 500).json({ error: e.message }); }
+});
+
+router.post('/drafts/import', bundleUpload.single('bundle'), async (req, res) => {
+    try {
+        const token = req.headers.authorization?.replace('Bearer ', '');
+        if (!token) return res.status(401).json({ error: 'Auth failed' });
+        const userId = await getUserIdFromToken(token, 'Invalid token');
+        if (!req.file) return res.status(400).json({ error: 'No bundle uploaded' });
+        const { metadata, html, makerProject, cover } = parseGameBundle(req.file.buffer);
+        const orientation = normalizeOrientation(metadata.orientation);
+        await assertContentAllowed({ surface: 'import', fields: { title: metadata.title, prompt: metadata.prompt }, userId });
+
+        let sandboxRes;
+        try {
+            sandboxRes = await verifyGame(html, { orientation });
+        } catch (e) {
+            sandboxRes = { success: false, crashes: [e?.message || String(e)], screenshot: null };
+        }
+        if (!sandboxRes.success && sandboxRes.crashes?.length) {
+            return res.status(422).json({ error: 'The imported game failed sandbox verification', code: 'SANDBOX_FAILED', crashes: sandboxRes.crashes.slice(0, 5) });
+        }
+
+        // Lineage in the bundle is only a claim: it is carried over from the importer's own
+        // source game on this server, never taken from gametok.json, so nobody can pose as a
+        // remix of someone else's game (and set off its remix notification).
+        let lineage = { remixedFrom: null, rootId: null, depth: 0, remixedFromUsername: null };
+        if (metadata.sourceGameId && /^[0-9a-f-]{36}$/i.test(metadata.sourceGameId)) {
+            const source = await pool.query(
+                `SELECT remixed_from, remixed_from_username, remix_root_id, remix_depth
+                 FROM ai_games WHERE id = $1 AND user_id = $2 AND remixed_from IS NOT NULL`,
+                [metadata.sourceGameId, userId]
+            );
+            const own = source.rows[0];
+            if (own) {
+                lineage = {
+                    remixedFrom: own.remixed_from,
+                    rootId: own.remix_root_id,
+                    depth: own.remix_depth,
+                    remixedFromUsername: own.remixed_from_username,
+                };
+            }
+        }
+        const title = metadata.title || extractHtmlTitle(html) || 'Imported Game';
+        const inserted = await pool.query(
+            `INSERT INTO ai_games (user_id, prompt, title, html_payload, raw_code, thumbnail, maker_project, orientation,
+                                   remixed_from, remixed_from_username, remix_root_id, remix_depth, is_draft, privacy, created_at)
+             VALUES ($1, $2, $3, $4, $4, $5, $6, $7, $8, $9, $10, $11, true, 'public', NOW())
+             RETURNING id, title`,
+            [
+                userId,
+                metadata.prompt || title,
+                title,
+                html,
+                cover || sandboxRes.screenshot || null,
+                makerProject ? JSON.stringify(makerProject) : null,
+                orientation,
+                lineage.remixedFrom,
+                lineage.remixedFromUsername || null,
+                lineage.rootId,
+                lineage.depth,
+            ]
+        );
+        const draft = inserted.rows[0];
+        await recordDraftRevision(draft.id, { kind: 'import', prompt: metadata.prompt || null, sandbox: summarizeSandboxVerdict(sandboxRes), createdBy: userId });
+        console.log(`📦 [Bundle] Imported "${draft.title}" as draft ${draft.id} (${makerProject ? `${makerProject.files.length} source files` : 'HTML only'})`);
+        // Categories attach at publish time; hand them back so the client can pass them to /publish.
+        res.json({ success: true, draftId: draft.id, title: draft.title, categories: normalizeCategories(metadata.categories) });
+    } catch (e) {
+        if (e instanceof ContentRefusedError) return res.status(e.statusCode).json({ error: e.message, code: e.code, refusal: e.refusal });
+        res.status(e.statusCode || 500).json({ error: e.message });
+    }
+});
+
+// Revision history for a draft or published game (see draft-revisions.js):
+//   GET  /drafts/:id/revisions                     -> newest first, metadata only
+//   GET  /drafts/:id/revisions/diff?from=3&to=5    -> file-by-file line hunks
+//   GET  /drafts/:id/revisions/:revision           -> one revision with its files
+//   POST /drafts/:id/revisions/:revision/revert    -> restore it as a new revision
+async function requireOwnedGame(req) {
+    const token = req.headers.authorization?.replace('Bearer ', '');
+    if (!token) throw new RevisionError('Auth failed', 401);
+    const userId = await getUserIdFromToken(token, 'Invalid token');
+    const owned = await pool.query('SELECT id FROM ai_games WHERE id = $1 AND user_id = $2', [req.params.id, userId]);
+    if (owned.rows.length === 0) throw new RevisionError('Game not found', 404);
+    return { userId, gameId: owned.rows[0].id };
+}
+
+async function findActiveEditJob(gameId) {
+    const editing = await pool.query(
+        `SELECT id FROM generation_jobs
+         WHERE kind = 'edit' AND status IN ('queued', 'running') AND payload->>'draftId' = $1
+         LIMIT 1`,
+        [gameId]
+    );
+    return editing.rows[0]?.id || null;
+}
+
+function parseRevisionNumber(value, label = 'revision') {
+    const revision = Number(value);
+    if (!Number.isInteger(revision) || revision < 1) throw new RevisionError(`Invalid ${label}`, 400);
+    return revision;
+}
+
+router.get('/drafts/:id/revisions', async (req, res) => {
+    try {
+        const { gameId } = await requireOwnedGame(req);
+        res.json({ revisions: await listDraftRevisions(gameId) });
+    } catch (e) { res.status(e.statusCode || 500).json({ error: e.message }); }
+});
+
+router.get('/drafts/:id/revisions/diff', async (req, res) => {
+    try {
+        const { gameId } = await requireOwnedGame(req);
+        const from = await getDraftRevision(gameId, parseRevisionNumber(req.query.from, 'from'));
+        const to = await getDraftRevision(gameId, parseRevisionNumber(req.query.to, 'to'));
+        res.json({ from: formatRevision(from), to: formatRevision(to), ...diffRevisionFiles(from, to) });
+    } catch (e) { res.status(e.statusCode || 500).json({ error: e.message }); }
+});
+
+router.get('/drafts/:id/revisions/:revision', async (req, res) => {
+    try {
+        const { gameId } = await requireOwnedGame(req);
+        const revision = await getDraftRevision(gameId, parseRevisionNumber(req.params.revision));
+        res.json({ revision: formatRevision(revision, { full: true }) });
+    } catch (e) { res.status(e.statusCode || 500).json({ error: e.message }); }
+});
+
+router.post('/drafts/:id/revisions/:revision/revert', async (req, res) => {
+    try {
+        const { userId, gameId } = await requireOwnedGame(req);
+        const revision = parseRevisionNumber(req.params.revision);
+        // An edit in flight would save over the revert when it finishes.
+        const editJobId = await findActiveEditJob(gameId);
+        if (editJobId) return res.status(409).json({ error: 'An edit is still running for this game', jobId: editJobId });
+        const reverted = await revertDraftToRevision(gameId, revision, { userId });
+        res.json({ success: true, revision: reverted });
+    } catch (e) { res.status(e.statusCode || 500).json({ error: e.message }); }
+});
+
+// Creator-declared achievements. Replaces the whole set; see declareGameAchievements.
+router.put('/drafts/:id/achievements', async (req, res) => {
+    try {
+        const token = req.headers.authorization?.replace('Bearer ', '');
+        if (!token) return res.status(401).json({ error: 'Auth failed' });
+        const userId = await getUserIdFromToken(token, 'Invalid token');
+        const owned = await pool.query('SELECT id FROM ai_games WHERE id = $1 AND user_id = $2', [req.params.id, userId]);
+        if (owned.rows.length === 0) return res.status(404).json({ error: 'Game not found' });
+        const achievements = await declareGameAchievements({
+            aiGameId: owned.rows[0].id,
+            achievements: req.body?.achievements,
+            source: 'creator',
+        });
+        res.json({ success: true, achievements });
+    } catch (e) { res.status(e.statusCode || 500).json({ error: e.message }); }
+});
+
 router.delete('/drafts/:id', async (req, res) => {
     try {
         const token = req.headers.authorization?.replace('Bearer ', '');
@@ -7398,6 +7992,110 @@ router.delete('/drafts/:id', async (req, res) => {
     } catch(e) { res.status(e.statusCode || 500).json({ error: e.message }); }
 });
 
+// Flip a draft live on its ai_games row; upsertPublishedAIGame then puts it in the feed. Clears
+// any schedule, so publishing by hand also cancels a pending scheduled publish.
+async function markDraftPublished(draftId, userId, { privacy, visibility }) {
+    const publishRes = await pool.query(
+        `UPDATE ai_games SET is_draft = false, privacy = $3, visibility = $4, publish_at = NULL, publish_options = NULL
+         WHERE id = $1 AND user_id = $2 RETURNING *`,
+        [draftId, userId, privacy, visibility]
+    );
+    return publishRes.rows[0] || null;
+}
+
+// Scheduled publishing. Every replica polls. A due draft is claimed by pushing its publish_at
+// SCHEDULED_PUBLISH_RETRY_MINUTES ahead under SKIP LOCKED, so two replicas never take the same
+// one, and that same push is the retry if publishing fails or the replica dies midway.
+const SCHEDULED_PUBLISH_INTERVAL_MS = Math.max(5000, Number(process.env.SCHEDULED_PUBLISH_INTERVAL_MS || 30000));
+const SCHEDULED_PUBLISH_RETRY_MINUTES = 10;
+const SCHEDULED_PUBLISH_MAX_ATTEMPTS = 5;
+const SCHEDULED_PUBLISH_BATCH = 20;
+let scheduledPublishTimer = null;
+let scheduledPublishStopping = false;
+
+async function publishScheduledDraft(row) {
+    const options = row.publish_options || {};
+    if (options.attempts > SCHEDULED_PUBLISH_MAX_ATTEMPTS) {
+        await pool.query('UPDATE ai_games SET publish_at = NULL WHERE id = $1', [row.id]);
+        console.error(`[Publish] Gave up on the scheduled publish of ${row.id} after ${SCHEDULED_PUBLISH_MAX_ATTEMPTS} attempts`);
+        return;
+    }
+    // Screened when it was scheduled, but the draft may have been renamed since.
+    try {
+        await assertContentAllowed({
+            surface: 'publish',
+            fields: { title: row.title || '', description: cleanGameDescription(row.prompt, row.title) },
+            userId: row.user_id,
+            subjectId: row.id,
+        });
+    } catch (error) {
+        if (!(error instanceof ContentRefusedError)) throw error;
+        await pool.query('UPDATE ai_games SET publish_at = NULL, publish_options = NULL WHERE id = $1', [row.id]);
+        console.warn(`[Publish] Scheduled publish of ${row.id} refused by the content policy`);
+        return;
+    }
+
+    const draft = await markDraftPublished(row.id, row.user_id, {
+        privacy: options.privacy || 'public',
+        visibility: isGameVisibility(options.visibility) ? options.visibility : 'public',
+    });
+    if (!draft) return;
+    draft.categories = normalizeCategories(options.categories);
+    const { globalId } = await upsertPublishedAIGame({ draftId: draft.id, userId: row.user_id, draft });
+    console.log(`[Publish] Scheduled publish of ${row.id} is live as ${globalId}`);
+}
+
+async function publishDueDrafts() {
+    const due = await pool.query(
+        `UPDATE ai_games a
+         SET publish_at = NOW() + make_interval(mins => $1),
+             publish_options = jsonb_set(COALESCE(a.publish_options, '{}'::jsonb), '{attempts}',
+                 to_jsonb(COALESCE((a.publish_options->>'attempts')::int, 0) + 1))
+         WHERE a.id IN (
+             SELECT id FROM ai_games
+             WHERE is_draft = TRUE AND publish_at <= NOW()
+             ORDER BY publish_at
+             LIMIT $2
+             FOR UPDATE SKIP LOCKED
+         )
+         RETURNING a.id, a.user_id, a.title, a.prompt, a.publish_options`,
+        [SCHEDULED_PUBLISH_RETRY_MINUTES, SCHEDULED_PUBLISH_BATCH]
+    );
+    for (const row of due.rows) {
+        try {
+            await publishScheduledDraft(row);
+        } catch (error) {
+            console.error(`[Publish] Scheduled publish of ${row.id} failed (attempt ${row.publish_options?.attempts}):`, error?.message || error);
+        }
+    }
+}
+
+function startScheduledPublishWorker() {
+    if (scheduledPublishTimer) return;
+    scheduledPublishStopping = false;
+    const tick = () => {
+        if (scheduledPublishStopping) return;
+        void publishDueDrafts().catch((error) => {
+            console.error('[Publish] Scheduled publish tick failed:', error?.message || error);
+        }).finally(() => {
+            if (!scheduledPublishStopping) {
+                scheduledPublishTimer = setTimeout(tick, SCHEDULED_PUBLISH_INTERVAL_MS);
+                scheduledPublishTimer.unref?.();
+            }
+        });
+    };
+    scheduledPublishTimer = setTimeout(tick, SCHEDULED_PUBLISH_INTERVAL_MS);
+    scheduledPublishTimer.unref?.();
+}
+
+function stopScheduledPublishWorker() {
+    scheduledPublishStopping = true;
+    if (scheduledPublishTimer) {
+        clearTimeout(scheduledPublishTimer);
+        scheduledPublishTimer = null;
+    }
+}
+
 router.post('/publish/:draftId', async (req, res) => {
     try {
         const token = req.headers.authorization?.replace('Bearer ', '');
@@ -7408,11 +8106,23 @@ router.post('/publish/:draftId', async (req, res) => {
         // override them would be a way to reshape a game after it was built and verified.
         // `categories` is the creator's own pick. When present it overrides the classifier
         // outright — see upsertPublishedAIGame.
-        const { title, privacy, html, orientation, gameUrl, categories } = req.body || {};
+        // `visibility` is public | unlisted | followers (see game-visibility.js); `publishAt`, a future
+        // time, stores the rest of this request on the draft for the scheduled-publish worker instead.
+        const { title, privacy, html, orientation, gameUrl, categories, visibility, publishAt } = req.body || {};
+        const publishOn = parsePublishAt(publishAt);
 
         // Check if draft exists
         const checkRes = await pool.query("SELECT * FROM ai_games WHERE id = $1 AND user_id = $2", [req.params.draftId, userId]);
-        
+
+        // Screen what the feed will show: the title it goes out under and the description made from its prompt.
+        const publishTitle = title?.trim() || checkRes.rows[0]?.title || '';
+        await assertContentAllowed({
+            surface: 'publish',
+            fields: { title: publishTitle, description: cleanGameDescription(checkRes.rows[0]?.prompt, publishTitle) },
+            userId,
+            subjectId: req.params.draftId,
+        });
+
         let draft;
         if (checkRes.rows.length === 0) {
             // Draft doesn't exist (e.g., publishing from a template with generated UUID)
@@ -7420,11 +8130,14 @@ router.post('/publish/:draftId', async (req, res) => {
             if (!html) {
                 return res.status(400).json({ error: 'HTML payload required for new games' });
             }
+            if (publishOn) {
+                return res.status(400).json({ error: 'Only a saved draft can be scheduled' });
+            }
             
             console.log('[Publish] Creating new game from template:', title);
             const insertRes = await pool.query(
-                `INSERT INTO ai_games (user_id, title, html_payload, prompt, raw_code, is_draft, privacy, orientation, game_url, created_at)
-                 VALUES ($1, $2, $3, $4, $5, false, $6, $7, $8, NOW())
+                `INSERT INTO ai_games (user_id, title, html_payload, prompt, raw_code, is_draft, privacy, orientation, game_url, visibility, created_at)
+                 VALUES ($1, $2, $3, $4, $5, false, $6, $7, $8, $9, NOW())
                  RETURNING *`,
                 [
                     userId,
@@ -7437,6 +8150,7 @@ router.post('/publish/:draftId', async (req, res) => {
                     // stored as portrait, and the feed would then refuse to rotate it.
                     normalizeOrientation(orientation),
                     typeof gameUrl === 'string' && /^https:\/\//i.test(gameUrl) ? gameUrl : null,
+                    normalizeVisibility(visibility),
                 ]
             );
             draft = insertRes.rows[0];
@@ -7451,6 +8165,11 @@ router.post('/publish/:draftId', async (req, res) => {
             // and ended up with exactly the same game". The source is looked up by remixed_from,
             // which the remix INSERT sets.
             const existing = checkRes.rows[0];
+            // Republishing without a visibility keeps the one the game already has.
+            const nextVisibility = normalizeVisibility(visibility, existing.visibility || 'public');
+            if (publishOn && !existing.is_draft) {
+                return res.status(400).json({ error: 'This game is already published' });
+            }
             if (existing.remixed_from) {
                 const srcRes = await pool.query(
                     'SELECT html_payload, raw_code FROM ai_games WHERE id = $1',
@@ -7475,11 +8194,21 @@ router.post('/publish/:draftId', async (req, res) => {
                 await pool.query("UPDATE ai_games SET title = $1 WHERE id = $2 AND user_id = $3", [title.trim().substring(0, 255), req.params.draftId, userId]);
             }
 
-            const publishRes = await pool.query(
-                "UPDATE ai_games SET is_draft = false, privacy = $3 WHERE id = $1 AND user_id = $2 RETURNING *", 
-                [req.params.draftId, userId, privacy || 'public']
-            );
-            draft = publishRes.rows[0];
+            if (publishOn) {
+                await pool.query(
+                    'UPDATE ai_games SET publish_at = $3::timestamptz, publish_options = $4 WHERE id = $1 AND user_id = $2',
+                    [
+                        req.params.draftId,
+                        userId,
+                        publishOn.toISOString(),
+                        JSON.stringify({ privacy: privacy || 'public', visibility: nextVisibility, categories: normalizeCategories(categories) }),
+                    ]
+                );
+                console.log(`[Publish] Scheduled ${req.params.draftId} for ${publishOn.toISOString()}`);
+                return res.json({ success: true, scheduled: true, publishAt: publishOn.toISOString(), visibility: nextVisibility });
+            }
+
+            draft = await markDraftPublished(req.params.draftId, userId, { privacy: privacy || 'public', visibility: nextVisibility });
         }
 
         console.log('[Publish] Upserting to games table...');
@@ -7493,11 +8222,31 @@ router.post('/publish/:draftId', async (req, res) => {
         console.log('[Publish] Success! Game ID:', globalId);
         res.json({ success: true, gameId: globalId, classification });
     } catch (e) {
+        if (e instanceof ContentRefusedError) return res.status(e.statusCode).json({ error: e.message, code: e.code, refusal: e.refusal });
         console.error('[Publish] Error:', e);
         res.status(e.statusCode || 500).json({ error: e.message });
     }
 });
 
+// Call off a scheduled publish; the draft stays a draft.
+router.delete('/publish/:draftId/schedule', async (req, res) => {
+    try {
+        const token = req.headers.authorization?.replace('Bearer ', '');
+        if (!token) return res.status(401).json({ error: 'Unauthorized' });
+        const userId = await getUserIdFromToken(token, 'Unauthorized');
+        const cancelled = await pool.query(
+            `UPDATE ai_games SET publish_at = NULL, publish_options = NULL
+             WHERE id = $1 AND user_id = $2 AND is_draft = true AND publish_at IS NOT NULL
+             RETURNING id`,
+            [req.params.draftId, userId]
+        );
+        if (cancelled.rows.length === 0) return res.status(404).json({ error: 'No scheduled publish for this draft' });
+        res.json({ success: true });
+    } catch (e) {
+        res.status(e.statusCode || 500).json({ error: e.message });
+    }
+});
+
 // Remix: clone another user's PUBLIC published game into a fresh draft owned by
 // the current user. They then edit + publish it through the normal flow.
 router.post('/remix/:sourceId', async (req, res) => {
@@ -7506,10 +8255,15 @@ router.post('/remix/:sourceId', async (req, res) => {
         if (!token) return res.status(401).json({ error: 'Unauthorized' });
         const userId = await getUserIdFromToken(token, 'Unauthorized');
 
-        // Accept either a full id or the short prefix used in /play urls.
+        // Accept either a full id or the short prefix used in /play urls. Only the creator's own games
+        // and ones listed to this viewer qualify: unlisted, followers-only and scheduled games stay hidden.
         const srcRes = await pool.query(
-            "SELECT * FROM ai_games WHERE id::text LIKE $1 LIMIT 1",
-            [String(req.params.sourceId) + '%'],
+            `SELECT ag.* FROM ai_games ag
+             LEFT JOIN games g ON g.embed_url = ('/api/ai/play/' || ag.id::text)
+             WHERE ag.id::text LIKE $1
+               AND (ag.user_id::text = $2::text OR (g.id IS NOT NULL AND ${listedGameSql('g', '$2')}))
+             LIMIT 1`,
+            [String(req.params.sourceId) + '%', userId],
         );
         if (srcRes.rows.length === 0) return res.status(404).json({ error: 'Game not found' });
         const src = srcRes.rows[0];
@@ -7526,14 +8280,16 @@ router.post('/remix/:sourceId', async (req, res) => {
         const creatorName = creatorRes.rows[0]?.username || creatorRes.rows[0]?.display_name || null;
         const baseTitle = String(src.title || 'Game').replace(/^Remix of /i, '');
         const newTitle = `Remix of ${baseTitle}`.substring(0, 255);
+        const lineage = remixLineageFor(src);
 
         const insertRes = await pool.query(
             `INSERT INTO ai_games (
                 user_id, prompt, title, html_payload, raw_code, artist_code,
                 thumbnail, preview_video_url, category, subcategory, primary_tab,
                 interaction_type, classification_confidence, classification_tags,
-                discovery_chips, privacy, is_draft, remixed_from, remixed_from_username, orientation, created_at
-             ) VALUES ($1,$2,$3,$4,$5,$6,$7,$8,$9,$10,$11,$12,$13,$14,$15,$16,true,$17,$18,$19,NOW())
+                discovery_chips, privacy, is_draft, remixed_from, remixed_from_username, remix_root_id, remix_depth,
+                orientation, created_at
+             ) VALUES ($1,$2,$3,$4,$5,$6,$7,$8,$9,$10,$11,$12,$13,$14,$15,$16,true,$17,$18,$19,$20,$21,NOW())
              RETURNING id, title`,
             [
                 userId,
@@ -7552,16 +8308,19 @@ router.post('/remix/:sourceId', async (req, res) => {
                 JSON.stringify(src.classification_tags || []),
                 JSON.stringify(src.discovery_chips || []),
                 'public',
-                src.id,
+                lineage.remixedFrom,
                 creatorName,
+                lineage.rootId,
+                lineage.depth,
                 // A remix inherits the source's orientation — the copied HTML is already built for
                 // that shape, so anything else would point a portrait row at a landscape game.
                 normalizeOrientation(src.orientation),
             ],
         );
         const draft = insertRes.rows[0];
-        console.log(`[Remix] ${userId} remixed ${src.id} -> draft ${draft.id}`);
-        res.json({ success: true, draftId: draft.id, title: draft.title, remixedFrom: creatorName });
+        console.log(`[Remix] ${userId} remixed ${src.id} -> draft ${draft.id} (depth ${lineage.depth})`);
+        announceRemix(src, userId);
+        res.json({ success: true, draftId: draft.id, title: draft.title, remixedFrom: creatorName, rootId: lineage.rootId, depth: lineage.depth });
     } catch (e) {
         console.error('[Remix] Error:', e);
         res.status(e.statusCode || 500).json({ error: e.message });
@@ -7621,9 +8380,23 @@ router.post('/reclassify-published', async (req, res) => {
 // via postMessage before the user hits Play. Wraps rAF and mutes audio.
 const GT_PAUSE_SNIPPET = `<script>(function(){var paused=false;var queue=[];var originalRAF=window.requestAnimationFrame.bind(window);window.requestAnimationFrame=function(cb){if(paused){queue.push(cb);return -1;}return originalRAF(cb);};function setAudioMuted(m){document.querySelectorAll('audio,video').forEach(function(el){el.muted=m;if(m&&!el.paused)el.pause();});}window.addEventListener('message',function(e){if(!e.data||typeof e.data!=='object')return;if(e.data.type==='gt-pause'){paused=true;setAudioMuted(true);}if(e.data.type==='gt-resume'){if(!paused)return;paused=false;setAudioMuted(false);var q=queue.slice();queue.length=0;q.forEach(function(cb){try{originalRAF(cb);}catch(_){}});}});})();</script>`;
 
+// Achievement bridge: `window.GameTok.achievements.unlock(key)` posts a `gt-achievement-unlock`
+// message to the host, which owns the player's token and calls the unlock endpoint below. The game
+// never talks to the API itself. R2-hosted builds are redirected rather than served, so the maker
+// prompt has them post the same message directly.
+function buildAchievementBridgeSnippet(aiGameId) {
+    return `<script>(function(){var GT=window.GameTok=window.GameTok||{};var gameId=${JSON.stringify(String(aiGameId))};var sent={};function post(m){try{if(window.parent&&window.parent!==window)window.parent.postMessage(m,'*');}catch(_){}try{if(window.ReactNativeWebView&&typeof window.ReactNativeWebView.postMessage==='function')window.ReactNativeWebView.postMessage(JSON.stringify(m));}catch(_){}}GT.achievements={unlock:function(key){key=String(key||'').trim().toLowerCase();if(!key||sent[key])return;sent[key]=true;post({type:'gt-achievement-unlock',gameId:gameId,key:key});}};})();</script>`;
+}
+
+// Same prefix match /play uses, so the host can address a game by whichever id it was served under.
+async function resolveAiGameId(targetId) {
+    const game = await pool.query("SELECT id FROM ai_games WHERE id::text LIKE $1 LIMIT 1", [String(targetId || '') + '%']);
+    return game.rows[0]?.id || null;
+}
+
 router.get('/play/:targetId', async (req, res) => {
     try {
-        const game = await pool.query("SELECT html_payload, game_url FROM ai_games WHERE id::text LIKE $1 LIMIT 1", [req.params.targetId + '%']);
+        const game = await pool.query("SELECT id, html_payload, game_url FROM ai_games WHERE id::text LIKE $1 LIMIT 1", [req.params.targetId + '%']);
         if (game.rows.length === 0) return res.status(404).send("AI Game Block Missing / Erased");
         
         const row = game.rows[0];
@@ -7633,14 +8406,76 @@ router.get('/play/:targetId', async (req, res) => {
 
         res.setHeader('Content-Type', 'text/html');
         let html = row.html_payload;
-        // Inject the pause snippet as early as possible so it wraps rAF before game code loads.
-        if (html.includes('<head>')) html = html.replace('<head>', '<head>' + GT_PAUSE_SNIPPET);
-        else if (html.includes('<body>')) html = html.replace('<body>', '<body>' + GT_PAUSE_SNIPPET);
-        else html = GT_PAUSE_SNIPPET + html;
+        // Inject the pause + achievement snippets as early as possible so they exist before game code loads.
+        const runtimeSnippets = GT_PAUSE_SNIPPET + buildAchievementBridgeSnippet(row.id);
+        if (html.includes('<head>')) html = html.replace('<head>', '<head>' + runtimeSnippets);
+        else if (html.includes('<body>')) html = html.replace('<body>', '<body>' + runtimeSnippets);
+        else html = runtimeSnippets + html;
         res.send(html);
     } catch(e) { res.status(500).send("Database extraction failed"); }
 });
 
+// Declared achievements for a game. With a token, each carries the caller's `unlockedAt`.
+router.get('/games/:targetId/achievements', async (req, res) => {
+    try {
+        const token = req.headers.authorization?.replace('Bearer ', '');
+        const viewerId = token ? await getUserIdFromToken(token, 'Invalid token') : null;
+        const aiGameId = await resolveAiGameId(req.params.targetId);
+        if (!aiGameId) return res.status(404).json({ error: 'Game not found' });
+        res.json({ gameId: aiGameId, achievements: await listGameAchievements(aiGameId, { viewerId }) });
+    } catch (e) { res.status(e.statusCode || 500).json({ error: e.message }); }
+});
+
+// Called by the host app when the bridge reports `gt-achievement-unlock`. Idempotent.
+router.post('/games/:targetId/achievements/:key/unlock', async (req, res) => {
+    try {
+        const token = req.headers.authorization?.replace('Bearer ', '');
+        if (!token) return res.status(401).json({ error: 'Auth failed' });
+        const userId = await getUserIdFromToken(token, 'Invalid token');
+        const aiGameId = await resolveAiGameId(req.params.targetId);
+        if (!aiGameId) return res.status(404).json({ error: 'Game not found' });
+        const result = await unlockAchievement({ userId, aiGameId, key: req.params.key });
+        if (!result) return res.status(404).json({ error: 'Achievement not found' });
+        res.json({ success: true, ...result });
+    } catch (e) { res.status(e.statusCode || 500).json({ error: e.message }); }
+});
+
+// Remix lineage (see remix-lineage.js). A draft's lineage is only visible to its owner.
+//   GET /games/:targetId/lineage           -> parent, root, depth and every ancestor, the original first
+//   GET /games/:targetId/remixes?depth=6   -> published remixes below it as a tree, with counts per node
+async function findLineageGame(req) {
+    const token = req.headers.authorization?.replace('Bearer ', '');
+    const viewerId = token ? await getUserIdFromToken(token, 'Invalid token') : null;
+    const aiGameId = await resolveAiGameId(req.params.targetId);
+    const game = aiGameId ? await getRemixLineage(aiGameId) : null;
+    if (!game || (game.is_draft && game.user_id !== viewerId)) return null;
+    return game;
+}
+
+router.get('/games/:targetId/lineage', async (req, res) => {
+    try {
+        const game = await findLineageGame(req);
+        if (!game) return res.status(404).json({ error: 'Game not found' });
+        res.json({
+            gameId: game.id,
+            parentId: game.remixed_from || null,
+            rootId: game.remix_root_id || game.id,
+            depth: game.remix_depth || 0,
+            ancestors: game.remixed_from ? await listRemixAncestors(game.id) : [],
+        });
+    } catch (e) { res.status(e.statusCode || 500).json({ error: e.message }); }
+});
+
+router.get('/games/:targetId/remixes', async (req, res) => {
+    try {
+        const game = await findLineageGame(req);
+        if (!game) return res.status(404).json({ error: 'Game not found' });
+        const result = await getRemixTree(game.id, { maxDepth: req.query.depth });
+        if (!result) return res.status(404).json({ error: 'Game not found' });
+        res.json({ gameId: game.id, rootId: game.remix_root_id || game.id, ...result });
+    } catch (e) { res.status(e.statusCode || 500).json({ error: e.message }); }
+});
+
 // Admin gallery: browse + PLAY every game the system has made (posted or draft), across all users.
 // Data already lives in ai_games (html_payload); this just renders a grid + a play modal that embeds
 // the existing /play/:id route. Query: ?q=search &filter=all|posted|draft &page=N
@@ -7790,16 +8625,22 @@ router.get('/admin/backfill-classifications', async (req, res) => {
 generationJobRunners.set('dream', (jobId, prompt, payload = {}) => (
     executeDreamJob(jobId, prompt, payload.mediaAttachments || [], payload)
 ));
+generationJobRunners.set('edit', (jobId, instructions, payload = {}) => (
+    executeEditJob(jobId, payload.draftId, instructions, payload.mediaAttachments || [])
+));
 
 // Internal exports for in-process callers (e.g., the bot engine running
 // the same Dream pipeline real users go through). Keep these as the only
 // non-default exports so the public surface stays intentional.
 export {
     executeDreamJob,
+    enqueueGenerationJob,
     upsertPublishedAIGame,
     createPendingJob,
     startGenerationQueueWorker,
     stopGenerationQueueWorker,
+    startScheduledPublishWorker,
+    stopScheduledPublishWorker,
 };
 
 export default router;
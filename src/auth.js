@@ -0,0 +1,367 @@
+/**
+ * Sessions and bearer tokens
+ *
+ * Every sign-in creates a `sessions` row — one per device — holding the hash of
+ * a refresh token. Requests carry a short-lived JWT access token
+ * (`sub` = user id, `sid` = session id) as `Authorization: Bearer`; before it
+ * expires the client trades its refresh token for a new pair at
+ * POST /api/auth/refresh. Refresh tokens rotate on every use, and presenting
+ * one that has already been rotated away revokes the session: only a copy can
+ * be replayed like that.
+ *
+ * Access tokens are checked against their session on every request, so
+ * revoking a session (logout, "sign out that device") takes effect at once.
+ *
+ * The old per-user `users.token` is still returned on sign-in, alongside the
+ * session, so app builds from before sessions keep working; it is accepted
+ * until `users.token_expires_at` (LEGACY_TOKEN_TTL_DAYS after it was issued).
+ * Set ISSUE_LEGACY_TOKENS=false once those builds are gone to stop handing out
+ * new ones. Logout and "sign out other devices" clear it.
+ */
+import crypto from 'crypto';
+import jwt from 'jsonwebtoken';
+import pool from './db.js';
+
+const ACCESS_TOKEN_TTL_SECONDS = Number(process.env.ACCESS_TOKEN_TTL_SECONDS || 15 * 60);
+const REFRESH_TOKEN_TTL_DAYS = Number(process.env.REFRESH_TOKEN_TTL_DAYS || 60);
+// Two requests refreshing with the same token at once (say, two app tabs) is a
+// race, not a theft; the loser just gets a 401 within this window.
+const REFRESH_REUSE_GRACE_MS = 10_000;
+const MAX_SESSIONS_PER_USER = Number(process.env.MAX_SESSIONS_PER_USER || 20);
+const LEGACY_TOKEN_TTL_DAYS = Number(process.env.LEGACY_TOKEN_TTL_DAYS || 30);
+const ISSUE_LEGACY_TOKENS = process.env.ISSUE_LEGACY_TOKENS !== 'false';
+
+const JWT_SECRET = process.env.AUTH_JWT_SECRET || (() => {
+  // Every replica (and every restart) would sign with a different key and sign everyone out.
+  if (process.env.NODE_ENV === 'production') {
+    throw new Error('AUTH_JWT_SECRET is required in production');
+  }
+  console.warn('[Auth] AUTH_JWT_SECRET is not set; using a per-process secret (tokens won\'t survive a restart or work across replicas)');
+  return crypto.randomBytes(32).toString('hex');
+})();
+
+export async function ensureSessionTables() {
+  await pool.query(`
+    CREATE TABLE IF NOT EXISTS sessions (
+      id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+      user_id UUID NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+      refresh_token_hash VARCHAR(64) NOT NULL,
+      previous_refresh_hash VARCHAR(64),
+      rotated_at TIMESTAMP,
+      device_name VARCHAR(100),
+      platform VARCHAR(32),
+      user_agent TEXT,
+      ip VARCHAR(64),
+      created_at TIMESTAMP NOT NULL DEFAULT NOW(),
+      last_used_at TIMESTAMP NOT NULL DEFAULT NOW(),
+      expires_at TIMESTAMP NOT NULL,
+      revoked_at TIMESTAMP,
+      revoked_reason VARCHAR(32)
+    );
+
+    CREATE INDEX IF NOT EXISTS idx_sessions_user_live ON sessions(user_id, last_used_at DESC)
+      WHERE revoked_at IS NULL;
+
+    ALTER TABLE users ADD COLUMN IF NOT EXISTS token_expires_at TIMESTAMP;
+  `);
+  // Legacy tokens already out get one grace period, counted from the first start that knows about it.
+  await pool.query(
+    `UPDATE users SET token_expires_at = NOW() + ($1::text || ' days')::interval
+     WHERE token IS NOT NULL AND token_expires_at IS NULL`,
+    [LEGACY_TOKEN_TTL_DAYS]
+  );
+}
+
+export class AuthError extends Error {
+  constructor(message, code = 'invalid_token') {
+    super(message);
+    this.statusCode = 401;
+    this.code = code;
+  }
+}
+
+const hashToken = (secret) => crypto.createHash('sha256').update(secret).digest('hex');
+
+export function bearerToken(req) {
+  return req.headers.authorization?.replace('Bearer ', '') || null;
+}
+
+/**
+ * Device details recorded on a new session, from the sign-in request
+ */
+export function describeDevice(req) {
+  return {
+    deviceName: String(req.body?.deviceName || req.headers['x-device-name'] || '').slice(0, 100) || null,
+    platform: String(req.body?.platform || req.headers['x-platform'] || '').slice(0, 32) || null,
+    userAgent: req.headers['user-agent'] || null,
+    ip: String(req.headers['x-forwarded-for'] || req.ip || '').split(',')[0].trim().slice(0, 64) || null,
+  };
+}
+
+export function signAccessToken(userId, sessionId) {
+  return jwt.sign({ sid: sessionId }, JWT_SECRET, {
+    subject: String(userId),
+    expiresIn: ACCESS_TOKEN_TTL_SECONDS,
+    algorithm: 'HS256',
+  });
+}
+
+/**
+ * Refresh tokens are `<sessionId>.<secret>`; only the secret's hash is stored.
+ */
+export function parseRefreshToken(refreshToken) {
+  const [sessionId, secret, extra] = String(refreshToken || '').split('.');
+  if (extra !== undefined || !/^[0-9a-f-]{36}$/i.test(sessionId || '') || !/^[0-9a-f]{64}$/.test(secret || '')) {
+    return null;
+  }
+  return { sessionId, secret };
+}
+
+function tokenPair(userId, sessionId, secret) {
+  return {
+    accessToken: signAccessToken(userId, sessionId),
+    refreshToken: `${sessionId}.${secret}`,
+    expiresIn: ACCESS_TOKEN_TTL_SECONDS,
+    sessionId,
+  };
+}
+
+/**
+ * Start a session for a sign-in. Beyond MAX_SESSIONS_PER_USER the least
+ * recently used ones are revoked.
+ */
+export async function createSession(userId, device = {}) {
+  const secret = crypto.randomBytes(32).toString('hex');
+  const result = await pool.query(
+    `INSERT INTO sessions (user_id, refresh_token_hash, device_name, platform, user_agent, ip, expires_at)
+     VALUES ($1, $2, $3, $4, $5, $6, NOW() + make_interval(days => $7))
+     RETURNING id`,
+    [userId, hashToken(secret), device.deviceName || null, device.platform || null,
+      device.userAgent || null, device.ip || null, REFRESH_TOKEN_TTL_DAYS]
+  );
+  await pool.query(
+    `UPDATE sessions SET revoked_at = NOW(), revoked_reason = 'limit'
+     WHERE id IN (
+       SELECT id FROM sessions
+       WHERE user_id = $1 AND revoked_at IS NULL
+       ORDER BY last_used_at DESC
+       OFFSET $2
+     )`,
+    [userId, MAX_SESSIONS_PER_USER]
+  );
+  return tokenPair(userId, result.rows[0].id, secret);
+}
+
+/**
+ * The user's legacy token for old app builds: the current one while it is
+ * still valid, else a new one good for LEGACY_TOKEN_TTL_DAYS. Null once
+ * ISSUE_LEGACY_TOKENS is off.
+ */
+export async function issueLegacyToken(userId) {
+  if (!ISSUE_LEGACY_TOKENS) return null;
+  const fresh = crypto.randomBytes(32).toString('hex');
+  const result = await pool.query(
+    `UPDATE users SET
+       token = CASE WHEN token IS NOT NULL AND token_expires_at > NOW() THEN token ELSE $2 END,
+       token_expires_at = CASE WHEN token IS NOT NULL AND token_expires_at > NOW()
+         THEN token_expires_at ELSE NOW() + ($3::text || ' days')::interval END
+     WHERE id = $1
+     RETURNING token`,
+    [userId, fresh, LEGACY_TOKEN_TTL_DAYS]
+  );
+  return result.rows[0]?.token || null;
+}
+
+/**
+ * Trade a refresh token for a new access/refresh pair. Throws AuthError.
+ */
+export async function refreshSession(refreshToken) {
+  const parsed = parseRefreshToken(refreshToken);
+  if (!parsed) throw new AuthError('Invalid refresh token');
+
+  const client = await pool.connect();
+  try {
+    await client.query('BEGIN');
+    const result = await client.query(
+      `SELECT user_id, refresh_token_hash, previous_refresh_hash, rotated_at, expires_at, revoked_at
+       FROM sessions WHERE id = $1 FOR UPDATE`,
+      [parsed.sessionId]
+    );
+    const session = result.rows[0];
+    const presented = hashToken(parsed.secret);
+    if (!session || session.revoked_at || session.expires_at < new Date()) {
+      await client.query('ROLLBACK');
+      throw new AuthError('Session has ended', 'session_revoked');
+    }
+
+    if (presented !== session.refresh_token_hash) {
+      const replayed = presented === session.previous_refresh_hash;
+      const raced = replayed && Date.now() - new Date(session.rotated_at).getTime() < REFRESH_REUSE_GRACE_MS;
+      if (replayed && !raced) {
+        await client.query(
+          `UPDATE sessions SET revoked_at = NOW(), revoked_reason = 'refresh_reuse' WHERE id = $1`,
+          [parsed.sessionId]
+        );
+        await client.query('COMMIT');
+        console.warn(`[Auth] Refresh token reuse on session ${parsed.sessionId}; session revoked`);
+        throw new AuthError('Session has ended', 'session_revoked');
+      }
+      await client.query('ROLLBACK');
+      throw new AuthError('Invalid refresh token');
+    }
+
+    const secret = crypto.randomBytes(32).toString('hex');
+    await client.query(
+      `UPDATE sessions
+       SET refresh_token_hash = $2,
+           previous_refresh_hash = refresh_token_hash,
+           rotated_at = NOW(),
+           last_used_at = NOW(),
+           expires_at = NOW() + make_interval(days => $3)
+       WHERE id = $1`,
+      [parsed.sessionId, hashToken(secret), REFRESH_TOKEN_TTL_DAYS]
+    );
+    await client.query('COMMIT');
+    return tokenPair(session.user_id, parsed.sessionId, secret);
+  } catch (error) {
+    if (!(error instanceof AuthError)) await client.query('ROLLBACK').catch(() => {});
+    throw error;
+  } finally {
+    client.release();
+  }
+}
+
+/**
+ * Who a bearer token belongs to: `{ userId, sessionId }` (sessionId is null for
+ * a legacy token). Throws AuthError when the token is bad, expired or revoked.
+ */
+export async function resolveAccessToken(token) {
+  if (!token) throw new AuthError('Not authenticated', 'unauthenticated');
+
+  if (!token.includes('.')) {
+    const legacy = await pool.query(
+      'SELECT id FROM users WHERE token = $1 AND token_expires_at > NOW()',
+      [token]
+    );
+    if (legacy.rows.length === 0) throw new AuthError('Invalid token');
+    return { userId: legacy.rows[0].id, sessionId: null };
+  }
+
+  let claims;
+  try {
+    claims = jwt.verify(token, JWT_SECRET, { algorithms: ['HS256'] });
+  } catch (error) {
+    if (error.name === 'TokenExpiredError') throw new AuthError('Access token expired', 'token_expired');
+    throw new AuthError('Invalid token');
+  }
+  const session = await pool.query(
+    'SELECT user_id FROM sessions WHERE id = $1 AND revoked_at IS NULL AND expires_at > NOW()',
+    [claims.sid]
+  );
+  if (session.rows[0]?.user_id !== claims.sub) throw new AuthError('Session has ended', 'session_revoked');
+  return { userId: claims.sub, sessionId: claims.sid };
+}
+
+function sendAuthError(res, error) {
+  if (error instanceof AuthError) {
+    return res.status(401).json({ error: error.message, code: error.code });
+  }
+  console.error('Auth middleware error:', error);
+  res.status(500).json({ error: 'Authentication failed' });
+}
+
+/**
+ * Rejects unauthenticated requests; sets req.userId and req.sessionId.
+ */
+export async function requireAuth(req, res, next) {
+  try {
+    const { userId, sessionId } = await resolveAccessToken(bearerToken(req));
+    req.userId = userId;
+    req.sessionId = sessionId;
+    next();
+  } catch (error) {
+    sendAuthError(res, error);
+  }
+}
+
+/**
+ * For endpoints that personalise when signed in: req.userId is null for
+ * anonymous callers and for bad tokens alike.
+ */
+export async function optionalAuth(req, res, next) {
+  req.userId = null;
+  req.sessionId = null;
+  const token = bearerToken(req);
+  if (!token) return next();
+  try {
+    const { userId, sessionId } = await resolveAccessToken(token);
+    req.userId = userId;
+    req.sessionId = sessionId;
+  } catch (error) {
+    if (!(error instanceof AuthError)) console.error('Optional auth error:', error);
+  }
+  next();
+}
+
+export async function listSessions(userId, currentSessionId = null) {
+  const result = await pool.query(
+    `SELECT id, device_name, platform, user_agent, ip, created_at, last_used_at
+     FROM sessions
+     WHERE user_id = $1 AND revoked_at IS NULL AND expires_at > NOW()
+     ORDER BY last_used_at DESC`,
+    [userId]
+  );
+  return result.rows.map((row) => ({
+    id: row.id,
+    deviceName: row.device_name,
+    platform: row.platform,
+    userAgent: row.user_agent,
+    ip: row.ip,
+    createdAt: row.created_at,
+    lastUsedAt: row.last_used_at,
+    current: row.id === currentSessionId,
+  }));
+}
+
+/**
+ * Revoke one of the user's sessions. Returns false if it isn't theirs or is
+ * already gone.
+ */
+export async function revokeSession(userId, sessionId, reason = 'revoked') {
+  const result = await pool.query(
+    `UPDATE sessions SET revoked_at = NOW(), revoked_reason = $3
+     WHERE id = $1 AND user_id = $2 AND revoked_at IS NULL`,
+    [sessionId, userId, reason]
+  );
+  return result.rowCount > 0;
+}
+
+/**
+ * Sign-out with only the refresh token in hand (the access token may already
+ * have expired). Returns false if the token doesn't match a live session.
+ */
+export async function endSession(refreshToken) {
+  const parsed = parseRefreshToken(refreshToken);
+  if (!parsed) return false;
+  const result = await pool.query(
+    `UPDATE sessions SET revoked_at = NOW(), revoked_reason = 'logout'
+     WHERE id = $1 AND refresh_token_hash = $2 AND revoked_at IS NULL`,
+    [parsed.sessionId, hashToken(parsed.secret)]
+  );
+  return result.rowCount > 0;
+}
+
+/**
+ * Revoke every session except `keepSessionId`, and the legacy token with them
+ * (old builds share it, so it can't be kept for just one). Returns how many
+ * sessions were revoked.
+ */
+export async function revokeOtherSessions(userId, keepSessionId = null) {
+  const result = await pool.query(
+    `UPDATE sessions SET revoked_at = NOW(), revoked_reason = 'revoked'
+     WHERE user_id = $1 AND revoked_at IS NULL AND ($2::uuid IS NULL OR id <> $2)`,
+    [userId, keepSessionId]
+  );
+  await pool.query('UPDATE users SET token = NULL, token_expires_at = NULL WHERE id = $1', [userId]);
+  return result.rowCount;
+}
@@ -1,10 +1,11 @@
 import { randomUUID } from 'crypto';
 import express from 'express';
 import pool from './db.js';
+import { recordLeaderboardScore } from './leaderboards.js';
+import { listedGameSql } from './game-visibility.js';
 import {
-  executeDreamJob,
+  enqueueGenerationJob,
   upsertPublishedAIGame,
-  createPendingJob,
 } from './ai-engine/routes.js';
 
 const BOT_EMAIL_DOMAIN = 'bots.gametok.local';
@@ -617,9 +618,9 @@ async function getRandomBots(limit) {
 
 async function getRandomGames(limit) {
   const result = await pool.query(
-    `SELECT id, name, category, primary_tab
-     FROM games
-     WHERE multiplayer_only = FALSE OR multiplayer_only IS NULL
+    `SELECT g.id, g.name, g.category, g.primary_tab
+     FROM games g
+     WHERE (g.multiplayer_only = FALSE OR g.multiplayer_only IS NULL) AND ${listedGameSql('g')}
      ORDER BY RANDOM()
      LIMIT $1`,
     [limit]
@@ -689,6 +690,7 @@ async function botScoreGame(bot, game) {
     'UPDATE users SET games_played = COALESCE(games_played, 0) + 1, total_score = COALESCE(total_score, 0) + $2 WHERE id = $1',
     [bot.id, score]
   );
+  await recordLeaderboardScore({ userId: bot.id, gameId: game.id, score });
   await pool.query('UPDATE bot_profiles SET last_active_at = NOW() WHERE user_id = $1', [bot.id]);
   return 1;
 }
@@ -824,13 +826,20 @@ export async function botDreamGame(bot) {
   const { prompt } = makePersonaPrompt(bot);
   const jobId = randomUUID();
 
-  await createPendingJob(bot.id, prompt, 'OpenGame Pending...', jobId);
-
-  // Run the real pipeline. executeDreamJob handles its own errors by writing
-  // ERROR: ... into the title, so we still need to surface that.
-  await executeDreamJob(jobId, prompt, []);
+  // Through the queue in the background lane, so bot builds only use workers
+  // no user is waiting for. Failures land as ERROR: ... in the draft title,
+  // which waitForDreamReady surfaces.
+  await enqueueGenerationJob({
+    jobId,
+    userId: bot.id,
+    prompt,
+    title: 'OpenGame Pending...',
+    lane: 'background',
+    allowDuplicate: true,
+  });
 
-  const draft = await waitForDreamReady(jobId, { timeoutMs: 6 * 60_000 });
+  // Generous: the job may wait behind user builds before it starts.
+  const draft = await waitForDreamReady(jobId, { timeoutMs: 30 * 60_000 });
 
   // Publish as the bot. Mirrors what /api/ai/publish/:draftId does for users.
   await pool.query(
@@ -6,75 +6,56 @@
  * - Real-time message delivery
  * - Read receipts
  * - Online presence for DMs
+ *
+ * Namespace `/chat` on the shared server (socket-server.js), which handles
+ * authentication, rate limiting and the `socket:error` contract.
+ *
+ * Conversation broadcasts and the online list go through pubsub.js, so they
+ * work across replicas. Typing timeouts stay local: they belong to the socket
+ * that started typing.
  */
 
-import { Server } from 'socket.io';
 import pool from './db.js';
+import { createNamespace, emitSocketError } from './socket-server.js';
+import { getPubSub, createRoomBroadcaster, createSharedRegistry } from './pubsub.js';
 
-let io;
+let nsp;
+let rooms = null;
 
-// In-memory state
-const onlineUsers = new Map(); // userId -> { socketId, username }
-const typingUsers = new Map(); // `${conversationId}_${userId}` -> timeout
+// Cluster-wide: userId -> { socketId, username }
+let onlineUsers = null;
+// Local: `${conversationId}_${userId}` -> timeout
+const typingUsers = new Map();
 
-export function initializeChatSocket(server) {
-  io = new Server(server, {
-    cors: {
-      origin: '*',
-      methods: ['GET', 'POST']
-    },
-    path: '/chat',
-  });
+export function initializeChatSocket(io) {
+  nsp = createNamespace(io, '/chat', { rateLimit: { capacity: 30, refillPerSecond: 3 } });
+
+  const bus = getPubSub();
+  rooms = createRoomBroadcaster(bus, nsp, 'chat');
+  onlineUsers = createSharedRegistry(bus, 'chat_online');
 
-  io.on('connection', (socket) => {
-    console.log('[Chat] Socket connected:', socket.id);
-    let userId = null;
+  nsp.on('connection', (socket) => {
+    const userId = socket.userId;
 
     // ============================================
-    // AUTHENTICATION
+    // PRESENCE (the namespace middleware has already authenticated)
     // ============================================
-    socket.on('chat:auth', async ({ token }) => {
-      try {
-        const result = await pool.query(
-          'SELECT id, username FROM users WHERE token = $1',
-          [token]
-        );
-
-        if (result.rows.length === 0) {
-          socket.emit('chat:error', { message: 'Invalid token' });
-          return;
-        }
-
-        const user = result.rows[0];
-        userId = user.id;
-
-        // Track user as online
-        onlineUsers.set(userId, {
-          socketId: socket.id,
-          username: user.username,
-        });
-
-        socket.userId = userId;
-        socket.emit('chat:authenticated', { userId });
-
-        console.log(`[Chat] User authenticated: ${user.username} (${userId})`);
-      } catch (err) {
-        console.error('[Chat] Auth error:', err);
-        socket.emit('chat:error', { message: 'Authentication failed' });
-      }
+    onlineUsers.set(userId, {
+      socketId: socket.id,
+      username: socket.user.username,
     });
+    socket.emit('chat:authenticated', { userId });
+    console.log(`[Chat] User connected: ${socket.user.username} (${userId})`);
 
     // ============================================
     // JOIN CONVERSATION (for receiving messages)
     // ============================================
     socket.on('chat:join', ({ conversationId }) => {
-      if (!userId) return;
       socket.join(`conv_${conversationId}`);
       console.log(`[Chat] User ${userId} joined conversation ${conversationId}`);
     });
 
     socket.on('chat:leave', ({ conversationId }) => {
-      if (!userId) return;
       socket.leave(`conv_${conversationId}`);
       
       // Clear typing indicator when leaving
@@ -82,10 +63,10 @@ export function initializeChatSocket(server) {
       if (typingUsers.has(typingKey)) {
         clearTimeout(typingUsers.get(typingKey));
         typingUsers.delete(typingKey);
-        socket.to(`conv_${conversationId}`).emit('chat:typing_stop', {
+        rooms.to(`conv_${conversationId}`, 'chat:typing_stop', {
           conversationId,
           userId,
-        });
+        }, { except: socket.id });
       }
     });
 
@@ -93,8 +74,6 @@ export function initializeChatSocket(server) {
     // TYPING INDICATORS
     // ============================================
     socket.on('chat:typing', ({ conversationId }) => {
-      if (!userId) return;
-
       const typingKey = `${conversationId}_${userId}`;
       
       // Clear existing timeout
@@ -103,44 +82,40 @@ export function initializeChatSocket(server) {
       }
 
       // Broadcast typing to others in conversation
-      socket.to(`conv_${conversationId}`).emit('chat:typing', {
+      rooms.to(`conv_${conversationId}`, 'chat:typing', {
         conversationId,
         userId,
-      });
+      }, { except: socket.id });
 
       // Auto-stop typing after 3 seconds of no activity
       const timeout = setTimeout(() => {
         typingUsers.delete(typingKey);
-        socket.to(`conv_${conversationId}`).emit('chat:typing_stop', {
+        rooms.to(`conv_${conversationId}`, 'chat:typing_stop', {
           conversationId,
           userId,
-        });
+        }, { except: socket.id });
       }, 3000);
 
       typingUsers.set(typingKey, timeout);
     });
 
     socket.on('chat:typing_stop', ({ conversationId }) => {
-      if (!userId) return;
-
       const typingKey = `${conversationId}_${userId}`;
       if (typingUsers.has(typingKey)) {
         clearTimeout(typingUsers.get(typingKey));
         typingUsers.delete(typingKey);
       }
 
-      socket.to(`conv_${conversationId}`).emit('chat:typing_stop', {
+      rooms.to(`conv_${conversationId}`, 'chat:typing_stop', {
         conversationId,
         userId,
-      });
+      }, { except: socket.id });
     });
 
     // ============================================
     // REAL-TIME MESSAGE DELIVERY
     // ============================================
     socket.on('chat:message', async ({ conversationId, text, gameShare }) => {
-      if (!userId) return;
-
       try {
         // Get user info
         const userResult = await pool.query(
@@ -189,7 +164,7 @@ export function initializeChatSocket(server) {
         }
 
         // Broadcast message to all in conversation (including sender for confirmation)
-        io.to(`conv_${conversationId}`).emit('chat:new_message', {
+        rooms.to(`conv_${conversationId}`, 'chat:new_message', {
           conversationId,
           message: {
             id: message.id,
@@ -202,14 +177,14 @@ export function initializeChatSocket(server) {
         });
 
         // Also emit typing_stop
-        socket.to(`conv_${conversationId}`).emit('chat:typing_stop', {
+        rooms.to(`conv_${conversationId}`, 'chat:typing_stop', {
           conversationId,
           userId,
-        });
+        }, { except: socket.id });
 
       } catch (err) {
         console.error('[Chat] Message error:', err);
-        socket.emit('chat:error', { message: 'Failed to send message' });
+        emitSocketError(socket, { event: 'chat:message', code: 'server_error', message: 'Failed to send message', conversationId });
       }
     });
 
@@ -217,7 +192,7 @@ export function initializeChatSocket(server) {
     // READ RECEIPTS
     // ============================================
     socket.on('chat:read', async ({ conversationId, messageIds }) => {
-      if (!userId || !messageIds?.length) return;
+      if (!messageIds?.length) return;
 
       try {
         // Mark messages as read in database
@@ -228,11 +203,11 @@ export function initializeChatSocket(server) {
         );
 
         // Broadcast read receipt to conversation
-        socket.to(`conv_${conversationId}`).emit('chat:messages_read', {
+        rooms.to(`conv_${conversationId}`, 'chat:messages_read', {
           conversationId,
           messageIds,
           readBy: userId,
-        });
+        }, { except: socket.id });
 
       } catch (err) {
         console.error('[Chat] Read receipt error:', err);
@@ -243,8 +218,6 @@ export function initializeChatSocket(server) {
     // CHECK IF USER IS ONLINE
     // ============================================
     socket.on('chat:check_online', ({ userIds }) => {
-      if (!userId) return;
-
       const onlineStatus = {};
       for (const uid of userIds) {
         onlineStatus[uid] = onlineUsers.has(uid);
@@ -257,35 +230,36 @@ export function initializeChatSocket(server) {
     // DISCONNECT
     // ============================================
     socket.on('disconnect', () => {
-      if (userId) {
-        // Clear all typing indicators for this user
-        for (const [key, timeout] of typingUsers) {
-          if (key.endsWith(`_${userId}`)) {
-            clearTimeout(timeout);
-            typingUsers.delete(key);
-            const conversationId = key.split('_')[0];
-            io.to(`conv_${conversationId}`).emit('chat:typing_stop', {
-              conversationId,
-              userId,
-            });
-          }
+      // Clear all typing indicators for this user
+      for (const [key, timeout] of typingUsers) {
+        if (key.endsWith(`_${userId}`)) {
+          clearTimeout(timeout);
+          typingUsers.delete(key);
+          const conversationId = key.split('_')[0];
+          rooms.to(`conv_${conversationId}`, 'chat:typing_stop', {
+            conversationId,
+            userId,
+          });
         }
+      }
 
+      // Another tab on this replica may have taken over the entry.
+      if (onlineUsers.getLocal(userId)?.socketId === socket.id) {
         onlineUsers.delete(userId);
-        console.log(`[Chat] User disconnected: ${userId}`);
       }
+      console.log(`[Chat] User disconnected: ${userId}`);
     });
   });
 
   console.log('💬 Chat Socket initialized');
-  return io;
+  return nsp;
 }
 
 // Export for checking online status from REST endpoints
 export function isUserOnline(userId) {
-  return onlineUsers.has(userId);
+  return onlineUsers?.has(userId) ?? false;
 }
 
 export function getOnlineUsers() {
-  return Array.from(onlineUsers.keys());
+  return onlineUsers?.keys() ?? [];
 }
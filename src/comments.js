@@ -0,0 +1,377 @@
+/**
+ * Game comment threads.
+ *
+ * Comments are one level deep: a reply hangs off a top-level comment
+ * (`parent_id`), and replying to a reply joins the same thread. Top-level
+ * comments page by keyset cursor, newest or most-liked first; replies page
+ * oldest first. The game's creator can pin one top-level comment, which is
+ * served apart from the pages.
+ *
+ * Moderation never deletes: a report on a comment marks it `flagged` (still
+ * shown) and puts it in the /api/admin/reports queue; a moderator can then
+ * `hide` it, after which only its author still sees it. Dismissing the last
+ * open report on a flagged comment puts it back to `visible`.
+ */
+
+import pool from './db.js';
+
+export const COMMENT_SORTS = ['new', 'top'];
+export const COMMENT_STATES = ['visible', 'flagged', 'hidden'];
+const MAX_MENTIONS_PER_COMMENT = 10;
+
+export async function ensureCommentTables() {
+    await pool.query(`
+        ALTER TABLE comments ADD COLUMN IF NOT EXISTS parent_id UUID REFERENCES comments(id) ON DELETE CASCADE;
+        ALTER TABLE comments ADD COLUMN IF NOT EXISTS reply_count INTEGER NOT NULL DEFAULT 0;
+        ALTER TABLE comments ADD COLUMN IF NOT EXISTS pinned_at TIMESTAMP;
+        ALTER TABLE comments ADD COLUMN IF NOT EXISTS moderation_state VARCHAR(16) NOT NULL DEFAULT 'visible';
+        ALTER TABLE comments ADD COLUMN IF NOT EXISTS moderated_at TIMESTAMP;
+
+        CREATE INDEX IF NOT EXISTS idx_comments_game_new
+            ON comments(game_id, created_at DESC, id DESC) WHERE parent_id IS NULL;
+        CREATE INDEX IF NOT EXISTS idx_comments_game_top
+            ON comments(game_id, likes DESC, created_at DESC, id DESC) WHERE parent_id IS NULL;
+        CREATE INDEX IF NOT EXISTS idx_comments_replies
+            ON comments(parent_id, created_at, id) WHERE parent_id IS NOT NULL;
+        CREATE UNIQUE INDEX IF NOT EXISTS idx_comments_one_pin_per_game
+            ON comments(game_id) WHERE pinned_at IS NOT NULL;
+    `);
+}
+
+export class CommentError extends Error {
+    constructor(message, statusCode) {
+        super(message);
+        this.statusCode = statusCode;
+    }
+}
+
+export function normalizeCommentSort(value) {
+    const sort = String(value || 'new').toLowerCase();
+    return COMMENT_SORTS.includes(sort) ? sort : null;
+}
+
+/** Distinct `@username`s in a comment, lower-cased, in order of appearance. */
+export function extractMentions(text) {
+    const seen = new Set();
+    for (const match of String(text || '').matchAll(/(^|[^\w@])@([A-Za-z0-9_]{3,20})\b/g)) {
+        seen.add(match[2].toLowerCase());
+        if (seen.size >= MAX_MENTIONS_PER_COMMENT) break;
+    }
+    return [...seen];
+}
+
+/** Opaque keyset cursor over the sort key of the last comment on a page. */
+export function encodeCommentCursor(sort, row) {
+    return Buffer.from(JSON.stringify({
+        s: sort,
+        l: sort === 'top' ? Number(row.likes) || 0 : undefined,
+        c: new Date(row.createdAt).toISOString(),
+        i: row.id,
+    })).toString('base64url');
+}
+
+export function decodeCommentCursor(sort, cursor) {
+    if (!cursor) return null;
+    try {
+        const parsed = JSON.parse(Buffer.from(String(cursor), 'base64url').toString('utf8'));
+        if (parsed?.s !== sort || !parsed.c || !parsed.i) return null;
+        if (sort === 'top' && !Number.isFinite(parsed.l)) return null;
+        if (Number.isNaN(new Date(parsed.c).getTime())) return null;
+        return { likes: parsed.l, createdAt: new Date(parsed.c), id: String(parsed.i) };
+    } catch {
+        return null;
+    }
+}
+
+export function formatComment(row, viewerId = null) {
+    const comment = {
+        id: row.id,
+        parentId: row.parent_id || null,
+        text: row.text,
+        gifUrl: row.gif_url,
+        userId: row.user_id,
+        username: row.username,
+        displayName: row.display_name,
+        avatar: row.avatar,
+        likes: row.likes,
+        liked: Boolean(row.liked),
+        replyCount: row.reply_count || 0,
+        pinned: Boolean(row.pinned_at),
+        createdAt: row.created_at,
+    };
+    // Only the author learns their comment was hidden.
+    if (row.moderation_state === 'hidden' && viewerId && row.user_id === viewerId) {
+        comment.hidden = true;
+    }
+    return comment;
+}
+
+/**
+ * Comment columns plus `liked` for the viewer, with blocked authors and hidden
+ * comments (other than the viewer's own) filtered out. `params[0]` is reserved
+ * for the viewer id.
+ */
+function viewerScopedSelect(viewerId) {
+    const viewer = viewerId ? '$1::uuid' : 'NULL::uuid';
+    return {
+        select: `SELECT c.*, u.username, u.display_name, u.avatar,
+                   ${viewerId ? `EXISTS(SELECT 1 FROM comment_likes cl WHERE cl.comment_id = c.id AND cl.user_id = ${viewer})` : 'false'} AS liked
+                 FROM comments c
+                 JOIN users u ON c.user_id = u.id`,
+        filter: `(c.moderation_state <> 'hidden' OR c.user_id = ${viewer})
+                 ${viewerId ? `AND c.user_id NOT IN (SELECT blocked_id FROM blocked_users WHERE blocker_id = ${viewer})` : ''}`,
+        params: viewerId ? [viewerId] : [],
+    };
+}
+
+/**
+ * One page of a game's top-level comments. The pinned comment comes back as
+ * `pinned` on the first page and is left out of the pages themselves.
+ */
+export async function listGameComments({ gameId, viewerId = null, sort = 'new', cursor = null, limit = 20 }) {
+    const after = decodeCommentCursor(sort, cursor);
+    if (cursor && !after) throw new CommentError('Invalid cursor', 400);
+    const pageSize = Math.max(1, Math.min(Number(limit) || 20, 50));
+    const { select, filter, params } = viewerScopedSelect(viewerId);
+    params.push(gameId);
+    const game = `$${params.length}`;
+
+    let keyset = '';
+    if (after && sort === 'top') {
+        params.push(after.likes, after.createdAt, after.id);
+        const [l, c, i] = [params.length - 2, params.length - 1, params.length];
+        keyset = `AND (c.likes < $${l}
+                   OR (c.likes = $${l} AND c.created_at < $${c}::timestamp)
+                   OR (c.likes = $${l} AND c.created_at = $${c}::timestamp AND c.id < $${i}::uuid))`;
+    } else if (after) {
+        params.push(after.createdAt, after.id);
+        const [c, i] = [params.length - 1, params.length];
+        keyset = `AND (c.created_at < $${c}::timestamp OR (c.created_at = $${c}::timestamp AND c.id < $${i}::uuid))`;
+    }
+    const order = sort === 'top'
+        ? 'c.likes DESC, c.created_at DESC, c.id DESC'
+        : 'c.created_at DESC, c.id DESC';
+    params.push(pageSize + 1);
+
+    const [page, pinned, total] = await Promise.all([
+        pool.query(
+            `${select}
+             WHERE c.game_id = ${game} AND c.parent_id IS NULL AND c.pinned_at IS NULL AND ${filter}
+             ${keyset}
+             ORDER BY ${order}
+             LIMIT $${params.length}`,
+            params
+        ),
+        after ? null : pool.query(
+            `${select}
+             WHERE c.game_id = ${game} AND c.parent_id IS NULL AND c.pinned_at IS NOT NULL AND ${filter}`,
+            params.slice(0, viewerId ? 2 : 1)
+        ),
+        pool.query(
+            `SELECT COUNT(*)::int AS count FROM comments WHERE game_id = $1 AND moderation_state <> 'hidden'`,
+            [gameId]
+        ),
+    ]);
+
+    const comments = page.rows.slice(0, pageSize).map((row) => formatComment(row, viewerId));
+    const last = comments[comments.length - 1];
+    return {
+        comments,
+        pinned: pinned?.rows[0] ? formatComment(pinned.rows[0], viewerId) : null,
+        nextCursor: page.rows.length > pageSize && last ? encodeCommentCursor(sort, last) : null,
+        total: total.rows[0].count,
+    };
+}
+
+/** Replies to one comment, oldest first. */
+export async function listCommentReplies({ commentId, viewerId = null, cursor = null, limit = 20 }) {
+    const after = decodeCommentCursor('new', cursor);
+    if (cursor && !after) throw new CommentError('Invalid cursor', 400);
+    const pageSize = Math.max(1, Math.min(Number(limit) || 20, 50));
+    const { select, filter, params } = viewerScopedSelect(viewerId);
+    params.push(commentId);
+    const parent = `$${params.length}`;
+
+    let keyset = '';
+    if (after) {
+        params.push(after.createdAt, after.id);
+        const [c, i] = [params.length - 1, params.length];
+        keyset = `AND (c.created_at > $${c}::timestamp OR (c.created_at = $${c}::timestamp AND c.id > $${i}::uuid))`;
+    }
+    params.push(pageSize + 1);
+
+    const result = await pool.query(
+        `${select}
+         WHERE c.parent_id = ${parent} AND ${filter}
+         ${keyset}
+         ORDER BY c.created_at ASC, c.id ASC
+         LIMIT $${params.length}`,
+        params
+    );
+    const replies = result.rows.slice(0, pageSize).map((row) => formatComment(row, viewerId));
+    const last = replies[replies.length - 1];
+    return {
+        replies,
+        nextCursor: result.rows.length > pageSize && last ? encodeCommentCursor('new', last) : null,
+    };
+}
+
+/**
+ * Insert a comment, or a reply when `parentId` is given. Replying to a reply
+ * lands in the same thread. Returns the new row and, for replies, the thread's
+ * root comment.
+ */
+export async function createComment({ gameId, userId, text, gifUrl, parentId = null }) {
+    const client = await pool.connect();
+    try {
+        await client.query('BEGIN');
+        let parent = null;
+        if (parentId) {
+            const result = await client.query(
+                `SELECT root.id, root.user_id, root.game_id
+                 FROM comments c
+                 JOIN comments root ON root.id = COALESCE(c.parent_id, c.id)
+                 WHERE c.id = $1 AND c.moderation_state <> 'hidden'
+                 FOR UPDATE OF root`,
+                [parentId]
+            );
+            parent = result.rows[0];
+            if (!parent || parent.game_id !== gameId) throw new CommentError('Comment not found', 404);
+        }
+
+        const inserted = await client.query(
+            `INSERT INTO comments (game_id, user_id, text, gif_url, parent_id)
+             VALUES ($1, $2, $3, $4, $5) RETURNING *`,
+            [gameId, userId, text, gifUrl, parent?.id || null]
+        );
+        if (parent) {
+            await client.query('UPDATE comments SET reply_count = reply_count + 1 WHERE id = $1', [parent.id]);
+        }
+        await client.query('COMMIT');
+        return { comment: inserted.rows[0], parent };
+    } catch (error) {
+        await client.query('ROLLBACK').catch(() => {});
+        throw error;
+    } finally {
+        client.release();
+    }
+}
+
+/** Delete the author's own comment (and its replies). Returns false if it wasn't theirs. */
+export async function deleteComment(commentId, userId) {
+    const result = await pool.query(
+        'DELETE FROM comments WHERE id = $1 AND user_id = $2 RETURNING parent_id',
+        [commentId, userId]
+    );
+    if (result.rows.length === 0) return false;
+    const parentId = result.rows[0].parent_id;
+    if (parentId) {
+        await pool.query('UPDATE comments SET reply_count = GREATEST(reply_count - 1, 0) WHERE id = $1', [parentId]);
+    }
+    return true;
+}
+
+/** Users named in a comment who should hear about it: not the author, not anyone who blocked them. */
+export async function resolveMentionedUsers(text, authorId) {
+    const usernames = extractMentions(text);
+    if (usernames.length === 0) return [];
+    const result = await pool.query(
+        `SELECT id, username FROM users
+         WHERE LOWER(username) = ANY($1::text[])
+           AND id <> $2
+           AND id NOT IN (SELECT blocker_id FROM blocked_users WHERE blocked_id = $2)`,
+        [usernames, authorId]
+    );
+    return result.rows;
+}
+
+async function getGameCreatorId(gameId) {
+    const result = await pool.query(
+        `SELECT COALESCE(NULLIF(g.developer, ''), ag.user_id::text) AS creator_id
+         FROM games g
+         LEFT JOIN ai_games ag ON g.embed_url = ('/api/ai/play/' || ag.id::text)
+         WHERE g.id = $1`,
+        [gameId]
+    );
+    return result.rows[0]?.creator_id || null;
+}
+
+/**
+ * Pin (or with `pinned = false`, unpin) a top-level comment. Only the game's
+ * creator may; pinning replaces any earlier pin on the game.
+ */
+export async function setCommentPinned(commentId, userId, pinned) {
+    const found = await pool.query(
+        `SELECT game_id, parent_id, moderation_state FROM comments WHERE id = $1`,
+        [commentId]
+    );
+    const comment = found.rows[0];
+    if (!comment) throw new CommentError('Comment not found', 404);
+    if ((await getGameCreatorId(comment.game_id)) !== userId) {
+        throw new CommentError('Only the game creator can pin comments', 403);
+    }
+    if (!pinned) {
+        await pool.query('UPDATE comments SET pinned_at = NULL WHERE id = $1', [commentId]);
+        return;
+    }
+    if (comment.parent_id) throw new CommentError('Replies cannot be pinned', 400);
+    if (comment.moderation_state === 'hidden') throw new CommentError('Hidden comments cannot be pinned', 400);
+
+    const client = await pool.connect();
+    try {
+        await client.query('BEGIN');
+        await client.query(
+            'UPDATE comments SET pinned_at = NULL WHERE game_id = $1 AND pinned_at IS NOT NULL',
+            [comment.game_id]
+        );
+        await client.query('UPDATE comments SET pinned_at = NOW() WHERE id = $1', [commentId]);
+        await client.query('COMMIT');
+    } catch (error) {
+        await client.query('ROLLBACK').catch(() => {});
+        throw error;
+    } finally {
+        client.release();
+    }
+}
+
+/** The author of a comment, for attaching a report to the right user. */
+export async function getCommentAuthorId(commentId) {
+    const result = await pool.query('SELECT user_id FROM comments WHERE id = $1', [commentId]);
+    return result.rows[0]?.user_id || null;
+}
+
+/** A fresh report: queue the comment for review without taking it down. */
+export async function flagComment(commentId) {
+    await pool.query(
+        `UPDATE comments SET moderation_state = 'flagged'
+         WHERE id = $1 AND moderation_state = 'visible'`,
+        [commentId]
+    );
+}
+
+/** Moderator decision. Unpins a comment when hiding it. Returns false if there is no such comment. */
+export async function setCommentModerationState(commentId, state) {
+    if (!COMMENT_STATES.includes(state)) throw new CommentError('Invalid moderation state', 400);
+    const result = await pool.query(
+        `UPDATE comments
+         SET moderation_state = $2,
+             moderated_at = NOW(),
+             pinned_at = CASE WHEN $2 = 'hidden' THEN NULL ELSE pinned_at END
+         WHERE id = $1`,
+        [commentId, state]
+    );
+    return result.rowCount > 0;
+}
+
+/** After a dismissal: a flagged comment with no open reports left goes back to visible. */
+export async function clearCommentFlagIfResolved(commentId) {
+    await pool.query(
+        `UPDATE comments SET moderation_state = 'visible', moderated_at = NOW()
+         WHERE id = $1 AND moderation_state = 'flagged'
+           AND NOT EXISTS (
+             SELECT 1 FROM reports
+             WHERE content_type = 'comment' AND content_id = $1 AND status = 'pending'
+           )`,
+        [commentId]
+    );
+}
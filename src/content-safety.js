@@ -0,0 +1,374 @@
+/**
+ * Content safety screening.
+ *
+ * Text a creator hands us — dream prompts, edit instructions, the title and
+ * description a game is published under, the prompt a cover is drawn from —
+ * is screened before it is used. Two checks run on each field:
+ *
+ *   1. The blocklist: terms an operator has banned outright.
+ *   2. A classifier that tags the text with SAFETY_CATEGORIES. The policy maps
+ *      each category to `block` (refused), `review` (let through, queued for a
+ *      moderator) or `allow`.
+ *
+ * Classifiers are pluggable (registerContentClassifier); `heuristic` is local
+ * keyword rules and `kimi` asks the model, falling back to the heuristic when
+ * it is unavailable. The policy comes from CONTENT_POLICY (JSON, merged over
+ * DEFAULT_CONTENT_POLICY).
+ *
+ * Every block or review is written to `content_decisions`. A refused creator
+ * gets the decision id back and can appeal it; appeals and reviews wait in the
+ * admin queue. Overturning a block lets the same text through for that user.
+ */
+
+import { createHash } from 'crypto';
+import pool from './db.js';
+import { callKimiJson } from './ai-engine/moonshot-text-client.js';
+
+export const CONTENT_SURFACES = ['dream_prompt', 'edit_instructions', 'publish', 'cover_prompt', 'import'];
+export const SAFETY_CATEGORIES = ['sexual_minors', 'sexual', 'hate', 'violent_extremism', 'self_harm', 'graphic_violence'];
+export const REVIEW_STATUSES = ['none', 'pending', 'upheld', 'overturned'];
+const POLICY_ACTIONS = ['block', 'review', 'allow'];
+const MAX_SCREENED_CHARS = 4000;
+
+export const DEFAULT_CONTENT_POLICY = {
+    blocklist: [],
+    categories: {
+        sexual_minors: 'block',
+        sexual: 'block',
+        hate: 'block',
+        violent_extremism: 'block',
+        self_harm: 'review',
+        // Games are full of combat; only gore-level detail gets a second look.
+        graphic_violence: 'review',
+    },
+    classifier: 'heuristic',
+};
+
+const REFUSAL_MESSAGES = {
+    blocked_term: 'This uses a word or phrase that isn\'t allowed on GameTok.',
+    sexual_minors: 'Sexual content involving minors is never allowed.',
+    sexual: 'Sexual or explicit content isn\'t allowed on GameTok.',
+    hate: 'Content that attacks people for who they are isn\'t allowed.',
+    violent_extremism: 'Games about real-world mass violence or terrorism aren\'t allowed.',
+    self_harm: 'Content about self-harm needs a moderator\'s review.',
+    graphic_violence: 'Very graphic violence needs a moderator\'s review.',
+};
+
+/** CONTENT_POLICY merged over the defaults; bad JSON or unknown actions fall back to defaults. */
+export function loadContentPolicy(env = process.env) {
+    let custom = {};
+    try {
+        custom = JSON.parse(env.CONTENT_POLICY || '{}') || {};
+    } catch {
+        console.warn('[Content Safety] CONTENT_POLICY is not valid JSON; using defaults');
+    }
+    const categories = { ...DEFAULT_CONTENT_POLICY.categories };
+    for (const [category, action] of Object.entries(custom.categories || {})) {
+        if (SAFETY_CATEGORIES.includes(category) && POLICY_ACTIONS.includes(action)) categories[category] = action;
+    }
+    return {
+        blocklist: (Array.isArray(custom.blocklist) ? custom.blocklist : DEFAULT_CONTENT_POLICY.blocklist)
+            .map((term) => normalizeForScreening(term))
+            .filter(Boolean),
+        categories,
+        classifier: String(env.CONTENT_CLASSIFIER || custom.classifier || DEFAULT_CONTENT_POLICY.classifier),
+    };
+}
+export const CONTENT_POLICY = loadContentPolicy();
+
+const LEET = { 0: 'o', 1: 'i', 3: 'e', 4: 'a', 5: 's', 7: 't', '@': 'a', $: 's' };
+
+/** Lowercased words separated by single spaces, with leetspeak and zero-width tricks undone. */
+export function normalizeForScreening(text) {
+    return String(text || '')
+        .toLowerCase()
+        .normalize('NFKD')
+        .replace(/[\u0300-\u036f\u200b-\u200d\ufeff]/g, '')
+        .replace(/[013457@$]/g, (char) => LEET[char])
+        .replace(/[^a-z0-9]+/g, ' ')
+        .trim();
+}
+
+/** Blocklist terms present in `text` as whole words. */
+export function matchBlocklist(text, blocklist) {
+    const haystack = ` ${normalizeForScreening(text)} `;
+    return blocklist.filter((term) => haystack.includes(` ${term} `));
+}
+
+const GROUPS = '(jews?|muslims?|christians?|blacks?|whites?|asians?|arabs?|mexicans?|immigrants?|refugees?|gays?|lesbians?|trans people|women)';
+const MINORS = /\b(child|children|kids?|minors?|underage|preteens?|teens?|schoolgirls?|schoolboys?|\d{1,2} ?(year|yr) ?old)\b/;
+const SEXUAL = /\b(porn|pornographic|hentai|explicit sex|sex scenes?|having sex|nude|nudity|naked|nsfw|strip ?tease|stripper|orgasm|genitals?|erotic)\b/;
+const HEURISTIC_RULES = [
+    ['sexual_minors', /\b(loli|lolicon|shota|shotacon)\b/],
+    ['hate', new RegExp(`\\b(kill|exterminate|gas|lynch|eradicate|purge|hunt) (all )?(the )?${GROUPS}\\b`)],
+    ['hate', /\b(ethnic cleansing|race war|white power|holocaust (simulator|game))\b/],
+    ['violent_extremism', /\b(school shoot(ing|er)|mass shoot(ing|er)|terror(ist)? attack|suicide bomb(ing|er)?|behead(ing)? hostages?|bomb the (school|mosque|church|synagogue))\b/],
+    ['self_harm', /\b(suicide|kill (myself|yourself)|self ?harm|cut(ting)? (myself|yourself)|pro ?ana)\b/],
+    ['graphic_violence', /\b(gore|gory|dismember(ed|ment)?|disembowel(ed|ment)?|torture porn|mutilat(e|ed|ion)|decapitat(e|ed|ion)|snuff)\b/],
+];
+
+/**
+ * Local keyword rules. Deliberately narrow: a false refusal on "zombie
+ * shooter" costs a creator more than a borderline prompt getting a review.
+ */
+export function heuristicSafetyCategories(text) {
+    // Numbers matter for ages, so match against both the plain lowercase text and the de-leeted one.
+    const plain = String(text || '').toLowerCase().replace(/[^a-z0-9]+/g, ' ');
+    const variants = [plain, normalizeForScreening(text)];
+    const matches = (pattern) => variants.some((haystack) => pattern.test(haystack));
+    const hits = new Set(HEURISTIC_RULES.filter(([, pattern]) => matches(pattern)).map(([category]) => category));
+    if (matches(SEXUAL)) hits.add(matches(MINORS) ? 'sexual_minors' : 'sexual');
+    return SAFETY_CATEGORIES.filter((category) => hits.has(category));
+}
+
+const KIMI_SYSTEM_PROMPT = `You screen text submitted to a platform where people make and share small browser games.
+
+Tag the text with any of these categories that clearly apply (use the slug verbatim):
+- sexual_minors: any sexual content involving minors
+- sexual: explicit sexual content or nudity
+- hate: attacks, dehumanisation or violence against people for a protected trait
+- violent_extremism: glorifying or simulating real-world terrorism or mass shootings
+- self_harm: encouraging or depicting suicide or self-harm
+- graphic_violence: gore or torture described in graphic detail
+
+Ordinary game violence (shooters, fighting, zombies, monsters) is NOT a category. Return an empty list when nothing applies.
+
+Respond with JSON only: {"categories": ["slug", ...]}`;
+
+const classifiers = new Map([
+    ['heuristic', async (text) => ({ categories: heuristicSafetyCategories(text), source: 'heuristic' })],
+    ['kimi', async (text) => {
+        try {
+            const result = await callKimiJson({
+                systemPrompt: KIMI_SYSTEM_PROMPT,
+                messages: [{ role: 'user', content: text }],
+                maxTokens: 80,
+                temperature: 0,
+            });
+            const categories = Array.isArray(result?.categories)
+                ? SAFETY_CATEGORIES.filter((category) => result.categories.includes(category))
+                : null;
+            if (categories) return { categories, source: 'kimi' };
+        } catch (e) {
+            console.warn('[Content Safety] Kimi screening failed, falling back to keywords:', e.message);
+        }
+        return { categories: heuristicSafetyCategories(text), source: 'heuristic' };
+    }],
+]);
+
+/** Add or replace a classifier: `fn(text)` resolves to { categories: [slug...], source }. */
+export function registerContentClassifier(name, fn) {
+    classifiers.set(name, fn);
+}
+
+/**
+ * The verdict for screened fields, given what the blocklist and classifier
+ * found in each: { verdict: 'allow' | 'review' | 'block', reasons }.
+ */
+export function evaluateContent(findings, policy) {
+    const reasons = [];
+    for (const { field, blockedTerms = [], categories = [] } of findings) {
+        for (const term of blockedTerms) reasons.push({ code: 'blocked_term', category: null, field, action: 'block', term });
+        for (const category of categories) {
+            const action = policy.categories[category] || 'allow';
+            if (action !== 'allow') reasons.push({ code: category, category, field, action });
+        }
+    }
+    const verdict = reasons.some((reason) => reason.action === 'block') ? 'block'
+        : reasons.length > 0 ? 'review'
+            : 'allow';
+    return { verdict, reasons };
+}
+
+export class ContentRefusedError extends Error {
+    constructor(refusal) {
+        super(refusal.reasons[0]?.message || 'This content isn\'t allowed on GameTok.');
+        this.statusCode = 422;
+        this.code = 'CONTENT_REFUSED';
+        this.refusal = refusal;
+    }
+}
+
+export class ContentSafetyError extends Error {
+    constructor(message, statusCode) {
+        super(message);
+        this.statusCode = statusCode;
+    }
+}
+
+/** What a refused client is told: the reasons in plain words, never the matched term itself. */
+export function formatRefusal({ surface, reasons, decisionId }) {
+    return {
+        decisionId: decisionId || null,
+        surface,
+        reasons: reasons
+            .filter((reason) => reason.action === 'block')
+            .map((reason) => ({ code: reason.code, field: reason.field, message: REFUSAL_MESSAGES[reason.code] })),
+        appealable: Boolean(decisionId),
+    };
+}
+
+function contentHash(surface, fields) {
+    const text = Object.keys(fields).sort().map((key) => `${key}=${normalizeForScreening(fields[key])}`).join('\n');
+    return createHash('sha256').update(`${surface}\n${text}`).digest('hex');
+}
+
+export async function ensureContentSafetyTables() {
+    await pool.query(`
+        CREATE TABLE IF NOT EXISTS content_decisions (
+            id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+            user_id UUID REFERENCES users(id) ON DELETE CASCADE,
+            surface VARCHAR(32) NOT NULL,
+            subject_id TEXT,
+            content JSONB NOT NULL,
+            content_hash CHAR(64) NOT NULL,
+            verdict VARCHAR(16) NOT NULL,
+            reasons JSONB NOT NULL DEFAULT '[]'::jsonb,
+            classifier VARCHAR(32),
+            review_status VARCHAR(16) NOT NULL DEFAULT 'none',
+            appeal_message TEXT,
+            appealed_at TIMESTAMP,
+            reviewer_note TEXT,
+            reviewed_at TIMESTAMP,
+            created_at TIMESTAMP NOT NULL DEFAULT NOW()
+        );
+
+        CREATE INDEX IF NOT EXISTS idx_content_decisions_queue
+            ON content_decisions(created_at) WHERE review_status = 'pending';
+        CREATE INDEX IF NOT EXISTS idx_content_decisions_user ON content_decisions(user_id, created_at DESC);
+        CREATE INDEX IF NOT EXISTS idx_content_decisions_overturned
+            ON content_decisions(user_id, content_hash) WHERE review_status = 'overturned';
+    `);
+}
+
+/**
+ * Screen `fields` ({ prompt } or { title, description }, ...) submitted on
+ * `surface`. Never throws: a classifier failure degrades to the heuristic and
+ * a failed write only loses the record. Resolves to
+ * { verdict, reasons, decisionId, classifier }.
+ */
+export async function screenContent({ surface, fields, userId = null, subjectId = null, policy = CONTENT_POLICY }) {
+    const screened = Object.fromEntries(Object.entries(fields || {})
+        .filter(([, value]) => typeof value === 'string' && value.trim())
+        .map(([field, value]) => [field, value.slice(0, MAX_SCREENED_CHARS)]));
+    const classify = classifiers.get(policy.classifier) || classifiers.get('heuristic');
+    const findings = [];
+    let classifier = null;
+    for (const [field, text] of Object.entries(screened)) {
+        let result;
+        try {
+            result = policy.classifier === 'off' ? { categories: [], source: 'off' } : await classify(text);
+        } catch (e) {
+            console.warn(`[Content Safety] ${policy.classifier} classifier failed:`, e.message);
+            result = { categories: heuristicSafetyCategories(text), source: 'heuristic' };
+        }
+        classifier = result.source;
+        findings.push({ field, blockedTerms: matchBlocklist(text, policy.blocklist), categories: result.categories || [] });
+    }
+    const { verdict, reasons } = evaluateContent(findings, policy);
+    if (verdict === 'allow') return { verdict, reasons, decisionId: null, classifier };
+
+    const hash = contentHash(surface, screened);
+    try {
+        if (userId) {
+            const overturned = await pool.query(
+                `SELECT id FROM content_decisions
+                 WHERE user_id = $1 AND content_hash = $2 AND review_status = 'overturned'
+                 LIMIT 1`,
+                [userId, hash]
+            );
+            if (overturned.rows.length > 0) return { verdict: 'allow', reasons: [], decisionId: overturned.rows[0].id, classifier };
+        }
+        const inserted = await pool.query(
+            `INSERT INTO content_decisions (user_id, surface, subject_id, content, content_hash, verdict, reasons, classifier, review_status)
+             VALUES ($1, $2, $3, $4::jsonb, $5, $6, $7::jsonb, $8, $9)
+             RETURNING id`,
+            [userId, surface, subjectId, JSON.stringify(screened), hash, verdict, JSON.stringify(reasons), classifier, verdict === 'review' ? 'pending' : 'none']
+        );
+        return { verdict, reasons, decisionId: inserted.rows[0].id, classifier };
+    } catch (e) {
+        console.warn(`[Content Safety] Could not record ${verdict} decision on ${surface}:`, e.message);
+        return { verdict, reasons, decisionId: null, classifier };
+    }
+}
+
+/** screenContent, throwing ContentRefusedError when the verdict is `block`. */
+export async function assertContentAllowed(options) {
+    const result = await screenContent(options);
+    if (result.verdict === 'block') throw new ContentRefusedError(formatRefusal({ surface: options.surface, ...result }));
+    return result;
+}
+
+export function formatContentDecision(row) {
+    return {
+        id: row.id,
+        userId: row.user_id,
+        username: row.username ?? undefined,
+        surface: row.surface,
+        subjectId: row.subject_id,
+        content: row.content,
+        verdict: row.verdict,
+        reasons: (row.reasons || []).map((reason) => ({ ...reason, message: REFUSAL_MESSAGES[reason.code] })),
+        classifier: row.classifier,
+        reviewStatus: row.review_status,
+        appealMessage: row.appeal_message,
+        appealedAt: row.appealed_at,
+        reviewerNote: row.reviewer_note,
+        reviewedAt: row.reviewed_at,
+        createdAt: row.created_at,
+    };
+}
+
+/** A user's own recent decisions, so a refusal can be found again to appeal. */
+export async function listContentDecisions(userId, { limit = 50 } = {}) {
+    const result = await pool.query(
+        `SELECT * FROM content_decisions WHERE user_id = $1 ORDER BY created_at DESC LIMIT $2`,
+        [userId, Math.min(Math.max(Number(limit) || 50, 1), 200)]
+    );
+    return result.rows.map(formatContentDecision);
+}
+
+/** Ask for a block to be looked at again. One appeal per decision. */
+export async function appealContentDecision(userId, decisionId, message) {
+    const result = await pool.query(
+        `UPDATE content_decisions
+         SET review_status = 'pending', appeal_message = $3, appealed_at = NOW()
+         WHERE id = $1 AND user_id = $2 AND verdict = 'block' AND appealed_at IS NULL
+         RETURNING *`,
+        [decisionId, userId, String(message || '').slice(0, 1000) || null]
+    );
+    if (result.rows.length > 0) return formatContentDecision(result.rows[0]);
+    const existing = await pool.query('SELECT verdict, appealed_at FROM content_decisions WHERE id = $1 AND user_id = $2', [decisionId, userId]);
+    if (existing.rows.length === 0) throw new ContentSafetyError('Decision not found', 404);
+    if (existing.rows[0].appealed_at) throw new ContentSafetyError('This decision has already been appealed', 409);
+    throw new ContentSafetyError('Only refusals can be appealed', 400);
+}
+
+/** The admin review queue: reviews and appeals by default, oldest first. */
+export async function listReviewQueue({ status = 'pending', limit = 100 } = {}) {
+    if (!REVIEW_STATUSES.includes(status)) throw new ContentSafetyError('Invalid status', 400);
+    const result = await pool.query(
+        `SELECT d.*, u.username
+         FROM content_decisions d
+         LEFT JOIN users u ON u.id = d.user_id
+         WHERE d.review_status = $1
+         ORDER BY COALESCE(d.appealed_at, d.created_at) ${status === 'pending' ? 'ASC' : 'DESC'}
+         LIMIT $2`,
+        [status, Math.min(Math.max(Number(limit) || 100, 1), 500)]
+    );
+    return result.rows.map(formatContentDecision);
+}
+
+/** A moderator's call: `upheld` keeps the decision, `overturned` clears the text for that user. */
+export async function resolveContentDecision(decisionId, { status, note = null }) {
+    if (!['upheld', 'overturned'].includes(status)) throw new ContentSafetyError('status must be upheld or overturned', 400);
+    const result = await pool.query(
+        `UPDATE content_decisions
+         SET review_status = $2, reviewer_note = $3, reviewed_at = NOW()
+         WHERE id = $1
+         RETURNING *`,
+        [decisionId, status, note ? String(note).slice(0, 1000) : null]
+    );
+    if (result.rows.length === 0) throw new ContentSafetyError('Decision not found', 404);
+    return formatContentDecision(result.rows[0]);
+}
@@ -15,6 +15,8 @@ import pkg from 'pg';
 import { S3Client, PutObjectCommand, DeleteObjectCommand } from '@aws-sdk/client-s3';
 import { getMoonshotTextConfig } from './ai-engine/moonshot-text-client.js';
 import { nextNvidiaTextApiKey, getNvidiaTextKeys } from './ai-engine/nvidia-key-pool.js';
+import { meterForJob, recordImageCall, recordLlmUsage } from './ai-engine/generation-costs.js';
+import { screenContent } from './content-safety.js';
 
 const { Pool } = pkg;
 
@@ -205,6 +207,7 @@ Return ONLY the image generation prompt, no explanations or meta-commentary.`;
             messages: [{ role: 'user', content: analysisPrompt }],
             max_tokens: 500,
         });
+        recordLlmUsage(kimi.provider, response.usage, { input: analysisPrompt, output: response.choices[0]?.message?.content });
 
         const generatedPrompt = response.choices[0]?.message?.content?.trim();
 
@@ -359,6 +362,7 @@ async function callStableHorde(prompt, { width = 448, height = 576 } = {}) {
         const imgRes = await fetch(gen.img);
         if (!imgRes.ok) throw new Error(`StableHorde image fetch ${imgRes.status}`);
         const arr = await imgRes.arrayBuffer();
+        recordImageCall('stable-horde');
         return Buffer.from(arr);
     }
 
@@ -386,6 +390,7 @@ async function callHuggingFace(prompt, { width = 832, height = 1216 } = {}) {
     }
 
     const arr = await res.arrayBuffer();
+    recordImageCall('huggingface');
     return Buffer.from(arr);
 }
 
@@ -412,6 +417,7 @@ async function callOpenAiImage(prompt, { retries = 3, size = '1024x1536' } = {})
                 output_compression: 85,
             });
 
+            recordImageCall('openai');
             const b64 = response?.data?.[0]?.b64_json;
             if (!b64) throw new Error('OpenAI: no image data returned');
             return Buffer.from(b64, 'base64');
@@ -527,6 +533,12 @@ export async function generateCoverArtImage({
     }
 
     const finalPrompt = rawPrompt || await buildCoverPrompt({ title, prompt, classification });
+    // Generated prompts can drift from what was screened at publish; a cover we can't show is no cover.
+    const screening = await screenContent({ surface: 'cover_prompt', fields: { prompt: finalPrompt }, subjectId: gameId || null });
+    if (screening.verdict === 'block') {
+        console.warn(`[cover-art] cover prompt refused by content screening (${screening.reasons.map((reason) => reason.code).join(', ')})`);
+        return null;
+    }
     let buffer;
     let provider = null;
 
@@ -695,7 +707,8 @@ function drainQueue() {
 export function enqueueCoverGeneration(pool, params) {
     if (process.env.DISABLE_COVER_ART === '1') return;
     pendingQueue.push({
-        run: () => generateAndApplyCover(pool, params),
+        // A cover is part of what the game cost; its spend goes on the build's job.
+        run: () => meterForJob(params.draftId, () => generateAndApplyCover(pool, params)),
     });
     drainQueue();
 }
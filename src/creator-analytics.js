@@ -0,0 +1,411 @@
+/**
+ * Creator analytics: how a creator's games are doing, day by day.
+ *
+ * Daily counts are rolled up from the tables that already record them:
+ *
+ *   creator_game_daily      per game and day: likes, saves, comments, scores,
+ *                           new players (first play, signed in or anonymous),
+ *                           published remixes, and a snapshot of `games.plays`
+ *   creator_follower_daily  per creator and day: follower count snapshot
+ *
+ * Likes, saves and follows only exist as rows while they last, so their daily
+ * counts are the ones still standing; the plays and follower snapshots are
+ * what let plays per day and unfollows show up at all. Snapshots start when
+ * the rollup first runs, so plays per day are null before that.
+ *
+ * Unique players, session length and traffic sources come from the telemetry
+ * rollups (game-telemetry.js); the score distribution is read live from
+ * `scores`, which is indexed by game.
+ *
+ * Nothing older than MAX_ANALYTICS_DAYS can be asked for, so the daily rows
+ * (and the per-source telemetry rollup, which only this reads) are pruned past
+ * that plus RETENTION_MARGIN_DAYS; the margin keeps the snapshot before the
+ * oldest window that plays per day are measured from.
+ */
+
+import pool from './db.js';
+
+export const DEFAULT_ANALYTICS_DAYS = 28;
+export const MAX_ANALYTICS_DAYS = 90;
+const MIN_ANALYTICS_DAYS = 7;
+const MAX_ANALYTICS_GAMES = 50;
+export const SCORE_BUCKETS = 10;
+const RETENTION_MARGIN_DAYS = 7;
+const ACTIVITY_COLUMNS = ['likes', 'saves', 'comments', 'scores', 'new_players', 'remixes'];
+
+export async function ensureCreatorAnalyticsTables() {
+    await pool.query(`
+        CREATE TABLE IF NOT EXISTS creator_game_daily (
+            game_id VARCHAR(100) NOT NULL REFERENCES games(id) ON DELETE CASCADE,
+            day DATE NOT NULL,
+            likes INTEGER NOT NULL DEFAULT 0,
+            saves INTEGER NOT NULL DEFAULT 0,
+            comments INTEGER NOT NULL DEFAULT 0,
+            scores INTEGER NOT NULL DEFAULT 0,
+            new_players INTEGER NOT NULL DEFAULT 0,
+            remixes INTEGER NOT NULL DEFAULT 0,
+            plays_total BIGINT,
+            PRIMARY KEY (game_id, day)
+        );
+        CREATE TABLE IF NOT EXISTS creator_follower_daily (
+            user_id UUID NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+            day DATE NOT NULL,
+            followers INTEGER NOT NULL,
+            PRIMARY KEY (user_id, day)
+        );
+        CREATE INDEX IF NOT EXISTS idx_likes_game_created ON likes(game_id, created_at);
+        CREATE INDEX IF NOT EXISTS idx_saved_games_game_created ON saved_games(game_id, created_at);
+        CREATE INDEX IF NOT EXISTS idx_followers_following_created ON followers(following_id, created_at);
+    `);
+    // First run: the activity counts can be rebuilt from history; the snapshots start today.
+    const existing = await pool.query('SELECT 1 FROM creator_game_daily LIMIT 1');
+    if (existing.rows.length === 0) await rollupCreatorAnalytics({ days: MAX_ANALYTICS_DAYS });
+}
+
+/**
+ * Recompute the activity counts for the last `days` days and take today's
+ * plays and follower snapshots. Counts for the window are zeroed first, so
+ * a day whose only like was taken back drops to zero too.
+ */
+export async function rollupCreatorAnalytics({ days = 2 } = {}) {
+    const client = await pool.connect();
+    try {
+        await client.query('BEGIN');
+        await client.query(
+            `UPDATE creator_game_daily
+             SET ${ACTIVITY_COLUMNS.map((column) => `${column} = 0`).join(', ')}
+             WHERE day >= CURRENT_DATE - ($1::int - 1)`,
+            [days]
+        );
+        const activity = await client.query(
+            `WITH activity AS (
+                 SELECT game_id, created_at::date AS day, 'likes' AS kind FROM likes
+                 WHERE created_at >= CURRENT_DATE - ($1::int - 1)
+                 UNION ALL
+                 SELECT game_id, created_at::date, 'saves' FROM saved_games
+                 WHERE created_at >= CURRENT_DATE - ($1::int - 1)
+                 UNION ALL
+                 SELECT game_id, created_at::date, 'comments' FROM comments
+                 WHERE created_at >= CURRENT_DATE - ($1::int - 1) AND moderation_state <> 'hidden'
+                 UNION ALL
+                 SELECT game_id, created_at::date, 'scores' FROM scores
+                 WHERE created_at >= CURRENT_DATE - ($1::int - 1)
+                 UNION ALL
+                 SELECT game_id, first_played_at::date, 'new_players' FROM game_plays
+                 WHERE first_played_at >= CURRENT_DATE - ($1::int - 1)
+                 UNION ALL
+                 SELECT game_id, first_played_at::date, 'new_players' FROM anonymous_game_plays
+                 WHERE first_played_at >= CURRENT_DATE - ($1::int - 1)
+                 UNION ALL
+                 -- Published remixes, credited to the parent's feed game on the day they were made.
+                 SELECT parent.id, remix.created_at::date, 'remixes'
+                 FROM ai_games remix
+                 JOIN games parent ON parent.embed_url = ('/api/ai/play/' || remix.remixed_from::text)
+                 WHERE remix.remixed_from IS NOT NULL AND remix.is_draft = FALSE
+                   AND remix.created_at >= CURRENT_DATE - ($1::int - 1)
+             )
+             INSERT INTO creator_game_daily (game_id, day, ${ACTIVITY_COLUMNS.join(', ')})
+             SELECT a.game_id, a.day, ${ACTIVITY_COLUMNS.map((column) => `COUNT(*) FILTER (WHERE a.kind = '${column}')`).join(', ')}
+             FROM activity a
+             JOIN games g ON g.id = a.game_id
+             GROUP BY a.game_id, a.day
+             ON CONFLICT (game_id, day) DO UPDATE SET
+                 ${ACTIVITY_COLUMNS.map((column) => `${column} = EXCLUDED.${column}`).join(',\n                 ')}`,
+            [days]
+        );
+        await client.query(
+            `INSERT INTO creator_game_daily (game_id, day, plays_total)
+             SELECT id, CURRENT_DATE, COALESCE(plays, 0) FROM games WHERE COALESCE(plays, 0) > 0
+             ON CONFLICT (game_id, day) DO UPDATE SET plays_total = EXCLUDED.plays_total`
+        );
+        await client.query(
+            `INSERT INTO creator_follower_daily (user_id, day, followers)
+             SELECT following_id, CURRENT_DATE, COUNT(*) FROM followers GROUP BY following_id
+             ON CONFLICT (user_id, day) DO UPDATE SET followers = EXCLUDED.followers`
+        );
+        await client.query('COMMIT');
+        return activity.rowCount;
+    } catch (error) {
+        await client.query('ROLLBACK');
+        throw error;
+    } finally {
+        client.release();
+    }
+}
+
+/** Drop daily rows older than any analytics window can reach. Returns how many went. */
+export async function pruneCreatorAnalytics() {
+    const keepDays = MAX_ANALYTICS_DAYS + RETENTION_MARGIN_DAYS;
+    let pruned = 0;
+    for (const table of ['creator_game_daily', 'creator_follower_daily', 'game_daily_sources']) {
+        const result = await pool.query(`DELETE FROM ${table} WHERE day < CURRENT_DATE - $1::int`, [keepDays]);
+        pruned += result.rowCount;
+    }
+    return pruned;
+}
+
+export function clampAnalyticsDays(value) {
+    const days = parseInt(value, 10) || DEFAULT_ANALYTICS_DAYS;
+    return Math.min(Math.max(days, MIN_ANALYTICS_DAYS), MAX_ANALYTICS_DAYS);
+}
+
+/** `count` consecutive 'YYYY-MM-DD' days starting at `from`. */
+export function dayRange(from, count) {
+    const start = Date.parse(`${from}T00:00:00Z`);
+    return Array.from({ length: count }, (_, index) => new Date(start + index * 86_400_000).toISOString().slice(0, 10));
+}
+
+/**
+ * Plays per day from cumulative snapshots ({ day, playsTotal } sorted by day,
+ * possibly starting before `days`): each day's total minus the last snapshot
+ * before it. Null for days without a snapshot or with nothing to compare to.
+ */
+export function playsPerDay(days, snapshots) {
+    const byDay = new Map(snapshots.filter((row) => row.playsTotal != null).map((row) => [row.day, Number(row.playsTotal)]));
+    let previous = null;
+    for (const snapshot of snapshots) {
+        if (snapshot.day < days[0] && snapshot.playsTotal != null) previous = Number(snapshot.playsTotal);
+    }
+    return days.map((day) => {
+        if (!byDay.has(day)) return null;
+        const total = byDay.get(day);
+        const plays = previous == null ? null : Math.max(total - previous, 0);
+        previous = total;
+        return plays;
+    });
+}
+
+/**
+ * One game's daily series over `days` from its creator_game_daily rows and its
+ * game_daily_stats rows (both keyed by 'YYYY-MM-DD' `day`). Missing days are
+ * zeros; plays and session length are null where there is nothing to show.
+ */
+export function buildGameSeries(days, activityRows, statsRows) {
+    const activity = new Map(activityRows.map((row) => [row.day, row]));
+    const stats = new Map(statsRows.map((row) => [row.day, row]));
+    const plays = playsPerDay(days, activityRows.map((row) => ({ day: row.day, playsTotal: row.plays_total })));
+    return days.map((day, index) => {
+        const counts = activity.get(day) || {};
+        const telemetry = stats.get(day) || {};
+        const sessions = Number(telemetry.sessions) || 0;
+        return {
+            date: day,
+            plays: plays[index],
+            uniquePlayers: Number(telemetry.players) || 0,
+            newPlayers: Number(counts.new_players) || 0,
+            likes: Number(counts.likes) || 0,
+            saves: Number(counts.saves) || 0,
+            comments: Number(counts.comments) || 0,
+            remixes: Number(counts.remixes) || 0,
+            scores: Number(counts.scores) || 0,
+            avgSessionMs: sessions > 0 ? Math.round(Number(telemetry.session_ms) / sessions) : null,
+        };
+    });
+}
+
+/**
+ * Window totals for a series; average session length is weighted by sessions,
+ * not by day. Daily unique players can't be added up into unique players for
+ * the window, so their sum is `playerDays`: someone who played on three days
+ * counts three times.
+ */
+export function summarizeSeries(series, statsRows = []) {
+    const sum = (key) => series.reduce((total, point) => total + (point[key] || 0), 0);
+    const sessions = statsRows.reduce((total, row) => total + (Number(row.sessions) || 0), 0);
+    const sessionMs = statsRows.reduce((total, row) => total + (Number(row.session_ms) || 0), 0);
+    return {
+        plays: series.some((point) => point.plays != null) ? sum('plays') : null,
+        playerDays: sum('uniquePlayers'),
+        newPlayers: sum('newPlayers'),
+        likes: sum('likes'),
+        saves: sum('saves'),
+        comments: sum('comments'),
+        remixes: sum('remixes'),
+        scores: sum('scores'),
+        avgSessionMs: sessions > 0 ? Math.round(sessionMs / sessions) : null,
+    };
+}
+
+/** How many histogram bins scores from `min` to `max` get: one per value when there are fewer values than SCORE_BUCKETS. */
+export function scoreBucketCount(min, max) {
+    return Math.max(1, Math.min(SCORE_BUCKETS, Number(max) + 1 - Number(min)));
+}
+
+/**
+ * Score histogram from width_bucket() counts over [min, max + 1) in
+ * scoreBucketCount() equal bins; bins nobody landed in are included as zeros.
+ */
+export function scoreHistogram({ min, max }, bucketCounts) {
+    const low = Number(min);
+    const bins = scoreBucketCount(min, max);
+    const width = (Number(max) + 1 - low) / bins;
+    const counts = new Map(bucketCounts.map((row) => [Number(row.bucket), Number(row.count)]));
+    return Array.from({ length: bins }, (_, index) => ({
+        from: Math.floor(low + index * width),
+        to: Math.floor(low + (index + 1) * width) - 1,
+        count: counts.get(index + 1) || 0,
+    }));
+}
+
+/**
+ * Follower series from per-day { day, gained, snapshot } rows. `lost` needs
+ * snapshots on both the day and the one before, so it is null until the
+ * rollup has been running for two days.
+ */
+export function followerSeries(rows) {
+    return rows.map((row, index) => {
+        const before = index > 0 ? rows[index - 1].snapshot : null;
+        const lost = before != null && row.snapshot != null ? Math.max(before + row.gained - row.snapshot, 0) : null;
+        return { date: row.day, gained: row.gained, lost, total: row.snapshot ?? null };
+    });
+}
+
+async function loadCreatorGames(userId, gameId) {
+    const params = [userId, MAX_ANALYTICS_GAMES];
+    let gameFilter = '';
+    if (gameId) {
+        params.push(gameId);
+        gameFilter = `AND g.id = $${params.length}`;
+    }
+    const result = await pool.query(
+        `SELECT g.id, g.name, g.thumbnail, COALESCE(g.plays, 0) AS plays, COALESCE(g.like_count, 0) AS like_count
+         FROM games g
+         LEFT JOIN ai_games ag ON g.embed_url = ('/api/ai/play/' || ag.id::text)
+         WHERE COALESCE(NULLIF(g.developer, ''), ag.user_id::text) = $1::text ${gameFilter}
+         ORDER BY COALESCE(g.plays, 0) DESC, g.created_at DESC
+         LIMIT $2`,
+        params
+    );
+    return result.rows;
+}
+
+/**
+ * The analytics dashboard for `userId` over the last `days` days, optionally
+ * for one of their games. Returns null when `gameId` isn't one of theirs.
+ */
+export async function getCreatorAnalytics(userId, { days = DEFAULT_ANALYTICS_DAYS, gameId = null } = {}) {
+    const windowDays = clampAnalyticsDays(days);
+    const [games, range] = await Promise.all([
+        loadCreatorGames(userId, gameId),
+        pool.query(`SELECT to_char(CURRENT_DATE - ($1::int - 1), 'YYYY-MM-DD') AS from_day`, [windowDays]),
+    ]);
+    if (gameId && games.length === 0) return null;
+    const dayList = dayRange(range.rows[0].from_day, windowDays);
+    const from = dayList[0];
+    const ids = games.map((game) => game.id);
+
+    const [activity, stats, sources, scoreStats, scoreBuckets, followers, followerCount] = await Promise.all([
+        // A week before the window too, so the first day's plays have a snapshot to compare to.
+        pool.query(
+            `SELECT game_id, to_char(day, 'YYYY-MM-DD') AS day, ${ACTIVITY_COLUMNS.join(', ')}, plays_total
+             FROM creator_game_daily
+             WHERE game_id = ANY($1::varchar[]) AND day >= $2::date - 7
+             ORDER BY day`,
+            [ids, from]
+        ),
+        pool.query(
+            `SELECT game_id, to_char(day, 'YYYY-MM-DD') AS day, players, sessions, session_ms
+             FROM game_daily_stats
+             WHERE game_id = ANY($1::varchar[]) AND day >= $2::date`,
+            [ids, from]
+        ),
+        pool.query(
+            `SELECT source, SUM(impressions)::int AS impressions, SUM(starts)::int AS starts
+             FROM game_daily_sources
+             WHERE game_id = ANY($1::varchar[]) AND day >= $2::date
+             GROUP BY source`,
+            [ids, from]
+        ),
+        pool.query(
+            `SELECT game_id, COUNT(*)::int AS count, MIN(score) AS min, MAX(score) AS max,
+                    percentile_cont(ARRAY[0.25, 0.5, 0.75, 0.9]) WITHIN GROUP (ORDER BY score) AS percentiles
+             FROM scores
+             WHERE game_id = ANY($1::varchar[]) AND created_at >= $2::date
+             GROUP BY game_id`,
+            [ids, from]
+        ),
+        pool.query(
+            `WITH window_scores AS (
+                 SELECT game_id, score FROM scores WHERE game_id = ANY($1::varchar[]) AND created_at >= $2::date
+             ),
+             bounds AS (
+                 SELECT game_id, MIN(score) AS low, MAX(score) AS high FROM window_scores GROUP BY game_id
+             )
+             SELECT
+                 w.game_id,
+                 width_bucket(w.score::numeric, b.low::numeric, b.high::numeric + 1, LEAST($3::int, b.high::bigint + 1 - b.low)::int) AS bucket,
+                 COUNT(*)::int AS count
+             FROM window_scores w
+             JOIN bounds b ON b.game_id = w.game_id
+             GROUP BY w.game_id, bucket`,
+            [ids, from, SCORE_BUCKETS]
+        ),
+        pool.query(
+            `SELECT
+                 to_char(d.day, 'YYYY-MM-DD') AS day,
+                 (SELECT COUNT(*)::int FROM followers f
+                  WHERE f.following_id = $1 AND f.created_at >= d.day AND f.created_at < d.day + 1) AS gained,
+                 s.followers AS snapshot
+             FROM (SELECT $2::date + offset_days AS day FROM generate_series(0, CURRENT_DATE - $2::date) AS offset_days) d
+             LEFT JOIN creator_follower_daily s ON s.user_id = $1 AND s.day = d.day
+             ORDER BY d.day`,
+            [userId, from]
+        ),
+        pool.query('SELECT COUNT(*)::int AS total FROM followers WHERE following_id = $1', [userId]),
+    ]);
+
+    const rowsFor = (rows, id) => rows.filter((row) => row.game_id === id);
+    const gameReports = games.map((game) => {
+        const gameStats = rowsFor(stats.rows, game.id);
+        const series = buildGameSeries(dayList, rowsFor(activity.rows, game.id), gameStats);
+        const scoreRow = scoreStats.rows.find((row) => row.game_id === game.id);
+        const [p25, p50, p75, p90] = scoreRow?.percentiles || [];
+        return {
+            id: game.id,
+            name: game.name,
+            thumbnail: game.thumbnail || null,
+            lifetime: { plays: Number(game.plays), likes: Number(game.like_count) },
+            totals: summarizeSeries(series, gameStats),
+            series,
+            scoreDistribution: scoreRow ? {
+                count: scoreRow.count,
+                min: scoreRow.min,
+                max: scoreRow.max,
+                percentiles: { p25, p50, p75, p90 },
+                buckets: scoreHistogram(scoreRow, rowsFor(scoreBuckets.rows, game.id)),
+            } : { count: 0, min: null, max: null, percentiles: null, buckets: [] },
+        };
+    });
+
+    const allSeries = dayList.map((date, index) => {
+        const point = { date };
+        for (const key of ['plays', 'uniquePlayers', 'newPlayers', 'likes', 'saves', 'comments', 'remixes', 'scores']) {
+            const values = gameReports.map((report) => report.series[index][key]);
+            point[key] = key === 'plays' && values.every((value) => value == null)
+                ? null
+                : values.reduce((total, value) => total + (value || 0), 0);
+        }
+        return point;
+    });
+    const sourceTotal = sources.rows.reduce((total, row) => total + row.impressions, 0);
+
+    return {
+        range: { from, to: dayList[dayList.length - 1], days: windowDays },
+        totals: { ...summarizeSeries(allSeries, stats.rows), games: games.length },
+        series: allSeries,
+        followers: {
+            total: followerCount.rows[0].total,
+            gained: followers.rows.reduce((total, row) => total + row.gained, 0),
+            series: followerSeries(followers.rows),
+        },
+        trafficSources: sources.rows
+            .map((row) => ({
+                source: row.source,
+                impressions: row.impressions,
+                starts: row.starts,
+                share: sourceTotal > 0 ? Math.round((row.impressions / sourceTotal) * 1000) / 1000 : 0,
+            }))
+            .sort((a, b) => b.impressions - a.impressions || b.starts - a.starts),
+        games: gameReports,
+    };
+}
@@ -0,0 +1,215 @@
+/**
+ * Generation credits.
+ *
+ * Every dream or edit costs credits, debited in the same transaction that
+ * queues the job and refunded if the job fails or is cancelled. The ledger
+ * (`credit_ledger`) is the record; `credit_balances` carries the running
+ * balance so a debit is one locked row, not a SUM. A job has at most one debit
+ * and one refund (unique per job and reason), so retried enqueues and repeated
+ * cancel/fail marks can't double-charge or double-refund.
+ *
+ * Each day the first balance check tops the user back up to the free daily
+ * allowance; anything granted above it is kept. Background work (bot games,
+ * backfills) isn't charged.
+ */
+
+import pool from './db.js';
+
+export const CREDIT_REASONS = ['daily_allowance', 'job_debit', 'job_refund', 'admin_grant', 'admin_revoke'];
+export const DAILY_FREE_CREDITS = Math.max(0, Number(process.env.DAILY_FREE_CREDITS || 30));
+export const GENERATION_CREDIT_COSTS = {
+    dream: Math.max(0, Number(process.env.CREDIT_COST_DREAM || 10)),
+    edit: Math.max(0, Number(process.env.CREDIT_COST_EDIT || 3)),
+};
+const MAX_ADMIN_ADJUSTMENT = 1_000_000;
+
+export async function ensureCreditTables() {
+    await pool.query(`
+        CREATE TABLE IF NOT EXISTS credit_balances (
+            user_id UUID PRIMARY KEY REFERENCES users(id) ON DELETE CASCADE,
+            balance INTEGER NOT NULL DEFAULT 0,
+            allowance_day DATE,
+            updated_at TIMESTAMP NOT NULL DEFAULT NOW()
+        );
+
+        CREATE TABLE IF NOT EXISTS credit_ledger (
+            id BIGSERIAL PRIMARY KEY,
+            user_id UUID NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+            delta INTEGER NOT NULL,
+            balance_after INTEGER NOT NULL,
+            reason VARCHAR(32) NOT NULL,
+            job_id UUID,
+            note TEXT,
+            created_at TIMESTAMP NOT NULL DEFAULT NOW()
+        );
+
+        CREATE INDEX IF NOT EXISTS idx_credit_ledger_user ON credit_ledger(user_id, created_at DESC);
+        CREATE UNIQUE INDEX IF NOT EXISTS idx_credit_ledger_job_reason
+            ON credit_ledger(job_id, reason) WHERE job_id IS NOT NULL;
+    `);
+}
+
+export class CreditError extends Error {
+    constructor(message, statusCode, code = null) {
+        super(message);
+        this.statusCode = statusCode;
+        this.code = code;
+    }
+}
+
+/** Credits a job of `kind` costs in `lane`; 0 means it isn't charged. */
+export function generationCreditCost(kind, lane = 'interactive') {
+    if (lane === 'background') return 0;
+    return GENERATION_CREDIT_COSTS[kind] ?? 0;
+}
+
+/** Top-up that brings `balance` back to the daily allowance (0 if already there). */
+export function dailyAllowanceTopUp(balance, allowance = DAILY_FREE_CREDITS) {
+    return Math.max(0, allowance - Math.max(0, Number(balance) || 0));
+}
+
+export function formatLedgerEntry(row) {
+    return {
+        id: Number(row.id),
+        delta: row.delta,
+        balanceAfter: row.balance_after,
+        reason: row.reason,
+        jobId: row.job_id || null,
+        note: row.note || null,
+        createdAt: row.created_at,
+    };
+}
+
+/**
+ * Lock the user's balance row (creating it) and apply today's allowance.
+ * Must run inside a transaction on `client`. Returns the balance.
+ */
+async function lockBalance(client, userId) {
+    await client.query(
+        'INSERT INTO credit_balances (user_id) VALUES ($1) ON CONFLICT (user_id) DO NOTHING',
+        [userId]
+    );
+    const result = await client.query(
+        `SELECT balance, allowance_day IS NOT DISTINCT FROM CURRENT_DATE AS topped_up
+         FROM credit_balances WHERE user_id = $1 FOR UPDATE`,
+        [userId]
+    );
+    let { balance } = result.rows[0];
+    if (!result.rows[0].topped_up) {
+        const topUp = dailyAllowanceTopUp(balance);
+        balance += topUp;
+        await client.query(
+            'UPDATE credit_balances SET balance = $2, allowance_day = CURRENT_DATE, updated_at = NOW() WHERE user_id = $1',
+            [userId, balance]
+        );
+        if (topUp > 0) {
+            await client.query(
+                `INSERT INTO credit_ledger (user_id, delta, balance_after, reason)
+                 VALUES ($1, $2, $3, 'daily_allowance')`,
+                [userId, topUp, balance]
+            );
+        }
+    }
+    return balance;
+}
+
+/** Apply `delta` to a locked balance and record it. Returns the ledger row, or null if the job already has one for `reason`. */
+async function applyEntry(client, userId, balance, delta, reason, { jobId = null, note = null } = {}) {
+    const entry = await client.query(
+        `INSERT INTO credit_ledger (user_id, delta, balance_after, reason, job_id, note)
+         VALUES ($1, $2, $3, $4, $5, $6)
+         ON CONFLICT (job_id, reason) WHERE job_id IS NOT NULL DO NOTHING
+         RETURNING *`,
+        [userId, delta, balance + delta, reason, jobId, note]
+    );
+    if (entry.rows.length === 0) return null;
+    await client.query(
+        'UPDATE credit_balances SET balance = $2, updated_at = NOW() WHERE user_id = $1',
+        [userId, balance + delta]
+    );
+    return entry.rows[0];
+}
+
+async function inTransaction(fn) {
+    const client = await pool.connect();
+    try {
+        await client.query('BEGIN');
+        const result = await fn(client);
+        await client.query('COMMIT');
+        return result;
+    } catch (error) {
+        await client.query('ROLLBACK').catch(() => {});
+        throw error;
+    } finally {
+        client.release();
+    }
+}
+
+export async function getCreditBalance(userId) {
+    return inTransaction((client) => lockBalance(client, userId));
+}
+
+/**
+ * Charge a job, on the caller's transaction so the charge and the queue row
+ * commit together. Throws CreditError (402) when the balance is short.
+ */
+export async function debitGenerationJob(client, { userId, jobId, kind, lane }) {
+    const cost = generationCreditCost(kind, lane);
+    if (!userId || cost === 0) return { charged: 0 };
+    const balance = await lockBalance(client, userId);
+    if (balance < cost) {
+        throw new CreditError(
+            `Not enough credits: this costs ${cost} and you have ${balance}`,
+            402,
+            'insufficient_credits'
+        );
+    }
+    const entry = await applyEntry(client, userId, balance, -cost, 'job_debit', { jobId, note: kind });
+    return { charged: entry ? cost : 0, balance: entry ? entry.balance_after : balance };
+}
+
+/**
+ * Give back what a failed or cancelled job was charged. Safe to call more
+ * than once, and for jobs that were never charged. Returns the refund.
+ */
+export async function refundGenerationJob(jobId, note = null) {
+    return inTransaction(async (client) => {
+        const debit = await client.query(
+            `SELECT user_id, delta FROM credit_ledger WHERE job_id = $1 AND reason = 'job_debit'`,
+            [jobId]
+        );
+        if (debit.rows.length === 0) return 0;
+        const { user_id: userId, delta } = debit.rows[0];
+        const balance = await lockBalance(client, userId);
+        const entry = await applyEntry(client, userId, balance, -delta, 'job_refund', { jobId, note });
+        return entry ? -delta : 0;
+    });
+}
+
+/**
+ * Admin grant (positive) or revoke (negative). A revoke takes at most what
+ * the user has. Returns { balance, entry }.
+ */
+export async function adjustCredits(userId, amount, note = null) {
+    const delta = Math.trunc(Number(amount));
+    if (!Number.isFinite(delta) || delta === 0 || Math.abs(delta) > MAX_ADMIN_ADJUSTMENT) {
+        throw new CreditError(`amount must be a non-zero whole number up to ${MAX_ADMIN_ADJUSTMENT}`, 400);
+    }
+    return inTransaction(async (client) => {
+        const user = await client.query('SELECT 1 FROM users WHERE id = $1', [userId]);
+        if (user.rows.length === 0) throw new CreditError('User not found', 404);
+        const balance = await lockBalance(client, userId);
+        const applied = delta < 0 ? -Math.min(-delta, balance) : delta;
+        if (applied === 0) return { balance, entry: null };
+        const entry = await applyEntry(client, userId, balance, applied, applied > 0 ? 'admin_grant' : 'admin_revoke', { note });
+        return { balance: entry.balance_after, entry: formatLedgerEntry(entry) };
+    });
+}
+
+export async function listCreditLedger(userId, { limit = 50 } = {}) {
+    const result = await pool.query(
+        `SELECT * FROM credit_ledger WHERE user_id = $1 ORDER BY id DESC LIMIT $2`,
+        [userId, Math.min(Math.max(Number(limit) || 50, 1), 200)]
+    );
+    return result.rows.map(formatLedgerEntry);
+}
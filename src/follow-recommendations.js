@@ -0,0 +1,201 @@
+/**
+ * "People to follow".
+ *
+ * Candidates come from three places in the viewer's own graph:
+ *
+ *   friends of friends   followed by people the viewer follows
+ *   creators             made games the viewer has played or liked
+ *   co-players           recently played the same games as the viewer
+ *
+ * Each candidate is scored from how strongly those signals hold and carries
+ * the strongest one as a human-readable reason ("Followed by 3 people you
+ * follow"). People the viewer already follows, has blocked or is blocked by
+ * never appear, and bot accounts (bot_profiles) only when asked for. Anonymous
+ * viewers, and signed-in ones whose graph runs out, get the most followed
+ * creators instead.
+ */
+
+import pool from './db.js';
+
+export const DEFAULT_RECOMMENDATION_LIMIT = 50;
+const MAX_RECOMMENDATION_LIMIT = 50;
+const CANDIDATE_LIMIT = 500;
+const PLAYED_GAMES = 100;
+const CO_PLAY_DAYS = 14;
+
+const WEIGHTS = { mutual: 3, likedGame: 4, playedGame: 2, sharedGame: 1 };
+const MAX_SHARED_GAMES = 10;
+
+/** Weighted strength of each signal for a candidate row. */
+export function recommendationSignals(row) {
+    const liked = Number(row.creator_liked) || 0;
+    return {
+        mutual: WEIGHTS.mutual * (Number(row.mutuals) || 0),
+        creator: WEIGHTS.likedGame * liked + WEIGHTS.playedGame * Math.max((Number(row.creator_games) || 0) - liked, 0),
+        coPlay: WEIGHTS.sharedGame * Math.min(Number(row.shared_games) || 0, MAX_SHARED_GAMES),
+    };
+}
+
+/** Signals plus a small, log-damped nudge towards people others already follow. */
+export function recommendationScore(row) {
+    const signals = recommendationSignals(row);
+    return signals.mutual + signals.creator + signals.coPlay + 0.5 * Math.log1p(Number(row.follower_count) || 0);
+}
+
+/** Why `row` is recommended, from its strongest signal: { type, text }. */
+export function recommendationReason(row) {
+    const signals = recommendationSignals(row);
+    const strongest = ['mutual', 'creator', 'coPlay'].reduce((best, key) => (signals[key] > signals[best] ? key : best), 'mutual');
+    if (signals[strongest] <= 0) return { type: 'popular', text: 'Popular creator' };
+
+    if (strongest === 'mutual') {
+        const mutuals = Number(row.mutuals);
+        const via = row.via?.[0];
+        return { type: 'mutual', text: mutuals === 1 && via ? `Followed by ${via}` : `Followed by ${mutuals} people you follow` };
+    }
+    if (strongest === 'creator') {
+        const liked = Number(row.creator_liked) || 0;
+        const games = liked || Number(row.creator_games);
+        const verb = liked ? 'liked' : 'played';
+        return {
+            type: 'creator',
+            text: games === 1 && row.game_name ? `Made ${row.game_name}, which you ${verb}` : `Made ${games} games you ${verb}`,
+        };
+    }
+    const shared = Number(row.shared_games);
+    return { type: 'co_player', text: shared === 1 ? 'Plays a game you play' : `Plays ${shared} of the same games as you` };
+}
+
+function formatRecommendation(row) {
+    return {
+        id: row.id,
+        username: row.username,
+        displayName: row.display_name,
+        avatar: row.avatar,
+        verified: Boolean(row.verified),
+        followerCount: Number(row.follower_count) || 0,
+        reason: recommendationReason(row),
+    };
+}
+
+// Nobody the viewer ($1, may be null) follows or has a block with either way, nor themselves.
+// Bots only when $2 is true.
+const ELIGIBLE_SQL = `
+    u.username IS NOT NULL
+    AND u.id IS DISTINCT FROM $1::uuid
+    AND NOT EXISTS (SELECT 1 FROM followers vf WHERE vf.follower_id = $1::uuid AND vf.following_id = u.id)
+    AND NOT EXISTS (
+        SELECT 1 FROM blocked_users b
+        WHERE (b.blocker_id = $1::uuid AND b.blocked_id = u.id) OR (b.blocker_id = u.id AND b.blocked_id = $1::uuid)
+    )
+    AND ($2::boolean OR NOT EXISTS (SELECT 1 FROM bot_profiles bp WHERE bp.user_id = u.id))`;
+
+async function graphCandidates(viewerId, includeBots) {
+    const result = await pool.query(
+        `WITH fof AS (
+             SELECT f.following_id AS user_id, COUNT(*)::int AS mutuals,
+                    (ARRAY_AGG(COALESCE(mu.username, mu.display_name) ORDER BY f.created_at DESC))[1:1] AS via
+             FROM followers mine
+             JOIN followers f ON f.follower_id = mine.following_id
+             JOIN users mu ON mu.id = f.follower_id
+             WHERE mine.follower_id = $1::uuid
+             GROUP BY f.following_id
+         ),
+         played AS (
+             SELECT game_id, BOOL_OR(liked) AS liked
+             FROM (
+                 (SELECT game_id, FALSE AS liked FROM game_plays
+                  WHERE user_id = $1::uuid ORDER BY last_played_at DESC LIMIT $3)
+                 UNION ALL
+                 (SELECT game_id, TRUE FROM likes WHERE user_id = $1::uuid ORDER BY created_at DESC LIMIT $3)
+             ) mine
+             GROUP BY game_id
+         ),
+         creators AS (
+             SELECT cu.id AS user_id, COUNT(*)::int AS creator_games, COUNT(*) FILTER (WHERE p.liked)::int AS creator_liked,
+                    (ARRAY_AGG(g.name ORDER BY p.liked DESC, g.plays DESC NULLS LAST))[1] AS game_name
+             FROM played p
+             JOIN games g ON g.id = p.game_id
+             LEFT JOIN ai_games ag ON g.embed_url = ('/api/ai/play/' || ag.id::text)
+             JOIN users cu ON cu.id::text = COALESCE(NULLIF(g.developer, ''), ag.user_id::text)
+             GROUP BY cu.id
+         ),
+         co_players AS (
+             -- Filtered before the limit, so the viewer and people they can't be shown don't use up slots.
+             SELECT gp.user_id, COUNT(*)::int AS shared_games
+             FROM game_plays gp
+             JOIN played p ON p.game_id = gp.game_id
+             JOIN users u ON u.id = gp.user_id
+             WHERE gp.last_played_at >= NOW() - ($4::text || ' days')::interval
+               AND ${ELIGIBLE_SQL}
+             GROUP BY gp.user_id
+             ORDER BY shared_games DESC
+             LIMIT $5
+         ),
+         candidates AS (
+             SELECT user_id FROM fof
+             UNION SELECT user_id FROM creators
+             UNION SELECT user_id FROM co_players
+         )
+         SELECT
+             u.id, u.username, u.display_name, u.avatar, u.verified,
+             COALESCE(fof.mutuals, 0) AS mutuals, fof.via,
+             COALESCE(c.creator_games, 0) AS creator_games, COALESCE(c.creator_liked, 0) AS creator_liked, c.game_name,
+             COALESCE(cp.shared_games, 0) AS shared_games,
+             (SELECT COUNT(*)::int FROM followers fc WHERE fc.following_id = u.id) AS follower_count
+         FROM candidates cand
+         JOIN users u ON u.id = cand.user_id
+         LEFT JOIN fof ON fof.user_id = u.id
+         LEFT JOIN creators c ON c.user_id = u.id
+         LEFT JOIN co_players cp ON cp.user_id = u.id
+         WHERE ${ELIGIBLE_SQL}
+         -- recommendationSignals() in SQL, so the strongest candidates survive the limit.
+         ORDER BY
+             $6::int * COALESCE(fof.mutuals, 0)
+             + $7::int * COALESCE(c.creator_liked, 0)
+             + $8::int * GREATEST(COALESCE(c.creator_games, 0) - COALESCE(c.creator_liked, 0), 0)
+             + $9::int * LEAST(COALESCE(cp.shared_games, 0), $10::int) DESC,
+             follower_count DESC,
+             u.id
+         LIMIT $5`,
+        [
+            viewerId, includeBots, PLAYED_GAMES, CO_PLAY_DAYS, CANDIDATE_LIMIT,
+            WEIGHTS.mutual, WEIGHTS.likedGame, WEIGHTS.playedGame, WEIGHTS.sharedGame, MAX_SHARED_GAMES,
+        ]
+    );
+    return result.rows;
+}
+
+async function popularCandidates(viewerId, includeBots, excludeIds, limit) {
+    const result = await pool.query(
+        `SELECT u.id, u.username, u.display_name, u.avatar, u.verified, COUNT(f.follower_id)::int AS follower_count
+         FROM users u
+         LEFT JOIN followers f ON f.following_id = u.id
+         WHERE ${ELIGIBLE_SQL}
+           AND u.id <> ALL($3::uuid[])
+         GROUP BY u.id
+         ORDER BY follower_count DESC, u.created_at DESC
+         LIMIT $4`,
+        [viewerId, includeBots, excludeIds, limit]
+    );
+    return result.rows;
+}
+
+/**
+ * Up to `limit` people for `viewerId` (null when signed out) to follow, best
+ * first, each with `reason`.
+ */
+export async function recommendUsersToFollow({ viewerId = null, limit = DEFAULT_RECOMMENDATION_LIMIT, includeBots = false } = {}) {
+    const size = Math.min(Math.max(parseInt(limit, 10) || DEFAULT_RECOMMENDATION_LIMIT, 1), MAX_RECOMMENDATION_LIMIT);
+    const ranked = viewerId
+        ? (await graphCandidates(viewerId, includeBots))
+            .map((row) => ({ row, score: recommendationScore(row) }))
+            .sort((a, b) => b.score - a.score || String(a.row.id).localeCompare(String(b.row.id)))
+            .slice(0, size)
+            .map(({ row }) => row)
+        : [];
+    if (ranked.length < size) {
+        ranked.push(...await popularCandidates(viewerId, includeBots, ranked.map((row) => row.id), size - ranked.length));
+    }
+    return ranked.map(formatRecommendation);
+}
@@ -0,0 +1,387 @@
+/**
+ * "For You" ranking.
+ *
+ * A signed-in viewer's feed is ranked from what they have actually done:
+ * plays (`game_plays`), likes, saves, time spent in play sessions, and the feed
+ * impressions clients report (`feed_impressions`: how long a card stayed on
+ * screen, and whether it was swiped away). Three signals are blended per
+ * candidate game:
+ *
+ *   popularity   the same discover score the anonymous feed sorts by
+ *   collaborative "players like you also played": games played by the users
+ *                whose plays overlap most with the viewer's favourites
+ *   affinity     how the viewer has responded to the game's categories
+ *                (game_categories), negative for categories they skip
+ *
+ * Games the viewer was shown recently or has just played are left out, and a
+ * diversity pass keeps one creator or category from filling a page. Viewers
+ * with no history (and anonymous `x-client-id` users, who are never ranked
+ * here) get the popularity order, i.e. the current discover scores.
+ *
+ * Seen games drop out as soon as their impressions are reported, so For You
+ * pages by asking again rather than by offset; `seen` carries cards the client
+ * has shown but not reported yet. The Explore lane is only a preview of the
+ * same ranking, so it is cached per viewer for LANE_CACHE_MS (forYouLane)
+ * instead of re-running the neighbour scan on every lane request.
+ */
+
+import pool from './db.js';
+import { listedGameSql } from './game-visibility.js';
+
+export const MAX_IMPRESSIONS_PER_BATCH = 50;
+// A card swiped away faster than this counts as a skip unless the client says otherwise.
+export const SKIP_DWELL_MS = 2000;
+const MAX_DWELL_MS = 10 * 60 * 1000;
+const HISTORY_DAYS = 90;
+const SEEN_HOURS = 72;
+const RECENT_PLAY_HOURS = 24;
+const IMPRESSION_RETENTION_DAYS = 90;
+const CANDIDATE_POOL = 400;
+const SEED_GAMES = 50;
+const NEIGHBOURS = 200;
+const LANE_CACHE_MS = 2 * 60 * 1000;
+const MAX_LANE_CACHE_ENTRIES = 5000;
+
+export const BLEND = { popularity: 0.35, collaborative: 0.4, affinity: 0.25 };
+export const DIVERSITY = { maxCategoryRun: 2, creatorWindow: 10, maxPerCreatorInWindow: 2 };
+
+export async function ensureFeedSignalTables() {
+    await pool.query(`
+        CREATE TABLE IF NOT EXISTS feed_impressions (
+            id BIGSERIAL PRIMARY KEY,
+            user_id UUID REFERENCES users(id) ON DELETE CASCADE,
+            client_id VARCHAR(255),
+            game_id VARCHAR(100) NOT NULL REFERENCES games(id) ON DELETE CASCADE,
+            dwell_ms INTEGER NOT NULL DEFAULT 0,
+            skipped BOOLEAN NOT NULL DEFAULT FALSE,
+            created_at TIMESTAMP NOT NULL DEFAULT NOW()
+        );
+        CREATE INDEX IF NOT EXISTS idx_feed_impressions_user ON feed_impressions(user_id, created_at DESC) WHERE user_id IS NOT NULL;
+        CREATE INDEX IF NOT EXISTS idx_feed_impressions_client ON feed_impressions(client_id, created_at DESC) WHERE client_id IS NOT NULL;
+        CREATE INDEX IF NOT EXISTS idx_feed_impressions_created ON feed_impressions(created_at);
+    `);
+}
+
+export class FeedSignalError extends Error {
+    constructor(message, statusCode = 400) {
+        super(message);
+        this.statusCode = statusCode;
+    }
+}
+
+/**
+ * Validate a client's impression batch into rows to insert. Entries without a
+ * game id are dropped; dwell is clamped to [0, MAX_DWELL_MS].
+ */
+export function normalizeImpressions(impressions) {
+    if (!Array.isArray(impressions)) throw new FeedSignalError('impressions must be an array');
+    if (impressions.length > MAX_IMPRESSIONS_PER_BATCH) {
+        throw new FeedSignalError(`At most ${MAX_IMPRESSIONS_PER_BATCH} impressions per request`);
+    }
+    return impressions
+        .filter((entry) => entry && typeof entry.gameId === 'string' && entry.gameId.trim())
+        .map((entry) => {
+            const dwellMs = Math.min(Math.max(Math.round(Number(entry.dwellMs) || 0), 0), MAX_DWELL_MS);
+            return {
+                gameId: entry.gameId.trim().slice(0, 100),
+                dwellMs,
+                skipped: typeof entry.skipped === 'boolean' ? entry.skipped : dwellMs < SKIP_DWELL_MS,
+            };
+        });
+}
+
+/** Store feed impressions for a signed-in user or an anonymous client. Returns how many were kept. */
+export async function recordFeedImpressions({ userId = null, clientId = null, impressions }) {
+    if (!userId && !clientId) throw new FeedSignalError('Sign in or send x-client-id');
+    const rows = normalizeImpressions(impressions);
+    if (rows.length === 0) return 0;
+    // Unknown game ids are skipped by the join rather than failing the batch on the foreign key.
+    const result = await pool.query(
+        `INSERT INTO feed_impressions (user_id, client_id, game_id, dwell_ms, skipped)
+         SELECT $1, $2, i.game_id, i.dwell_ms, i.skipped
+         FROM unnest($3::varchar[], $4::int[], $5::boolean[]) AS i(game_id, dwell_ms, skipped)
+         JOIN games g ON g.id = i.game_id`,
+        [userId, userId ? null : clientId, rows.map((row) => row.gameId), rows.map((row) => row.dwellMs), rows.map((row) => row.skipped)]
+    );
+    return result.rowCount;
+}
+
+/** Drop impressions older than the history the ranking reads. Run from the daily scheduler. */
+export async function pruneFeedImpressions() {
+    const result = await pool.query(
+        `DELETE FROM feed_impressions WHERE created_at < NOW() - ($1::text || ' days')::interval`,
+        [IMPRESSION_RETENTION_DAYS]
+    );
+    return result.rowCount;
+}
+
+/**
+ * How much one game's history says the viewer likes it. Plays are log-damped,
+ * likes and saves count most, dwell adds up to 2, each skip takes some away.
+ */
+export function interactionWeight({ plays = 0, liked = false, saved = false, dwellMs = 0, skips = 0 }) {
+    return Math.log1p(Math.max(Number(plays) || 0, 0))
+        + (liked ? 3 : 0)
+        + (saved ? 4 : 0)
+        + Math.min((Number(dwellMs) || 0) / 30_000, 2)
+        - 0.75 * (Number(skips) || 0);
+}
+
+/**
+ * Category -> affinity in [-1, 1]: each category's share of the viewer's
+ * total interaction weight, signed, so skipped-over categories go negative.
+ */
+export function categoryAffinity(interactions) {
+    const totals = new Map();
+    let magnitude = 0;
+    for (const interaction of interactions) {
+        const weight = interactionWeight(interaction);
+        const categories = interaction.categories || [];
+        if (!weight || categories.length === 0) continue;
+        magnitude += Math.abs(weight);
+        for (const category of categories) {
+            totals.set(category, (totals.get(category) || 0) + weight / categories.length);
+        }
+    }
+    const affinity = new Map();
+    if (!magnitude) return affinity;
+    for (const [category, total] of totals) affinity.set(category, Math.max(-1, Math.min(1, total / magnitude)));
+    return affinity;
+}
+
+/**
+ * Blend each candidate's signals into `forYouScore`, highest first. Popularity
+ * and collaborative scores are scaled by the pool's maximum so the weights in
+ * BLEND compare like with like; affinity is the mean over the game's categories.
+ */
+export function scoreCandidates(candidates, affinity = new Map(), weights = BLEND) {
+    const maxPopularity = Math.max(0, ...candidates.map((candidate) => Number(candidate.popularity) || 0));
+    const maxCollaborative = Math.max(0, ...candidates.map((candidate) => Number(candidate.collaborative) || 0));
+    return candidates
+        .map((candidate) => {
+            const categories = candidate.categories || [];
+            const popularity = maxPopularity ? (Number(candidate.popularity) || 0) / maxPopularity : 0;
+            const collaborative = maxCollaborative ? (Number(candidate.collaborative) || 0) / maxCollaborative : 0;
+            const categoryScore = categories.length
+                ? categories.reduce((sum, category) => sum + (affinity.get(category) || 0), 0) / categories.length
+                : 0;
+            return {
+                ...candidate,
+                forYouScore: weights.popularity * popularity + weights.collaborative * collaborative + weights.affinity * categoryScore,
+            };
+        })
+        .sort((a, b) => b.forYouScore - a.forYouScore || String(a.id).localeCompare(String(b.id)));
+}
+
+/**
+ * Re-order ranked candidates so no more than `maxCategoryRun` in a row share a
+ * lead category and a creator appears at most `maxPerCreatorInWindow` times in
+ * any `creatorWindow` consecutive games. Takes the best candidate that fits;
+ * when none does, the best remaining one, so nothing is ever dropped.
+ */
+export function diversify(ranked, { maxCategoryRun, creatorWindow, maxPerCreatorInWindow } = DIVERSITY) {
+    const remaining = [...ranked];
+    const ordered = [];
+    const fits = (candidate) => {
+        const lead = candidate.categories?.[0];
+        const run = ordered.slice(-maxCategoryRun);
+        if (lead && run.length === maxCategoryRun && run.every((game) => game.categories?.[0] === lead)) return false;
+        if (!candidate.creatorId) return true;
+        const recent = creatorWindow > 1 ? ordered.slice(-(creatorWindow - 1)) : [];
+        return recent.filter((game) => game.creatorId === candidate.creatorId).length < maxPerCreatorInWindow;
+    };
+    while (remaining.length) {
+        const index = remaining.findIndex(fits);
+        ordered.push(remaining.splice(index === -1 ? 0 : index, 1)[0]);
+    }
+    return ordered;
+}
+
+const POPULARITY_SQL = `(
+    LEAST(COALESCE(g.plays, 0) / 4000.0, 28) +
+    COALESCE(sa.recent_activity_score, 0) +
+    COALESCE(g.engagement_score, 0) +
+    CASE
+        WHEN g.created_at >= NOW() - INTERVAL '3 days' THEN 14
+        WHEN g.created_at >= NOW() - INTERVAL '7 days' THEN 8
+        WHEN g.created_at >= NOW() - INTERVAL '21 days' THEN 4
+        ELSE 0
+    END
+)`;
+
+/** The viewer's per-game history over HISTORY_DAYS, with each game's categories. */
+async function loadInteractions(userId) {
+    const result = await pool.query(
+        `WITH history AS (
+             SELECT game_id, play_count AS plays, FALSE AS liked, FALSE AS saved, 0 AS dwell_ms, 0 AS skips
+             FROM game_plays WHERE user_id = $1 AND last_played_at >= NOW() - ($2::text || ' days')::interval
+             UNION ALL
+             SELECT game_id, 0, TRUE, FALSE, 0, 0 FROM likes WHERE user_id = $1
+             UNION ALL
+             SELECT game_id, 0, FALSE, TRUE, 0, 0 FROM saved_games WHERE user_id = $1
+             UNION ALL
+             SELECT game_id, 0, FALSE, FALSE, dwell_ms, CASE WHEN skipped THEN 1 ELSE 0 END
+             FROM feed_impressions WHERE user_id = $1 AND created_at >= NOW() - ($2::text || ' days')::interval
+             UNION ALL
+             SELECT game_id, 0, FALSE, FALSE,
+                    LEAST(EXTRACT(EPOCH FROM (submitted_at - started_at)) * 1000, 600000)::int, 0
+             FROM play_sessions
+             WHERE user_id = $1 AND submitted_at IS NOT NULL AND started_at >= NOW() - ($2::text || ' days')::interval
+         )
+         SELECT
+             h.game_id,
+             SUM(h.plays)::int AS plays,
+             BOOL_OR(h.liked) AS liked,
+             BOOL_OR(h.saved) AS saved,
+             SUM(h.dwell_ms)::bigint AS dwell_ms,
+             SUM(h.skips)::int AS skips,
+             COALESCE(
+                 (SELECT ARRAY_AGG(gc.category ORDER BY gc.category) FROM game_categories gc WHERE gc.game_id = h.game_id),
+                 ARRAY[]::varchar[]
+             ) AS categories
+         FROM history h
+         GROUP BY h.game_id`,
+        [userId, HISTORY_DAYS]
+    );
+    return result.rows.map((row) => ({
+        gameId: row.game_id,
+        plays: row.plays,
+        liked: row.liked,
+        saved: row.saved,
+        dwellMs: Number(row.dwell_ms),
+        skips: row.skips,
+        categories: row.categories,
+    }));
+}
+
+/**
+ * Candidate games for `userId`: listed, not multiplayer-only, not seen or
+ * played recently, not in `excludeIds`, with their popularity and
+ * collaborative scores. `seeds` are the viewer's favourite games with weights.
+ */
+async function loadCandidates({ userId, seeds, excludeIds, category }) {
+    const params = [
+        userId,
+        seeds.map((seed) => seed.gameId),
+        seeds.map((seed) => seed.weight),
+        excludeIds,
+        SEEN_HOURS,
+        RECENT_PLAY_HOURS,
+        NEIGHBOURS,
+        CANDIDATE_POOL,
+    ];
+    let categoryFilter = '';
+    if (category) {
+        params.push(category);
+        categoryFilter = `AND EXISTS (SELECT 1 FROM game_categories gc WHERE gc.game_id = g.id AND gc.category = $${params.length})`;
+    }
+    const result = await pool.query(
+        `WITH seeds AS (
+             SELECT * FROM unnest($2::varchar[], $3::float8[]) AS s(game_id, weight)
+         ),
+         -- Other players, by how much of the viewer's favourites they also played.
+         neighbours AS (
+             SELECT gp.user_id, SUM(s.weight) AS overlap
+             FROM game_plays gp
+             JOIN seeds s ON s.game_id = gp.game_id
+             WHERE gp.user_id::text <> $1::text
+             GROUP BY gp.user_id
+             ORDER BY overlap DESC
+             LIMIT $7
+         ),
+         collaborative AS (
+             SELECT gp.game_id, SUM(n.overlap * LN(1 + gp.play_count)) AS score
+             FROM game_plays gp
+             JOIN neighbours n ON n.user_id = gp.user_id
+             GROUP BY gp.game_id
+         ),
+         score_activity AS (
+             SELECT
+                 game_id,
+                 COUNT(*) FILTER (WHERE created_at >= NOW() - INTERVAL '24 hours') * 5 +
+                 COUNT(*) FILTER (WHERE created_at >= NOW() - INTERVAL '3 days') * 2 +
+                 COUNT(DISTINCT user_id) FILTER (WHERE created_at >= NOW() - INTERVAL '3 days' AND user_id IS NOT NULL) * 3 AS recent_activity_score
+             FROM scores
+             WHERE created_at >= NOW() - INTERVAL '3 days'
+             GROUP BY game_id
+         )
+         SELECT
+             g.*,
+             u.id AS creator_id,
+             u.display_name AS creator_display_name,
+             u.verified AS creator_verified,
+             u.avatar AS creator_avatar,
+             u.username AS creator_username,
+             COALESCE(
+                 (SELECT ARRAY_AGG(gc.category ORDER BY gc.category) FROM game_categories gc WHERE gc.game_id = g.id),
+                 ARRAY[]::varchar[]
+             ) AS categories,
+             ${POPULARITY_SQL}::float8 AS popularity,
+             COALESCE(c.score, 0)::float8 AS collaborative
+         FROM games g
+         LEFT JOIN ai_games ag ON g.embed_url = ('/api/ai/play/' || ag.id::text)
+         LEFT JOIN users u ON u.id::text = COALESCE(NULLIF(g.developer, ''), ag.user_id::text)
+         LEFT JOIN score_activity sa ON sa.game_id = g.id
+         LEFT JOIN collaborative c ON c.game_id = g.id
+         WHERE (g.multiplayer_only = FALSE OR g.multiplayer_only IS NULL)
+           AND ag.id IS NOT NULL
+           AND ${listedGameSql('g', '$1')}
+           AND g.id <> ALL($4::varchar[])
+           AND COALESCE(g.developer, '') <> $1::text
+           AND NOT EXISTS (
+               SELECT 1 FROM feed_impressions fi
+               WHERE fi.user_id = ($1::text)::uuid AND fi.game_id = g.id
+                 AND fi.created_at >= NOW() - ($5::text || ' hours')::interval
+           )
+           AND NOT EXISTS (
+               SELECT 1 FROM game_plays gp
+               WHERE gp.user_id = ($1::text)::uuid AND gp.game_id = g.id
+                 AND gp.last_played_at >= NOW() - ($6::text || ' hours')::interval
+           )
+           ${categoryFilter}
+         ORDER BY COALESCE(c.score, 0) DESC, popularity DESC, g.created_at DESC
+         LIMIT $8`,
+        params
+    );
+    return result.rows.map((row) => ({ ...row, creatorId: row.creator_id || null }));
+}
+
+/**
+ * The next `limit` For You games for `userId` (rows shaped for formatGame),
+ * optionally within one category. `excludeIds` are games the client already
+ * holds. Returns [] when nothing unseen is left.
+ */
+export async function rankForYou({ userId, limit = 10, category = null, excludeIds = [] }) {
+    const interactions = await loadInteractions(userId);
+    const seeds = interactions
+        .map((interaction) => ({ gameId: interaction.gameId, weight: interactionWeight(interaction) }))
+        .filter((seed) => seed.weight > 0)
+        .sort((a, b) => b.weight - a.weight)
+        .slice(0, SEED_GAMES);
+    const candidates = await loadCandidates({ userId, seeds, excludeIds, category });
+    const ranked = scoreCandidates(candidates, categoryAffinity(interactions));
+    return diversify(ranked.slice(0, Math.max(limit * 3, limit))).slice(0, limit);
+}
+
+// userId -> { rows, limit, cachedAt }
+const laneCache = new Map();
+
+/**
+ * The For You lane on Explore: rankForYou() for `userId`, reused for
+ * LANE_CACHE_MS. The full feed (`sort=foryou`) is never cached, since it must
+ * drop what was just seen.
+ */
+export async function forYouLane({ userId, limit = 10, now = Date.now() }) {
+    const cached = laneCache.get(userId);
+    if (cached && now - cached.cachedAt < LANE_CACHE_MS && cached.limit >= limit) return cached.rows.slice(0, limit);
+
+    const rows = await rankForYou({ userId, limit });
+    if (laneCache.size >= MAX_LANE_CACHE_ENTRIES) {
+        for (const [key, entry] of laneCache) {
+            if (now - entry.cachedAt >= LANE_CACHE_MS) laneCache.delete(key);
+        }
+        if (laneCache.size >= MAX_LANE_CACHE_ENTRIES) laneCache.delete(laneCache.keys().next().value);
+    }
+    laneCache.set(userId, { rows, limit, cachedAt: now });
+    return rows;
+}
@@ -0,0 +1,214 @@
+/**
+ * Versioned cloud saves for `game_progress`.
+ *
+ * Each save row carries a `revision` that goes up by one on every write. A client
+ * sends the revision its local copy was based on (`baseRevision`); if the server
+ * has moved on — another device saved in between — the write is refused and the
+ * server copy is returned so the client can merge or pick one. Nothing is
+ * overwritten silently any more: every replaced snapshot goes into
+ * `game_progress_history` (bounded per user/game) and can be restored.
+ *
+ * Writes without `baseRevision` are treated as unconditional, for app builds that
+ * predate revisions. They still archive what they replace.
+ *
+ * Saves are capped per game (`games.save_quota_bytes`, else SAVE_QUOTA_BYTES_DEFAULT),
+ * measured as the UTF-8 size of the JSON we store.
+ */
+
+import pool from './db.js';
+
+const DEFAULT_SAVE_QUOTA_BYTES = Math.max(1024, Number(process.env.SAVE_QUOTA_BYTES_DEFAULT || 256 * 1024));
+const SAVE_HISTORY_LIMIT = Math.max(1, Number(process.env.SAVE_HISTORY_LIMIT || 10));
+
+export async function ensureGameSaveTables() {
+    await pool.query(`
+        ALTER TABLE game_progress ADD COLUMN IF NOT EXISTS revision INTEGER NOT NULL DEFAULT 1;
+        ALTER TABLE game_progress ADD COLUMN IF NOT EXISTS size_bytes INTEGER;
+        ALTER TABLE games ADD COLUMN IF NOT EXISTS save_quota_bytes INTEGER;
+
+        CREATE TABLE IF NOT EXISTS game_progress_history (
+            id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+            user_id UUID NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+            game_id VARCHAR(100) NOT NULL REFERENCES games(id) ON DELETE CASCADE,
+            revision INTEGER NOT NULL,
+            storage_data JSONB NOT NULL,
+            size_bytes INTEGER,
+            saved_at TIMESTAMP,
+            archived_at TIMESTAMP NOT NULL DEFAULT NOW(),
+            UNIQUE (user_id, game_id, revision)
+        );
+
+        CREATE INDEX IF NOT EXISTS idx_game_progress_history_recent
+            ON game_progress_history(user_id, game_id, revision DESC);
+    `);
+}
+
+export class SaveConflictError extends Error {
+    constructor(server) {
+        super('Revision conflict');
+        this.statusCode = 409;
+        this.server = server;
+    }
+}
+
+export class SaveQuotaError extends Error {
+    constructor(sizeBytes, quotaBytes) {
+        super(`Save is ${sizeBytes} bytes; this game allows ${quotaBytes}`);
+        this.statusCode = 413;
+        this.sizeBytes = sizeBytes;
+        this.quotaBytes = quotaBytes;
+    }
+}
+
+export function measureSaveBytes(storageData) {
+    return Buffer.byteLength(JSON.stringify(storageData ?? {}), 'utf8');
+}
+
+/** `baseRevision` as sent by a client: undefined/null means "not supplied". */
+export function parseBaseRevision(value) {
+    if (value === undefined || value === null || value === '') return { supplied: false };
+    const revision = Number(value);
+    if (!Number.isInteger(revision) || revision < 0) return { supplied: true, invalid: true };
+    return { supplied: true, revision };
+}
+
+async function getSaveQuotaBytes(db, gameId) {
+    const { rows } = await db.query('SELECT save_quota_bytes FROM games WHERE id = $1', [gameId]);
+    const quota = Number(rows[0]?.save_quota_bytes);
+    return quota > 0 ? quota : DEFAULT_SAVE_QUOTA_BYTES;
+}
+
+function formatSave(row) {
+    if (!row) return { storageData: {}, revision: 0, updatedAt: null };
+    return {
+        storageData: row.storage_data || {},
+        revision: Number(row.revision) || 0,
+        updatedAt: row.updated_at,
+    };
+}
+
+export async function getGameSave(userId, gameId) {
+    const { rows } = await pool.query(
+        'SELECT storage_data, revision, updated_at FROM game_progress WHERE user_id = $1 AND game_id = $2',
+        [userId, gameId]
+    );
+    return formatSave(rows[0]);
+}
+
+/**
+ * Write `storageData` as the new head inside an open transaction. Locks the
+ * current row, checks `baseRevision`, archives the replaced snapshot and trims
+ * history. Throws SaveConflictError / SaveQuotaError.
+ */
+async function writeSaveHead(client, { userId, gameId, storageData, baseRevision }) {
+    const sizeBytes = measureSaveBytes(storageData);
+    const quotaBytes = await getSaveQuotaBytes(client, gameId);
+    if (sizeBytes > quotaBytes) throw new SaveQuotaError(sizeBytes, quotaBytes);
+
+    const current = (await client.query(
+        `SELECT storage_data, revision, updated_at, size_bytes FROM game_progress
+         WHERE user_id = $1 AND game_id = $2 FOR UPDATE`,
+        [userId, gameId]
+    )).rows[0];
+    const currentRevision = current ? Number(current.revision) || 0 : 0;
+    if (baseRevision !== undefined && baseRevision !== currentRevision) {
+        throw new SaveConflictError(formatSave(current));
+    }
+
+    if (!current) {
+        // Two devices creating the first save at once: the loser sees the winner's row.
+        const inserted = await client.query(
+            `INSERT INTO game_progress (user_id, game_id, storage_data, revision, size_bytes, updated_at)
+             VALUES ($1, $2, $3, 1, $4, NOW())
+             ON CONFLICT (user_id, game_id) DO NOTHING
+             RETURNING storage_data, revision, updated_at`,
+            [userId, gameId, JSON.stringify(storageData), sizeBytes]
+        );
+        if (inserted.rows.length === 0) {
+            const winner = await client.query(
+                'SELECT storage_data, revision, updated_at FROM game_progress WHERE user_id = $1 AND game_id = $2',
+                [userId, gameId]
+            );
+            throw new SaveConflictError(formatSave(winner.rows[0]));
+        }
+        return formatSave(inserted.rows[0]);
+    }
+
+    await client.query(
+        `INSERT INTO game_progress_history (user_id, game_id, revision, storage_data, size_bytes, saved_at)
+         VALUES ($1, $2, $3, $4, $5, $6)
+         ON CONFLICT (user_id, game_id, revision) DO NOTHING`,
+        [userId, gameId, currentRevision, JSON.stringify(current.storage_data || {}), current.size_bytes, current.updated_at]
+    );
+    await client.query(
+        `DELETE FROM game_progress_history
+         WHERE user_id = $1 AND game_id = $2 AND revision NOT IN (
+             SELECT revision FROM game_progress_history
+             WHERE user_id = $1 AND game_id = $2
+             ORDER BY revision DESC
+             LIMIT $3
+         )`,
+        [userId, gameId, SAVE_HISTORY_LIMIT]
+    );
+    const updated = await client.query(
+        `UPDATE game_progress
+         SET storage_data = $3, revision = revision + 1, size_bytes = $4, updated_at = NOW()
+         WHERE user_id = $1 AND game_id = $2
+         RETURNING storage_data, revision, updated_at`,
+        [userId, gameId, JSON.stringify(storageData), sizeBytes]
+    );
+    return formatSave(updated.rows[0]);
+}
+
+async function inTransaction(fn) {
+    const client = await pool.connect();
+    try {
+        await client.query('BEGIN');
+        const result = await fn(client);
+        await client.query('COMMIT');
+        return result;
+    } catch (error) {
+        await client.query('ROLLBACK').catch(() => {});
+        throw error;
+    } finally {
+        client.release();
+    }
+}
+
+/** Save a new head. Returns `{ storageData, revision, updatedAt }`. */
+export async function saveGameProgress({ userId, gameId, storageData, baseRevision }) {
+    return inTransaction((client) => writeSaveHead(client, { userId, gameId, storageData, baseRevision }));
+}
+
+/** Archived snapshots, newest first, without their payloads. */
+export async function listSaveHistory(userId, gameId) {
+    const { rows } = await pool.query(
+        `SELECT revision, size_bytes, saved_at, archived_at FROM game_progress_history
+         WHERE user_id = $1 AND game_id = $2
+         ORDER BY revision DESC`,
+        [userId, gameId]
+    );
+    return rows.map((row) => ({
+        revision: row.revision,
+        sizeBytes: row.size_bytes,
+        savedAt: row.saved_at,
+        archivedAt: row.archived_at,
+    }));
+}
+
+/**
+ * Make an archived snapshot the head again. This is a normal write — the current
+ * head is archived and the revision moves forward — so a restore can itself be
+ * undone. Returns null when the revision isn't in history.
+ */
+export async function restoreSaveRevision({ userId, gameId, revision, baseRevision }) {
+    return inTransaction(async (client) => {
+        const snapshot = await client.query(
+            `SELECT storage_data FROM game_progress_history
+             WHERE user_id = $1 AND game_id = $2 AND revision = $3`,
+            [userId, gameId, revision]
+        );
+        if (snapshot.rows.length === 0) return null;
+        return writeSaveHead(client, { userId, gameId, storageData: snapshot.rows[0].storage_data, baseRevision });
+    });
+}
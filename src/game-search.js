@@ -0,0 +1,318 @@
+/**
+ * Game search.
+ *
+ * Each `games` row carries a search document: a weighted tsvector over its name
+ * (A), creator and categories (B) and description (C), plus `search_text`
+ * (name and creator, lower-cased) for pg_trgm. A query matches on the tsvector
+ * first, every word as a prefix so results appear while typing, and falls back
+ * to trigram word similarity so "zombi raeder" still finds "Zombie Raider".
+ * Relevance is then blended with plays and likes, so among equally good matches
+ * the games people actually play come first.
+ *
+ * Documents are refreshed where their inputs change (publish, category and
+ * admin edits, a creator renaming themselves). Every game without one is
+ * indexed at startup, before the server takes requests, so search never comes
+ * up missing the existing catalog; rows written anywhere else later (catalog
+ * imports, bots) are picked up by the periodic indexMissingGameSearchDocuments()
+ * sweep.
+ *
+ * Results page with an opaque cursor over (score, id). Facet counts cover
+ * everything that matches the query, before the category / orientation /
+ * multiplayer filters are applied, so every option shows what it would give.
+ */
+
+import pool from './db.js';
+import { CATEGORY_SLUGS } from './categories.js';
+import { listedGameSql } from './game-visibility.js';
+
+const MAX_QUERY_TERMS = 8;
+const MAX_QUERY_CHARS = 120;
+export const DEFAULT_SEARCH_LIMIT = 20;
+export const MAX_SEARCH_LIMIT = 50;
+const INDEX_BATCH = 500;
+// ts_headline markers, split back out into { text, match } segments so clients never render HTML.
+const MARK_START = '⟦';
+const MARK_STOP = '⟧';
+const HEADLINE_OPTIONS = `StartSel=${MARK_START}, StopSel=${MARK_STOP}, MaxWords=24, MinWords=8, ShortWord=2, MaxFragments=1`;
+const NAME_HEADLINE_OPTIONS = `StartSel=${MARK_START}, StopSel=${MARK_STOP}, HighlightAll=true`;
+
+let trigramEnabled = false;
+
+export async function ensureGameSearchIndex() {
+    // pg_trgm ships with Postgres but creating it can need privileges this role lacks. Search
+    // still works without it, just without typo tolerance.
+    try {
+        await pool.query('CREATE EXTENSION IF NOT EXISTS pg_trgm');
+    } catch (error) {
+        console.warn('[Search] pg_trgm unavailable, typo-tolerant matching is off:', error.message);
+    }
+    const extension = await pool.query("SELECT 1 FROM pg_extension WHERE extname = 'pg_trgm'");
+    trigramEnabled = extension.rows.length > 0;
+
+    await pool.query(`
+        ALTER TABLE games ADD COLUMN IF NOT EXISTS search_document TSVECTOR;
+        ALTER TABLE games ADD COLUMN IF NOT EXISTS search_text TEXT;
+        CREATE INDEX IF NOT EXISTS idx_games_search_document ON games USING GIN (search_document);
+        CREATE INDEX IF NOT EXISTS idx_games_search_missing ON games (id) WHERE search_document IS NULL;
+    `);
+    if (trigramEnabled) {
+        await pool.query('CREATE INDEX IF NOT EXISTS idx_games_search_text_trgm ON games USING GIN (search_text gin_trgm_ops)');
+    }
+    // Search only matches indexed rows, so the whole backlog goes now, batch by batch.
+    let total = 0;
+    let indexed;
+    do {
+        indexed = await refreshDocuments(MISSING_DOCUMENTS_SQL, [INDEX_BATCH]);
+        total += indexed;
+    } while (indexed >= INDEX_BATCH);
+    if (total > 0) console.log(`[Search] Indexed ${total} games at startup`);
+}
+
+export class SearchError extends Error {
+    constructor(message, statusCode = 400) {
+        super(message);
+        this.statusCode = statusCode;
+    }
+}
+
+/** Lower-cased words of a query, letters and digits only, at most MAX_QUERY_TERMS. */
+export function searchTerms(query) {
+    return String(query || '')
+        .slice(0, MAX_QUERY_CHARS)
+        .toLowerCase()
+        .split(/[^\p{L}\p{N}]+/u)
+        .filter(Boolean)
+        .slice(0, MAX_QUERY_TERMS);
+}
+
+/**
+ * A to_tsquery() string matching every term as a prefix ("zomb:* & raid:*"),
+ * or null when nothing searchable is left. Terms are letters and digits only,
+ * so nothing in the query can reach tsquery syntax.
+ */
+export function buildPrefixTsQuery(query) {
+    const terms = searchTerms(query);
+    return terms.length ? terms.map((term) => `${term}:*`).join(' & ') : null;
+}
+
+export function encodeSearchCursor({ score, id }) {
+    return Buffer.from(JSON.stringify([score, id])).toString('base64url');
+}
+
+export function decodeSearchCursor(cursor) {
+    if (!cursor) return null;
+    try {
+        const [score, id] = JSON.parse(Buffer.from(String(cursor), 'base64url').toString('utf-8'));
+        if (typeof score !== 'number' || !Number.isFinite(score) || typeof id !== 'string' || !id) throw new Error('shape');
+        return { score, id };
+    } catch {
+        throw new SearchError('Invalid cursor');
+    }
+}
+
+/** ts_headline output as [{ text, match }] segments; empty when there is no text. */
+export function parseHighlight(raw) {
+    if (!raw) return [];
+    const segments = [];
+    let rest = String(raw);
+    while (rest) {
+        const start = rest.indexOf(MARK_START);
+        if (start === -1) {
+            segments.push({ text: rest, match: false });
+            break;
+        }
+        if (start > 0) segments.push({ text: rest.slice(0, start), match: false });
+        const stop = rest.indexOf(MARK_STOP, start);
+        const end = stop === -1 ? rest.length : stop;
+        if (end > start + 1) segments.push({ text: rest.slice(start + 1, end), match: true });
+        rest = stop === -1 ? '' : rest.slice(stop + 1);
+    }
+    return segments;
+}
+
+const DOCUMENT_SQL = `
+    setweight(to_tsvector('simple', COALESCE(g.name, '')), 'A') ||
+    setweight(to_tsvector('simple', COALESCE(d.creator, '')), 'B') ||
+    setweight(to_tsvector('simple', COALESCE(d.categories, '')), 'B') ||
+    setweight(to_tsvector('simple', COALESCE(g.description, '')), 'C')`;
+
+const MISSING_DOCUMENTS_SQL = 'g2.id IN (SELECT id FROM games WHERE search_document IS NULL LIMIT $1)';
+
+async function refreshDocuments(scopeSql, params) {
+    const result = await pool.query(
+        `UPDATE games g
+         SET search_document = ${DOCUMENT_SQL},
+             search_text = LOWER(CONCAT_WS(' ', g.name, d.creator))
+         FROM (
+             SELECT
+                 g2.id,
+                 CONCAT_WS(' ', u.username, u.display_name) AS creator,
+                 CONCAT_WS(' ', g2.category, g2.subcategory, (
+                     SELECT STRING_AGG(gc.category || ' ' || REPLACE(gc.category, '-', ' '), ' ')
+                     FROM game_categories gc WHERE gc.game_id = g2.id
+                 )) AS categories
+             FROM games g2
+             LEFT JOIN ai_games ag ON g2.embed_url = ('/api/ai/play/' || ag.id::text)
+             LEFT JOIN users u ON u.id::text = COALESCE(NULLIF(g2.developer, ''), ag.user_id::text)
+             WHERE ${scopeSql}
+         ) d
+         WHERE g.id = d.id`,
+        params
+    );
+    return result.rowCount;
+}
+
+/**
+ * Rebuild the search documents of `gameIds`, or of every game by `creatorId`.
+ * Never throws: a stale document only costs relevance until the next refresh.
+ */
+export async function refreshGameSearchDocuments({ gameIds = null, creatorId = null } = {}) {
+    try {
+        if (gameIds?.length) return await refreshDocuments('g2.id = ANY($1::varchar[])', [gameIds]);
+        if (creatorId) return await refreshDocuments("COALESCE(NULLIF(g2.developer, ''), ag.user_id::text) = $1", [String(creatorId)]);
+        return 0;
+    } catch (error) {
+        console.error('[Search] Document refresh failed:', error.message);
+        return 0;
+    }
+}
+
+/** Index up to INDEX_BATCH games that have no search document yet. */
+export async function indexMissingGameSearchDocuments() {
+    const indexed = await refreshDocuments(MISSING_DOCUMENTS_SQL, [INDEX_BATCH]);
+    if (indexed > 0) console.log(`[Search] Indexed ${indexed} games`);
+    return indexed;
+}
+
+/**
+ * Matching games, with everything the ranking needs, for the parameters
+ * from candidateParams(). Callers add their own filters on top.
+ */
+function candidatesSql() {
+    const fuzzyMatch = trigramEnabled ? 'OR $3 <% g.search_text' : '';
+    const fuzzyRank = trigramEnabled ? 'COALESCE(word_similarity($3, g.search_text), 0)' : '0';
+    return `
+        SELECT
+            g.*,
+            u.id AS creator_id,
+            u.display_name AS creator_display_name,
+            u.verified AS creator_verified,
+            u.avatar AS creator_avatar,
+            u.username AS creator_username,
+            -- Relevance (text rank, or trigram similarity at half weight for typo-only matches)
+            -- scaled up by popularity; log-damped so a hit game can't outrank a much better match.
+            (
+                GREATEST(COALESCE(ts_rank_cd(g.search_document, to_tsquery('simple', $1), 32), 0), ${fuzzyRank} * 0.5)
+                * (1 + LN(1 + COALESCE(g.plays, 0)) / 10.0 + LN(1 + COALESCE(g.like_count, 0)) / 8.0)
+            )::float8 AS search_score
+        FROM games g
+        LEFT JOIN ai_games ag ON g.embed_url = ('/api/ai/play/' || ag.id::text)
+        LEFT JOIN users u ON u.id::text = COALESCE(NULLIF(g.developer, ''), ag.user_id::text)
+        WHERE (g.search_document @@ to_tsquery('simple', $1) ${fuzzyMatch})
+          AND (g.multiplayer_only = TRUE OR ag.id IS NOT NULL)
+          AND ${listedGameSql('g', '$2')}`;
+}
+
+// $1 tsquery, $2 viewer and, only when pg_trgm is on, $3 the query words for trigram matching.
+function candidateParams(query, viewerId) {
+    const params = [buildPrefixTsQuery(query), viewerId];
+    if (trigramEnabled) params.push(searchTerms(query).join(' '));
+    return params;
+}
+
+/**
+ * Search published games. `multiplayer` is true for multiplayer-only games,
+ * false (the default, as the feed does) for everything else, or null for both.
+ * Returns the matching rows (with `highlights`), facets, the filtered total and
+ * the cursor for the next page.
+ */
+export async function searchGames({
+    query,
+    viewerId = null,
+    category = null,
+    orientation = null,
+    multiplayer = false,
+    limit = DEFAULT_SEARCH_LIMIT,
+    cursor = null,
+}) {
+    const after = decodeSearchCursor(cursor);
+    const pageSize = Math.min(Math.max(parseInt(limit, 10) || DEFAULT_SEARCH_LIMIT, 1), MAX_SEARCH_LIMIT);
+    if (!buildPrefixTsQuery(query)) return { games: [], facets: { categories: [], orientation: [], multiplayer: [] }, total: 0, nextCursor: null };
+    if (category && !CATEGORY_SLUGS.includes(category)) throw new SearchError('Unknown category');
+    if (orientation && !['portrait', 'landscape'].includes(orientation)) throw new SearchError('orientation must be portrait or landscape');
+
+    const params = candidateParams(query, viewerId);
+    const filters = [];
+    if (category) {
+        params.push(category);
+        filters.push(`EXISTS (SELECT 1 FROM game_categories gc WHERE gc.game_id = c.id AND gc.category = $${params.length})`);
+    }
+    if (orientation) {
+        params.push(orientation);
+        filters.push(`COALESCE(c.orientation, 'portrait') = $${params.length}`);
+    }
+    if (multiplayer !== null) filters.push(multiplayer ? 'c.multiplayer_only = TRUE' : 'COALESCE(c.multiplayer_only, FALSE) = FALSE');
+    const filterSql = filters.length ? `WHERE ${filters.join(' AND ')}` : '';
+
+    const pageParams = [...params];
+    let cursorSql = '';
+    if (after) {
+        pageParams.push(after.score, after.id);
+        cursorSql = `${filters.length ? 'AND' : 'WHERE'} (c.search_score < $${pageParams.length - 1}::float8
+            OR (c.search_score = $${pageParams.length - 1}::float8 AND c.id > $${pageParams.length}))`;
+    }
+    pageParams.push(pageSize + 1, HEADLINE_OPTIONS, NAME_HEADLINE_OPTIONS);
+    const [limitParam, headlineParam, nameHeadlineParam] = [pageParams.length - 2, pageParams.length - 1, pageParams.length];
+
+    const [page, facets] = await Promise.all([
+        pool.query(
+            `WITH candidates AS (${candidatesSql()})
+             SELECT
+                 p.*,
+                 COALESCE(
+                     (SELECT ARRAY_AGG(gc.category ORDER BY gc.category) FROM game_categories gc WHERE gc.game_id = p.id),
+                     ARRAY[]::varchar[]
+                 ) AS categories,
+                 ts_headline('simple', COALESCE(p.name, ''), to_tsquery('simple', $1), $${nameHeadlineParam}) AS name_headline,
+                 ts_headline('simple', COALESCE(p.description, ''), to_tsquery('simple', $1), $${headlineParam}) AS description_headline
+             FROM (
+                 SELECT * FROM candidates c
+                 ${filterSql}
+                 ${cursorSql}
+                 ORDER BY c.search_score DESC, c.id ASC
+                 LIMIT $${limitParam}
+             ) p
+             ORDER BY p.search_score DESC, p.id ASC`,
+            pageParams
+        ),
+        pool.query(
+            `WITH candidates AS (${candidatesSql()})
+             SELECT 'category' AS facet, gc.category AS value, COUNT(*)::int AS count
+             FROM candidates c JOIN game_categories gc ON gc.game_id = c.id
+             GROUP BY gc.category
+             UNION ALL
+             SELECT 'orientation', COALESCE(c.orientation, 'portrait'), COUNT(*)::int FROM candidates c GROUP BY 2
+             UNION ALL
+             SELECT 'multiplayer', CASE WHEN c.multiplayer_only THEN 'true' ELSE 'false' END, COUNT(*)::int FROM candidates c GROUP BY 2
+             UNION ALL
+             SELECT 'total', NULL, COUNT(*)::int FROM candidates c ${filterSql}`,
+            params
+        ),
+    ]);
+
+    const rows = page.rows.slice(0, pageSize);
+    const last = rows[rows.length - 1];
+    const facetList = (name) => facets.rows
+        .filter((row) => row.facet === name)
+        .map((row) => ({ value: row.value, count: row.count }))
+        .sort((a, b) => b.count - a.count || a.value.localeCompare(b.value));
+    return {
+        games: rows.map((row) => ({
+            ...row,
+            highlights: { name: parseHighlight(row.name_headline), description: parseHighlight(row.description_headline) },
+        })),
+        facets: { categories: facetList('category'), orientation: facetList('orientation'), multiplayer: facetList('multiplayer') },
+        total: facets.rows.find((row) => row.facet === 'total')?.count || 0,
+        nextCursor: page.rows.length > pageSize && last ? encodeSearchCursor({ score: Number(last.search_score), id: last.id }) : null,
+    };
+}
@@ -0,0 +1,391 @@
+/**
+ * Feed telemetry: what happens between a game card appearing and the player
+ * leaving it.
+ *
+ * Clients batch events to `POST /api/telemetry/events`, signed in or with an
+ * `x-client-id`. Each event is one of
+ *
+ *   impression    the card came on screen
+ *   start         the game finished loading and began
+ *   first_input   the player touched the game for the first time
+ *   pause         the app went to the background mid-game
+ *   session_end   the player left the game; `durationMs` is time played
+ *   swipe_away    the card left the screen; `durationMs` is time on screen
+ *
+ * and carries a client-generated `sessionId` tying one card view together,
+ * plus, on impressions and starts, the `source` that brought the player there
+ * (TRAFFIC_SOURCES; anything unrecognised counts as 'other').
+ * Each user, or anonymous client, gets TELEMETRY_RATE_LIMIT batches at once,
+ * refilled slowly; past that the request is refused with 429. Within a
+ * session each event type is stored once (pauses excepted), so replaying a
+ * batch adds nothing.
+ * Events are appended to `game_events` (raw rows are kept for
+ * RAW_RETENTION_DAYS) and rolled up per game and day into `game_daily_stats`
+ * (and per source into `game_daily_sources`) by rollupGameStats(), which also refreshes `games.engagement_score` so the
+ * discover scores can use it without touching raw events. Sessions, and
+ * their watch time, are counted per session; players and returning players
+ * once per game per day, however many sessions they report. Swipe-aways are
+ * also recorded as feed impressions (for-you.js), so For You learns from them
+ * without clients reporting twice.
+ *
+ * `POST /api/games/:id/play` still counts plays (with its cooldown); these
+ * events only measure how the plays went.
+ */
+
+import pool from './db.js';
+import { MAX_IMPRESSIONS_PER_BATCH, recordFeedImpressions } from './for-you.js';
+import { createRateLimiter } from './rate-limiter.js';
+
+export const GAME_EVENT_TYPES = ['impression', 'start', 'first_input', 'pause', 'session_end', 'swipe_away'];
+// feed: the main feed; lane: a discover lane; link: a shared link or deep link.
+export const TRAFFIC_SOURCES = ['feed', 'lane', 'search', 'profile', 'link', 'other'];
+export const MAX_EVENTS_PER_BATCH = 100;
+// A session at least this long counts as completed: long enough to have really played.
+export const COMPLETED_SESSION_MS = 60 * 1000;
+// Swiped away faster than this: the card didn't hold the player at all.
+export const QUICK_SWIPE_MS = 2000;
+// Below this many impressions a week, rates are too noisy to move discovery.
+export const MIN_SCORED_IMPRESSIONS = 50;
+const MAX_DURATION_MS = 4 * 60 * 60 * 1000;
+// Client clocks can't backdate events further than this (offline queues flush late).
+const MAX_EVENT_AGE_MS = 24 * 60 * 60 * 1000;
+const RAW_RETENTION_DAYS = 30;
+const RETURNING_WINDOW_DAYS = 7;
+const SCORE_WINDOW_DAYS = 7;
+// Batches per user or client: a burst of 20, then one every 2 seconds.
+export const TELEMETRY_RATE_LIMIT = { capacity: 20, refillPerSecond: 0.5 };
+
+const telemetryLimiter = createRateLimiter(TELEMETRY_RATE_LIMIT);
+setInterval(() => telemetryLimiter.prune(), 60_000).unref?.();
+// Events stored once per session: everything but pauses, which can repeat.
+const SESSION_EVENT_PREDICATE = `session_id IS NOT NULL AND event_type <> 'pause'`;
+
+export async function ensureGameTelemetryTables() {
+    await pool.query(`
+        CREATE TABLE IF NOT EXISTS game_events (
+            id BIGSERIAL PRIMARY KEY,
+            game_id VARCHAR(100) NOT NULL REFERENCES games(id) ON DELETE CASCADE,
+            user_id UUID REFERENCES users(id) ON DELETE SET NULL,
+            client_id VARCHAR(255),
+            session_id VARCHAR(64),
+            event_type VARCHAR(16) NOT NULL,
+            duration_ms INTEGER,
+            occurred_at TIMESTAMP NOT NULL,
+            received_at TIMESTAMP NOT NULL DEFAULT NOW()
+        );
+        CREATE INDEX IF NOT EXISTS idx_game_events_game_time ON game_events(game_id, occurred_at);
+        CREATE INDEX IF NOT EXISTS idx_game_events_occurred ON game_events(occurred_at);
+
+        CREATE TABLE IF NOT EXISTS game_daily_stats (
+            game_id VARCHAR(100) NOT NULL REFERENCES games(id) ON DELETE CASCADE,
+            day DATE NOT NULL,
+            impressions INTEGER NOT NULL DEFAULT 0,
+            starts INTEGER NOT NULL DEFAULT 0,
+            first_inputs INTEGER NOT NULL DEFAULT 0,
+            pauses INTEGER NOT NULL DEFAULT 0,
+            sessions INTEGER NOT NULL DEFAULT 0,
+            completed_sessions INTEGER NOT NULL DEFAULT 0,
+            session_ms BIGINT NOT NULL DEFAULT 0,
+            swipe_aways INTEGER NOT NULL DEFAULT 0,
+            quick_swipes INTEGER NOT NULL DEFAULT 0,
+            players INTEGER NOT NULL DEFAULT 0,
+            returning_players INTEGER NOT NULL DEFAULT 0,
+            updated_at TIMESTAMP NOT NULL DEFAULT NOW(),
+            PRIMARY KEY (game_id, day)
+        );
+        CREATE INDEX IF NOT EXISTS idx_game_daily_stats_day ON game_daily_stats(day);
+
+        ALTER TABLE game_events ADD COLUMN IF NOT EXISTS source VARCHAR(16);
+        CREATE TABLE IF NOT EXISTS game_daily_sources (
+            game_id VARCHAR(100) NOT NULL REFERENCES games(id) ON DELETE CASCADE,
+            day DATE NOT NULL,
+            source VARCHAR(16) NOT NULL,
+            impressions INTEGER NOT NULL DEFAULT 0,
+            starts INTEGER NOT NULL DEFAULT 0,
+            PRIMARY KEY (game_id, day, source)
+        );
+
+        ALTER TABLE games ADD COLUMN IF NOT EXISTS engagement_score REAL NOT NULL DEFAULT 0;
+    `);
+    const dedupeIndex = await pool.query(
+        `SELECT 1 FROM pg_indexes WHERE tablename = 'game_events' AND indexname = 'idx_game_events_session_type'`
+    );
+    if (dedupeIndex.rowCount === 0) {
+        // Replayed events from before the index existed would block it; keep the first of each.
+        await pool.query(
+            `DELETE FROM game_events e
+             USING game_events first
+             WHERE e.event_type <> 'pause'
+               AND first.game_id = e.game_id AND first.session_id = e.session_id AND first.event_type = e.event_type
+               AND first.id < e.id`
+        );
+        await pool.query(
+            `CREATE UNIQUE INDEX IF NOT EXISTS idx_game_events_session_type
+             ON game_events(game_id, session_id, event_type) WHERE ${SESSION_EVENT_PREDICATE}`
+        );
+    }
+}
+
+export class TelemetryError extends Error {
+    constructor(message, statusCode = 400) {
+        super(message);
+        this.statusCode = statusCode;
+    }
+}
+
+export function normalizeTrafficSource(value) {
+    const source = String(value || '').trim().toLowerCase();
+    return TRAFFIC_SOURCES.includes(source) ? source : 'other';
+}
+
+/**
+ * Validate a batch into rows to insert. Unknown types and entries without a
+ * game id are dropped rather than failing the batch, since old clients keep
+ * sending whatever they were built with. Durations are kept only where they
+ * mean something and clamped; client times are clamped to the last day.
+ */
+export function normalizeGameEvents(events, now = Date.now()) {
+    if (!Array.isArray(events)) throw new TelemetryError('events must be an array');
+    if (events.length > MAX_EVENTS_PER_BATCH) throw new TelemetryError(`At most ${MAX_EVENTS_PER_BATCH} events per request`);
+    return events
+        .filter((event) => event && GAME_EVENT_TYPES.includes(event.type) && typeof event.gameId === 'string' && event.gameId.trim())
+        .map((event) => {
+            const at = Number(typeof event.at === 'string' ? Date.parse(event.at) : event.at);
+            const hasDuration = event.type === 'session_end' || event.type === 'swipe_away';
+            const hasSource = event.type === 'impression' || event.type === 'start';
+            return {
+                type: event.type,
+                gameId: event.gameId.trim().slice(0, 100),
+                sessionId: event.sessionId ? String(event.sessionId).slice(0, 64) : null,
+                source: hasSource && event.source ? normalizeTrafficSource(event.source) : null,
+                durationMs: hasDuration
+                    ? Math.min(Math.max(Math.round(Number(event.durationMs) || 0), 0), MAX_DURATION_MS)
+                    : null,
+                occurredAt: new Date(Number.isFinite(at) ? Math.min(Math.max(at, now - MAX_EVENT_AGE_MS), now) : now),
+            };
+        });
+}
+
+/** Rate-limit key for a batch: the user when signed in, else the client. */
+export function telemetryRateKey({ userId = null, clientId = null }) {
+    return userId ? `user:${userId}` : `client:${clientId}`;
+}
+
+/**
+ * Append a batch for a signed-in user or an anonymous client. Returns how many
+ * events were stored; events already recorded for their session are skipped.
+ */
+export async function recordGameEvents({ userId = null, clientId = null, events }) {
+    if (!userId && !clientId) throw new TelemetryError('Sign in or send x-client-id');
+    if (telemetryLimiter.take(telemetryRateKey({ userId, clientId })) > 0) {
+        throw new TelemetryError('Too many telemetry requests', 429);
+    }
+    const rows = normalizeGameEvents(events);
+    if (rows.length === 0) return 0;
+    // Unknown game ids are skipped by the join rather than failing the batch on the foreign key.
+    const result = await pool.query(
+        `INSERT INTO game_events (game_id, user_id, client_id, session_id, event_type, duration_ms, occurred_at, source)
+         SELECT e.game_id, $1, $2, e.session_id, e.event_type, e.duration_ms, e.occurred_at, e.source
+         FROM unnest($3::varchar[], $4::varchar[], $5::varchar[], $6::int[], $7::timestamptz[], $8::varchar[])
+             AS e(game_id, session_id, event_type, duration_ms, occurred_at, source)
+         JOIN games g ON g.id = e.game_id
+         ON CONFLICT (game_id, session_id, event_type) WHERE ${SESSION_EVENT_PREDICATE} DO NOTHING
+         RETURNING game_id, event_type, duration_ms`,
+        [
+            userId,
+            userId ? null : clientId,
+            rows.map((row) => row.gameId),
+            rows.map((row) => row.sessionId),
+            rows.map((row) => row.type),
+            rows.map((row) => row.durationMs),
+            rows.map((row) => row.occurredAt),
+            rows.map((row) => row.source),
+        ]
+    );
+    // Only swipe-aways actually stored: a replayed batch must not count again for For You.
+    const swipes = result.rows.filter((row) => row.event_type === 'swipe_away');
+    for (let i = 0; i < swipes.length; i += MAX_IMPRESSIONS_PER_BATCH) {
+        await recordFeedImpressions({
+            userId,
+            clientId,
+            impressions: swipes.slice(i, i + MAX_IMPRESSIONS_PER_BATCH).map((row) => ({ gameId: row.game_id, dwellMs: row.duration_ms })),
+        }).catch((error) => console.error('[Telemetry] Feed impression error:', error.message));
+    }
+    return result.rowCount;
+}
+
+/**
+ * Rates from summed daily stats. Every rate is null when its denominator is
+ * zero, so "no data" never reads as 0%. `players` is daily players summed,
+ * so someone who played on three days counts three times.
+ */
+export function engagementMetrics(totals) {
+    const count = (key) => Number(totals?.[key]) || 0;
+    const rate = (numerator, denominator) => (denominator > 0 ? Math.min(numerator / denominator, 1) : null);
+    return {
+        impressions: count('impressions'),
+        starts: count('starts'),
+        sessions: count('sessions'),
+        players: count('players'),
+        startRate: rate(count('starts'), count('impressions')),
+        firstInputRate: rate(count('first_inputs'), count('starts')),
+        completionRate: rate(count('completed_sessions'), count('sessions')),
+        quickSwipeRate: rate(count('quick_swipes'), count('impressions')),
+        returningRate: rate(count('returning_players'), count('players')),
+        avgSessionMs: count('sessions') > 0 ? Math.round(count('session_ms') / count('sessions')) : null,
+    };
+}
+
+/**
+ * A game's discover-score boost from a week of metrics, 0..20: cards that get
+ * started and played through, and that bring players back, rise; cards people
+ * swipe straight past sink. Zero until MIN_SCORED_IMPRESSIONS, so new games
+ * aren't judged on a handful of views.
+ */
+export function engagementScore(metrics) {
+    if (!metrics || metrics.impressions < MIN_SCORED_IMPRESSIONS) return 0;
+    const score = 8 * (metrics.startRate ?? 0)
+        + 6 * (metrics.completionRate ?? 0)
+        + 4 * (metrics.returningRate ?? 0)
+        + 2 * Math.min((metrics.avgSessionMs ?? 0) / (5 * 60 * 1000), 1)
+        - 6 * (metrics.quickSwipeRate ?? 0);
+    return Math.round(Math.max(0, Math.min(score, 20)) * 100) / 100;
+}
+
+const STATS_SUMS = `
+    SUM(impressions)::int AS impressions, SUM(starts)::int AS starts, SUM(first_inputs)::int AS first_inputs,
+    SUM(sessions)::int AS sessions, SUM(completed_sessions)::int AS completed_sessions,
+    SUM(session_ms)::bigint AS session_ms, SUM(swipe_aways)::int AS swipe_aways,
+    SUM(quick_swipes)::int AS quick_swipes, SUM(players)::int AS players,
+    SUM(returning_players)::int AS returning_players`;
+
+/**
+ * Recompute `game_daily_stats` for the last `days` days from raw events, then
+ * refresh `engagement_score` on every game with stats in the scoring window.
+ * Recomputing whole days keeps this idempotent, so late-arriving events are
+ * simply picked up on the next run.
+ */
+export async function rollupGameStats({ days = 2 } = {}) {
+    const rollup = await pool.query(
+        `WITH sessions AS (
+             -- One row per session; events sent without a session id stand alone.
+             SELECT
+                 e.game_id,
+                 e.occurred_at::date AS day,
+                 COALESCE(e.user_id::text, e.client_id) AS player,
+                 BOOL_OR(e.event_type = 'impression') AS saw,
+                 BOOL_OR(e.event_type = 'start') AS started,
+                 BOOL_OR(e.event_type = 'first_input') AS touched,
+                 COUNT(*) FILTER (WHERE e.event_type = 'pause') AS pauses,
+                 SUM(e.duration_ms) FILTER (WHERE e.event_type = 'session_end') AS session_ms,
+                 SUM(e.duration_ms) FILTER (WHERE e.event_type = 'swipe_away') AS swipe_ms
+             FROM game_events e
+             WHERE e.occurred_at >= CURRENT_DATE - ($1::int - 1)
+             GROUP BY 1, 2, 3, COALESCE(e.session_id, 'event:' || e.id::text)
+         )
+         INSERT INTO game_daily_stats (
+             game_id, day, impressions, starts, first_inputs, pauses, sessions, completed_sessions,
+             session_ms, swipe_aways, quick_swipes, players, returning_players, updated_at
+         )
+         SELECT
+             s.game_id,
+             s.day,
+             COUNT(*) FILTER (WHERE s.saw),
+             COUNT(*) FILTER (WHERE s.started),
+             COUNT(*) FILTER (WHERE s.touched),
+             SUM(s.pauses),
+             COUNT(s.session_ms),
+             COUNT(*) FILTER (WHERE s.session_ms >= $2),
+             COALESCE(SUM(s.session_ms), 0),
+             COUNT(s.swipe_ms),
+             COUNT(*) FILTER (WHERE s.swipe_ms < $3),
+             -- Players count once a day however many sessions they report.
+             COUNT(DISTINCT s.player) FILTER (WHERE s.started),
+             -- Players who started this game today and had already started it in the days before.
+             COUNT(DISTINCT s.player) FILTER (WHERE s.started AND EXISTS (
+                 SELECT 1 FROM game_events prior
+                 WHERE prior.game_id = s.game_id
+                   AND prior.event_type = 'start'
+                   AND COALESCE(prior.user_id::text, prior.client_id) = s.player
+                   AND prior.occurred_at < s.day
+                   AND prior.occurred_at >= s.day - $4::int
+             )),
+             NOW()
+         FROM sessions s
+         GROUP BY s.game_id, s.day
+         ON CONFLICT (game_id, day) DO UPDATE SET
+             impressions = EXCLUDED.impressions,
+             starts = EXCLUDED.starts,
+             first_inputs = EXCLUDED.first_inputs,
+             pauses = EXCLUDED.pauses,
+             sessions = EXCLUDED.sessions,
+             completed_sessions = EXCLUDED.completed_sessions,
+             session_ms = EXCLUDED.session_ms,
+             swipe_aways = EXCLUDED.swipe_aways,
+             quick_swipes = EXCLUDED.quick_swipes,
+             players = EXCLUDED.players,
+             returning_players = EXCLUDED.returning_players,
+             updated_at = NOW()`,
+        [days, COMPLETED_SESSION_MS, QUICK_SWIPE_MS, RETURNING_WINDOW_DAYS]
+    );
+    await pool.query(
+        `INSERT INTO game_daily_sources (game_id, day, source, impressions, starts)
+         SELECT
+             game_id,
+             occurred_at::date,
+             source,
+             COUNT(*) FILTER (WHERE event_type = 'impression'),
+             COUNT(*) FILTER (WHERE event_type = 'start')
+         FROM game_events
+         WHERE occurred_at >= CURRENT_DATE - ($1::int - 1) AND source IS NOT NULL
+         GROUP BY game_id, occurred_at::date, source
+         ON CONFLICT (game_id, day, source) DO UPDATE SET
+             impressions = EXCLUDED.impressions,
+             starts = EXCLUDED.starts`,
+        [days]
+    );
+
+    const windows = await pool.query(
+        `SELECT game_id, ${STATS_SUMS}
+         FROM game_daily_stats
+         WHERE day > CURRENT_DATE - $1::int
+         GROUP BY game_id`,
+        [SCORE_WINDOW_DAYS]
+    );
+    const ids = windows.rows.map((row) => row.game_id);
+    const scores = windows.rows.map((row) => engagementScore(engagementMetrics(row)));
+    // Games that dropped out of the window lose their boost; the rest get their new one.
+    await pool.query(
+        'UPDATE games SET engagement_score = 0 WHERE engagement_score <> 0 AND id <> ALL($1::varchar[])',
+        [ids]
+    );
+    await pool.query(
+        `UPDATE games g
+         SET engagement_score = s.score
+         FROM unnest($1::varchar[], $2::real[]) AS s(game_id, score)
+         WHERE g.id = s.game_id AND g.engagement_score <> s.score`,
+        [ids, scores]
+    );
+    return { days: rollup.rowCount, scoredGames: ids.length };
+}
+
+/** Drop raw events past the retention window; the daily stats keep their history. */
+export async function pruneGameEvents() {
+    const result = await pool.query(
+        `DELETE FROM game_events WHERE occurred_at < NOW() - ($1::text || ' days')::interval`,
+        [RAW_RETENTION_DAYS]
+    );
+    return result.rowCount;
+}
+
+/** Engagement metrics for one game over the last 7 and 28 days, for its creator. */
+export async function getGameEngagement(gameId) {
+    const result = await pool.query(
+        `SELECT '7d' AS period, ${STATS_SUMS} FROM game_daily_stats WHERE game_id = $1 AND day > CURRENT_DATE - 7
+         UNION ALL
+         SELECT '28d', ${STATS_SUMS} FROM game_daily_stats WHERE game_id = $1 AND day > CURRENT_DATE - 28`,
+        [gameId]
+    );
+    const byPeriod = Object.fromEntries(result.rows.map((row) => [row.period, engagementMetrics(row)]));
+    return { last7Days: byPeriod['7d'] || engagementMetrics(null), last28Days: byPeriod['28d'] || engagementMetrics(null) };
+}
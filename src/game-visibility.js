@@ -0,0 +1,89 @@
+/**
+ * Who can find a published game, and when it goes out.
+ *
+ * Visibility is separate from `privacy`, which only decides whether a game can
+ * be remixed:
+ *
+ *   public     listed everywhere: feeds, discover lanes, search, trending
+ *   unlisted   never listed, but plays for anyone with the link (`/api/ai/play/:id`)
+ *   followers  listed only to the creator's followers, and to the creator
+ *
+ * It is set on ai_games at publish time and denormalized onto `games` like
+ * orientation, so feed queries filter on `g.visibility` through listedGameSql().
+ *
+ * A draft can also be published later: `publish_at` holds the time and
+ * `publish_options` what the publish call asked for (privacy, visibility,
+ * categories). The scheduled-publish worker in ai-engine/routes.js promotes
+ * drafts once they are due.
+ */
+
+import pool from './db.js';
+
+export const GAME_VISIBILITIES = ['public', 'unlisted', 'followers'];
+// Far enough out for a launch plan, close enough that a typo'd year is caught.
+export const MAX_SCHEDULE_DAYS = 90;
+
+export async function ensurePublishingColumns() {
+    await pool.query(`
+        ALTER TABLE ai_games ADD COLUMN IF NOT EXISTS visibility VARCHAR(16) NOT NULL DEFAULT 'public';
+        ALTER TABLE ai_games ADD COLUMN IF NOT EXISTS publish_at TIMESTAMP;
+        ALTER TABLE ai_games ADD COLUMN IF NOT EXISTS publish_options JSONB;
+        ALTER TABLE games ADD COLUMN IF NOT EXISTS visibility VARCHAR(16) NOT NULL DEFAULT 'public';
+        CREATE INDEX IF NOT EXISTS idx_ai_games_publish_at ON ai_games(publish_at) WHERE publish_at IS NOT NULL;
+    `);
+}
+
+export class PublishingError extends Error {
+    constructor(message, statusCode = 400) {
+        super(message);
+        this.statusCode = statusCode;
+    }
+}
+
+export function isGameVisibility(value) {
+    return GAME_VISIBILITIES.includes(value);
+}
+
+/** `value` if it is a visibility, `fallback` when absent; throws PublishingError on anything else. */
+export function normalizeVisibility(value, fallback = 'public') {
+    if (value === undefined || value === null || value === '') return fallback;
+    const visibility = String(value).trim().toLowerCase();
+    if (!isGameVisibility(visibility)) {
+        throw new PublishingError(`visibility must be one of ${GAME_VISIBILITIES.join(', ')}`);
+    }
+    return visibility;
+}
+
+/**
+ * When a scheduled publish should happen, from an ISO time or epoch ms. Null
+ * when none was asked for; throws PublishingError for a bad, past or too
+ * distant time.
+ */
+export function parsePublishAt(value, now = Date.now()) {
+    if (value === undefined || value === null || value === '') return null;
+    const when = new Date(typeof value === 'number' ? value : String(value));
+    if (Number.isNaN(when.getTime())) throw new PublishingError('publishAt must be an ISO date-time');
+    if (when.getTime() <= now) throw new PublishingError('publishAt must be in the future');
+    if (when.getTime() > now + MAX_SCHEDULE_DAYS * 24 * 60 * 60 * 1000) {
+        throw new PublishingError(`publishAt can be at most ${MAX_SCHEDULE_DAYS} days away`);
+    }
+    return when;
+}
+
+/**
+ * SQL condition that the `games` row aliased `alias` may be listed to a
+ * viewer. `viewerParam` is the placeholder (e.g. '$3') bound to the viewer's
+ * user id or null; without one only public games qualify.
+ */
+export function listedGameSql(alias = 'g', viewerParam = null) {
+    const isPublic = `COALESCE(${alias}.visibility, 'public') = 'public'`;
+    if (!viewerParam) return isPublic;
+    return `(${isPublic} OR (
+        ${alias}.visibility = 'followers' AND ${viewerParam}::text IS NOT NULL AND (
+            ${alias}.developer = ${viewerParam}::text OR EXISTS (
+                SELECT 1 FROM followers vf
+                WHERE vf.follower_id = (${viewerParam}::text)::uuid AND vf.following_id::text = ${alias}.developer
+            )
+        )
+    ))`;
+}
@@ -16,7 +16,12 @@ import { initializeLobbySocket } from './lobby-socket.js';
 import { initializeChatSocket } from './chat-socket.js';
 import { initializePresenceSocket, presenceRouter } from './presence-socket.js';
 import { initializeScoreLobbySocket, scoreLobbyRouter, ensureScoreLobbyColumn } from './score-lobby-socket.js';
-import aiRouter, { startGenerationQueueWorker, stopGenerationQueueWorker, startForgeAutoscaler, stopForgeAutoscaler } from './ai.js';
+import { closePubSub } from './pubsub.js';
+import { createSocketServer } from './socket-server.js';
+import aiRouter, {
+  startGenerationQueueWorker, stopGenerationQueueWorker, startScheduledPublishWorker, stopScheduledPublishWorker,
+  startForgeAutoscaler, stopForgeAutoscaler,
+} from './ai.js';
 import openGameRouter from './opengame-router.js';
 import assetsRouter from './assets-router.js';
 import { postsPublicRouter, postsAdminRouter } from './posts-router.js';
@@ -26,6 +31,49 @@ import { CATEGORIES, isValidCategory, normalizeCategories, setGameCategories, cl
 import botRouter, { ensureBotTables, startBotEngineScheduler } from './bot-engine.js';
 import coverArtRouter from './cover-art-router.js';
 import { deleteCoverAsset } from './cover-art.js';
+import {
+  ensureLeaderboardTables, recordLeaderboardScore, pruneLeaderboardWindows, getLeaderboardPage, getLeaderboardNeighbourhood,
+  normalizeLeaderboardWindow, normalizeLeaderboardScope, decodeLeaderboardCursor, LEADERBOARD_WINDOWS, LEADERBOARD_SCOPES,
+} from './leaderboards.js';
+import { ensureAchievementTables, getUserAchievementSummary } from './achievements.js';
+import {
+  ensureGameSaveTables, getGameSave, saveGameProgress, listSaveHistory, restoreSaveRevision,
+  parseBaseRevision, SaveConflictError, SaveQuotaError,
+} from './game-saves.js';
+import {
+  ensurePlaySessionTables, issuePlaySession, checkScoreSubmission, consumePlaySession, recordScoreRejection, forgetScoreEnvelope,
+  prunePlaySessions,
+} from './play-sessions.js';
+import {
+  ensureCommentTables, CommentError, COMMENT_SORTS, normalizeCommentSort, formatComment,
+  listGameComments, listCommentReplies, createComment, deleteComment, resolveMentionedUsers,
+  setCommentPinned, getCommentAuthorId, flagComment, setCommentModerationState, clearCommentFlagIfResolved,
+} from './comments.js';
+import {
+  ensureSessionTables, requireAuth, optionalAuth, createSession, issueLegacyToken, describeDevice, refreshSession,
+  listSessions, revokeSession, revokeOtherSessions, endSession, AuthError,
+} from './auth.js';
+import {
+  ensureCreditTables, CreditError, DAILY_FREE_CREDITS, GENERATION_CREDIT_COSTS,
+  getCreditBalance, adjustCredits, listCreditLedger,
+} from './credits.js';
+import {
+  ensureContentSafetyTables, ContentSafetyError, CONTENT_POLICY, listContentDecisions,
+  appealContentDecision, listReviewQueue, resolveContentDecision,
+} from './content-safety.js';
+import { ensureRemixLineageTables } from './remix-lineage.js';
+import { ensurePublishingColumns, listedGameSql } from './game-visibility.js';
+import {
+  ensureGameSearchIndex, indexMissingGameSearchDocuments, refreshGameSearchDocuments, searchGames, SearchError,
+} from './game-search.js';
+import { ensureFeedSignalTables, recordFeedImpressions, pruneFeedImpressions, rankForYou, forYouLane, FeedSignalError } from './for-you.js';
+import {
+  ensureGameTelemetryTables, recordGameEvents, rollupGameStats, pruneGameEvents, getGameEngagement, TelemetryError,
+} from './game-telemetry.js';
+import {
+  ensureCreatorAnalyticsTables, rollupCreatorAnalytics, pruneCreatorAnalytics, getCreatorAnalytics,
+} from './creator-analytics.js';
+import { recommendUsersToFollow } from './follow-recommendations.js';
 
 const __filename = fileURLToPath(import.meta.url);
 const __dirname = path.dirname(__filename);
@@ -105,7 +153,6 @@ app.get('/', (req, res) => {
 });
 
 const hashPassword = (password) => crypto.createHash('sha256').update(password).digest('hex');
-const generateToken = () => crypto.randomBytes(32).toString('hex');
 
 // ─── Google Sign-In verification ─────────────────────────────
 // Every Google ID token (from the native mobile SDK or web GIS) carries an `aud`
@@ -238,7 +285,7 @@ app.get('/api/admin/generation-logs', async (req, res) => {
     const result = await pool.query(
       `SELECT j.id, j.user_id, j.status, j.prompt, j.error, j.phase, j.attempts,
               j.dimension, j.lane, j.engine, j.result_title, j.duration_ms,
-              j.created_at, j.completed_at,
+              j.cost, j.cost_usd, j.created_at, j.completed_at,
               u.username, u.display_name
          FROM generation_jobs j
          LEFT JOIN users u ON u.id = j.user_id
@@ -262,6 +309,8 @@ app.get('/api/admin/generation-logs', async (req, res) => {
       engine: r.engine,
       resultTitle: r.result_title,
       durationMs: r.duration_ms,
+      cost: r.cost || null,
+      costUsd: r.cost_usd != null ? Number(r.cost_usd) : null,
       createdAt: r.created_at,
       completedAt: r.completed_at,
     })));
@@ -628,6 +677,15 @@ app.get('/api/admin/thumbnail-status', async (req, res) => {
 // AUTH ENDPOINTS
 // ============================================
 
+// Every sign-in starts a per-device session (see auth.js). `token` is the
+// legacy per-user token that app builds from before sessions still read.
+const signInResponse = async (req, user, extra = {}) => ({
+  user: await formatUserWithFollowCounts(user),
+  token: await issueLegacyToken(user.id),
+  ...(await createSession(user.id, describeDevice(req))),
+  ...extra,
+});
+
 app.post('/api/auth/signup', async (req, res) => {
   const { username, email, password, displayName } = req.body;
 
@@ -639,15 +697,13 @@ app.post('/api/auth/signup', async (req, res) => {
     const existing = await pool.query('SELECT id FROM users WHERE LOWER(username) = LOWER($1)', [username]);
     if (existing.rows.length > 0) return res.status(400).json({ error: 'Username taken' });
 
-    const token = generateToken();
     const result = await pool.query(
-      `INSERT INTO users (username, email, password, display_name, token) 
-       VALUES ($1, $2, $3, $4, $5) RETURNING *`,
-      [username, email || null, hashPassword(password), displayName || username, token]
+      `INSERT INTO users (username, email, password, display_name) 
+       VALUES ($1, $2, $3, $4) RETURNING *`,
+      [username, email || null, hashPassword(password), displayName || username]
     );
 
-    const user = result.rows[0];
-    res.json({ user: await formatUserWithFollowCounts(user), token });
+    res.json(await signInResponse(req, result.rows[0]));
   } catch (e) {
     console.error(e);
     res.status(500).json({ error: 'Server error' });
@@ -666,14 +722,7 @@ app.post('/api/auth/login', async (req, res) => {
       return res.status(401).json({ error: 'Invalid credentials' });
     }
 
-    let token = user.token;
-    if (!token) {
-      token = generateToken();
-      await pool.query('UPDATE users SET token = $1 WHERE id = $2', [token, user.id]);
-      user.token = token;
-    }
-
-    res.json({ user: await formatUserWithFollowCounts(user), token });
+    res.json(await signInResponse(req, user));
   } catch (e) {
     console.error(e);
     res.status(500).json({ error: 'Server error' });
@@ -740,16 +789,9 @@ app.post('/api/auth/oauth', async (req, res) => {
 
     let user;
     let isNewUser = false;
-    let token = null;
 
     if (result.rows.length > 0) {
-      // Existing user - reuse existing token or generate new if null
       user = result.rows[0];
-      token = user.token;
-      if (!token) {
-        token = generateToken();
-        await pool.query('UPDATE users SET token = $1 WHERE id = $2', [token, user.id]);
-      }
     } else {
       // Check if email already exists. Only auto-link to an existing account when the
       // provider has VERIFIED the email — otherwise a forged/unverified email could be
@@ -759,13 +801,9 @@ app.post('/api/auth/oauth', async (req, res) => {
         if (result.rows.length > 0) {
           // Link OAuth to existing account
           user = result.rows[0];
-          token = user.token;
-          if (!token) {
-            token = generateToken();
-          }
           await pool.query(
-            'UPDATE users SET oauth_provider = $1, oauth_id = $2, token = $3 WHERE id = $4',
-            [provider, oauthId, token, user.id]
+            'UPDATE users SET oauth_provider = $1, oauth_id = $2 WHERE id = $3',
+            [provider, oauthId, user.id]
           );
         }
       }
@@ -773,30 +811,26 @@ app.post('/api/auth/oauth', async (req, res) => {
       if (!user) {
         // Create new user WITHOUT username - they must choose one in onboarding
         isNewUser = true;
-        token = generateToken();
 
         result = await pool.query(
-          `INSERT INTO users (username, email, display_name, oauth_provider, oauth_id, token) 
-           VALUES ($1, $2, $3, $4, $5, $6) RETURNING *`,
-          [null, userEmail, userName, provider, oauthId, token]
+          `INSERT INTO users (username, email, display_name, oauth_provider, oauth_id) 
+           VALUES ($1, $2, $3, $4, $5) RETURNING *`,
+          [null, userEmail, userName, provider, oauthId]
         );
         user = result.rows[0];
       }
     }
 
-    res.json({ user: await formatUserWithFollowCounts(user), token, isNewUser });
+    res.json(await signInResponse(req, user, { isNewUser }));
   } catch (e) {
     console.error('OAuth error:', e);
     res.status(500).json({ error: 'Server error' });
   }
 });
 
-app.get('/api/auth/me', async (req, res) => {
-  const token = req.headers.authorization?.replace('Bearer ', '');
-  if (!token) return res.status(401).json({ error: 'No token' });
-
+app.get('/api/auth/me', requireAuth, async (req, res) => {
   try {
-    const result = await pool.query('SELECT * FROM users WHERE token = $1', [token]);
+    const result = await pool.query('SELECT * FROM users WHERE id = $1', [req.userId]);
     if (result.rows.length === 0) return res.status(401).json({ error: 'Invalid token' });
     res.json({ user: await formatUserWithFollowCounts(result.rows[0]) });
   } catch (e) {
@@ -804,21 +838,75 @@ app.get('/api/auth/me', async (req, res) => {
   }
 });
 
-app.post('/api/auth/logout', async (req, res) => {
-  const token = req.headers.authorization?.replace('Bearer ', '');
-  if (token) {
-    await pool.query('UPDATE users SET token = NULL WHERE token = $1', [token]);
+// Ends this device's session. Send { refreshToken } so it works after the
+// access token has expired.
+app.post('/api/auth/logout', optionalAuth, async (req, res) => {
+  try {
+    if (req.body?.refreshToken) {
+      await endSession(req.body.refreshToken);
+    } else if (req.sessionId) {
+      await revokeSession(req.userId, req.sessionId, 'logout');
+    } else if (req.userId) {
+      // Legacy token: clearing it signs out every old build using it
+      await pool.query('UPDATE users SET token = NULL, token_expires_at = NULL WHERE id = $1', [req.userId]);
+    }
+    res.json({ success: true });
+  } catch (e) {
+    console.error('Logout error:', e);
+    res.status(500).json({ error: 'Server error' });
   }
-  res.json({ success: true });
 });
 
-app.delete('/api/auth/delete-account', async (req, res) => {
-  const token = req.headers.authorization?.replace('Bearer ', '');
-  if (!token) return res.status(401).json({ error: 'Not authenticated' });
+// Body: { refreshToken }. Returns a new { accessToken, refreshToken, expiresIn, sessionId };
+// the old refresh token stops working.
+app.post('/api/auth/refresh', async (req, res) => {
+  try {
+    res.json(await refreshSession(req.body?.refreshToken));
+  } catch (e) {
+    if (e instanceof AuthError) return res.status(401).json({ error: e.message, code: e.code });
+    console.error('Refresh session error:', e);
+    res.status(500).json({ error: 'Server error' });
+  }
+});
 
+// Signed-in devices, most recently used first; `current` marks the caller's
+app.get('/api/auth/sessions', requireAuth, async (req, res) => {
   try {
-    const result = await pool.query('DELETE FROM users WHERE token = $1 RETURNING id', [token]);
-    if (result.rows.length === 0) return res.status(401).json({ error: 'Invalid token' });
+    res.json({ sessions: await listSessions(req.userId, req.sessionId) });
+  } catch (e) {
+    console.error('List sessions error:', e);
+    res.status(500).json({ error: 'Server error' });
+  }
+});
+
+// Sign out one device
+app.delete('/api/auth/sessions/:id', requireAuth, async (req, res) => {
+  const isUUID = /^[0-9a-fA-F]{8}-[0-9a-fA-F]{4}-[0-9a-fA-F]{4}-[0-9a-fA-F]{4}-[0-9a-fA-F]{12}$/.test(req.params.id);
+  try {
+    if (!isUUID || !(await revokeSession(req.userId, req.params.id))) {
+      return res.status(404).json({ error: 'Session not found' });
+    }
+    res.json({ success: true });
+  } catch (e) {
+    console.error('Revoke session error:', e);
+    res.status(500).json({ error: 'Server error' });
+  }
+});
+
+// Sign out every other device
+app.delete('/api/auth/sessions', requireAuth, async (req, res) => {
+  try {
+    const revoked = await revokeOtherSessions(req.userId, req.sessionId);
+    res.json({ success: true, revoked });
+  } catch (e) {
+    console.error('Revoke sessions error:', e);
+    res.status(500).json({ error: 'Server error' });
+  }
+});
+
+app.delete('/api/auth/delete-account', requireAuth, async (req, res) => {
+  try {
+    await pool.query('DELETE FROM users WHERE id = $1', [req.userId]);
     res.json({ success: true });
   } catch (e) {
     res.status(500).json({ error: 'Server error' });
@@ -1747,7 +1835,7 @@ app.post('/api/admin/games', async (req, res) => {
 // Update a game
 app.patch('/api/admin/games/:id', async (req, res) => {
   try {
-    const { name, description, icon, color, category, embedUrl, thumbnail, enabled } = req.body;
+    const { name, description, icon, color, category, embedUrl, thumbnail, enabled, scoreMax, scoreRateMax, saveQuotaBytes } = req.body;
     const updates = [];
     const values = [];
     let idx = 1;
@@ -1759,6 +1847,11 @@ app.patch('/api/admin/games/:id', async (req, res) => {
     if (category !== undefined) { updates.push(`category = $${idx++}`); values.push(category); }
     if (embedUrl !== undefined) { updates.push(`embed_url = $${idx++}`); values.push(embedUrl); }
     if (thumbnail !== undefined) { updates.push(`thumbnail = $${idx++}`); values.push(thumbnail); }
+    // Score plausibility envelope (play-sessions.js). null clears back to the defaults.
+    if (scoreMax !== undefined) { updates.push(`score_max = $${idx++}`); values.push(scoreMax); }
+    if (scoreRateMax !== undefined) { updates.push(`score_rate_max = $${idx++}`); values.push(scoreRateMax); }
+    // Per-game cloud save cap in bytes (game-saves.js). null falls back to SAVE_QUOTA_BYTES_DEFAULT.
+    if (saveQuotaBytes !== undefined) { updates.push(`save_quota_bytes = $${idx++}`); values.push(saveQuotaBytes); }
 
     if (updates.length === 0) {
       return res.status(400).json({ error: 'No fields to update' });
@@ -1773,6 +1866,8 @@ app.patch('/api/admin/games/:id', async (req, res) => {
     if (result.rows.length === 0) {
       return res.status(404).json({ error: 'Game not found' });
     }
+    forgetScoreEnvelope(req.params.id);
+    await refreshGameSearchDocuments({ gameIds: [req.params.id] });
     res.json({ success: true, game: formatGame(result.rows[0]) });
   } catch (e) {
     console.error(e);
@@ -1791,7 +1886,7 @@ app.get('/api/admin/games', async (req, res) => {
   }
 });
 
-app.get('/api/games', async (req, res) => {
+app.get('/api/games', optionalAuth, async (req, res) => {
   const limit = parseInt(req.query.limit) || 10;
   const offset = parseInt(req.query.offset) || 0;
   const sort = String(req.query.sort || 'discover').toLowerCase();
@@ -1802,7 +1897,7 @@ app.get('/api/games', async (req, res) => {
     : null;
 
   try {
-    const params = [limit, offset];
+    const params = [limit, offset, req.userId];
     let categoryFilter = '';
     if (category) {
       params.push(category);
@@ -1822,7 +1917,12 @@ app.get('/api/games', async (req, res) => {
 
     // Exclude multiplayer-only games from main feed
     let result;
-    if (sort === 'random') {
+    if (sort === 'foryou' && req.userId) {
+      // Personalized (see for-you.js). Pages by asking again, so offset is ignored;
+      // ?seen= lists cards already shown whose impressions haven't been reported yet.
+      const seen = String(req.query.seen || '').split(',').map((id) => id.trim()).filter(Boolean).slice(0, 200);
+      result = { rows: await rankForYou({ userId: req.userId, limit: Math.min(limit, 50), category, excludeIds: seen }) };
+    } else if (sort === 'random') {
       result = await pool.query(
         `SELECT
            g.*,
@@ -1836,6 +1936,7 @@ app.get('/api/games', async (req, res) => {
          LEFT JOIN ai_games ag ON g.embed_url = ('/api/ai/play/' || ag.id::text)
          LEFT JOIN users u ON u.id::text = COALESCE(NULLIF(g.developer, ''), ag.user_id::text)
          WHERE (g.multiplayer_only = FALSE OR g.multiplayer_only IS NULL)
+         AND ${listedGameSql('g', '$3')}
          ${categoryFilter}
          ORDER BY RANDOM()
          LIMIT $1 OFFSET $2`,
@@ -1844,6 +1945,7 @@ app.get('/api/games', async (req, res) => {
     } else {
       // 'new' is genuinely newest-first. It used to fall through to the discover
       // branch, so the "New" row on both clients was just backend order relabelled.
+      // Anonymous 'foryou' lands on the discover order too.
       const orderBy = sort === 'new'
         ? `g.created_at DESC, COALESCE(g.plays, 0) DESC`
         : sort === 'trending'
@@ -1881,8 +1983,10 @@ app.get('/api/games', async (req, res) => {
              -- largest term — but it is NULL for every game published since AI
              -- classification was removed, so it only ever boosted legacy rows and
              -- buried new ones. Dropped with the rest of the old taxonomy.
+             -- engagement_score (0..20) is the weekly watch-time rollup, see game-telemetry.js.
              LEAST(COALESCE(g.plays, 0) / 4000.0, 28) +
              COALESCE(sa.recent_activity_score, 0) +
+             COALESCE(g.engagement_score, 0) +
              CASE
                WHEN g.created_at >= NOW() - INTERVAL '3 days' THEN 14
                WHEN g.created_at >= NOW() - INTERVAL '7 days' THEN 8
@@ -1895,6 +1999,7 @@ app.get('/api/games', async (req, res) => {
          LEFT JOIN users u ON u.id::text = COALESCE(NULLIF(g.developer, ''), ag.user_id::text)
          LEFT JOIN score_activity sa ON sa.game_id = g.id
          WHERE (g.multiplayer_only = FALSE OR g.multiplayer_only IS NULL)
+         AND ${listedGameSql('g', '$3')}
          ${categoryFilter}
          ORDER BY ${orderBy}
          LIMIT $1 OFFSET $2`,
@@ -1902,11 +2007,12 @@ app.get('/api/games', async (req, res) => {
       );
     }
 
-    const countParams = category ? [category] : [];
+    const countParams = category ? [req.userId, category] : [req.userId];
     const countResult = await pool.query(
       `SELECT COUNT(*) FROM games g
        WHERE (g.multiplayer_only = FALSE OR g.multiplayer_only IS NULL)
-       ${category ? `AND EXISTS (SELECT 1 FROM game_categories gc WHERE gc.game_id = g.id AND gc.category = $1)` : ''}`,
+       AND ${listedGameSql('g', '$1')}
+       ${category ? `AND EXISTS (SELECT 1 FROM game_categories gc WHERE gc.game_id = g.id AND gc.category = $2)` : ''}`,
       countParams
     );
     res.json({ games: result.rows.map(formatGame), total: parseInt(countResult.rows[0].count) });
@@ -1944,6 +2050,7 @@ app.post('/api/admin/backfill-categories', async (req, res) => {
       });
       if (categories.length && !dryRun) {
         await setGameCategories(pool, row.id, categories, source);
+        await refreshGameSearchDocuments({ gameIds: [row.id] });
       }
       results.push({ id: row.id, name: row.name, categories, source });
     }
@@ -1966,7 +2073,8 @@ app.get('/api/categories', async (_req, res) => {
       `SELECT gc.category, COUNT(*)::int AS count
        FROM game_categories gc
        JOIN games g ON g.id = gc.game_id
-       WHERE g.multiplayer_only = FALSE OR g.multiplayer_only IS NULL
+       WHERE (g.multiplayer_only = FALSE OR g.multiplayer_only IS NULL)
+         AND ${listedGameSql('g')}
        GROUP BY gc.category`
     );
     const byCategory = Object.fromEntries(counts.rows.map((r) => [r.category, r.count]));
@@ -1979,7 +2087,7 @@ app.get('/api/categories', async (_req, res) => {
   }
 });
 
-app.get('/api/games/discover-lanes', async (req, res) => {
+app.get('/api/games/discover-lanes', optionalAuth, async (req, res) => {
   const limit = Math.min(parseInt(req.query.limit) || 12, 24);
   const rawTab = String(req.query.tab || 'Explore').trim();
   const normalizedTab = ['Explore', 'Games', 'Horror', 'Quiz', 'Roleplay'].includes(rawTab) ? rawTab : 'Explore';
@@ -1997,6 +2105,20 @@ app.get('/api/games/discover-lanes', async (req, res) => {
          FROM scores
          GROUP BY game_id
        ),
+       -- Published remixes credited to each game: its direct remixes, plus every remix anywhere
+       -- below it when it is the original at the top of a chain.
+       remix_activity AS (
+         SELECT
+           lineage.ancestor_id,
+           COUNT(DISTINCT lineage.remix_id) AS remix_count,
+           COUNT(DISTINCT lineage.remix_id) FILTER (WHERE lineage.created_at >= NOW() - INTERVAL '7 days') AS recent_remix_count
+         FROM (
+           SELECT id AS remix_id, remixed_from AS ancestor_id, created_at FROM ai_games WHERE is_draft = FALSE AND remixed_from IS NOT NULL
+           UNION ALL
+           SELECT id, remix_root_id, created_at FROM ai_games WHERE is_draft = FALSE AND remix_root_id IS NOT NULL
+         ) lineage
+         GROUP BY lineage.ancestor_id
+       ),
        discover_pool AS (
          SELECT
            g.*,
@@ -2008,11 +2130,14 @@ app.get('/api/games/discover-lanes', async (req, res) => {
            COALESCE(sa.recent_score_events, 0) AS recent_score_events,
            COALESCE(sa.recent_unique_scorers, 0) AS recent_unique_scorers,
            COALESCE(sa.recent_activity_score, 0) AS recent_activity_score,
+           COALESCE(ra.remix_count, 0) AS remix_count,
+           COALESCE(ra.recent_remix_count, 0) AS recent_remix_count,
            EXTRACT(EPOCH FROM (NOW() - g.created_at)) / 3600.0 AS age_hours,
            (
              COALESCE(g.classification_confidence, 0) * 35 +
              LEAST(COALESCE(g.plays, 0) / 4000.0, 28) +
              COALESCE(sa.recent_activity_score, 0) +
+             COALESCE(g.engagement_score, 0) +
              CASE
                WHEN g.created_at >= NOW() - INTERVAL '3 days' THEN 14
                WHEN g.created_at >= NOW() - INTERVAL '7 days' THEN 8
@@ -2093,9 +2218,11 @@ app.get('/api/games/discover-lanes', async (req, res) => {
          LEFT JOIN ai_games ag ON g.embed_url = ('/api/ai/play/' || ag.id::text)
          LEFT JOIN users u ON u.id::text = COALESCE(NULLIF(g.developer, ''), ag.user_id::text)
          LEFT JOIN score_activity sa ON sa.game_id = g.id
+         LEFT JOIN remix_activity ra ON ra.ancestor_id = ag.id
 	         WHERE
 	           (g.multiplayer_only = FALSE OR g.multiplayer_only IS NULL) AND
 	           ag.id IS NOT NULL AND
+	           ${listedGameSql('g', '$3')} AND
 	           ($1 = 'Explore' OR COALESCE(g.primary_tab, 'Explore') = $1)
        ),
        ranked AS (
@@ -2106,7 +2233,9 @@ app.get('/api/games/discover-lanes', async (req, res) => {
            ROW_NUMBER() OVER (ORDER BY sleeper_score DESC, evergreen_score DESC, discover_score DESC, created_at DESC) AS sleeper_rank,
            ROW_NUMBER() OVER (ORDER BY evergreen_score DESC, discover_score DESC, plays DESC, created_at DESC) AS evergreen_rank,
            ROW_NUMBER() OVER (ORDER BY featured_score DESC, discover_score DESC, plays DESC, created_at DESC) AS featured_rank,
-           ROW_NUMBER() OVER (ORDER BY worldbuilding_score DESC, evergreen_score DESC, discover_score DESC, plays DESC, created_at DESC) AS worldbuilding_rank
+           ROW_NUMBER() OVER (ORDER BY worldbuilding_score DESC, evergreen_score DESC, discover_score DESC, plays DESC, created_at DESC) AS worldbuilding_rank,
+           ROW_NUMBER() OVER (ORDER BY remix_count DESC, recent_remix_count DESC, plays DESC, created_at DESC) AS remixed_rank,
+           ROW_NUMBER() OVER (ORDER BY recent_remix_count DESC, remix_count DESC, created_at DESC) AS remixing_rank
          FROM discover_pool
        )
        SELECT
@@ -2118,6 +2247,8 @@ app.get('/api/games/discover-lanes', async (req, res) => {
            WHEN evergreen_rank <= $2 THEN 'evergreen'
            WHEN featured_rank <= $2 THEN 'featured'
            WHEN worldbuilding_rank <= $2 THEN 'worldbuilding'
+           WHEN remixed_rank <= $2 AND remix_count > 0 THEN 'remixed'
+           WHEN remixing_rank <= $2 AND recent_remix_count > 0 THEN 'remixing'
            ELSE NULL
          END AS lane_bucket
        FROM ranked
@@ -2127,17 +2258,24 @@ app.get('/api/games/discover-lanes', async (req, res) => {
          sleeper_rank <= $2 OR
          evergreen_rank <= $2 OR
          featured_rank <= $2 OR
-         worldbuilding_rank <= $2`,
-      [normalizedTab, limit],
+         worldbuilding_rank <= $2 OR
+         (remixed_rank <= $2 AND remix_count > 0) OR
+         (remixing_rank <= $2 AND recent_remix_count > 0)`,
+      [normalizedTab, limit, req.userId],
     );
 
     const lanes = {
+      // Personalized for signed-in viewers on Explore (for-you.js); otherwise the discover order.
+      forYou: [],
       rising: [],
       fresh: [],
       sleepers: [],
       evergreen: [],
       featured: [],
       worldbuilding: [],
+      // Most remixed of all time, and most remixed this week. Only games with remixes qualify.
+      remixed: [],
+      remixing: [],
     };
     const usedByLane = {
       rising: new Set(),
@@ -2146,13 +2284,15 @@ app.get('/api/games/discover-lanes', async (req, res) => {
       evergreen: new Set(),
       featured: new Set(),
       worldbuilding: new Set(),
+      remixed: new Set(),
+      remixing: new Set(),
     };
 
     const rows = result.rows;
 
-    const pushLaneGames = (laneName, rankField) => {
+    const pushLaneGames = (laneName, rankField, qualifies = () => true) => {
       rows
-        .filter((row) => row[rankField] <= limit)
+        .filter((row) => row[rankField] <= limit && qualifies(row))
         .sort((a, b) => a[rankField] - b[rankField])
         .forEach((row) => {
           if (lanes[laneName].length >= limit) return;
@@ -2168,6 +2308,17 @@ app.get('/api/games/discover-lanes', async (req, res) => {
     pushLaneGames('evergreen', 'evergreen_rank');
     pushLaneGames('featured', 'featured_rank');
     pushLaneGames('worldbuilding', 'worldbuilding_rank');
+    pushLaneGames('remixed', 'remixed_rank', (row) => Number(row.remix_count) > 0);
+    pushLaneGames('remixing', 'remixing_rank', (row) => Number(row.recent_remix_count) > 0);
+    if (req.userId && normalizedTab === 'Explore') {
+      lanes.forYou = (await forYouLane({ userId: req.userId, limit })).map(formatGame);
+    }
+    if (lanes.forYou.length === 0) {
+      lanes.forYou = [...rows]
+        .sort((a, b) => Number(b.discover_score) - Number(a.discover_score))
+        .slice(0, limit)
+        .map(formatGame);
+    }
 
     res.json({
       tab: normalizedTab,
@@ -2213,6 +2364,7 @@ app.get('/api/games/discover-debug', async (req, res) => {
              COALESCE(g.classification_confidence, 0) * 35 +
              LEAST(COALESCE(g.plays, 0) / 4000.0, 28) +
              COALESCE(sa.recent_activity_score, 0) +
+             COALESCE(g.engagement_score, 0) +
              CASE
                WHEN g.created_at >= NOW() - INTERVAL '3 days' THEN 14
                WHEN g.created_at >= NOW() - INTERVAL '7 days' THEN 8
@@ -2295,6 +2447,7 @@ app.get('/api/games/discover-debug', async (req, res) => {
          LEFT JOIN score_activity sa ON sa.game_id = g.id
          WHERE
            (g.multiplayer_only = FALSE OR g.multiplayer_only IS NULL) AND
+           ${listedGameSql('g')} AND
            ($1 = 'Explore' OR COALESCE(g.primary_tab, 'Explore') = $1)
        ),
        ranked AS (
@@ -2355,6 +2508,7 @@ app.get('/api/games/discover-debug', async (req, res) => {
           recentUniqueScorers: row.recent_unique_scorers ?? 0,
           recentActivityScore: row.recent_activity_score ?? 0,
           plays: row.plays ?? 0,
+          engagementScore: Number(row.engagement_score || 0),
           ageHours: Number(row.age_hours || 0),
         },
       };
@@ -2379,8 +2533,7 @@ const normalizeSearchQuery = (value = '') =>
     .replace(/\s+/g, ' ')
     .trim();
 
-app.post('/api/search/track', async (req, res) => {
-  const token = req.headers.authorization?.replace('Bearer ', '');
+app.post('/api/search/track', optionalAuth, async (req, res) => {
   const clientId = String(req.headers['x-client-id'] || '').trim() || null;
   const query = String(req.body?.query || '');
   const source = String(req.body?.source || 'explore').trim() || 'explore';
@@ -2391,11 +2544,7 @@ app.post('/api/search/track', async (req, res) => {
   }
 
   try {
-    let userId = null;
-    if (token) {
-      const userResult = await pool.query('SELECT id FROM users WHERE token = $1', [token]);
-      userId = userResult.rows[0]?.id || null;
-    }
+    const userId = req.userId;
 
     await pool.query(
       `INSERT INTO search_events (user_id, client_id, query, normalized_query, source)
@@ -2410,6 +2559,33 @@ app.post('/api/search/track', async (req, res) => {
   }
 });
 
+// Feed cards the client has shown: { impressions: [{ gameId, dwellMs, skipped? }] }.
+// Dwell and skips feed For You ranking; shown games stop being recommended for a while.
+app.post('/api/feed/impressions', optionalAuth, async (req, res) => {
+  const clientId = String(req.headers['x-client-id'] || '').trim() || null;
+  try {
+    const recorded = await recordFeedImpressions({ userId: req.userId, clientId, impressions: req.body?.impressions });
+    res.json({ success: true, recorded });
+  } catch (e) {
+    if (e instanceof FeedSignalError) return res.status(e.statusCode).json({ error: e.message });
+    console.error('Record impressions error:', e);
+    res.status(500).json({ error: 'Server error' });
+  }
+});
+
+// Batched feed telemetry: { events: [{ type, gameId, sessionId, at?, durationMs? }] }. See game-telemetry.js.
+app.post('/api/telemetry/events', optionalAuth, async (req, res) => {
+  const clientId = String(req.headers['x-client-id'] || '').trim() || null;
+  try {
+    const recorded = await recordGameEvents({ userId: req.userId, clientId, events: req.body?.events });
+    res.json({ success: true, recorded });
+  } catch (e) {
+    if (e instanceof TelemetryError) return res.status(e.statusCode).json({ error: e.message });
+    console.error('Record telemetry error:', e);
+    res.status(500).json({ error: 'Server error' });
+  }
+});
+
 app.get('/api/search/trending', async (req, res) => {
   const limit = Math.min(parseInt(req.query.limit) || 12, 30);
 
@@ -2438,7 +2614,7 @@ app.get('/api/search/trending', async (req, res) => {
   }
 });
 
-app.get('/api/games/top', async (req, res) => {
+app.get('/api/games/top', optionalAuth, async (req, res) => {
   const limit = Math.min(parseInt(req.query.limit) || 10, 30);
   const rawTab = String(req.query.tab || 'Explore').trim();
   const normalizedTab = ['Explore', 'Games', 'Horror', 'Quiz', 'Roleplay'].includes(rawTab) ? rawTab : 'Explore';
@@ -2462,10 +2638,11 @@ app.get('/api/games/top', async (req, res) => {
        LEFT JOIN users u ON u.id::text = COALESCE(NULLIF(g.developer, ''), ag.user_id::text)
        WHERE (g.multiplayer_only = FALSE OR g.multiplayer_only IS NULL)
          AND ag.id IS NOT NULL
+         AND ${listedGameSql('g', '$3')}
          AND ($1 = 'Explore' OR COALESCE(g.primary_tab, 'Explore') = $1)
        ORDER BY top_score DESC, COALESCE(g.plays, 0) DESC, COALESCE(g.like_count, 0) DESC, COALESCE(g.save_count, 0) DESC, g.created_at DESC
        LIMIT $2`,
-      [normalizedTab, limit]
+      [normalizedTab, limit, req.userId]
     );
 
     res.json({
@@ -2482,7 +2659,7 @@ app.get('/api/games/top', async (req, res) => {
   }
 });
 
-app.get('/api/games/trending-summary', async (req, res) => {
+app.get('/api/games/trending-summary', optionalAuth, async (req, res) => {
   const limit = Math.min(parseInt(req.query.limit) || 5, 10);
   const rawTab = String(req.query.tab || 'Explore').trim();
   const normalizedTab = ['Explore', 'Games', 'Horror', 'Quiz', 'Roleplay'].includes(rawTab) ? rawTab : 'Explore';
@@ -2512,6 +2689,7 @@ app.get('/api/games/trending-summary', async (req, res) => {
 	         WHERE u.id IS NOT NULL
 	           AND (g.multiplayer_only = FALSE OR g.multiplayer_only IS NULL)
 	           AND ag.id IS NOT NULL
+	           AND ${listedGameSql('g')}
 	           AND ($1 = 'Explore' OR COALESCE(g.primary_tab, 'Explore') = $1)
            AND COALESCE(sa.recent_activity_score, 0) > 0`,
         [normalizedTab]
@@ -2532,6 +2710,7 @@ app.get('/api/games/trending-summary', async (req, res) => {
 	         LEFT JOIN score_activity sa ON sa.game_id = g.id
 	         WHERE (g.multiplayer_only = FALSE OR g.multiplayer_only IS NULL)
 	           AND ag.id IS NOT NULL
+	           AND ${listedGameSql('g')}
 	           AND ($1 = 'Explore' OR COALESCE(g.primary_tab, 'Explore') = $1)
            AND (
              COALESCE(sa.recent_activity_score, 0) > 0 OR
@@ -2580,6 +2759,7 @@ app.get('/api/games/trending-summary', async (req, res) => {
 	           WHERE u.id IS NOT NULL
 	             AND (g.multiplayer_only = FALSE OR g.multiplayer_only IS NULL)
 	             AND ag.id IS NOT NULL
+	             AND ${listedGameSql('g')}
 	             AND ($1 = 'Explore' OR COALESCE(g.primary_tab, 'Explore') = $1)
            GROUP BY u.id, u.username, u.display_name, u.avatar
          )
@@ -2612,6 +2792,7 @@ app.get('/api/games/trending-summary', async (req, res) => {
                COALESCE(g.classification_confidence, 0) * 35 +
                LEAST(COALESCE(g.plays, 0) / 4000.0, 28) +
                COALESCE(sa.recent_activity_score, 0) +
+               COALESCE(g.engagement_score, 0) +
                CASE
                  WHEN g.created_at >= NOW() - INTERVAL '3 days' THEN 14
                  WHEN g.created_at >= NOW() - INTERVAL '7 days' THEN 8
@@ -2634,13 +2815,14 @@ app.get('/api/games/trending-summary', async (req, res) => {
            LEFT JOIN score_activity sa ON sa.game_id = g.id
 	           WHERE (g.multiplayer_only = FALSE OR g.multiplayer_only IS NULL)
 	             AND ag.id IS NOT NULL
+	             AND ${listedGameSql('g', '$3')}
 	             AND ($1 = 'Explore' OR COALESCE(g.primary_tab, 'Explore') = $1)
          )
          SELECT *
          FROM discover_pool
          ORDER BY rising_score DESC, discover_score DESC, plays DESC, created_at DESC
          LIMIT $2`,
-        [normalizedTab, limit]
+        [normalizedTab, limit, req.userId]
       ),
     ]);
 
@@ -2678,52 +2860,34 @@ app.get('/api/games/trending-summary', async (req, res) => {
   }
 });
 
-app.get('/api/games/search', async (req, res) => {
-  const query = req.query.q || '';
-  const limit = parseInt(req.query.limit) || 50;
+// Full-text game search (see game-search.js). Facets count every match; category, orientation
+// and multiplayer narrow the results. Page on with ?cursor=<nextCursor>.
+app.get('/api/games/search', optionalAuth, async (req, res) => {
+  const query = String(req.query.q || '').trim();
 
-  if (!query || query.length < 2) {
-    return res.json({ games: [], total: 0 });
+  if (query.length < 2) {
+    return res.json({ games: [], total: 0, facets: { categories: [], orientation: [], multiplayer: [] }, nextCursor: null });
   }
 
+  const multiplayer = req.query.multiplayer === 'true' ? true : req.query.multiplayer === 'any' ? null : false;
   try {
-    const searchPattern = `%${query.toLowerCase()}%`;
-    const result = await pool.query(
-      `SELECT
-         g.*,
-         u.id AS creator_id,
-         u.display_name AS creator_display_name,
-         u.verified AS creator_verified,
-           u.avatar AS creator_avatar,
-         u.username AS creator_username
-       FROM games g
-       LEFT JOIN ai_games ag ON g.embed_url = ('/api/ai/play/' || ag.id::text)
-       LEFT JOIN users u ON u.id::text = COALESCE(NULLIF(g.developer, ''), ag.user_id::text)
-       WHERE (
-         LOWER(g.name) LIKE $1 OR
-         LOWER(COALESCE(g.category, '')) LIKE $1 OR
-         LOWER(COALESCE(g.subcategory, '')) LIKE $1 OR
-         LOWER(COALESCE(g.primary_tab, '')) LIKE $1 OR
-         LOWER(COALESCE(g.description, '')) LIKE $1 OR
-         LOWER(COALESCE(u.username, '')) LIKE $1 OR
-         LOWER(COALESCE(u.display_name, '')) LIKE $1
-	       )
-	       AND (g.multiplayer_only = FALSE OR g.multiplayer_only IS NULL)
-	       AND ag.id IS NOT NULL
-	       ORDER BY 
-         CASE
-           WHEN LOWER(g.name) LIKE $2 THEN 0
-           WHEN LOWER(COALESCE(u.username, '')) LIKE $2 THEN 1
-           WHEN LOWER(COALESCE(u.display_name, '')) LIKE $2 THEN 2
-           WHEN LOWER(COALESCE(g.subcategory, '')) LIKE $2 THEN 3
-           ELSE 4
-         END,
-         g.plays DESC
-       LIMIT $3`,
-      [searchPattern, `${query.toLowerCase()}%`, limit]
-    );
-    res.json({ games: result.rows.map(formatGame), total: result.rows.length });
+    const result = await searchGames({
+      query,
+      viewerId: req.userId,
+      category: req.query.category ? String(req.query.category) : null,
+      orientation: req.query.orientation ? String(req.query.orientation) : null,
+      multiplayer,
+      limit: req.query.limit,
+      cursor: req.query.cursor ? String(req.query.cursor) : null,
+    });
+    res.json({
+      games: result.games.map((row) => ({ ...formatGame(row), highlights: row.highlights })),
+      total: result.total,
+      facets: result.facets,
+      nextCursor: result.nextCursor,
+    });
   } catch (e) {
+    if (e instanceof SearchError) return res.status(e.statusCode).json({ error: e.message });
     console.error('Search error:', e);
     res.status(500).json({ error: 'Server error' });
   }
@@ -2736,10 +2900,10 @@ app.get('/api/games/multiplayer', async (req, res) => {
 
   try {
     const result = await pool.query(
-      'SELECT * FROM games WHERE multiplayer_only = TRUE ORDER BY plays DESC, name ASC LIMIT $1 OFFSET $2',
+      `SELECT * FROM games g WHERE multiplayer_only = TRUE AND ${listedGameSql('g')} ORDER BY plays DESC, name ASC LIMIT $1 OFFSET $2`,
       [limit, offset]
     );
-    const countResult = await pool.query('SELECT COUNT(*) FROM games WHERE multiplayer_only = TRUE');
+    const countResult = await pool.query(`SELECT COUNT(*) FROM games g WHERE multiplayer_only = TRUE AND ${listedGameSql('g')}`);
     res.json({ games: result.rows.map(formatGame), total: parseInt(countResult.rows[0].count) });
   } catch (e) {
     console.error('Get multiplayer games error:', e);
@@ -2747,7 +2911,7 @@ app.get('/api/games/multiplayer', async (req, res) => {
   }
 });
 
-app.get('/api/games/:id', async (req, res) => {
+app.get('/api/games/:id', optionalAuth, async (req, res) => {
   try {
     const result = await pool.query(
       `SELECT
@@ -2764,13 +2928,18 @@ app.get('/api/games/:id', async (req, res) => {
       [req.params.id],
     );
     if (result.rows.length === 0) return res.status(404).json({ error: 'Game not found' });
-    res.json({ game: formatGame(result.rows[0]) });
+    const game = formatGame(result.rows[0]);
+    // Retention and completion are for the creator's eyes only.
+    if (req.userId && game.creatorId === req.userId) {
+      game.engagement = await getGameEngagement(game.id);
+    }
+    res.json({ game });
   } catch (e) {
     res.status(500).json({ error: 'Server error' });
   }
 });
 
-app.post('/api/games/:id/play', async (req, res) => {
+app.post('/api/games/:id/play', optionalAuth, async (req, res) => {
   const token = req.headers.authorization?.replace('Bearer ', '');
   const clientId = String(req.headers['x-client-id'] || '').trim();
   const cooldownHours = 6;
@@ -2799,11 +2968,18 @@ app.post('/api/games/:id/play', async (req, res) => {
       return res.json({ success: true, counted: false, mode: 'unregistered-game' });
     }
 
+    // Every real play gets a signed session, counted or not — the cooldown only
+    // governs the play counter, not whether the player may post a score.
+    const sendPlay = async (payload, userId = null) => {
+      const playSession = await issuePlaySession({ gameId: req.params.id, userId, clientId });
+      return res.json({ ...payload, playSession });
+    };
+
     if (!token) {
       if (!clientId) {
         await pool.query('UPDATE games SET plays = plays + 1 WHERE id = $1', [req.params.id]);
         notifyCountedPlay(null, true);
-        return res.json({ success: true, counted: true, mode: 'anonymous-no-client' });
+        return sendPlay({ success: true, counted: true, mode: 'anonymous-no-client' });
       }
 
       const existingAnonymousPlay = await pool.query(
@@ -2819,7 +2995,7 @@ app.post('/api/games/:id/play', async (req, res) => {
         );
         await pool.query('UPDATE games SET plays = plays + 1 WHERE id = $1', [req.params.id]);
         notifyCountedPlay(null, true);
-        return res.json({ success: true, counted: true, mode: 'anonymous', cooldownHours });
+        return sendPlay({ success: true, counted: true, mode: 'anonymous', cooldownHours });
       }
 
       const shouldCount = await shouldCountByCooldown(existingAnonymousPlay.rows[0].last_played_at);
@@ -2833,22 +3009,22 @@ app.post('/api/games/:id/play', async (req, res) => {
         );
         await pool.query('UPDATE games SET plays = plays + 1 WHERE id = $1', [req.params.id]);
         notifyCountedPlay(null, true);
-        return res.json({ success: true, counted: true, mode: 'anonymous', cooldownHours });
+        return sendPlay({ success: true, counted: true, mode: 'anonymous', cooldownHours });
       }
 
       await pool.query(
         'UPDATE anonymous_game_plays SET last_played_at = NOW() WHERE client_id = $1 AND game_id = $2',
         [clientId, req.params.id],
       );
-      return res.json({ success: true, counted: false, mode: 'anonymous', cooldownHours });
+      return sendPlay({ success: true, counted: false, mode: 'anonymous', cooldownHours });
     }
 
-    const userResult = await pool.query('SELECT id FROM users WHERE token = $1', [token]);
-    if (userResult.rows.length === 0) {
+    // A token that didn't resolve (expired, revoked) counts as anonymous
+    if (!req.userId) {
       if (!clientId) {
         await pool.query('UPDATE games SET plays = plays + 1 WHERE id = $1', [req.params.id]);
         notifyCountedPlay(null, true);
-        return res.json({ success: true, counted: true, mode: 'anonymous-fallback-no-client' });
+        return sendPlay({ success: true, counted: true, mode: 'anonymous-fallback-no-client' });
       }
 
       const existingAnonymousPlay = await pool.query(
@@ -2864,7 +3040,7 @@ app.post('/api/games/:id/play', async (req, res) => {
         );
         await pool.query('UPDATE games SET plays = plays + 1 WHERE id = $1', [req.params.id]);
         notifyCountedPlay(null, true);
-        return res.json({ success: true, counted: true, mode: 'anonymous-fallback', cooldownHours });
+        return sendPlay({ success: true, counted: true, mode: 'anonymous-fallback', cooldownHours });
       }
 
       const shouldCount = await shouldCountByCooldown(existingAnonymousPlay.rows[0].last_played_at);
@@ -2878,17 +3054,17 @@ app.post('/api/games/:id/play', async (req, res) => {
         );
         await pool.query('UPDATE games SET plays = plays + 1 WHERE id = $1', [req.params.id]);
         notifyCountedPlay(null, true);
-        return res.json({ success: true, counted: true, mode: 'anonymous-fallback', cooldownHours });
+        return sendPlay({ success: true, counted: true, mode: 'anonymous-fallback', cooldownHours });
       }
 
       await pool.query(
         'UPDATE anonymous_game_plays SET last_played_at = NOW() WHERE client_id = $1 AND game_id = $2',
         [clientId, req.params.id],
       );
-      return res.json({ success: true, counted: false, mode: 'anonymous-fallback', cooldownHours });
+      return sendPlay({ success: true, counted: false, mode: 'anonymous-fallback', cooldownHours });
     }
 
-    const userId = userResult.rows[0].id;
+    const userId = req.userId;
     const existingPlay = await pool.query(
       'SELECT play_count, last_played_at FROM game_plays WHERE user_id = $1 AND game_id = $2',
       [userId, req.params.id],
@@ -2903,7 +3079,7 @@ app.post('/api/games/:id/play', async (req, res) => {
       await pool.query('UPDATE games SET plays = plays + 1 WHERE id = $1', [req.params.id]);
       await pool.query('UPDATE users SET games_played = COALESCE(games_played, 0) + 1 WHERE id = $1', [userId]);
       notifyCountedPlay(userId, false);
-      return res.json({ success: true, counted: true, mode: 'user', cooldownHours });
+      return sendPlay({ success: true, counted: true, mode: 'user', cooldownHours }, userId);
     }
 
     const shouldCount = await shouldCountByCooldown(existingPlay.rows[0].last_played_at);
@@ -2919,14 +3095,14 @@ app.post('/api/games/:id/play', async (req, res) => {
       await pool.query('UPDATE games SET plays = plays + 1 WHERE id = $1', [req.params.id]);
       await pool.query('UPDATE users SET games_played = COALESCE(games_played, 0) + 1 WHERE id = $1', [userId]);
       notifyCountedPlay(userId, false);
-      return res.json({ success: true, counted: true, mode: 'user', cooldownHours });
+      return sendPlay({ success: true, counted: true, mode: 'user', cooldownHours }, userId);
     }
 
     await pool.query(
       'UPDATE game_plays SET last_played_at = NOW() WHERE user_id = $1 AND game_id = $2',
       [userId, req.params.id],
     );
-    res.json({ success: true, counted: false, mode: 'user', cooldownHours });
+    await sendPlay({ success: true, counted: false, mode: 'user', cooldownHours }, userId);
   } catch (e) {
     console.error('Record play error:', e);
     res.status(500).json({ error: 'Server error' });
@@ -2966,26 +3142,25 @@ app.post('/api/games/:id/size', async (req, res) => {
 // GAME PROGRESS / CLOUD SAVES
 // ============================================
 
-// Get game progress for a user
-app.get('/api/games/:gameId/progress', async (req, res) => {
-  const token = req.headers.authorization?.replace('Bearer ', '');
-  if (!token) return res.status(401).json({ error: 'Not authenticated' });
+// Saves are versioned (see game-saves.js): GET returns the current `revision`, and
+// POST should send it back as `baseRevision` so a stale device gets a 409 with the
+// server copy instead of clobbering newer progress.
+const sendSaveError = (res, e, label) => {
+  if (e instanceof SaveConflictError) {
+    return res.status(409).json({ error: 'Revision conflict', conflict: true, server: e.server });
+  }
+  if (e instanceof SaveQuotaError) {
+    return res.status(413).json({ error: 'Save exceeds quota', sizeBytes: e.sizeBytes, quotaBytes: e.quotaBytes });
+  }
+  console.error(`${label} error:`, e);
+  return res.status(500).json({ error: 'Server error' });
+};
 
+// Get game progress for a user
+app.get('/api/games/:gameId/progress', requireAuth, async (req, res) => {
   try {
-    const userResult = await pool.query('SELECT id FROM users WHERE token = $1', [token]);
-    if (userResult.rows.length === 0) return res.status(401).json({ error: 'Invalid token' });
-
-    const userId = userResult.rows[0].id;
-    const result = await pool.query(
-      'SELECT storage_data FROM game_progress WHERE user_id = $1 AND game_id = $2',
-      [userId, req.params.gameId]
-    );
-
-    if (result.rows.length === 0) {
-      return res.json({ storageData: {} });
-    }
-
-    res.json({ storageData: result.rows[0].storage_data || {} });
+    const userId = req.userId;
+    res.json(await getGameSave(userId, req.params.gameId));
   } catch (e) {
     console.error('Get game progress error:', e);
     res.status(500).json({ error: 'Server error' });
@@ -2993,36 +3168,61 @@ app.get('/api/games/:gameId/progress', async (req, res) => {
 });
 
 // Save game progress for a user
-app.post('/api/games/:gameId/progress', async (req, res) => {
-  const token = req.headers.authorization?.replace('Bearer ', '');
-  if (!token) return res.status(401).json({ error: 'Not authenticated' });
-
+app.post('/api/games/:gameId/progress', requireAuth, async (req, res) => {
   const { storageData } = req.body;
   if (!storageData || typeof storageData !== 'object') {
     return res.status(400).json({ error: 'storageData object required' });
   }
+  const base = parseBaseRevision(req.body.baseRevision);
+  if (base.invalid) return res.status(400).json({ error: 'baseRevision must be a non-negative integer' });
 
   try {
-    const userResult = await pool.query('SELECT id FROM users WHERE token = $1', [token]);
-    if (userResult.rows.length === 0) return res.status(401).json({ error: 'Invalid token' });
-
-    const userId = userResult.rows[0].id;
+    const userId = req.userId;
+    const saved = await saveGameProgress({
+      userId,
+      gameId: req.params.gameId,
+      storageData,
+      baseRevision: base.supplied ? base.revision : undefined,
+    });
 
-    // Upsert the progress
-    await pool.query(`
-      INSERT INTO game_progress (user_id, game_id, storage_data, updated_at)
-      VALUES ($1, $2, $3, NOW())
-      ON CONFLICT (user_id, game_id) 
-      DO UPDATE SET storage_data = $3, updated_at = NOW()
-    `, [userId, req.params.gameId, JSON.stringify(storageData)]);
+    res.json({ success: true, revision: saved.revision, updatedAt: saved.updatedAt });
+  } catch (e) {
+    sendSaveError(res, e, 'Save game progress');
+  }
+});
 
-    res.json({ success: true });
+// Previous snapshots for this user/game, newest first (metadata only)
+app.get('/api/games/:gameId/progress/history', requireAuth, async (req, res) => {
+  try {
+    const history = await listSaveHistory(req.userId, req.params.gameId);
+    res.json({ history });
   } catch (e) {
-    console.error('Save game progress error:', e);
+    console.error('Game progress history error:', e);
     res.status(500).json({ error: 'Server error' });
   }
 });
 
+// Restore a snapshot from history as the new head. Accepts `baseRevision` like a save.
+app.post('/api/games/:gameId/progress/restore', requireAuth, async (req, res) => {
+  const revision = Number(req.body?.revision);
+  if (!Number.isInteger(revision) || revision < 1) return res.status(400).json({ error: 'revision required' });
+  const base = parseBaseRevision(req.body?.baseRevision);
+  if (base.invalid) return res.status(400).json({ error: 'baseRevision must be a non-negative integer' });
+
+  try {
+    const restored = await restoreSaveRevision({
+      userId: req.userId,
+      gameId: req.params.gameId,
+      revision,
+      baseRevision: base.supplied ? base.revision : undefined,
+    });
+    if (!restored) return res.status(404).json({ error: 'Revision not found' });
+    res.json({ success: true, ...restored });
+  } catch (e) {
+    sendSaveError(res, e, 'Restore game progress');
+  }
+});
+
 function formatGame(row) {
   return {
     id: row.id,
@@ -3055,7 +3255,8 @@ function formatGame(row) {
     recentScoreEvents: row.recent_score_events ?? row.recentScoreEvents ?? 0,
     recentUniqueScorers: row.recent_unique_scorers ?? row.recentUniqueScorers ?? 0,
     recentActivityScore: row.recent_activity_score ?? row.recentActivityScore ?? 0,
-    discoverScore: row.discover_score ?? row.discoverScore ?? null
+    discoverScore: row.discover_score ?? row.discoverScore ?? null,
+    remixCount: row.remix_count != null ? Number(row.remix_count) : (row.remixCount ?? null)
   };
 }
 
@@ -3065,14 +3266,9 @@ function formatGame(row) {
 // ============================================
 
 // Get list of blocked users
-app.get('/api/users/blocked', async (req, res) => {
-  const token = req.headers.authorization?.replace('Bearer ', '');
-  if (!token) return res.status(401).json({ error: 'Not authenticated' });
-
+app.get('/api/users/blocked', requireAuth, async (req, res) => {
   try {
-    const userResult = await pool.query('SELECT id FROM users WHERE token = $1', [token]);
-    if (userResult.rows.length === 0) return res.status(401).json({ error: 'Invalid token' });
-    const userId = userResult.rows[0].id;
+    const userId = req.userId;
 
     const result = await pool.query(
       `SELECT u.id, u.username, u.display_name, u.avatar, b.created_at as blocked_at
@@ -3098,32 +3294,15 @@ app.get('/api/users/blocked', async (req, res) => {
   }
 });
 
-app.get('/api/users/recommended', async (req, res) => {
-  const token = req.headers.authorization?.replace('Bearer ', '');
+// People to follow, each with the reason (see follow-recommendations.js). ?includeBots=true to include bot accounts.
+app.get('/api/users/recommended', optionalAuth, async (req, res) => {
   try {
-    let currentUserId = null;
-    if (token) {
-      const uResult = await pool.query('SELECT id FROM users WHERE token = $1', [token]);
-      if (uResult.rows.length > 0) currentUserId = uResult.rows[0].id;
-    }
-
-    let query = `
-      SELECT id, username, display_name, avatar, verified
-      FROM users 
-      WHERE username IS NOT NULL
-    `;
-    const params = [];
-
-    if (currentUserId) {
-      query += ` AND id != $1 AND id NOT IN (SELECT following_id FROM followers WHERE follower_id = $1) `;
-      params.push(currentUserId);
-    }
-
-    query += ` ORDER BY RANDOM() LIMIT 50`;
-
-    const result = await pool.query(query, params);
-
-    res.json({ users: result.rows.map(r => ({ id: r.id, username: r.username, displayName: r.display_name, avatar: r.avatar, verified: Boolean(r.verified) })) });
+    const users = await recommendUsersToFollow({
+      viewerId: req.userId,
+      limit: req.query.limit,
+      includeBots: req.query.includeBots === 'true',
+    });
+    res.json({ users });
   } catch (e) {
     console.error('Recommended users error:', e);
     res.status(500).json({ error: 'Server error' });
@@ -3143,8 +3322,7 @@ app.get('/api/users/search/:query', async (req, res) => {
   }
 });
 
-app.get('/api/users/:id', async (req, res) => {
-  const token = req.headers.authorization?.replace('Bearer ', '');
+app.get('/api/users/:id', optionalAuth, async (req, res) => {
   try {
     const isUUID = /^[0-9a-fA-F]{8}-[0-9a-fA-F]{4}-[0-9a-fA-F]{4}-[0-9a-fA-F]{4}-[0-9a-fA-F]{12}$/.test(req.params.id);
     let result;
@@ -3169,23 +3347,20 @@ app.get('/api/users/:id', async (req, res) => {
     // Check if the requesting user follows this profile
     let isFollowing = false;
     let isMutual = false;
-    if (token) {
-      const currentUserResult = await pool.query('SELECT id FROM users WHERE token = $1', [token]);
-      if (currentUserResult.rows.length > 0) {
-        const currentUserId = currentUserResult.rows[0].id;
-        const followCheck = await pool.query(
+    if (req.userId) {
+      const currentUserId = req.userId;
+      const followCheck = await pool.query(
+        'SELECT 1 FROM followers WHERE follower_id = $1 AND following_id = $2',
+        [currentUserId, user.id]
+      );
+      isFollowing = followCheck.rows.length > 0;
+
+      if (isFollowing) {
+        const mutualCheck = await pool.query(
           'SELECT 1 FROM followers WHERE follower_id = $1 AND following_id = $2',
-          [currentUserId, user.id]
+          [user.id, currentUserId]
         );
-        isFollowing = followCheck.rows.length > 0;
-
-        if (isFollowing) {
-          const mutualCheck = await pool.query(
-            'SELECT 1 FROM followers WHERE follower_id = $1 AND following_id = $2',
-            [user.id, currentUserId]
-          );
-          isMutual = mutualCheck.rows.length > 0;
-        }
+        isMutual = mutualCheck.rows.length > 0;
       }
     }
 
@@ -3201,10 +3376,13 @@ app.get('/api/users/:id', async (req, res) => {
       // Tables might not exist yet for this user, use defaults
     }
 
+    const achievements = await getUserAchievementSummary(user.id);
+
     res.json({
       user: await formatUserWithFollowCounts(user),
       isFollowing,
       isMutual,
+      achievements,
       stats: {
         followers: parseInt(followers.rows[0].count),
         following: parseInt(following.rows[0].count),
@@ -3213,7 +3391,9 @@ app.get('/api/users/:id', async (req, res) => {
         totalScore: user.total_score,
         level: levelData.level,
         xp: levelData.xp,
-        streak: streakData.current_streak
+        streak: streakData.current_streak,
+        achievements: achievements.unlocked,
+        achievementPoints: achievements.points
       }
     });
   } catch (e) {
@@ -3222,14 +3402,8 @@ app.get('/api/users/:id', async (req, res) => {
   }
 });
 
-app.get('/api/users/:id/played', async (req, res) => {
-  const token = req.headers.authorization?.replace('Bearer ', '');
-  if (!token) return res.status(401).json({ error: 'Not authenticated' });
-
+app.get('/api/users/:id/played', requireAuth, async (req, res) => {
   try {
-    const currentUserResult = await pool.query('SELECT id FROM users WHERE token = $1', [token]);
-    if (currentUserResult.rows.length === 0) return res.status(401).json({ error: 'Invalid token' });
-
     const isUUID = /^[0-9a-fA-F]{8}-[0-9a-fA-F]{4}-[0-9a-fA-F]{4}-[0-9a-fA-F]{4}-[0-9a-fA-F]{12}$/.test(req.params.id);
 
     let targetUserResult;
@@ -3276,15 +3450,9 @@ app.get('/api/users/:id/played', async (req, res) => {
   }
 });
 
-app.get('/api/users/:id/created', async (req, res) => {
-  const token = req.headers.authorization?.replace('Bearer ', '');
-  if (!token) return res.status(401).json({ error: 'Not authenticated' });
-
+app.get('/api/users/:id/created', requireAuth, async (req, res) => {
   try {
-    const currentUserResult = await pool.query('SELECT id FROM users WHERE token = $1', [token]);
-    if (currentUserResult.rows.length === 0) return res.status(401).json({ error: 'Invalid token' });
-
-    const currentUserId = currentUserResult.rows[0].id;
+    const currentUserId = req.userId;
     const isUUID = /^[0-9a-fA-F]{8}-[0-9a-fA-F]{4}-[0-9a-fA-F]{4}-[0-9a-fA-F]{4}-[0-9a-fA-F]{12}$/.test(req.params.id);
 
     let targetUserResult;
@@ -3325,14 +3493,11 @@ app.get('/api/users/:id/created', async (req, res) => {
   }
 });
 
-app.put('/api/users/:id', async (req, res) => {
-  const token = req.headers.authorization?.replace('Bearer ', '');
+app.put('/api/users/:id', requireAuth, async (req, res) => {
   const { displayName, bio, avatar, username } = req.body;
+  if (req.userId !== req.params.id) return res.status(403).json({ error: 'Not authorized' });
 
   try {
-    const userCheck = await pool.query('SELECT * FROM users WHERE id = $1 AND token = $2', [req.params.id, token]);
-    if (userCheck.rows.length === 0) return res.status(403).json({ error: 'Not authorized' });
-
     // Validate if changing username
     if (username !== undefined) {
       if (username.length < 3 || username.length > 20) return res.status(400).json({ error: 'Username must be 3-20 chars' });
@@ -3350,21 +3515,35 @@ app.put('/api/users/:id', async (req, res) => {
        WHERE id = $5 RETURNING *`,
       [displayName, bio, avatar, username, req.params.id]
     );
+    // Creator names are part of every one of their games' search documents
+    if (displayName !== undefined || username !== undefined) {
+      await refreshGameSearchDocuments({ creatorId: req.params.id });
+    }
     res.json({ user: await formatUserWithFollowCounts(result.rows[0]) });
   } catch (e) {
     res.status(500).json({ error: 'Server error' });
   }
 });
 
-app.post('/api/users/:id/follow', async (req, res) => {
-  const token = req.headers.authorization?.replace('Bearer ', '');
-  if (!token) return res.status(401).json({ error: 'Not authenticated' });
-
+// The signed-in creator's dashboard: per-game daily series, followers and traffic sources.
+// ?days= (7-90, default 28) and ?gameId= to narrow to one game. See creator-analytics.js.
+app.get('/api/creators/me/analytics', requireAuth, async (req, res) => {
   try {
-    const currentUser = await pool.query('SELECT id FROM users WHERE token = $1', [token]);
-    if (currentUser.rows.length === 0) return res.status(401).json({ error: 'Invalid token' });
+    const analytics = await getCreatorAnalytics(req.userId, {
+      days: req.query.days,
+      gameId: req.query.gameId ? String(req.query.gameId) : null,
+    });
+    if (!analytics) return res.status(404).json({ error: 'Game not found' });
+    res.json(analytics);
+  } catch (e) {
+    console.error('Creator analytics error:', e);
+    res.status(500).json({ error: 'Server error' });
+  }
+});
 
-    const followerId = currentUser.rows[0].id;
+app.post('/api/users/:id/follow', requireAuth, async (req, res) => {
+  try {
+    const followerId = req.userId;
     const followingId = req.params.id;
 
     if (followerId === followingId) return res.status(400).json({ error: 'Cannot follow yourself' });
@@ -3409,16 +3588,10 @@ app.post('/api/users/:id/follow', async (req, res) => {
   }
 });
 
-app.post('/api/users/:id/accept-request', async (req, res) => {
-  const token = req.headers.authorization?.replace('Bearer ', '');
-  if (!token) return res.status(401).json({ error: 'Not authenticated' });
-
+app.post('/api/users/:id/accept-request', requireAuth, async (req, res) => {
   try {
-    const currentUser = await pool.query('SELECT id FROM users WHERE token = $1', [token]);
-    if (currentUser.rows.length === 0) return res.status(401).json({ error: 'Invalid token' });
-
     const followerId = req.params.id;
-    const followingId = currentUser.rows[0].id;
+    const followingId = req.userId;
 
     if (followerId === followingId) return res.status(400).json({ error: 'Cannot accept yourself' });
 
@@ -3457,17 +3630,10 @@ app.post('/api/users/:id/accept-request', async (req, res) => {
   }
 });
 
-app.get('/api/users/:id/followers', async (req, res) => {
+app.get('/api/users/:id/followers', optionalAuth, async (req, res) => {
   try {
-    // Get the current user from token to check if they follow these users
-    const token = req.headers.authorization?.replace('Bearer ', '');
-    let currentUserId = null;
-    if (token) {
-      const currentUserResult = await pool.query('SELECT id FROM users WHERE token = $1', [token]);
-      if (currentUserResult.rows.length > 0) {
-        currentUserId = currentUserResult.rows[0].id;
-      }
-    }
+    // The current user, to check if they follow these users
+    const currentUserId = req.userId;
 
     const result = await pool.query(
       `SELECT u.id, u.username, u.display_name, u.avatar, u.verified,
@@ -3546,17 +3712,10 @@ app.get('/api/users/:id/pending-count', async (req, res) => {
   }
 });
 
-app.get('/api/users/:id/following', async (req, res) => {
+app.get('/api/users/:id/following', optionalAuth, async (req, res) => {
   try {
-    // Get the current user from token to check if they follow these users
-    const token = req.headers.authorization?.replace('Bearer ', '');
-    let currentUserId = null;
-    if (token) {
-      const currentUserResult = await pool.query('SELECT id FROM users WHERE token = $1', [token]);
-      if (currentUserResult.rows.length > 0) {
-        currentUserId = currentUserResult.rows[0].id;
-      }
-    }
+    // The current user, to check if they follow these users
+    const currentUserId = req.userId;
 
     const result = await pool.query(
       `SELECT u.id, u.username, u.display_name, u.avatar, u.verified,
@@ -3587,58 +3746,114 @@ app.get('/api/users/:id/following', async (req, res) => {
 // SCORES ENDPOINTS
 // ============================================
 
-app.post('/api/scores', async (req, res) => {
-  const token = req.headers.authorization?.replace('Bearer ', '');
+// Scores are only accepted against a play session issued by POST /api/games/:id/play,
+// and are bounded by how long that session has been running (see play-sessions.js).
+app.post('/api/scores', optionalAuth, async (req, res) => {
   const { gameId, score } = req.body;
+  const sessionToken = req.body.sessionToken || req.headers['x-play-session'];
   if (!gameId || score === undefined) return res.status(400).json({ error: 'gameId and score required' });
 
   try {
-    let userId = null;
-    if (token) {
-      const userResult = await pool.query('SELECT id FROM users WHERE token = $1', [token]);
-      if (userResult.rows.length > 0) {
-        userId = userResult.rows[0].id;
-        await pool.query(
-          'UPDATE users SET total_score = total_score + $1, games_played = games_played + 1 WHERE id = $2',
-          [score, userId]
-        );
-      }
+    const userId = req.userId;
+
+    const check = await checkScoreSubmission({ token: sessionToken, gameId, userId, score, source: 'rest', final: true });
+    if (!check.ok) {
+      return res.status(403).json({ error: 'Score rejected', reason: check.reason });
+    }
+
+    const consumed = await consumePlaySession(check.claims.sid, score);
+    if (!consumed) {
+      recordScoreRejection({ sessionId: check.claims.sid, userId, gameId, source: 'rest', score, reason: 'session_used', elapsedMs: check.elapsedMs })
+        .catch(() => {});
+      return res.status(403).json({ error: 'Score rejected', reason: 'session_used' });
+    }
+
+    if (userId) {
+      await pool.query(
+        'UPDATE users SET total_score = total_score + $1, games_played = games_played + 1 WHERE id = $2',
+        [score, userId]
+      );
     }
 
     const result = await pool.query(
       'INSERT INTO scores (user_id, game_id, score) VALUES ($1, $2, $3) RETURNING *',
       [userId, gameId, score]
     );
+    await recordLeaderboardScore({ userId, gameId, score });
     res.json({ success: true, score: result.rows[0] });
   } catch (e) {
+    console.error('Submit score error:', e);
     res.status(500).json({ error: 'Server error' });
   }
 });
 
-app.get('/api/scores/leaderboard/:gameId', async (req, res) => {
-  const limit = parseInt(req.query.limit) || 10;
+// ?window=all|day|week|month  ?scope=global|friends  ?limit=  ?cursor=
+// Served from the game_leaderboard aggregates (see leaderboards.js).
+app.get('/api/scores/leaderboard/:gameId', optionalAuth, async (req, res) => {
+  const window = normalizeLeaderboardWindow(req.query.window);
+  const scope = normalizeLeaderboardScope(req.query.scope);
+  if (!window) return res.status(400).json({ error: `window must be one of ${LEADERBOARD_WINDOWS.join(', ')}` });
+  if (!scope) return res.status(400).json({ error: `scope must be one of ${LEADERBOARD_SCOPES.join(', ')}` });
+  if (req.query.cursor && !decodeLeaderboardCursor(req.query.cursor)) return res.status(400).json({ error: 'Invalid cursor' });
 
   try {
-    const result = await pool.query(
-      `SELECT DISTINCT ON (s.user_id) s.*, u.username, u.display_name, u.avatar
-       FROM scores s JOIN users u ON s.user_id = u.id
-       WHERE s.game_id = $1 AND s.user_id IS NOT NULL
-       ORDER BY s.user_id, s.score DESC`,
-      [req.params.gameId]
-    );
+    const viewerId = req.userId;
+    if (scope === 'friends' && !viewerId) return res.status(401).json({ error: 'Not authenticated' });
+
+    const { entries, nextCursor } = await getLeaderboardPage({
+      gameId: req.params.gameId,
+      window,
+      scope,
+      viewerId,
+      limit: parseInt(req.query.limit) || 10,
+      cursor: req.query.cursor || null,
+    });
+    res.json({ leaderboard: entries, nextCursor, window, scope });
+  } catch (e) {
+    console.error('Leaderboard error:', e);
+    res.status(500).json({ error: 'Server error' });
+  }
+});
 
-    const sorted = result.rows.sort((a, b) => b.score - a.score).slice(0, limit);
-    const leaderboard = sorted.map((r, i) => ({
-      rank: i + 1,
-      score: r.score,
-      username: r.username,
-      displayName: r.display_name,
-      avatar: r.avatar,
-      userId: r.user_id
-    }));
+// The caller's own rank with the five entries directly above and below.
+app.get('/api/scores/leaderboard/:gameId/me', requireAuth, async (req, res) => {
+  const window = normalizeLeaderboardWindow(req.query.window);
+  const scope = normalizeLeaderboardScope(req.query.scope);
+  if (!window) return res.status(400).json({ error: `window must be one of ${LEADERBOARD_WINDOWS.join(', ')}` });
+  if (!scope) return res.status(400).json({ error: `scope must be one of ${LEADERBOARD_SCOPES.join(', ')}` });
 
-    res.json({ leaderboard });
+  try {
+    const viewerId = req.userId;
+    const neighbourhood = await getLeaderboardNeighbourhood({ gameId: req.params.gameId, window, scope, viewerId });
+    res.json({ ...neighbourhood, window, scope });
   } catch (e) {
+    console.error('Leaderboard rank error:', e);
+    res.status(500).json({ error: 'Server error' });
+  }
+});
+
+// Rejected score submissions from every path (REST, score lobby, PK), newest first.
+app.get('/api/admin/score-rejections', async (req, res) => {
+  const limit = Math.min(parseInt(req.query.limit) || 100, 500);
+  try {
+    const params = [limit];
+    let where = '';
+    if (req.query.gameId) {
+      params.push(req.query.gameId);
+      where = 'WHERE sr.game_id = $2';
+    }
+    const result = await pool.query(
+      `SELECT sr.*, u.username
+       FROM score_rejections sr
+       LEFT JOIN users u ON u.id = sr.user_id
+       ${where}
+       ORDER BY sr.created_at DESC
+       LIMIT $1`,
+      params
+    );
+    res.json({ rejections: result.rows });
+  } catch (e) {
+    console.error('Score rejections error:', e);
     res.status(500).json({ error: 'Server error' });
   }
 });
@@ -3647,16 +3862,12 @@ app.get('/api/scores/leaderboard/:gameId', async (req, res) => {
 // LIKES ENDPOINTS
 // ============================================
 
-app.post('/api/likes', async (req, res) => {
-  const token = req.headers.authorization?.replace('Bearer ', '');
+app.post('/api/likes', requireAuth, async (req, res) => {
   const { gameId } = req.body;
-  if (!token) return res.status(401).json({ error: 'Not authenticated' });
   if (!gameId) return res.status(400).json({ error: 'gameId required' });
 
   try {
-    const userResult = await pool.query('SELECT id FROM users WHERE token = $1', [token]);
-    if (userResult.rows.length === 0) return res.status(401).json({ error: 'Invalid token' });
-    const userId = userResult.rows[0].id;
+    const userId = req.userId;
 
     const existing = await pool.query('SELECT * FROM likes WHERE user_id = $1 AND game_id = $2', [userId, gameId]);
 
@@ -3692,8 +3903,7 @@ app.post('/api/likes', async (req, res) => {
 });
 
 // Check which games the current user has liked (batch)
-app.post('/api/likes/check', async (req, res) => {
-  const token = req.headers.authorization?.replace('Bearer ', '');
+app.post('/api/likes/check', optionalAuth, async (req, res) => {
   const { gameIds } = req.body;
 
   if (!gameIds || !Array.isArray(gameIds)) {
@@ -3702,16 +3912,11 @@ app.post('/api/likes/check', async (req, res) => {
 
   try {
     // If not authenticated, return empty (no likes)
-    if (!token) {
-      return res.json({ likedGameIds: [] });
-    }
-
-    const userResult = await pool.query('SELECT id FROM users WHERE token = $1', [token]);
-    if (userResult.rows.length === 0) {
+    if (!req.userId) {
       return res.json({ likedGameIds: [] });
     }
 
-    const userId = userResult.rows[0].id;
+    const userId = req.userId;
     const result = await pool.query(
       'SELECT game_id FROM likes WHERE user_id = $1 AND game_id = ANY($2)',
       [userId, gameIds]
@@ -3752,16 +3957,12 @@ app.get('/api/likes/user/:userId', async (req, res) => {
 // ============================================
 
 // Save/unsave a game (toggle bookmark)
-app.post('/api/saved-games', async (req, res) => {
-  const token = req.headers.authorization?.replace('Bearer ', '');
+app.post('/api/saved-games', requireAuth, async (req, res) => {
   const { gameId } = req.body;
-  if (!token) return res.status(401).json({ error: 'Not authenticated' });
   if (!gameId) return res.status(400).json({ error: 'gameId required' });
 
   try {
-    const userResult = await pool.query('SELECT id FROM users WHERE token = $1', [token]);
-    if (userResult.rows.length === 0) return res.status(401).json({ error: 'Invalid token' });
-    const userId = userResult.rows[0].id;
+    const userId = req.userId;
 
     const existing = await pool.query('SELECT * FROM saved_games WHERE user_id = $1 AND game_id = $2', [userId, gameId]);
 
@@ -3794,8 +3995,7 @@ app.post('/api/saved-games', async (req, res) => {
 });
 
 // Check which games the current user has saved (batch)
-app.post('/api/saved-games/check', async (req, res) => {
-  const token = req.headers.authorization?.replace('Bearer ', '');
+app.post('/api/saved-games/check', optionalAuth, async (req, res) => {
   const { gameIds } = req.body;
 
   if (!gameIds || !Array.isArray(gameIds)) {
@@ -3803,16 +4003,11 @@ app.post('/api/saved-games/check', async (req, res) => {
   }
 
   try {
-    if (!token) {
+    if (!req.userId) {
       return res.json({ savedGameIds: [] });
     }
 
-    const userResult = await pool.query('SELECT id FROM users WHERE token = $1', [token]);
-    if (userResult.rows.length === 0) {
-      return res.json({ savedGameIds: [] });
-    }
-
-    const userId = userResult.rows[0].id;
+    const userId = req.userId;
     const result = await pool.query(
       'SELECT game_id FROM saved_games WHERE user_id = $1 AND game_id = ANY($2)',
       [userId, gameIds]
@@ -3845,14 +4040,9 @@ app.get('/api/saved-games/user/:userId', async (req, res) => {
 // MESSAGES ENDPOINTS
 // ============================================
 
-app.get('/api/conversations', async (req, res) => {
-  const token = req.headers.authorization?.replace('Bearer ', '');
-  if (!token) return res.status(401).json({ error: 'Not authenticated' });
-
+app.get('/api/conversations', requireAuth, async (req, res) => {
   try {
-    const userResult = await pool.query('SELECT id FROM users WHERE token = $1', [token]);
-    if (userResult.rows.length === 0) return res.status(401).json({ error: 'Invalid token' });
-    const userId = userResult.rows[0].id;
+    const userId = req.userId;
 
     const result = await pool.query(
       `SELECT c.*, 
@@ -3927,14 +4117,9 @@ app.get('/api/conversations', async (req, res) => {
   }
 });
 
-app.get('/api/conversations/:userId', async (req, res) => {
-  const token = req.headers.authorization?.replace('Bearer ', '');
-  if (!token) return res.status(401).json({ error: 'Not authenticated' });
-
+app.get('/api/conversations/:userId', requireAuth, async (req, res) => {
   try {
-    const userResult = await pool.query('SELECT id FROM users WHERE token = $1', [token]);
-    if (userResult.rows.length === 0) return res.status(401).json({ error: 'Invalid token' });
-    const userId = userResult.rows[0].id;
+    const userId = req.userId;
     const otherUserId = req.params.userId;
 
     let conv = await pool.query(
@@ -4018,16 +4203,13 @@ app.get('/api/conversations/:userId', async (req, res) => {
   }
 });
 
-app.post('/api/messages', async (req, res) => {
-  const token = req.headers.authorization?.replace('Bearer ', '');
+app.post('/api/messages', requireAuth, async (req, res) => {
   const { conversationId, recipientId, text, gameShare } = req.body;
-  if (!token) return res.status(401).json({ error: 'Not authenticated' });
   if (!text && !gameShare) return res.status(400).json({ error: 'text or gameShare required' });
 
   try {
-    const userResult = await pool.query('SELECT id, username FROM users WHERE token = $1', [token]);
-    if (userResult.rows.length === 0) return res.status(401).json({ error: 'Invalid token' });
-    const userId = userResult.rows[0].id;
+    const userResult = await pool.query('SELECT username FROM users WHERE id = $1', [req.userId]);
+    const userId = req.userId;
     const username = userResult.rows[0].username;
 
     let convId = conversationId;
@@ -4125,70 +4307,69 @@ app.post('/api/messages', async (req, res) => {
 // COMMENTS ENDPOINTS
 // ============================================
 
-app.get('/api/comments/:gameId', async (req, res) => {
-  const token = req.headers.authorization?.replace('Bearer ', '');
-  let userId = null;
+const isCommentId = (id) => /^[0-9a-fA-F]{8}-[0-9a-fA-F]{4}-[0-9a-fA-F]{4}-[0-9a-fA-F]{4}-[0-9a-fA-F]{12}$/.test(id);
 
-  // Get current user if authenticated
-  if (token) {
-    const userResult = await pool.query('SELECT id FROM users WHERE token = $1', [token]);
-    if (userResult.rows.length > 0) userId = userResult.rows[0].id;
-  }
+const sendCommentError = (res, e, label) => {
+  if (e instanceof CommentError) return res.status(e.statusCode).json({ error: e.message });
+  console.error(`${label} error:`, e);
+  res.status(500).json({ error: 'Server error' });
+};
+
+// Top-level comments (see comments.js). ?sort=new|top  ?cursor=  ?limit=
+app.get('/api/comments/:gameId', optionalAuth, async (req, res) => {
+  const sort = normalizeCommentSort(req.query.sort);
+  if (!sort) return res.status(400).json({ error: `sort must be one of ${COMMENT_SORTS.join(', ')}` });
 
   try {
-    // Get comments, excluding blocked users
-    let query = `
-      SELECT c.*, u.username, u.display_name, u.avatar,
-        ${userId ? `EXISTS(SELECT 1 FROM comment_likes cl WHERE cl.comment_id = c.id AND cl.user_id = $2) as liked` : 'false as liked'}
-      FROM comments c
-      JOIN users u ON c.user_id = u.id
-      WHERE c.game_id = $1
-      ${userId ? `AND c.user_id NOT IN (SELECT blocked_id FROM blocked_users WHERE blocker_id = $2)` : ''}
-      ORDER BY c.created_at DESC LIMIT 50
-    `;
+    res.json(await listGameComments({
+      gameId: req.params.gameId,
+      viewerId: req.userId,
+      sort,
+      cursor: req.query.cursor || null,
+      limit: parseInt(req.query.limit) || 20,
+    }));
+  } catch (e) {
+    sendCommentError(res, e, 'Get comments');
+  }
+});
 
-    const result = await pool.query(query, userId ? [req.params.gameId, userId] : [req.params.gameId]);
+// Replies to a comment, oldest first. ?cursor=  ?limit=
+app.get('/api/comments/:id/replies', optionalAuth, async (req, res) => {
+  if (!isCommentId(req.params.id)) return res.status(404).json({ error: 'Comment not found' });
 
-    res.json({
-      comments: result.rows.map(r => ({
-        id: r.id,
-        text: r.text,
-        gifUrl: r.gif_url,
-        userId: r.user_id,
-        username: r.username,
-        displayName: r.display_name,
-        avatar: r.avatar,
-        likes: r.likes,
-        liked: r.liked,
-        createdAt: r.created_at
-      })),
-      total: result.rows.length
-    });
+  try {
+    res.json(await listCommentReplies({
+      commentId: req.params.id,
+      viewerId: req.userId,
+      cursor: req.query.cursor || null,
+      limit: parseInt(req.query.limit) || 20,
+    }));
   } catch (e) {
-    console.error('Get comments error:', e);
-    res.status(500).json({ error: 'Server error' });
+    sendCommentError(res, e, 'Get comment replies');
   }
 });
 
-app.post('/api/comments', async (req, res) => {
-  const token = req.headers.authorization?.replace('Bearer ', '');
-  const { gameId, text, gifUrl } = req.body;
-  if (!token) return res.status(401).json({ error: 'Not authenticated' });
+// Body: { gameId, text?, gifUrl?, parentId? } — parentId makes it a reply
+app.post('/api/comments', requireAuth, async (req, res) => {
+  const { gameId, text, gifUrl, parentId } = req.body;
   const cleanText = typeof text === 'string' ? text.trim() : '';
   const cleanGifUrl = typeof gifUrl === 'string' ? gifUrl.trim() : '';
   if (!gameId || (!cleanText && !cleanGifUrl)) {
     return res.status(400).json({ error: 'gameId and either text or gifUrl required' });
   }
+  if (parentId && !isCommentId(parentId)) return res.status(404).json({ error: 'Comment not found' });
 
   try {
-    const userResult = await pool.query('SELECT * FROM users WHERE token = $1', [token]);
-    if (userResult.rows.length === 0) return res.status(401).json({ error: 'Invalid token' });
+    const userResult = await pool.query('SELECT * FROM users WHERE id = $1', [req.userId]);
     const user = userResult.rows[0];
 
-    const result = await pool.query(
-      'INSERT INTO comments (game_id, user_id, text, gif_url) VALUES ($1, $2, $3, $4) RETURNING *',
-      [gameId, user.id, cleanText || '', cleanGifUrl || null]
-    );
+    const { comment, parent } = await createComment({
+      gameId,
+      userId: user.id,
+      text: cleanText || '',
+      gifUrl: cleanGifUrl || null,
+      parentId: parentId || null,
+    });
 
     // Update challenge progress for post_comments
     await pool.query(`
@@ -4201,18 +4382,26 @@ app.post('/api/comments', async (req, res) => {
     `, [user.id]);
 
     res.json({
-      comment: {
-        id: result.rows[0].id,
-        text: result.rows[0].text,
-        gifUrl: result.rows[0].gif_url,
-        userId: user.id,
-        username: user.username,
-        displayName: user.display_name,
-        avatar: user.avatar,
-        likes: 0,
-        createdAt: result.rows[0].created_at
-      }
+      comment: formatComment({ ...comment, username: user.username, display_name: user.display_name, avatar: user.avatar })
+    });
+
+    const mentioned = await resolveMentionedUsers(cleanText, user.id).catch((e) => {
+      console.log('[Notifications] Mention lookup error:', e);
+      return [];
     });
+    for (const target of mentioned) {
+      notifications.notifyCommentMention(gameId, comment.id, user.id, target.id, cleanText)
+        .catch(e => console.log('[Notifications] Mention notify error:', e));
+    }
+
+    // A reply goes to the thread's author rather than everyone on the game
+    if (parent) {
+      if (!mentioned.some((target) => target.id === parent.user_id)) {
+        notifications.notifyCommentReply(gameId, comment.id, user.id, parent.user_id, cleanText)
+          .catch(e => console.log('[Notifications] Reply notify error:', e));
+      }
+      return;
+    }
 
     // Notify all other users who commented on this game (like Instagram thread notifications)
     pool.query(
@@ -4231,34 +4420,46 @@ app.post('/api/comments', async (req, res) => {
       }
     }).catch(e => console.log('[Notifications] Comment query error:', e));
   } catch (e) {
-    res.status(500).json({ error: 'Server error' });
+    if (res.headersSent) return console.error('Post comment error:', e);
+    sendCommentError(res, e, 'Post comment');
   }
 });
 
-app.delete('/api/comments/:id', async (req, res) => {
-  const token = req.headers.authorization?.replace('Bearer ', '');
-  if (!token) return res.status(401).json({ error: 'Not authenticated' });
-
+app.delete('/api/comments/:id', requireAuth, async (req, res) => {
+  if (!isCommentId(req.params.id)) return res.json({ success: true });
   try {
-    const userResult = await pool.query('SELECT id FROM users WHERE token = $1', [token]);
-    if (userResult.rows.length === 0) return res.status(401).json({ error: 'Invalid token' });
-
-    await pool.query('DELETE FROM comments WHERE id = $1 AND user_id = $2', [req.params.id, userResult.rows[0].id]);
+    await deleteComment(req.params.id, req.userId);
     res.json({ success: true });
   } catch (e) {
     res.status(500).json({ error: 'Server error' });
   }
 });
 
-// Like/unlike a comment
-app.post('/api/comments/:id/like', async (req, res) => {
-  const token = req.headers.authorization?.replace('Bearer ', '');
-  if (!token) return res.status(401).json({ error: 'Not authenticated' });
+// Pin/unpin a top-level comment; game creator only, one pin per game
+app.post('/api/comments/:id/pin', requireAuth, async (req, res) => {
+  if (!isCommentId(req.params.id)) return res.status(404).json({ error: 'Comment not found' });
+  try {
+    await setCommentPinned(req.params.id, req.userId, true);
+    res.json({ success: true, pinned: true });
+  } catch (e) {
+    sendCommentError(res, e, 'Pin comment');
+  }
+});
 
+app.delete('/api/comments/:id/pin', requireAuth, async (req, res) => {
+  if (!isCommentId(req.params.id)) return res.status(404).json({ error: 'Comment not found' });
   try {
-    const userResult = await pool.query('SELECT id FROM users WHERE token = $1', [token]);
-    if (userResult.rows.length === 0) return res.status(401).json({ error: 'Invalid token' });
-    const userId = userResult.rows[0].id;
+    await setCommentPinned(req.params.id, req.userId, false);
+    res.json({ success: true, pinned: false });
+  } catch (e) {
+    sendCommentError(res, e, 'Unpin comment');
+  }
+});
+
+// Like/unlike a comment
+app.post('/api/comments/:id/like', requireAuth, async (req, res) => {
+  try {
+    const userId = req.userId;
     const commentId = req.params.id;
 
     // Check if already liked
@@ -4285,17 +4486,21 @@ app.post('/api/comments/:id/like', async (req, res) => {
 });
 
 // Report a user or content
-app.post('/api/report', async (req, res) => {
-  const token = req.headers.authorization?.replace('Bearer ', '');
-  if (!token) return res.status(401).json({ error: 'Not authenticated' });
-
-  const { userId, reason, details, contentType, contentId } = req.body;
-  if (!userId || !reason) return res.status(400).json({ error: 'userId and reason required' });
+app.post('/api/report', requireAuth, async (req, res) => {
+  const { reason, details, contentType, contentId } = req.body;
+  let { userId } = req.body;
+  const isCommentReport = contentType === 'comment' && contentId;
+  if ((!userId && !isCommentReport) || !reason) return res.status(400).json({ error: 'userId and reason required' });
+  if (isCommentReport && !isCommentId(contentId)) return res.status(404).json({ error: 'Comment not found' });
 
   try {
-    const userResult = await pool.query('SELECT id FROM users WHERE token = $1', [token]);
-    if (userResult.rows.length === 0) return res.status(401).json({ error: 'Invalid token' });
-    const reporterId = userResult.rows[0].id;
+    const reporterId = req.userId;
+
+    // A comment report is against whoever wrote it, whatever the client says
+    if (isCommentReport) {
+      userId = await getCommentAuthorId(contentId);
+      if (!userId) return res.status(404).json({ error: 'Comment not found' });
+    }
 
     // Can't report yourself
     if (reporterId === userId) return res.status(400).json({ error: 'Cannot report yourself' });
@@ -4305,6 +4510,7 @@ app.post('/api/report', async (req, res) => {
        VALUES ($1, $2, $3, $4, $5, $6)`,
       [reporterId, userId, reason, details || null, contentType || null, contentId || null]
     );
+    if (isCommentReport) await flagComment(contentId);
 
     res.json({ success: true, message: 'Report submitted' });
   } catch (e) {
@@ -4314,17 +4520,12 @@ app.post('/api/report', async (req, res) => {
 });
 
 // Block a user
-app.post('/api/block', async (req, res) => {
-  const token = req.headers.authorization?.replace('Bearer ', '');
-  if (!token) return res.status(401).json({ error: 'Not authenticated' });
-
+app.post('/api/block', requireAuth, async (req, res) => {
   const { userId } = req.body;
   if (!userId) return res.status(400).json({ error: 'userId required' });
 
   try {
-    const userResult = await pool.query('SELECT id FROM users WHERE token = $1', [token]);
-    if (userResult.rows.length === 0) return res.status(401).json({ error: 'Invalid token' });
-    const blockerId = userResult.rows[0].id;
+    const blockerId = req.userId;
 
     // Can't block yourself
     if (blockerId === userId) return res.status(400).json({ error: 'Cannot block yourself' });
@@ -4346,17 +4547,11 @@ app.post('/api/block', async (req, res) => {
 });
 
 // Unblock a user
-app.delete('/api/block/:userId', async (req, res) => {
-  const token = req.headers.authorization?.replace('Bearer ', '');
-  if (!token) return res.status(401).json({ error: 'Not authenticated' });
-
+app.delete('/api/block/:userId', requireAuth, async (req, res) => {
   try {
-    const userResult = await pool.query('SELECT id FROM users WHERE token = $1', [token]);
-    if (userResult.rows.length === 0) return res.status(401).json({ error: 'Invalid token' });
-
     await pool.query(
       'DELETE FROM blocked_users WHERE blocker_id = $1 AND blocked_id = $2',
-      [userResult.rows[0].id, req.params.userId]
+      [req.userId, req.params.userId]
     );
 
     res.json({ success: true });
@@ -4366,18 +4561,12 @@ app.delete('/api/block/:userId', async (req, res) => {
 });
 
 // Get blocked users list
-app.get('/api/blocked', async (req, res) => {
-  const token = req.headers.authorization?.replace('Bearer ', '');
-  if (!token) return res.status(401).json({ error: 'Not authenticated' });
-
+app.get('/api/blocked', requireAuth, async (req, res) => {
   try {
-    const userResult = await pool.query('SELECT id FROM users WHERE token = $1', [token]);
-    if (userResult.rows.length === 0) return res.status(401).json({ error: 'Invalid token' });
-
     const result = await pool.query(
       `SELECT u.id, u.username, u.display_name, u.avatar FROM blocked_users b
        JOIN users u ON b.blocked_id = u.id WHERE b.blocker_id = $1`,
-      [userResult.rows[0].id]
+      [req.userId]
     );
 
     res.json({ blockedUsers: result.rows });
@@ -4390,14 +4579,9 @@ app.get('/api/blocked', async (req, res) => {
 // FEED ENDPOINTS
 // ============================================
 
-app.get('/api/feed/activity', async (req, res) => {
-  const token = req.headers.authorization?.replace('Bearer ', '');
-  if (!token) return res.status(401).json({ error: 'Not authenticated' });
-
+app.get('/api/feed/activity', requireAuth, async (req, res) => {
   try {
-    const userResult = await pool.query('SELECT id FROM users WHERE token = $1', [token]);
-    if (userResult.rows.length === 0) return res.status(401).json({ error: 'Invalid token' });
-    const userId = userResult.rows[0].id;
+    const userId = req.userId;
 
     const result = await pool.query(
       `SELECT s.*, u.username, u.display_name, u.avatar, g.name as game_name, g.icon as game_icon, g.thumbnail as game_thumbnail, g.preview_video_url as game_preview_video_url, g.color as game_color
@@ -4405,8 +4589,9 @@ app.get('/api/feed/activity', async (req, res) => {
        JOIN users u ON s.user_id = u.id
        JOIN games g ON s.game_id = g.id
        WHERE s.user_id IN (SELECT following_id FROM followers WHERE follower_id = $1)
+         AND ${listedGameSql('g', '$2')}
        ORDER BY s.created_at DESC LIMIT 20`,
-      [userId]
+      [userId, userId]
     );
 
     res.json({
@@ -4423,18 +4608,10 @@ app.get('/api/feed/activity', async (req, res) => {
 });
 
 // Global activity - recent scores from anyone (for when you have no friends)
-app.get('/api/feed/global', async (req, res) => {
-  const token = req.headers.authorization?.replace('Bearer ', '');
-
+app.get('/api/feed/global', optionalAuth, async (req, res) => {
   try {
-    // Get current user ID to exclude them
-    let excludeUserId = null;
-    if (token) {
-      const userResult = await pool.query('SELECT id FROM users WHERE token = $1', [token]);
-      if (userResult.rows.length > 0) {
-        excludeUserId = userResult.rows[0].id;
-      }
-    }
+    // Current user ID, to exclude them
+    const excludeUserId = req.userId;
 
     const result = await pool.query(
       `SELECT s.*, u.username, u.display_name, u.avatar, g.name as game_name, g.icon as game_icon, g.thumbnail as game_thumbnail, g.preview_video_url as game_preview_video_url, g.color as game_color
@@ -4442,8 +4619,9 @@ app.get('/api/feed/global', async (req, res) => {
        JOIN users u ON s.user_id = u.id
        JOIN games g ON s.game_id = g.id
        WHERE s.user_id IS NOT NULL ${excludeUserId ? 'AND s.user_id != $1' : ''}
+         AND ${listedGameSql('g', excludeUserId ? '$2' : null)}
        ORDER BY s.created_at DESC LIMIT 20`,
-      excludeUserId ? [excludeUserId] : []
+      excludeUserId ? [excludeUserId, excludeUserId] : []
     );
 
     res.json({
@@ -4465,16 +4643,12 @@ app.get('/api/feed/global', async (req, res) => {
 // ============================================
 
 // Report a user for objectionable content
-app.post('/api/users/:id/report', async (req, res) => {
-  const token = req.headers.authorization?.replace('Bearer ', '');
+app.post('/api/users/:id/report', requireAuth, async (req, res) => {
   const { reason, details, contentType, contentId } = req.body;
-  if (!token) return res.status(401).json({ error: 'Not authenticated' });
   if (!reason) return res.status(400).json({ error: 'Reason required' });
 
   try {
-    const userResult = await pool.query('SELECT id FROM users WHERE token = $1', [token]);
-    if (userResult.rows.length === 0) return res.status(401).json({ error: 'Invalid token' });
-    const reporterId = userResult.rows[0].id;
+    const reporterId = req.userId;
     const reportedUserId = req.params.id;
 
     if (reporterId === reportedUserId) {
@@ -4487,12 +4661,18 @@ app.post('/api/users/:id/report', async (req, res) => {
       return res.status(404).json({ error: 'User not found' });
     }
 
+    const isCommentReport = contentType === 'comment' && contentId;
+    if (isCommentReport && (!isCommentId(contentId) || (await getCommentAuthorId(contentId)) !== reportedUserId)) {
+      return res.status(404).json({ error: 'Comment not found' });
+    }
+
     // Create report
     const result = await pool.query(
       `INSERT INTO reports (reporter_id, reported_user_id, reason, details, content_type, content_id)
        VALUES ($1, $2, $3, $4, $5, $6) RETURNING *`,
       [reporterId, reportedUserId, reason, details || null, contentType || null, contentId || null]
     );
+    if (isCommentReport) await flagComment(contentId);
 
     res.json({ success: true, reportId: result.rows[0].id });
   } catch (e) {
@@ -4502,14 +4682,9 @@ app.post('/api/users/:id/report', async (req, res) => {
 });
 
 // Block a user
-app.post('/api/users/:id/block', async (req, res) => {
-  const token = req.headers.authorization?.replace('Bearer ', '');
-  if (!token) return res.status(401).json({ error: 'Not authenticated' });
-
+app.post('/api/users/:id/block', requireAuth, async (req, res) => {
   try {
-    const userResult = await pool.query('SELECT id FROM users WHERE token = $1', [token]);
-    if (userResult.rows.length === 0) return res.status(401).json({ error: 'Invalid token' });
-    const blockerId = userResult.rows[0].id;
+    const blockerId = req.userId;
     const blockedId = req.params.id;
 
     if (blockerId === blockedId) {
@@ -4541,14 +4716,9 @@ app.post('/api/users/:id/block', async (req, res) => {
 });
 
 // Unblock a user
-app.delete('/api/users/:id/block', async (req, res) => {
-  const token = req.headers.authorization?.replace('Bearer ', '');
-  if (!token) return res.status(401).json({ error: 'Not authenticated' });
-
+app.delete('/api/users/:id/block', requireAuth, async (req, res) => {
   try {
-    const userResult = await pool.query('SELECT id FROM users WHERE token = $1', [token]);
-    if (userResult.rows.length === 0) return res.status(401).json({ error: 'Invalid token' });
-    const blockerId = userResult.rows[0].id;
+    const blockerId = req.userId;
     const blockedId = req.params.id;
 
     await pool.query(
@@ -4564,14 +4734,9 @@ app.delete('/api/users/:id/block', async (req, res) => {
 });
 
 // Check if a user is blocked
-app.get('/api/users/:id/blocked', async (req, res) => {
-  const token = req.headers.authorization?.replace('Bearer ', '');
-  if (!token) return res.status(401).json({ error: 'Not authenticated' });
-
+app.get('/api/users/:id/blocked', requireAuth, async (req, res) => {
   try {
-    const userResult = await pool.query('SELECT id FROM users WHERE token = $1', [token]);
-    if (userResult.rows.length === 0) return res.status(401).json({ error: 'Invalid token' });
-    const userId = userResult.rows[0].id;
+    const userId = req.userId;
     const targetId = req.params.id;
 
     const result = await pool.query(
@@ -4591,10 +4756,15 @@ app.get('/api/admin/reports', async (req, res) => {
     const result = await pool.query(
       `SELECT r.*, 
         reporter.username as reporter_username,
-        reported.username as reported_username
+        reported.username as reported_username,
+        c.text as comment_text,
+        c.gif_url as comment_gif_url,
+        c.game_id as comment_game_id,
+        c.moderation_state as comment_state
        FROM reports r
        JOIN users reporter ON r.reporter_id = reporter.id
        JOIN users reported ON r.reported_user_id = reported.id
+       LEFT JOIN comments c ON r.content_type = 'comment' AND c.id = r.content_id
        WHERE r.status = 'pending'
        ORDER BY r.created_at DESC`
     );
@@ -4605,11 +4775,15 @@ app.get('/api/admin/reports', async (req, res) => {
 });
 
 // Admin: Action a report
+// Body: { status, commentState? } — commentState ('hidden' | 'visible') applies to a reported comment
 app.patch('/api/admin/reports/:id', async (req, res) => {
-  const { status } = req.body; // 'reviewed', 'actioned', 'dismissed'
+  const { status, commentState } = req.body; // 'reviewed', 'actioned', 'dismissed'
   if (!['reviewed', 'actioned', 'dismissed'].includes(status)) {
     return res.status(400).json({ error: 'Invalid status' });
   }
+  if (commentState !== undefined && !['hidden', 'visible'].includes(commentState)) {
+    return res.status(400).json({ error: 'Invalid commentState' });
+  }
 
   try {
     const result = await pool.query(
@@ -4619,12 +4793,146 @@ app.patch('/api/admin/reports/:id', async (req, res) => {
     if (result.rows.length === 0) {
       return res.status(404).json({ error: 'Report not found' });
     }
-    res.json({ success: true, report: result.rows[0] });
+    const report = result.rows[0];
+    if (report.content_type === 'comment' && report.content_id) {
+      if (commentState) {
+        await setCommentModerationState(report.content_id, commentState);
+      } else if (status === 'dismissed') {
+        await clearCommentFlagIfResolved(report.content_id);
+      }
+    }
+    res.json({ success: true, report });
   } catch (e) {
     res.status(500).json({ error: 'Server error' });
   }
 });
 
+// Admin: Hide or restore a comment directly. Body: { state: 'visible' | 'flagged' | 'hidden' }
+app.patch('/api/admin/comments/:id', async (req, res) => {
+  if (!isCommentId(req.params.id)) return res.status(404).json({ error: 'Comment not found' });
+  try {
+    if (!(await setCommentModerationState(req.params.id, req.body?.state))) {
+      return res.status(404).json({ error: 'Comment not found' });
+    }
+    res.json({ success: true, state: req.body.state });
+  } catch (e) {
+    sendCommentError(res, e, 'Moderate comment');
+  }
+});
+
+// ============================================
+// CREDITS ENDPOINTS
+// ============================================
+
+// Users and comments are both keyed by UUID.
+const isUserId = isCommentId;
+
+const sendCreditError = (res, e, label) => {
+  if (e instanceof CreditError) return res.status(e.statusCode).json({ error: e.message, code: e.code || undefined });
+  console.error(`${label} error:`, e);
+  res.status(500).json({ error: 'Server error' });
+};
+
+// Balance (after today's allowance), what generations cost and recent ledger entries.
+app.get('/api/credits', requireAuth, async (req, res) => {
+  try {
+    const balance = await getCreditBalance(req.userId);
+    res.json({
+      balance,
+      dailyAllowance: DAILY_FREE_CREDITS,
+      costs: GENERATION_CREDIT_COSTS,
+      ledger: await listCreditLedger(req.userId, { limit: parseInt(req.query.limit) || 50 }),
+    });
+  } catch (e) {
+    sendCreditError(res, e, 'Get credits');
+  }
+});
+
+// Admin: a user's balance and ledger
+app.get('/api/admin/credits/:userId', async (req, res) => {
+  if (!isUserId(req.params.userId)) return res.status(404).json({ error: 'User not found' });
+  try {
+    res.json({
+      balance: await getCreditBalance(req.params.userId),
+      ledger: await listCreditLedger(req.params.userId, { limit: parseInt(req.query.limit) || 100 }),
+    });
+  } catch (e) {
+    sendCreditError(res, e, 'Admin get credits');
+  }
+});
+
+// Admin: grant or revoke credits. Body: { amount, note? }
+app.post('/api/admin/credits/:userId/:action(grant|revoke)', async (req, res) => {
+  if (!isUserId(req.params.userId)) return res.status(404).json({ error: 'User not found' });
+  const amount = Number(req.body?.amount);
+  if (!Number.isFinite(amount) || amount <= 0) return res.status(400).json({ error: 'amount must be a positive number' });
+  const note = typeof req.body?.note === 'string' ? req.body.note.slice(0, 500) : null;
+  try {
+    const result = await adjustCredits(req.params.userId, req.params.action === 'grant' ? amount : -amount, note);
+    res.json({ success: true, ...result });
+  } catch (e) {
+    sendCreditError(res, e, 'Admin adjust credits');
+  }
+});
+
+// ============================================
+// CONTENT SAFETY ENDPOINTS
+// ============================================
+
+const sendContentSafetyError = (res, e, label) => {
+  if (e instanceof ContentSafetyError) return res.status(e.statusCode).json({ error: e.message });
+  console.error(`${label} error:`, e);
+  res.status(500).json({ error: 'Server error' });
+};
+
+// Decisions are keyed by UUID like comments.
+const isDecisionId = isCommentId;
+
+// The caller's own refusals and reviews, newest first.
+app.get('/api/moderation/decisions', requireAuth, async (req, res) => {
+  try {
+    res.json({ decisions: await listContentDecisions(req.userId, { limit: parseInt(req.query.limit) || 50 }) });
+  } catch (e) {
+    sendContentSafetyError(res, e, 'List content decisions');
+  }
+});
+
+// Appeal a refusal. Body: { message? }
+app.post('/api/moderation/decisions/:id/appeal', requireAuth, async (req, res) => {
+  if (!isDecisionId(req.params.id)) return res.status(404).json({ error: 'Decision not found' });
+  try {
+    res.json({ success: true, decision: await appealContentDecision(req.userId, req.params.id, req.body?.message) });
+  } catch (e) {
+    sendContentSafetyError(res, e, 'Appeal content decision');
+  }
+});
+
+// Admin: the review queue. ?status=pending (default) | upheld | overturned | none
+app.get('/api/admin/moderation/queue', async (req, res) => {
+  try {
+    res.json({
+      decisions: await listReviewQueue({ status: req.query.status || 'pending', limit: parseInt(req.query.limit) || 100 }),
+    });
+  } catch (e) {
+    sendContentSafetyError(res, e, 'Moderation queue');
+  }
+});
+
+// Admin: resolve a review or appeal. Body: { status: 'upheld' | 'overturned', note? }
+app.patch('/api/admin/moderation/decisions/:id', async (req, res) => {
+  if (!isDecisionId(req.params.id)) return res.status(404).json({ error: 'Decision not found' });
+  try {
+    res.json({ success: true, decision: await resolveContentDecision(req.params.id, { status: req.body?.status, note: req.body?.note }) });
+  } catch (e) {
+    sendContentSafetyError(res, e, 'Resolve content decision');
+  }
+});
+
+// Admin: the policy in force (CONTENT_POLICY merged over the defaults).
+app.get('/api/admin/moderation/policy', (req, res) => {
+  res.json({ policy: CONTENT_POLICY });
+});
+
 // ============================================
 // GAMIFICATION ENDPOINTS
 // ============================================
@@ -4888,14 +5196,9 @@ const seedGames = async () => {
 // ============================================
 
 // Get stories from users you follow (and your own)
-app.get('/api/stories', async (req, res) => {
-  const token = req.headers.authorization?.replace('Bearer ', '');
-  if (!token) return res.status(401).json({ error: 'Unauthorized' });
-
+app.get('/api/stories', requireAuth, async (req, res) => {
   try {
-    const userResult = await pool.query('SELECT id FROM users WHERE token = $1', [token]);
-    if (userResult.rows.length === 0) return res.status(401).json({ error: 'Invalid token' });
-    const userId = userResult.rows[0].id;
+    const userId = req.userId;
 
     // Get stories from people you follow + your own, not expired
     const result = await pool.query(`
@@ -4948,17 +5251,12 @@ app.get('/api/stories', async (req, res) => {
 });
 
 // Create a story
-app.post('/api/stories', async (req, res) => {
-  const token = req.headers.authorization?.replace('Bearer ', '');
-  if (!token) return res.status(401).json({ error: 'Unauthorized' });
-
+app.post('/api/stories', requireAuth, async (req, res) => {
   const { mediaUrl, mediaType = 'image', caption } = req.body;
   if (!mediaUrl) return res.status(400).json({ error: 'Media URL required' });
 
   try {
-    const userResult = await pool.query('SELECT id FROM users WHERE token = $1', [token]);
-    if (userResult.rows.length === 0) return res.status(401).json({ error: 'Invalid token' });
-    const userId = userResult.rows[0].id;
+    const userId = req.userId;
 
     // Stories expire after 24 hours
     const expiresAt = new Date(Date.now() + 24 * 60 * 60 * 1000);
@@ -4978,16 +5276,11 @@ app.post('/api/stories', async (req, res) => {
 });
 
 // View a story (mark as viewed)
-app.post('/api/stories/:storyId/view', async (req, res) => {
-  const token = req.headers.authorization?.replace('Bearer ', '');
-  if (!token) return res.status(401).json({ error: 'Unauthorized' });
-
+app.post('/api/stories/:storyId/view', requireAuth, async (req, res) => {
   const { storyId } = req.params;
 
   try {
-    const userResult = await pool.query('SELECT id FROM users WHERE token = $1', [token]);
-    if (userResult.rows.length === 0) return res.status(401).json({ error: 'Invalid token' });
-    const viewerId = userResult.rows[0].id;
+    const viewerId = req.userId;
 
     // Record view
     await pool.query(
@@ -5009,16 +5302,11 @@ app.post('/api/stories/:storyId/view', async (req, res) => {
 });
 
 // Delete a story (own only)
-app.delete('/api/stories/:storyId', async (req, res) => {
-  const token = req.headers.authorization?.replace('Bearer ', '');
-  if (!token) return res.status(401).json({ error: 'Unauthorized' });
-
+app.delete('/api/stories/:storyId', requireAuth, async (req, res) => {
   const { storyId } = req.params;
 
   try {
-    const userResult = await pool.query('SELECT id FROM users WHERE token = $1', [token]);
-    if (userResult.rows.length === 0) return res.status(401).json({ error: 'Invalid token' });
-    const userId = userResult.rows[0].id;
+    const userId = req.userId;
 
     const result = await pool.query(
       `DELETE FROM stories WHERE id = $1 AND user_id = $2 RETURNING id`,
@@ -5044,14 +5332,9 @@ import * as notifications from './notifications.js';
 import * as db from './db.js';
 
 // Get notifications inbox (real notification events + active creation jobs)
-app.get('/api/notifications', async (req, res) => {
-  const token = req.headers.authorization?.replace('Bearer ', '');
-  if (!token) return res.status(401).json({ error: 'Not authenticated' });
-
+app.get('/api/notifications', requireAuth, async (req, res) => {
   try {
-    const userResult = await pool.query('SELECT id FROM users WHERE token = $1', [token]);
-    if (userResult.rows.length === 0) return res.status(401).json({ error: 'Invalid token' });
-    const userId = userResult.rows[0].id;
+    const userId = req.userId;
 
     const [events, cooking] = await Promise.all([
       pool.query(
@@ -5124,17 +5407,12 @@ app.get('/api/notifications', async (req, res) => {
 });
 
 // Register push token (authenticated users)
-app.post('/api/notifications/register', async (req, res) => {
-  const token = req.headers.authorization?.replace('Bearer ', '');
-  if (!token) return res.status(401).json({ error: 'Not authenticated' });
-
+app.post('/api/notifications/register', requireAuth, async (req, res) => {
   const { pushToken } = req.body;
   if (!pushToken) return res.status(400).json({ error: 'Push token required' });
 
   try {
-    const userResult = await pool.query('SELECT id FROM users WHERE token = $1', [token]);
-    if (userResult.rows.length === 0) return res.status(401).json({ error: 'Invalid token' });
-    const userId = userResult.rows[0].id;
+    const userId = req.userId;
 
     await db.savePushToken(userId, pushToken);
 
@@ -5196,13 +5474,9 @@ app.get('/api/notifications/debug', async (req, res) => {
 });
 
 // Test: Send a test push notification to yourself
-app.post('/api/notifications/test', async (req, res) => {
-  const token = req.headers.authorization?.replace('Bearer ', '');
-  if (!token) return res.status(401).json({ error: 'Not authenticated' });
-
+app.post('/api/notifications/test', requireAuth, async (req, res) => {
   try {
-    const userResult = await pool.query('SELECT id, username FROM users WHERE token = $1', [token]);
-    if (userResult.rows.length === 0) return res.status(401).json({ error: 'Invalid token' });
+    const userResult = await pool.query('SELECT id, username FROM users WHERE id = $1', [req.userId]);
     const user = userResult.rows[0];
 
     await notifications.sendPushNotification(
@@ -5220,14 +5494,9 @@ app.post('/api/notifications/test', async (req, res) => {
 });
 
 // Unregister push token
-app.post('/api/notifications/unregister', async (req, res) => {
-  const token = req.headers.authorization?.replace('Bearer ', '');
-  if (!token) return res.status(401).json({ error: 'Not authenticated' });
-
+app.post('/api/notifications/unregister', requireAuth, async (req, res) => {
   try {
-    const userResult = await pool.query('SELECT id FROM users WHERE token = $1', [token]);
-    if (userResult.rows.length === 0) return res.status(401).json({ error: 'Invalid token' });
-    const userId = userResult.rows[0].id;
+    const userId = req.userId;
 
     // Detach only this device's token when the client sends it, so logging out
     // on one device doesn't kill notifications on the user's other devices.
@@ -5269,26 +5538,6 @@ app.post('/api/admin/test-push', async (req, res) => {
 
 import * as multiplayer from './multiplayer.js';
 
-// Authentication middleware for multiplayer endpoints
-const requireAuth = async (req, res, next) => {
-  const token = req.headers.authorization?.replace('Bearer ', '');
-  if (!token) {
-    return res.status(401).json({ error: 'Authentication required' });
-  }
-
-  try {
-    const result = await pool.query('SELECT * FROM users WHERE token = $1', [token]);
-    if (result.rows.length === 0) {
-      return res.status(401).json({ error: 'Invalid token' });
-    }
-    req.user = result.rows[0];
-    next();
-  } catch (e) {
-    console.error('Auth middleware error:', e);
-    res.status(500).json({ error: 'Authentication failed' });
-  }
-};
-
 // Matchmaking
 app.post('/api/multiplayer/queue/join', requireAuth, multiplayer.joinQueue);
 app.delete('/api/multiplayer/queue/leave', requireAuth, multiplayer.leaveQueue);
@@ -5301,6 +5550,8 @@ app.post('/api/multiplayer/matches/:matchId/game', requireAuth, multiplayer.setM
 app.post('/api/multiplayer/matches/:matchId/score', requireAuth, multiplayer.updateScore);
 app.post('/api/multiplayer/matches/:matchId/complete', requireAuth, multiplayer.completeMatch);
 app.get('/api/multiplayer/matches/history', requireAuth, multiplayer.getMatchHistory);
+app.get('/api/multiplayer/ratings/:userId', requireAuth, multiplayer.getRatings);
+app.get('/api/multiplayer/ratings/:userId/history', requireAuth, multiplayer.getRatingHistory);
 
 // Challenges
 app.post('/api/multiplayer/challenges/send', requireAuth, multiplayer.sendChallenge);
@@ -5350,7 +5601,22 @@ const start = async () => {
   await runMultiplayerMigration();
   await runAnonymousTokensMigration();
   await ensureBotTables();
+  await ensurePlaySessionTables();
+  await ensureLeaderboardTables();
+  await ensureAchievementTables();
+  await ensureGameSaveTables();
+  await ensureSessionTables();
+  await ensureCommentTables();
+  await ensureCreditTables();
+  await ensureContentSafetyTables();
+  await ensureRemixLineageTables();
+  await ensurePublishingColumns();
+  await ensureGameSearchIndex();
+  await ensureFeedSignalTables();
+  await ensureGameTelemetryTables();
+  await ensureCreatorAnalyticsTables();
   startGenerationQueueWorker();
+  startScheduledPublishWorker();
   startForgeAutoscaler();
 
   server.listen(PORT, () => {
@@ -5363,7 +5629,10 @@ const start = async () => {
     shuttingDown = true;
     console.log(`${signal} received; closing HTTP server and pausing generation queue claims.`);
     stopGenerationQueueWorker(signal);
+    stopScheduledPublishWorker();
     stopForgeAutoscaler();
+    // Let the other replicas drop our sockets' presence now rather than on timeout.
+    closePubSub().catch((err) => console.error('PubSub close error:', err));
     server.close(() => {
       console.log('HTTP server closed.');
       process.exit(0);
@@ -5376,25 +5645,45 @@ const start = async () => {
   process.once('SIGTERM', () => shutdown('SIGTERM'));
   process.once('SIGINT', () => shutdown('SIGINT'));
 
-  // Initialize Socket.io for PK Mode
-  initializePkSocket(server);
+  // One Socket.IO server; each realtime feature is a namespace on it
+  const io = createSocketServer(server);
+
+  // PK Mode (/pk)
+  initializePkSocket(io);
   console.log('🔌 Socket.io initialized for PK Mode');
 
-  // Initialize Lobby Socket for real-time game lobbies
-  initializeLobbySocket(server);
+  // Matches nobody readied up in, and challenges nobody answered
+  setInterval(() => {
+    multiplayer.cancelAbandonedMatches();
+    multiplayer.expireOldChallenges();
+  }, 60 * 1000);
+
+  // Watch-time rollups and the engagement scores discovery reads from them, then creator analytics
+  setInterval(async () => {
+    await rollupGameStats().catch((err) => console.error('[Telemetry] Rollup error:', err));
+    await rollupCreatorAnalytics().catch((err) => console.error('[Analytics] Rollup error:', err));
+  }, 60 * 60 * 1000);
+
+  // Games inserted outside the publish flow (catalog imports, bots) get their search documents here
+  setInterval(() => {
+    indexMissingGameSearchDocuments().catch((err) => console.error('[Search] Index sweep error:', err));
+  }, 5 * 60 * 1000);
+
+  // Real-time game lobbies (/lobby)
+  initializeLobbySocket(io);
   console.log('🎯 Lobby Socket initialized for multiplayer lobbies');
 
-  // Initialize Chat Socket for real-time messaging
-  initializeChatSocket(server);
+  // Real-time messaging (/chat)
+  initializeChatSocket(io);
   console.log('💬 Chat Socket initialized for messaging');
 
-  // Initialize Presence Socket for online/in-game/idle status
-  initializePresenceSocket(server);
+  // Online/in-game/idle status (/presence)
+  initializePresenceSocket(io);
   console.log('🟢 Presence Socket initialized');
 
-  // Initialize Score Lobby Socket for shared live leaderboards
+  // Shared live leaderboards (/score-lobby)
   await ensureScoreLobbyColumn();
-  initializeScoreLobbySocket(server);
+  initializeScoreLobbySocket(io);
   console.log('🏆 Score Lobby Socket initialized');
 
   startBotEngineScheduler();
@@ -5466,6 +5755,36 @@ const start = async () => {
     } catch (e) {
       console.error('[Scheduler] Error:', e);
     }
+    try {
+      const pruned = await pruneLeaderboardWindows();
+      console.log(`[Scheduler] Pruned ${pruned} expired leaderboard window rows`);
+    } catch (e) {
+      console.error('[Scheduler] Leaderboard prune error:', e);
+    }
+    try {
+      const pruned = await prunePlaySessions();
+      console.log(`[Scheduler] Pruned ${pruned.sessions} expired play sessions and ${pruned.rejections} old score rejections`);
+    } catch (e) {
+      console.error('[Scheduler] Play session prune error:', e);
+    }
+    try {
+      const pruned = await pruneFeedImpressions();
+      console.log(`[Scheduler] Pruned ${pruned} old feed impressions`);
+    } catch (e) {
+      console.error('[Scheduler] Feed impression prune error:', e);
+    }
+    try {
+      const pruned = await pruneGameEvents();
+      console.log(`[Scheduler] Pruned ${pruned} old game events`);
+    } catch (e) {
+      console.error('[Scheduler] Game event prune error:', e);
+    }
+    try {
+      const pruned = await pruneCreatorAnalytics();
+      console.log(`[Scheduler] Pruned ${pruned} old analytics rows`);
+    } catch (e) {
+      console.error('[Scheduler] Analytics prune error:', e);
+    }
   }, ONE_DAY);
 
   if (process.env.RUN_NOTIFICATION_STARTUP_CHECK === 'true') {
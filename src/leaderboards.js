@@ -0,0 +1,283 @@
+/**
+ * Per-game leaderboards, served from incrementally maintained aggregates.
+ *
+ *   game_leaderboard          — all-time best score per (user, game)
+ *   game_leaderboard_windows  — best score per (user, game) for the current
+ *                               day / week / month bucket
+ *
+ * Both are updated on every accepted score by recordLeaderboardScore(), so a
+ * leaderboard read is an index range scan instead of a DISTINCT ON over every
+ * score row for the game. Ordering is (score DESC, achieved_at ASC, user_id ASC):
+ * whoever got there first wins a tie, and user_id makes the order total so
+ * keyset cursors never skip or repeat a row. The achieved-at columns are
+ * millisecond precision so a cursor carried through a JS Date compares exactly.
+ *
+ * Scope 'friends' means the viewer plus everyone they follow — the same
+ * definition the activity feed uses.
+ */
+
+import pool from './db.js';
+
+export const LEADERBOARD_WINDOWS = ['all', 'day', 'week', 'month'];
+export const LEADERBOARD_SCOPES = ['global', 'friends'];
+export const NEIGHBOUR_COUNT = 5;
+const PERIODS = ['day', 'week', 'month'];
+const WINDOW_RETENTION_DAYS = 62;
+
+export async function ensureLeaderboardTables() {
+    await pool.query(`
+        ALTER TABLE game_leaderboard ADD COLUMN IF NOT EXISTS best_score INTEGER;
+        ALTER TABLE game_leaderboard ADD COLUMN IF NOT EXISTS best_score_at TIMESTAMP(3);
+        CREATE INDEX IF NOT EXISTS idx_game_leaderboard_best
+            ON game_leaderboard(game_id, best_score DESC, best_score_at, user_id)
+            WHERE best_score IS NOT NULL;
+
+        CREATE TABLE IF NOT EXISTS game_leaderboard_windows (
+            game_id VARCHAR(100) NOT NULL,
+            user_id UUID NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+            period VARCHAR(8) NOT NULL,
+            period_start DATE NOT NULL,
+            best_score INTEGER NOT NULL,
+            best_score_at TIMESTAMP(3) NOT NULL DEFAULT NOW(),
+            PRIMARY KEY (game_id, period, period_start, user_id)
+        );
+        CREATE INDEX IF NOT EXISTS idx_game_leaderboard_windows_rank
+            ON game_leaderboard_windows(game_id, period, period_start, best_score DESC, best_score_at, user_id);
+        CREATE INDEX IF NOT EXISTS idx_game_leaderboard_windows_start
+            ON game_leaderboard_windows(period_start);
+    `);
+
+    // One-time backfill from the raw scores table the first time the aggregate
+    // comes up empty. After that it is maintained on write.
+    const seeded = await pool.query('SELECT 1 FROM game_leaderboard WHERE best_score IS NOT NULL LIMIT 1');
+    if (seeded.rows.length === 0) {
+        await pool.query(`
+            INSERT INTO game_leaderboard (user_id, game_id, best_score, best_score_at, last_played, updated_at)
+            SELECT DISTINCT ON (s.user_id, s.game_id) s.user_id, s.game_id, s.score, s.created_at, s.created_at, NOW()
+            FROM scores s
+            WHERE s.user_id IS NOT NULL AND s.game_id IS NOT NULL
+            ORDER BY s.user_id, s.game_id, s.score DESC, s.created_at ASC
+            ON CONFLICT (user_id, game_id) DO UPDATE
+            SET best_score = EXCLUDED.best_score, best_score_at = EXCLUDED.best_score_at
+        `);
+        await pool.query(`
+            INSERT INTO game_leaderboard_windows (game_id, user_id, period, period_start, best_score, best_score_at)
+            SELECT DISTINCT ON (s.game_id, p.period, s.user_id)
+                   s.game_id, s.user_id, p.period, date_trunc(p.period, NOW())::date, s.score, s.created_at
+            FROM scores s
+            CROSS JOIN (VALUES ('day'), ('week'), ('month')) AS p(period)
+            WHERE s.user_id IS NOT NULL
+              AND s.game_id IS NOT NULL
+              AND s.created_at >= date_trunc(p.period, NOW())
+            ORDER BY s.game_id, p.period, s.user_id, s.score DESC, s.created_at ASC
+            ON CONFLICT DO NOTHING
+        `);
+        console.log('✅ Backfilled game leaderboard aggregates from scores');
+    }
+}
+
+/**
+ * Fold one accepted score into the all-time and windowed aggregates.
+ * `db` may be a pool client so callers can keep it inside their transaction.
+ */
+export async function recordLeaderboardScore({ userId, gameId, score }, db = pool) {
+    if (!userId || !gameId || !Number.isFinite(Number(score))) return;
+
+    await db.query(
+        `INSERT INTO game_leaderboard (user_id, game_id, best_score, best_score_at, last_played, updated_at)
+         VALUES ($1, $2, $3, NOW(), NOW(), NOW())
+         ON CONFLICT (user_id, game_id) DO UPDATE SET
+           best_score_at = CASE
+             WHEN game_leaderboard.best_score IS NULL OR EXCLUDED.best_score > game_leaderboard.best_score THEN NOW()
+             ELSE game_leaderboard.best_score_at
+           END,
+           best_score = GREATEST(COALESCE(game_leaderboard.best_score, EXCLUDED.best_score), EXCLUDED.best_score),
+           last_played = NOW(),
+           updated_at = NOW()`,
+        [userId, gameId, score]
+    );
+
+    await db.query(
+        `INSERT INTO game_leaderboard_windows (game_id, user_id, period, period_start, best_score, best_score_at)
+         SELECT $1, $2, p.period, date_trunc(p.period, NOW())::date, $3, NOW()
+         FROM unnest($4::text[]) AS p(period)
+         ON CONFLICT (game_id, period, period_start, user_id) DO UPDATE
+         SET best_score = EXCLUDED.best_score, best_score_at = EXCLUDED.best_score_at
+         WHERE EXCLUDED.best_score > game_leaderboard_windows.best_score`,
+        [gameId, userId, score, PERIODS]
+    );
+}
+
+/** Drop window buckets nobody can query any more. Run from the daily scheduler. */
+export async function pruneLeaderboardWindows() {
+    const result = await pool.query(
+        `DELETE FROM game_leaderboard_windows
+         WHERE period_start < (NOW() - ($1::text || ' days')::interval)::date`,
+        [WINDOW_RETENTION_DAYS]
+    );
+    return result.rowCount;
+}
+
+export function normalizeLeaderboardWindow(value) {
+    const window = String(value || 'all').toLowerCase();
+    return LEADERBOARD_WINDOWS.includes(window) ? window : null;
+}
+
+export function normalizeLeaderboardScope(value) {
+    const scope = String(value || 'global').toLowerCase();
+    return LEADERBOARD_SCOPES.includes(scope) ? scope : null;
+}
+
+/** Opaque keyset cursor: the last row's sort key plus its rank. */
+export function encodeLeaderboardCursor(row) {
+    return Buffer.from(JSON.stringify({
+        s: row.score,
+        a: new Date(row.achievedAt).toISOString(),
+        u: row.userId,
+        r: row.rank,
+    })).toString('base64url');
+}
+
+export function decodeLeaderboardCursor(cursor) {
+    if (!cursor) return null;
+    try {
+        const parsed = JSON.parse(Buffer.from(String(cursor), 'base64url').toString('utf8'));
+        if (!Number.isFinite(parsed?.s) || !parsed?.a || !parsed?.u || !Number.isFinite(parsed?.r)) return null;
+        if (Number.isNaN(new Date(parsed.a).getTime())) return null;
+        // Handed back to pg as a Date so it round-trips exactly like the value it was read from.
+        return { score: parsed.s, achievedAt: new Date(parsed.a), userId: String(parsed.u), rank: parsed.r };
+    } catch {
+        return null;
+    }
+}
+
+/**
+ * The ranked rows for one (game, window, scope) as a SQL fragment with
+ * params starting at $1. Columns: user_id, score, achieved_at.
+ */
+function buildEntriesSource({ gameId, window, scope, viewerId }) {
+    const params = [gameId];
+    let sql;
+    if (window === 'all') {
+        sql = `SELECT user_id, best_score AS score, best_score_at AS achieved_at
+               FROM game_leaderboard
+               WHERE game_id = $1 AND best_score IS NOT NULL`;
+    } else {
+        params.push(window);
+        sql = `SELECT user_id, best_score AS score, best_score_at AS achieved_at
+               FROM game_leaderboard_windows
+               WHERE game_id = $1 AND period = $2::text AND period_start = date_trunc($2::text, NOW())::date`;
+    }
+    if (scope === 'friends') {
+        params.push(viewerId);
+        const p = `$${params.length}`;
+        sql += ` AND (user_id = ${p}::uuid OR user_id IN (SELECT following_id FROM followers WHERE follower_id = ${p}::uuid))`;
+    }
+    return { sql, params };
+}
+
+function formatEntry(row, rank) {
+    return {
+        rank,
+        score: row.score,
+        username: row.username,
+        displayName: row.display_name,
+        avatar: row.avatar,
+        userId: row.user_id,
+        achievedAt: row.achieved_at,
+    };
+}
+
+/** One page of a leaderboard, best first. */
+export async function getLeaderboardPage({ gameId, window = 'all', scope = 'global', viewerId = null, limit = 10, cursor = null }) {
+    const { sql, params } = buildEntriesSource({ gameId, window, scope, viewerId });
+    const after = decodeLeaderboardCursor(cursor);
+    const pageSize = Math.max(1, Math.min(Number(limit) || 10, 100));
+
+    let keyset = '';
+    if (after) {
+        params.push(after.score, after.achievedAt, after.userId);
+        const [s, a, u] = [params.length - 2, params.length - 1, params.length];
+        keyset = `WHERE (e.score < $${s}
+                     OR (e.score = $${s} AND e.achieved_at > $${a}::timestamp)
+                     OR (e.score = $${s} AND e.achieved_at = $${a}::timestamp AND e.user_id > $${u}::uuid))`;
+    }
+    params.push(pageSize + 1);
+
+    const result = await pool.query(
+        `SELECT e.user_id, e.score, e.achieved_at, u.username, u.display_name, u.avatar
+         FROM (${sql}) e
+         JOIN users u ON u.id = e.user_id
+         ${keyset}
+         ORDER BY e.score DESC, e.achieved_at ASC, e.user_id ASC
+         LIMIT $${params.length}`,
+        params
+    );
+
+    const rows = result.rows.slice(0, pageSize);
+    const startRank = after ? after.rank : 0;
+    const entries = rows.map((row, i) => formatEntry(row, startRank + i + 1));
+    const last = entries[entries.length - 1];
+    const nextCursor = result.rows.length > pageSize && last ? encodeLeaderboardCursor(last) : null;
+    return { entries, nextCursor };
+}
+
+/**
+ * The viewer's own rank plus up to NEIGHBOUR_COUNT entries directly above and
+ * below. `me` is null when the viewer has no score in this window/scope.
+ */
+export async function getLeaderboardNeighbourhood({ gameId, window = 'all', scope = 'global', viewerId }) {
+    const { sql, params } = buildEntriesSource({ gameId, window, scope, viewerId });
+    params.push(viewerId);
+    const viewerParam = `$${params.length}`;
+
+    const mine = await pool.query(
+        `WITH entries AS (${sql})
+         SELECT me.user_id, me.score, me.achieved_at, u.username, u.display_name, u.avatar,
+                (SELECT COUNT(*)::int FROM entries e
+                 WHERE e.score > me.score
+                    OR (e.score = me.score AND e.achieved_at < me.achieved_at)
+                    OR (e.score = me.score AND e.achieved_at = me.achieved_at AND e.user_id < me.user_id)) + 1 AS rank
+         FROM entries me
+         JOIN users u ON u.id = me.user_id
+         WHERE me.user_id = ${viewerParam}::uuid`,
+        params
+    );
+    const meRow = mine.rows[0];
+    if (!meRow) return { me: null, above: [], below: [] };
+
+    params.push(meRow.score, meRow.achieved_at, NEIGHBOUR_COUNT);
+    const [s, a, n] = [params.length - 2, params.length - 1, params.length];
+    const neighbourColumns = `SELECT e.user_id, e.score, e.achieved_at, u.username, u.display_name, u.avatar
+                              FROM entries e JOIN users u ON u.id = e.user_id`;
+
+    const [aboveResult, belowResult] = await Promise.all([
+        pool.query(
+            `WITH entries AS (${sql})
+             ${neighbourColumns}
+             WHERE e.score > $${s}
+                OR (e.score = $${s} AND e.achieved_at < $${a})
+                OR (e.score = $${s} AND e.achieved_at = $${a} AND e.user_id < ${viewerParam}::uuid)
+             ORDER BY e.score ASC, e.achieved_at DESC, e.user_id DESC
+             LIMIT $${n}`,
+            params
+        ),
+        pool.query(
+            `WITH entries AS (${sql})
+             ${neighbourColumns}
+             WHERE e.score < $${s}
+                OR (e.score = $${s} AND e.achieved_at > $${a})
+                OR (e.score = $${s} AND e.achieved_at = $${a} AND e.user_id > ${viewerParam}::uuid)
+             ORDER BY e.score DESC, e.achieved_at ASC, e.user_id ASC
+             LIMIT $${n}`,
+            params
+        ),
+    ]);
+
+    const rank = meRow.rank;
+    const above = aboveResult.rows
+        .map((row, i) => formatEntry(row, rank - i - 1))
+        .reverse();
+    const below = belowResult.rows.map((row, i) => formatEntry(row, rank + i + 1));
+    return { me: formatEntry(meRow, rank), above, below };
+}
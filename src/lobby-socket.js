@@ -6,150 +6,124 @@
  * - Track who's in which game lobby
  * - Send/receive live challenges
  * - Auto-match players looking for opponents
+ *
+ * Namespace `/lobby` on the shared server (socket-server.js), which handles
+ * authentication, rate limiting and the `socket:error` contract.
+ *
+ * State is shared across replicas through pubsub.js. Each socket also joins a
+ * per-user room, so challenges reach the target wherever they are connected.
  */
 
-import { Server } from 'socket.io';
 import pool from './db.js';
+import { createNamespace, emitSocketError } from './socket-server.js';
+import { getPubSub, createRoomBroadcaster, createSharedRegistry } from './pubsub.js';
 
-let io;
-
-// In-memory state
-const onlineUsers = new Map(); // userId -> { socketId, username, displayName, avatar, currentLobby, joinedAt }
-const gameLobbies = new Map(); // gameId -> Set<userId>
-const activeChallenges = new Map(); // challengeId -> { from, to, gameId, gameName, createdAt }
-
-export function initializeLobbySocket(server) {
-    io = new Server(server, {
-        cors: {
-            origin: '*',
-            methods: ['GET', 'POST']
-        },
-        // Don't conflict with pk-socket if it creates its own Server
-        path: '/lobby',
-    });
+let nsp;
+let rooms = null;
 
-    io.on('connection', (socket) => {
-        console.log('[Lobby] Socket connected:', socket.id);
-        let userId = null;
+// Cluster-wide state
+let onlineUsers = null; // userId -> { socketId, username, displayName, avatar, currentLobby, joinedAt }
+let activeChallenges = null; // challengeId -> { from, to, gameId, gameName, createdAt }
 
-        // ============================================
-        // AUTHENTICATION
-        // ============================================
-        socket.on('lobby:auth', async ({ token }) => {
-            try {
-                const result = await pool.query(
-                    'SELECT id, username, display_name, avatar FROM users WHERE token = $1',
-                    [token]
-                );
-
-                if (result.rows.length === 0) {
-                    socket.emit('lobby:error', { message: 'Invalid token' });
-                    return;
-                }
+const userRoom = (userId) => `lobby_user_${userId}`;
 
-                const user = result.rows[0];
-                userId = user.id;
+// Players whose current lobby is `gameId`, on any replica
+function lobbyMembers(gameId) {
+    return onlineUsers.entries().filter(([, u]) => u.currentLobby === gameId);
+}
 
-                // If user already connected from another device, disconnect old one
-                const existing = onlineUsers.get(userId);
-                if (existing && existing.socketId !== socket.id) {
-                    const oldSocket = io.sockets.sockets.get(existing.socketId);
-                    if (oldSocket) {
-                        oldSocket.emit('lobby:kicked', { reason: 'Connected from another device' });
-                        oldSocket.disconnect(true);
-                    }
-                }
+function updateOnlineUser(userId, changes) {
+    const current = onlineUsers.getLocal(userId);
+    if (current) onlineUsers.set(userId, { ...current, ...changes });
+}
 
-                // Track user as online
-                onlineUsers.set(userId, {
-                    socketId: socket.id,
-                    username: user.username,
-                    displayName: user.display_name,
-                    avatar: user.avatar,
-                    currentLobby: null,
-                    joinedAt: Date.now(),
-                });
+export function initializeLobbySocket(io) {
+    nsp = createNamespace(io, '/lobby', { rateLimit: { capacity: 20, refillPerSecond: 2 } });
 
-                socket.userId = userId;
-                socket.emit('lobby:authenticated', {
-                    userId,
-                    onlineCount: onlineUsers.size,
-                });
+    const bus = getPubSub();
+    rooms = createRoomBroadcaster(bus, nsp, 'lobby');
+    onlineUsers = createSharedRegistry(bus, 'lobby_online');
+    activeChallenges = createSharedRegistry(bus, 'lobby_challenges');
 
-                console.log(`[Lobby] User authenticated: ${user.username} (${userId})`);
-            } catch (err) {
-                console.error('[Lobby] Auth error:', err);
-                socket.emit('lobby:error', { message: 'Authentication failed' });
-            }
+    nsp.on('connection', (socket) => {
+        const userId = socket.userId;
+
+        // ============================================
+        // ONLINE (the namespace middleware has already authenticated)
+        // ============================================
+        const user = socket.user;
+
+        // If user already connected from another device, disconnect old one
+        socket.join(userRoom(userId));
+        if (onlineUsers.has(userId)) {
+            rooms.to(userRoom(userId), 'lobby:kicked', { reason: 'Connected from another device' }, { except: socket.id });
+            rooms.disconnect(userRoom(userId), { except: socket.id });
+        }
+
+        // Track user as online
+        onlineUsers.set(userId, {
+            socketId: socket.id,
+            username: user.username,
+            displayName: user.display_name,
+            avatar: user.avatar,
+            currentLobby: null,
+            joinedAt: Date.now(),
+        });
+
+        socket.emit('lobby:authenticated', {
+            userId,
+            onlineCount: onlineUsers.size,
         });
 
+        console.log(`[Lobby] User connected: ${user.username} (${userId})`);
+
         // ============================================
         // GAME LOBBY - JOIN / LEAVE
         // ============================================
         socket.on('lobby:join_game', ({ gameId }) => {
-            if (!userId) return;
-
-            const userData = onlineUsers.get(userId);
+            const userData = onlineUsers.getLocal(userId);
             if (!userData) return;
 
             // Leave previous lobby if any
             if (userData.currentLobby) {
-                const prevLobby = gameLobbies.get(userData.currentLobby);
-                if (prevLobby) {
-                    prevLobby.delete(userId);
-                    socket.leave(`game_lobby_${userData.currentLobby}`);
-                    // Notify others in old lobby
-                    io.to(`game_lobby_${userData.currentLobby}`).emit('lobby:player_left', {
-                        userId,
-                        playerCount: prevLobby.size,
-                    });
-                }
+                leaveCurrentLobby(userId, socket);
             }
 
             // Join new lobby
-            if (!gameLobbies.has(gameId)) {
-                gameLobbies.set(gameId, new Set());
-            }
-            gameLobbies.get(gameId).add(userId);
-            userData.currentLobby = gameId;
+            updateOnlineUser(userId, { currentLobby: gameId });
             socket.join(`game_lobby_${gameId}`);
 
             // Build list of players in this lobby (excluding self)
-            const lobbyPlayers = [];
-            for (const uid of gameLobbies.get(gameId)) {
-                if (uid === userId) continue;
-                const u = onlineUsers.get(uid);
-                if (u) {
-                    lobbyPlayers.push({
-                        id: uid,
-                        username: u.username,
-                        displayName: u.displayName,
-                        avatar: u.avatar,
-                    });
-                }
-            }
+            const members = lobbyMembers(gameId);
+            const lobbyPlayers = members
+                .filter(([uid]) => uid !== userId)
+                .map(([uid, u]) => ({
+                    id: uid,
+                    username: u.username,
+                    displayName: u.displayName,
+                    avatar: u.avatar,
+                }));
 
             // Send lobby state to joining user
             socket.emit('lobby:game_joined', {
                 gameId,
                 players: lobbyPlayers,
-                playerCount: gameLobbies.get(gameId).size,
+                playerCount: members.length,
             });
 
             // Notify others in lobby that someone joined
-            socket.to(`game_lobby_${gameId}`).emit('lobby:player_joined', {
+            rooms.to(`game_lobby_${gameId}`, 'lobby:player_joined', {
                 userId,
                 username: userData.username,
                 displayName: userData.displayName,
                 avatar: userData.avatar,
-                playerCount: gameLobbies.get(gameId).size,
-            });
+                playerCount: members.length,
+            }, { except: socket.id });
 
-            console.log(`[Lobby] ${userData.username} joined game lobby: ${gameId} (${gameLobbies.get(gameId).size} players)`);
+            console.log(`[Lobby] ${userData.username} joined game lobby: ${gameId} (${members.length} players)`);
         });
 
         socket.on('lobby:leave_game', () => {
-            if (!userId) return;
             leaveCurrentLobby(userId, socket);
         });
 
@@ -157,13 +131,11 @@ export function initializeLobbySocket(server) {
         // CHALLENGE SYSTEM
         // ============================================
         socket.on('lobby:challenge', async ({ targetUserId, gameId, gameName }) => {
-            if (!userId) return;
-
             const challenger = onlineUsers.get(userId);
             const target = onlineUsers.get(targetUserId);
 
             if (!challenger || !target) {
-                socket.emit('lobby:error', { message: 'Player not found or offline' });
+                emitSocketError(socket, { event: 'lobby:challenge', code: 'not_found', message: 'Player not found or offline', targetUserId });
                 return;
             }
 
@@ -183,30 +155,24 @@ export function initializeLobbySocket(server) {
             setTimeout(() => {
                 const ch = activeChallenges.get(challengeId);
                 if (ch && ch.from === userId) {
-                    activeChallenges.delete(challengeId);
+                    activeChallenges.purge(challengeId);
                     // Notify both parties of expiration
-                    const fromSocket = io.sockets.sockets.get(onlineUsers.get(userId)?.socketId);
-                    const toSocket = io.sockets.sockets.get(onlineUsers.get(targetUserId)?.socketId);
-                    if (fromSocket) fromSocket.emit('lobby:challenge_expired', { challengeId });
-                    if (toSocket) toSocket.emit('lobby:challenge_expired', { challengeId });
+                    rooms.to([userRoom(userId), userRoom(targetUserId)], 'lobby:challenge_expired', { challengeId });
                 }
             }, 30000);
 
             // Send challenge to target
-            const targetSocket = io.sockets.sockets.get(target.socketId);
-            if (targetSocket) {
-                targetSocket.emit('lobby:challenge_received', {
-                    challengeId,
-                    from: {
-                        id: userId,
-                        username: challenger.username,
-                        displayName: challenger.displayName,
-                        avatar: challenger.avatar,
-                    },
-                    gameId,
-                    gameName,
-                });
-            }
+            rooms.to(userRoom(targetUserId), 'lobby:challenge_received', {
+                challengeId,
+                from: {
+                    id: userId,
+                    username: challenger.username,
+                    displayName: challenger.displayName,
+                    avatar: challenger.avatar,
+                },
+                gameId,
+                gameName,
+            });
 
             // Confirm to challenger
             socket.emit('lobby:challenge_sent', {
@@ -225,15 +191,13 @@ export function initializeLobbySocket(server) {
         });
 
         socket.on('lobby:challenge_accept', async ({ challengeId }) => {
-            if (!userId) return;
-
             const challenge = activeChallenges.get(challengeId);
             if (!challenge || challenge.to !== userId) {
-                socket.emit('lobby:error', { message: 'Challenge not found or expired' });
+                emitSocketError(socket, { event: 'lobby:challenge_accept', code: 'not_found', message: 'Challenge not found or expired', challengeId });
                 return;
             }
 
-            activeChallenges.delete(challengeId);
+            activeChallenges.purge(challengeId);
 
             const challenger = onlineUsers.get(challenge.from);
             const accepter = onlineUsers.get(userId);
@@ -270,18 +234,15 @@ export function initializeLobbySocket(server) {
                     };
 
                     // Notify challenger
-                    const challengerSocket = io.sockets.sockets.get(challenger?.socketId);
-                    if (challengerSocket) {
-                        challengerSocket.emit('lobby:match_ready', {
-                            ...matchData,
-                            opponent: {
-                                id: userId,
-                                username: accepter?.username,
-                                displayName: accepter?.displayName,
-                                avatar: accepter?.avatar,
-                            },
-                        });
-                    }
+                    rooms.to(userRoom(challenge.from), 'lobby:match_ready', {
+                        ...matchData,
+                        opponent: {
+                            id: userId,
+                            username: accepter?.username,
+                            displayName: accepter?.displayName,
+                            avatar: accepter?.avatar,
+                        },
+                    });
 
                     // Notify accepter
                     socket.emit('lobby:match_ready', {
@@ -300,62 +261,44 @@ export function initializeLobbySocket(server) {
                 }
             } catch (err) {
                 console.error('[Lobby] Create match error:', err);
-                socket.emit('lobby:error', { message: 'Failed to create match' });
+                emitSocketError(socket, { event: 'lobby:challenge_accept', code: 'server_error', message: 'Failed to create match', challengeId });
             }
         });
 
         socket.on('lobby:challenge_decline', ({ challengeId }) => {
-            if (!userId) return;
-
             const challenge = activeChallenges.get(challengeId);
             if (!challenge || challenge.to !== userId) return;
 
-            activeChallenges.delete(challengeId);
+            activeChallenges.purge(challengeId);
 
             // Notify challenger
-            const challenger = onlineUsers.get(challenge.from);
-            if (challenger) {
-                const challengerSocket = io.sockets.sockets.get(challenger.socketId);
-                if (challengerSocket) {
-                    const decliner = onlineUsers.get(userId);
-                    challengerSocket.emit('lobby:challenge_declined', {
-                        challengeId,
-                        by: {
-                            id: userId,
-                            username: decliner?.username,
-                            displayName: decliner?.displayName,
-                        },
-                    });
-                }
-            }
+            const decliner = onlineUsers.get(userId);
+            rooms.to(userRoom(challenge.from), 'lobby:challenge_declined', {
+                challengeId,
+                by: {
+                    id: userId,
+                    username: decliner?.username,
+                    displayName: decliner?.displayName,
+                },
+            });
         });
 
         socket.on('lobby:challenge_cancel', ({ challengeId }) => {
-            if (!userId) return;
-
             const challenge = activeChallenges.get(challengeId);
             if (!challenge || challenge.from !== userId) return;
 
-            activeChallenges.delete(challengeId);
+            activeChallenges.purge(challengeId);
 
             // Notify target
-            const target = onlineUsers.get(challenge.to);
-            if (target) {
-                const targetSocket = io.sockets.sockets.get(target.socketId);
-                if (targetSocket) {
-                    targetSocket.emit('lobby:challenge_cancelled', { challengeId });
-                }
-            }
+            rooms.to(userRoom(challenge.to), 'lobby:challenge_cancelled', { challengeId });
         });
 
         // ============================================
         // AUTO-MATCH (instant queue within lobby)
         // ============================================
         socket.on('lobby:find_anyone', ({ gameId, gameName }) => {
-            if (!userId) return;
-
-            const lobby = gameLobbies.get(gameId);
-            if (!lobby || lobby.size < 2) {
+            const lobby = lobbyMembers(gameId).map(([uid]) => uid);
+            if (lobby.length < 2) {
                 socket.emit('lobby:no_opponents', { gameId });
                 return;
             }
@@ -366,7 +309,7 @@ export function initializeLobbySocket(server) {
 
                 // Check if candidate is in an active challenge
                 let inChallenge = false;
-                for (const [, ch] of activeChallenges) {
+                for (const [, ch] of activeChallenges.entries()) {
                     if (ch.from === candidateId || ch.to === candidateId) {
                         inChallenge = true;
                         break;
@@ -393,25 +336,22 @@ export function initializeLobbySocket(server) {
                 // Auto-expire
                 setTimeout(() => {
                     if (activeChallenges.has(challengeId)) {
-                        activeChallenges.delete(challengeId);
+                        activeChallenges.purge(challengeId);
                     }
                 }, 30000);
 
-                const targetSocket = io.sockets.sockets.get(onlineUsers.get(candidateId)?.socketId);
-                if (targetSocket) {
-                    const challenger = onlineUsers.get(userId);
-                    targetSocket.emit('lobby:challenge_received', {
-                        challengeId,
-                        from: {
-                            id: userId,
-                            username: challenger?.username,
-                            displayName: challenger?.displayName,
-                            avatar: challenger?.avatar,
-                        },
-                        gameId,
-                        gameName: gameName || gameId,
-                    });
-                }
+                const challenger = onlineUsers.get(userId);
+                rooms.to(userRoom(candidateId), 'lobby:challenge_received', {
+                    challengeId,
+                    from: {
+                        id: userId,
+                        username: challenger?.username,
+                        displayName: challenger?.displayName,
+                        avatar: challenger?.avatar,
+                    },
+                    gameId,
+                    gameName: gameName || gameId,
+                });
 
                 socket.emit('lobby:challenge_sent', {
                     challengeId,
@@ -436,7 +376,8 @@ export function initializeLobbySocket(server) {
         // DISCONNECT
         // ============================================
         socket.on('disconnect', () => {
-            if (userId) {
+            // A newer session on this replica may already have replaced the entry.
+            if (onlineUsers.getLocal(userId)?.socketId === socket.id) {
                 leaveCurrentLobby(userId, socket);
                 onlineUsers.delete(userId);
                 console.log(`[Lobby] User disconnected: ${userId}`);
@@ -447,46 +388,38 @@ export function initializeLobbySocket(server) {
     // Periodically clean up stale challenges
     setInterval(() => {
         const now = Date.now();
-        for (const [id, ch] of activeChallenges) {
+        for (const [id, ch] of activeChallenges.entries()) {
             if (now - ch.createdAt > 35000) {
-                activeChallenges.delete(id);
+                activeChallenges.purge(id);
             }
         }
     }, 10000);
 
     console.log('🎯 Lobby Socket initialized');
-    return io;
+    return nsp;
 }
 
 // Helper: remove user from their current game lobby
 function leaveCurrentLobby(userId, socket) {
-    const userData = onlineUsers.get(userId);
+    const userData = onlineUsers.getLocal(userId);
     if (!userData || !userData.currentLobby) return;
 
     const gameId = userData.currentLobby;
-    const lobby = gameLobbies.get(gameId);
-    if (lobby) {
-        lobby.delete(userId);
-        if (lobby.size === 0) {
-            gameLobbies.delete(gameId);
-        }
-    }
-
     socket.leave(`game_lobby_${gameId}`);
-    userData.currentLobby = null;
+    updateOnlineUser(userId, { currentLobby: null });
 
     // Notify remaining players
-    io.to(`game_lobby_${gameId}`).emit('lobby:player_left', {
+    rooms.to(`game_lobby_${gameId}`, 'lobby:player_left', {
         userId,
-        playerCount: lobby?.size || 0,
+        playerCount: lobbyMembers(gameId).length,
     });
 }
 
 // Export for use in REST endpoints if needed
 export function getOnlineCount() {
-    return onlineUsers.size;
+    return onlineUsers?.size ?? 0;
 }
 
 export function getLobbyCount(gameId) {
-    return gameLobbies.get(gameId)?.size || 0;
+    return onlineUsers ? lobbyMembers(gameId).length : 0;
 }
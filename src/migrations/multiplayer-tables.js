@@ -6,6 +6,8 @@
  * - Match participants
  * - Game challenges (friend invites)
  * - Matchmaking queue
+ * - PK skill ratings and their history
+ * - PK match lifecycle state (see pk-match-state.js)
  */
 
 import pool from '../db.js';
@@ -84,6 +86,71 @@ export const runMultiplayerMigration = async () => {
         UNIQUE(match_id, user_id)
       );
 
+      -- Skill ratings (see ratings.js), one row per user per match type
+      CREATE TABLE IF NOT EXISTS player_ratings (
+        user_id UUID REFERENCES users(id) ON DELETE CASCADE,
+        match_type VARCHAR(10) NOT NULL CHECK (match_type IN ('1v1', '2v2')),
+        rating INTEGER NOT NULL DEFAULT 1200,
+        games_played INTEGER NOT NULL DEFAULT 0,
+        wins INTEGER NOT NULL DEFAULT 0,
+        losses INTEGER NOT NULL DEFAULT 0,
+        draws INTEGER NOT NULL DEFAULT 0,
+        updated_at TIMESTAMP DEFAULT NOW(),
+        PRIMARY KEY (user_id, match_type)
+      );
+
+      CREATE TABLE IF NOT EXISTS rating_history (
+        id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+        user_id UUID REFERENCES users(id) ON DELETE CASCADE,
+        match_type VARCHAR(10) NOT NULL,
+        match_id UUID REFERENCES multiplayer_matches(id) ON DELETE SET NULL,
+        rating_before INTEGER NOT NULL,
+        rating_after INTEGER NOT NULL,
+        delta INTEGER NOT NULL,
+        result VARCHAR(10) CHECK (result IN ('win', 'loss', 'draw')),
+        created_at TIMESTAMP DEFAULT NOW()
+      );
+
+      -- Rating deltas on each player's result row, for auditing disputes
+      ALTER TABLE match_results ADD COLUMN IF NOT EXISTS rating_before INTEGER;
+      ALTER TABLE match_results ADD COLUMN IF NOT EXISTS rating_after INTEGER;
+      ALTER TABLE match_results ADD COLUMN IF NOT EXISTS rating_delta INTEGER;
+
+      -- Skill-based queue: a queue entry may be for one game, carries the rating it
+      -- joined with, and an optional region preferred while the wait is short.
+      -- The game is chosen after matching when the queue entry has none.
+      ALTER TABLE matchmaking_queue ADD COLUMN IF NOT EXISTS game_id VARCHAR(100);
+      ALTER TABLE matchmaking_queue ADD COLUMN IF NOT EXISTS rating INTEGER;
+      ALTER TABLE matchmaking_queue ADD COLUMN IF NOT EXISTS region VARCHAR(32);
+      ALTER TABLE multiplayer_matches ALTER COLUMN game_id DROP NOT NULL;
+      -- UNIQUE(user_id, match_type, status) made a user's second 'matched' row fail;
+      -- only the waiting entry needs to be unique.
+      ALTER TABLE matchmaking_queue DROP CONSTRAINT IF EXISTS matchmaking_queue_user_id_match_type_status_key;
+      CREATE UNIQUE INDEX IF NOT EXISTS idx_matchmaking_queue_one_waiting
+        ON matchmaking_queue(user_id, match_type) WHERE status = 'waiting';
+
+      -- PK lifecycle. status stays as the coarse value REST readers filter on;
+      -- state is the socket state machine. Existing rows are backfilled once.
+      ALTER TABLE multiplayer_matches ADD COLUMN IF NOT EXISTS state VARCHAR(16);
+      UPDATE multiplayer_matches
+      SET state = CASE status
+        WHEN 'completed' THEN 'finished'
+        WHEN 'cancelled' THEN 'abandoned'
+        WHEN 'active' THEN 'playing'
+        ELSE 'waiting'
+      END
+      WHERE state IS NULL;
+      ALTER TABLE multiplayer_matches ALTER COLUMN state SET DEFAULT 'waiting';
+      ALTER TABLE multiplayer_matches ADD COLUMN IF NOT EXISTS state_changed_at TIMESTAMP DEFAULT NOW();
+      ALTER TABLE multiplayer_matches ADD COLUMN IF NOT EXISTS countdown_ends_at TIMESTAMP;
+      ALTER TABLE multiplayer_matches ADD COLUMN IF NOT EXISTS rematch_of UUID REFERENCES multiplayer_matches(id) ON DELETE SET NULL;
+      ALTER TABLE match_participants ADD COLUMN IF NOT EXISTS connected BOOLEAN NOT NULL DEFAULT FALSE;
+      ALTER TABLE match_participants ADD COLUMN IF NOT EXISTS disconnected_at TIMESTAMP;
+      -- Which replica (pubsub node id) holds the player's socket
+      ALTER TABLE match_participants ADD COLUMN IF NOT EXISTS socket_node VARCHAR(64);
+      CREATE INDEX IF NOT EXISTS idx_multiplayer_matches_live ON multiplayer_matches(state)
+        WHERE state IN ('waiting', 'countdown', 'playing');
+
       -- Indexes for performance
       CREATE INDEX IF NOT EXISTS idx_multiplayer_matches_status ON multiplayer_matches(status);
       CREATE INDEX IF NOT EXISTS idx_multiplayer_matches_game ON multiplayer_matches(game_id);
@@ -96,6 +163,8 @@ export const runMultiplayerMigration = async () => {
       CREATE INDEX IF NOT EXISTS idx_matchmaking_queue_user ON matchmaking_queue(user_id);
       CREATE INDEX IF NOT EXISTS idx_match_results_user ON match_results(user_id);
       CREATE INDEX IF NOT EXISTS idx_match_results_match ON match_results(match_id);
+      CREATE INDEX IF NOT EXISTS idx_matchmaking_queue_waiting ON matchmaking_queue(match_type, game_id, rating) WHERE status = 'waiting';
+      CREATE INDEX IF NOT EXISTS idx_rating_history_user ON rating_history(user_id, match_type, created_at DESC);
     `);
 
     console.log('✅ Multiplayer tables created successfully');
@@ -9,6 +9,19 @@
  */
 
 import pool from './db.js';
+import {
+  applyMatchRatings,
+  getPlayerRating,
+  ratingBandForWait,
+  RATING_BAND_BASE,
+  RATING_BAND_GROWTH_PER_SECOND,
+  RATING_BAND_MAX
+} from './ratings.js';
+import { checkScoreSubmission } from './play-sessions.js';
+import { markParticipantFinished, canCompleteMatch } from './pk-match-state.js';
+
+// Region is a preference, not a wall: after this long in queue anyone in range will do.
+const REGION_STRICT_SECONDS = Number(process.env.MATCHMAKING_REGION_STRICT_SECONDS || 20);
 
 // ============================================
 // MATCHMAKING QUEUE
@@ -16,10 +29,14 @@ import pool from './db.js';
 
 /**
  * Join matchmaking queue
+ *
+ * Body: { matchType: '1v1' | '2v2', gameId?, region? }
+ * With a gameId the entry only matches others queued for the same game; without
+ * one it matches other "any game" entries and the game is chosen afterwards.
  */
 export const joinQueue = async (req, res) => {
-  const { matchType } = req.body; // '1v1' or '2v2'
-  const userId = req.user.id;
+  const { matchType, gameId = null, region = null } = req.body; // '1v1' or '2v2'
+  const userId = req.userId;
 
   if (!['1v1', '2v2'].includes(matchType)) {
     return res.status(400).json({ error: 'Invalid match type' });
@@ -30,8 +47,8 @@ export const joinQueue = async (req, res) => {
     // Check if user is already in queue
     const existing = await client.query(
       `SELECT id FROM matchmaking_queue 
-       WHERE user_id = $1 AND status = 'waiting'`,
-      [userId]
+       WHERE user_id = $1 AND match_type = $2 AND status = 'waiting'`,
+      [userId, matchType]
     );
 
     if (existing.rows.length > 0) {
@@ -42,28 +59,36 @@ export const joinQueue = async (req, res) => {
       });
     }
 
-    // Add to queue
+    if (gameId) {
+      const game = await client.query('SELECT id FROM games WHERE id = $1', [gameId]);
+      if (game.rows.length === 0) return res.status(404).json({ error: 'Game not found' });
+    }
+
+    // Queue with the rating at join time; the band widens from there
+    const { rating } = await getPlayerRating(client, userId, matchType);
     const result = await client.query(
-      `INSERT INTO matchmaking_queue (user_id, match_type)
-       VALUES ($1, $2)
+      `INSERT INTO matchmaking_queue (user_id, match_type, game_id, rating, region)
+       VALUES ($1, $2, $3, $4, $5)
        RETURNING id`,
-      [userId, matchType]
+      [userId, matchType, gameId, rating, region ? String(region).slice(0, 32) : null]
     );
 
     // Try to find a match immediately
-    const match = await findMatch(client, userId, matchType);
+    const match = await findMatch(client, result.rows[0].id);
 
     if (match) {
       return res.json({
         queueId: result.rows[0].id,
         matchFound: true,
         matchId: match.matchId,
+        gameId: match.gameId,
         opponent: match.opponent
       });
     }
 
     res.json({
       queueId: result.rows[0].id,
+      rating,
       estimatedWait: 15,
       matchFound: false
     });
@@ -80,7 +105,7 @@ export const joinQueue = async (req, res) => {
  */
 export const leaveQueue = async (req, res) => {
   const { queueId } = req.body;
-  const userId = req.user.id;
+  const userId = req.userId;
 
   const client = await pool.connect();
   try {
@@ -104,12 +129,12 @@ export const leaveQueue = async (req, res) => {
  * Check queue status
  */
 export const getQueueStatus = async (req, res) => {
-  const userId = req.user.id;
+  const userId = req.userId;
 
   const client = await pool.connect();
   try {
     const result = await client.query(
-      `SELECT q.id, q.match_type, q.status, q.joined_at,
+      `SELECT q.id, q.match_type, q.game_id, q.rating, q.status, q.joined_at,
               m.id as match_id
        FROM matchmaking_queue q
        LEFT JOIN match_participants mp ON mp.user_id = q.user_id
@@ -135,11 +160,27 @@ export const getQueueStatus = async (req, res) => {
       });
     }
 
+    // Bands widen with time, so a poll is also another chance to match
+    const match = await findMatch(client, queue.id);
+    if (match) {
+      return res.json({
+        inQueue: true,
+        matchFound: true,
+        matchId: match.matchId,
+        gameId: match.gameId,
+        opponent: match.opponent
+      });
+    }
+
+    const waitTime = Math.floor((Date.now() - new Date(queue.joined_at).getTime()) / 1000);
     res.json({
       inQueue: true,
       queueId: queue.id,
       matchType: queue.match_type,
-      waitTime: Math.floor((Date.now() - new Date(queue.joined_at).getTime()) / 1000)
+      gameId: queue.game_id,
+      rating: queue.rating,
+      ratingBand: ratingBandForWait(waitTime),
+      waitTime
     });
   } catch (error) {
     console.error('Queue status error:', error);
@@ -150,62 +191,116 @@ export const getQueueStatus = async (req, res) => {
 };
 
 /**
- * Find a match for a user in queue
+ * Find an opponent for a waiting queue entry
+ *
+ * Candidates must share the match type and game (or both be "any game"), and be
+ * within rating range. The range for a pair is the wider of the two players'
+ * bands, so whoever has waited longer pulls the other in. Regions must match
+ * until either side has waited REGION_STRICT_SECONDS. Closest rating wins, then
+ * longest wait. Rows are locked so two joins can't claim the same opponent.
  */
-async function findMatch(client, userId, matchType) {
-  // Find another user waiting in queue
-  const opponent = await client.query(
-    `SELECT q.user_id, u.username, u.display_name, u.avatar
-     FROM matchmaking_queue q
-     JOIN users u ON u.id = q.user_id
-     WHERE q.match_type = $1 
-       AND q.status = 'waiting'
-       AND q.user_id != $2
-     ORDER BY q.joined_at ASC
-     LIMIT 1`,
-    [matchType, userId]
-  );
-
-  if (opponent.rows.length === 0) {
-    return null;
-  }
+async function findMatch(client, queueId) {
+  await client.query('BEGIN');
+  try {
+    const mine = await client.query(
+      `SELECT id, user_id, match_type, game_id, rating, region,
+              EXTRACT(EPOCH FROM (NOW() - joined_at)) AS waited
+       FROM matchmaking_queue
+       WHERE id = $1 AND status = 'waiting'
+       FOR UPDATE SKIP LOCKED`,
+      [queueId]
+    );
+    if (mine.rows.length === 0) {
+      await client.query('ROLLBACK');
+      return null;
+    }
+    const me = mine.rows[0];
+    const myRating = me.rating ?? (await getPlayerRating(client, me.user_id, me.match_type)).rating;
 
-  const opponentData = opponent.rows[0];
-
-  // Create match
-  const match = await client.query(
-    `INSERT INTO multiplayer_matches (match_type, status)
-     VALUES ($1, 'waiting')
-     RETURNING id`,
-    [matchType]
-  );
-
-  const matchId = match.rows[0].id;
-
-  // Add both players to match
-  await client.query(
-    `INSERT INTO match_participants (match_id, user_id, team)
-     VALUES ($1, $2, 1), ($1, $3, 2)`,
-    [matchId, userId, opponentData.user_id]
-  );
-
-  // Update queue status
-  await client.query(
-    `UPDATE matchmaking_queue
-     SET status = 'matched', matched_at = NOW()
-     WHERE user_id IN ($1, $2) AND status = 'waiting'`,
-    [userId, opponentData.user_id]
-  );
-
-  return {
-    matchId,
-    opponent: {
-      id: opponentData.user_id,
-      username: opponentData.username,
-      displayName: opponentData.display_name,
-      avatar: opponentData.avatar
+    const opponent = await client.query(
+      `SELECT q.id AS queue_id, q.user_id, q.rating, u.username, u.display_name, u.avatar
+       FROM matchmaking_queue q
+       JOIN users u ON u.id = q.user_id
+       WHERE q.match_type = $1 
+         AND q.status = 'waiting'
+         AND q.user_id != $2
+         AND q.game_id IS NOT DISTINCT FROM $3
+         AND ABS(COALESCE(q.rating, $4) - $4) <= GREATEST(
+           $5::float8,
+           LEAST($8::float8, $6::float8 + $7::float8 * EXTRACT(EPOCH FROM (NOW() - q.joined_at)))
+         )
+         AND (
+           $9::text IS NULL OR q.region IS NULL OR q.region = $9
+           OR $10::float8 >= $11::float8
+           OR q.joined_at <= NOW() - make_interval(secs => $11::float8)
+         )
+       ORDER BY ABS(COALESCE(q.rating, $4) - $4) ASC, q.joined_at ASC
+       LIMIT 1
+       FOR UPDATE OF q SKIP LOCKED`,
+      [
+        me.match_type,
+        me.user_id,
+        me.game_id,
+        myRating,
+        ratingBandForWait(me.waited),
+        RATING_BAND_BASE,
+        RATING_BAND_GROWTH_PER_SECOND,
+        RATING_BAND_MAX,
+        me.region,
+        Number(me.waited),
+        REGION_STRICT_SECONDS
+      ]
+    );
+
+    if (opponent.rows.length === 0) {
+      await client.query('ROLLBACK');
+      return null;
     }
-  };
+
+    const opponentData = opponent.rows[0];
+
+    // Create match
+    const match = await client.query(
+      `INSERT INTO multiplayer_matches (game_id, match_type, status)
+       VALUES ($1, $2, 'waiting')
+       RETURNING id`,
+      [me.game_id, me.match_type]
+    );
+
+    const matchId = match.rows[0].id;
+
+    // Add both players to match
+    await client.query(
+      `INSERT INTO match_participants (match_id, user_id, team)
+       VALUES ($1, $2, 1), ($1, $3, 2)`,
+      [matchId, me.user_id, opponentData.user_id]
+    );
+
+    // Update queue status
+    await client.query(
+      `UPDATE matchmaking_queue
+       SET status = 'matched', matched_at = NOW()
+       WHERE id IN ($1, $2)`,
+      [me.id, opponentData.queue_id]
+    );
+
+    await client.query('COMMIT');
+
+    return {
+      matchId,
+      gameId: me.game_id,
+      opponent: {
+        id: opponentData.user_id,
+        username: opponentData.username,
+        displayName: opponentData.display_name,
+        avatar: opponentData.avatar,
+        rating: opponentData.rating
+      }
+    };
+  } catch (error) {
+    await client.query('ROLLBACK').catch(() => {});
+    throw error;
+  }
 }
 
 // ============================================
@@ -216,7 +311,7 @@ async function findMatch(client, userId, matchType) {
  * Get active matches for user
  */
 export const getActiveMatches = async (req, res) => {
-  const userId = req.user.id;
+  const userId = req.userId;
 
   const client = await pool.connect();
   try {
@@ -256,7 +351,7 @@ export const getActiveMatches = async (req, res) => {
  */
 export const getMatch = async (req, res) => {
   const { matchId } = req.params;
-  const userId = req.user.id;
+  const userId = req.userId;
 
   const client = await pool.connect();
   try {
@@ -307,7 +402,7 @@ export const getMatch = async (req, res) => {
 export const setMatchGame = async (req, res) => {
   const { matchId } = req.params;
   const { gameId } = req.body;
-  const userId = req.user.id;
+  const userId = req.userId;
 
   const client = await pool.connect();
   try {
@@ -322,11 +417,12 @@ export const setMatchGame = async (req, res) => {
       return res.status(403).json({ error: 'Not in this match' });
     }
 
-    // Update match with game
+    // Update match with game. The match goes live over the PK socket once
+    // everyone is ready (pk-match-state.js), not here.
     await client.query(
       `UPDATE multiplayer_matches
-       SET game_id = $1, status = 'active', started_at = NOW()
-       WHERE id = $2 AND status = 'waiting'`,
+       SET game_id = $1
+       WHERE id = $2 AND state = 'waiting'`,
       [gameId, matchId]
     );
 
@@ -341,108 +437,231 @@ export const setMatchGame = async (req, res) => {
 
 /**
  * Update player score in match
+ *
+ * Body: { score, sessionToken, final? }
+ * Scores go through the same play-session check as every other score path
+ * (play-sessions.js), and only while the match is in play. `final: true` marks
+ * the player finished, like pk:game_over.
  */
 export const updateScore = async (req, res) => {
   const { matchId } = req.params;
-  const { score } = req.body;
-  const userId = req.user.id;
+  const { score, sessionToken, final = false } = req.body;
+  const userId = req.userId;
 
-  const client = await pool.connect();
   try {
-    await client.query(
+    const matchResult = await pool.query(
+      `SELECT m.game_id, m.state
+       FROM multiplayer_matches m
+       JOIN match_participants mp ON mp.match_id = m.id AND mp.user_id = $2
+       WHERE m.id = $1`,
+      [matchId, userId]
+    );
+    if (matchResult.rows.length === 0) {
+      return res.status(403).json({ error: 'Not in this match' });
+    }
+    const match = matchResult.rows[0];
+    if (match.state !== 'playing' || !match.game_id) {
+      return res.status(409).json({ error: 'Match is not in play' });
+    }
+
+    const check = await checkScoreSubmission({
+      token: sessionToken,
+      gameId: match.game_id,
+      userId,
+      score,
+      source: 'match',
+      final: Boolean(final)
+    });
+    if (!check.ok) {
+      return res.status(400).json({ error: 'Score rejected', reason: check.reason });
+    }
+
+    if (final) {
+      const allFinished = await markParticipantFinished(matchId, userId, score);
+      return res.json({ success: true, finished: true, allFinished });
+    }
+
+    await pool.query(
       `UPDATE match_participants
-       SET score = $1, status = 'playing'
-       WHERE match_id = $2 AND user_id = $3`,
+       SET score = $1
+       WHERE match_id = $2 AND user_id = $3 AND status <> 'finished'`,
       [score, matchId, userId]
     );
 
-    res.json({ success: true });
+    res.json({ success: true, finished: false });
   } catch (error) {
     console.error('Update score error:', error);
     res.status(500).json({ error: 'Failed to update score' });
-  } finally {
-    client.release();
   }
 };
 
 /**
- * Complete match and determine winner
+ * Close out a match: pick the winner from participant scores, rate it, and
+ * write one match_results row per player. Idempotent — a match that is already
+ * completed (or was abandoned) returns its stored outcome without touching
+ * ratings again.
+ *
+ * `winnerTeam` overrides the score comparison, for forfeits; `reason` is kept
+ * in metadata.endReason.
+ *
+ * Shared by the REST completion endpoint and the PK socket.
  */
-export const completeMatch = async (req, res) => {
-  const { matchId } = req.params;
-  const userId = req.user.id;
-
+export async function finalizeMatch(matchId, { winnerTeam: forcedWinnerTeam, reason = 'scores' } = {}) {
   const client = await pool.connect();
   try {
     await client.query('BEGIN');
 
-    // Get match participants and scores
-    const participants = await client.query(
-      `SELECT mp.user_id, mp.team, mp.score, m.game_id, m.match_type
-       FROM match_participants mp
-       JOIN multiplayer_matches m ON m.id = mp.match_id
-       WHERE mp.match_id = $1`,
+    const matchResult = await client.query(
+      `SELECT id, game_id, match_type, status, winner_team
+       FROM multiplayer_matches WHERE id = $1 FOR UPDATE`,
       [matchId]
     );
-
-    if (participants.rows.length === 0) {
+    if (matchResult.rows.length === 0) {
       await client.query('ROLLBACK');
-      return res.status(404).json({ error: 'Match not found' });
+      return null;
     }
+    const match = matchResult.rows[0];
+
+    // Get match participants and scores
+    const participants = await client.query(
+      `SELECT user_id, team, COALESCE(score, 0) AS score
+       FROM match_participants
+       WHERE match_id = $1`,
+      [matchId]
+    );
 
     // Calculate team scores
-    const team1Score = participants.rows
-      .filter(p => p.team === 1)
-      .reduce((sum, p) => sum + p.score, 0);
-    
-    const team2Score = participants.rows
-      .filter(p => p.team === 2)
+    const teamScore = (team) => participants.rows
+      .filter(p => p.team === team)
       .reduce((sum, p) => sum + p.score, 0);
+    const team1Score = teamScore(1);
+    const team2Score = teamScore(2);
 
-    const winnerTeam = team1Score > team2Score ? 1 : team2Score > team1Score ? 2 : null;
+    if (match.status === 'completed' || match.status === 'cancelled') {
+      await client.query('COMMIT');
+      return { alreadyCompleted: true, winnerTeam: match.winner_team, team1Score, team2Score, ratings: {} };
+    }
+
+    const winnerTeam = forcedWinnerTeam !== undefined
+      ? forcedWinnerTeam
+      : team1Score > team2Score ? 1 : team2Score > team1Score ? 2 : null;
 
     // Update match status
     await client.query(
       `UPDATE multiplayer_matches
-       SET status = 'completed', ended_at = NOW(), winner_team = $1
+       SET status = 'completed', state = 'finished', state_changed_at = NOW(),
+           ended_at = NOW(), winner_team = $1,
+           metadata = COALESCE(metadata, '{}'::jsonb) || jsonb_build_object('endReason', $3::text)
        WHERE id = $2`,
-      [winnerTeam, matchId]
+      [winnerTeam, matchId, reason]
     );
 
-    // Create match results for each player
-    const gameId = participants.rows[0].game_id;
-    const matchType = participants.rows[0].match_type;
+    // A match that never picked a game has nothing to rate against.
+    const rated = participants.rows.length >= 2 && match.game_id;
+    const changes = rated
+      ? await applyMatchRatings(client, {
+        matchId,
+        matchType: match.match_type,
+        participants: participants.rows,
+        winnerTeam
+      })
+      : new Map();
 
+    // Create match results for each player
     for (const player of participants.rows) {
-      const opponent = participants.rows.find(p => p.user_id !== player.user_id);
+      const opponent = participants.rows.find(p => p.team !== player.team);
       const result = winnerTeam === null ? 'draw' : 
                      player.team === winnerTeam ? 'win' : 'loss';
-      
-      // Multiplayer rewards system removed
+      const change = changes.get(player.user_id);
 
+      if (!match.game_id) continue;
       await client.query(
-        `INSERT INTO user_levels (user_id, xp)
-         VALUES ($1, $2)
-         ON CONFLICT (user_id) DO UPDATE
-         SET xp = user_levels.xp + $2`,
-        [player.user_id, xpEarned]
+        `INSERT INTO match_results (
+           match_id, user_id, opponent_id, game_id, match_type, result,
+           user_score, opponent_score, rating_before, rating_after, rating_delta
+         )
+         VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11)
+         ON CONFLICT (match_id, user_id) DO NOTHING`,
+        [
+          matchId,
+          player.user_id,
+          opponent?.user_id || null,
+          match.game_id,
+          match.match_type,
+          result,
+          player.team === 1 ? team1Score : team2Score,
+          player.team === 1 ? team2Score : team1Score,
+          change?.before ?? null,
+          change?.after ?? null,
+          change?.delta ?? null
+        ]
       );
     }
 
     await client.query('COMMIT');
 
+    const ratings = {};
+    for (const [userId, change] of changes) ratings[userId] = change;
+    return { alreadyCompleted: false, winnerTeam, team1Score, team2Score, ratings, reason };
+  } catch (error) {
+    await client.query('ROLLBACK').catch(() => {});
+    throw error;
+  } finally {
+    client.release();
+  }
+}
+
+/**
+ * Complete match and determine winner
+ *
+ * Only once every participant has a final score (updateScore with `final`),
+ * or after the match has been in play for PK_PLAY_TIMEOUT_MS; a match that is
+ * already over returns its stored outcome.
+ */
+export const completeMatch = async (req, res) => {
+  const { matchId } = req.params;
+  const userId = req.userId;
+
+  try {
+    const matchResult = await pool.query(
+      `SELECT m.state, m.status, m.started_at,
+              COUNT(*) FILTER (WHERE mp.status = 'finished')::int AS finished,
+              COUNT(*)::int AS total,
+              BOOL_OR(mp.user_id = $2) AS is_participant
+       FROM multiplayer_matches m
+       JOIN match_participants mp ON mp.match_id = m.id
+       WHERE m.id = $1
+       GROUP BY m.id`,
+      [matchId, userId]
+    );
+    const match = matchResult.rows[0];
+    if (!match?.is_participant) {
+      return res.status(403).json({ error: 'Not in this match' });
+    }
+    const over = match.status === 'completed' || match.status === 'cancelled';
+    if (!over && !canCompleteMatch({ state: match.state, startedAt: match.started_at, finished: match.finished, total: match.total })) {
+      return res.status(409).json({
+        error: 'Match is still in play',
+        finished: match.finished,
+        total: match.total
+      });
+    }
+
+    const outcome = await finalizeMatch(matchId);
+    if (!outcome) {
+      return res.status(404).json({ error: 'Match not found' });
+    }
+
     res.json({ 
       success: true,
-      winnerTeam,
-      team1Score,
-      team2Score
+      winnerTeam: outcome.winnerTeam,
+      team1Score: outcome.team1Score,
+      team2Score: outcome.team2Score,
+      rating: outcome.ratings[userId] || null
     });
   } catch (error) {
-    await client.query('ROLLBACK');
     console.error('Complete match error:', error);
     res.status(500).json({ error: 'Failed to complete match' });
-  } finally {
-    client.release();
   }
 };
 
@@ -450,7 +669,7 @@ export const completeMatch = async (req, res) => {
  * Get match history for user
  */
 export const getMatchHistory = async (req, res) => {
-  const userId = req.user.id;
+  const userId = req.userId;
   const limit = parseInt(req.query.limit) || 20;
 
   const client = await pool.connect();
@@ -480,6 +699,91 @@ export const getMatchHistory = async (req, res) => {
   }
 };
 
+// ============================================
+// RATINGS
+// ============================================
+
+/**
+ * Current ratings for a user, one per match type. `:userId` may be "me".
+ */
+export const getRatings = async (req, res) => {
+  const userId = req.params.userId === 'me' ? req.userId : req.params.userId;
+
+  try {
+    const result = await pool.query(
+      `SELECT match_type, rating, games_played, wins, losses, draws, updated_at
+       FROM player_ratings
+       WHERE user_id = $1
+       ORDER BY match_type`,
+      [userId]
+    );
+
+    res.json({
+      ratings: result.rows.map(r => ({
+        matchType: r.match_type,
+        rating: r.rating,
+        gamesPlayed: r.games_played,
+        wins: r.wins,
+        losses: r.losses,
+        draws: r.draws,
+        updatedAt: r.updated_at
+      }))
+    });
+  } catch (error) {
+    console.error('Get ratings error:', error);
+    res.status(500).json({ error: 'Failed to get ratings' });
+  }
+};
+
+/**
+ * Rating history for a user, newest first.
+ * Query: ?matchType=1v1|2v2 &limit= &before=<ISO timestamp>
+ */
+export const getRatingHistory = async (req, res) => {
+  const userId = req.params.userId === 'me' ? req.userId : req.params.userId;
+  const matchType = req.query.matchType || null;
+  const limit = Math.min(parseInt(req.query.limit) || 20, 100);
+  const before = req.query.before ? new Date(req.query.before) : null;
+
+  if (matchType && !['1v1', '2v2'].includes(matchType)) {
+    return res.status(400).json({ error: 'Invalid match type' });
+  }
+  if (before && Number.isNaN(before.getTime())) {
+    return res.status(400).json({ error: 'Invalid before timestamp' });
+  }
+
+  try {
+    const result = await pool.query(
+      `SELECT rh.match_id, rh.match_type, rh.rating_before, rh.rating_after, rh.delta,
+              rh.result, rh.created_at, m.game_id
+       FROM rating_history rh
+       LEFT JOIN multiplayer_matches m ON m.id = rh.match_id
+       WHERE rh.user_id = $1
+         AND ($2::text IS NULL OR rh.match_type = $2)
+         AND ($3::timestamp IS NULL OR rh.created_at < $3)
+       ORDER BY rh.created_at DESC
+       LIMIT $4`,
+      [userId, matchType, before, limit]
+    );
+
+    res.json({
+      history: result.rows.map(r => ({
+        matchId: r.match_id,
+        matchType: r.match_type,
+        gameId: r.game_id,
+        ratingBefore: r.rating_before,
+        ratingAfter: r.rating_after,
+        delta: r.delta,
+        result: r.result,
+        createdAt: r.created_at
+      }))
+    });
+  } catch (error) {
+    console.error('Get rating history error:', error);
+    res.status(500).json({ error: 'Failed to get rating history' });
+  }
+};
+
 // ============================================
 // GAME CHALLENGES
 // ============================================
@@ -489,7 +793,7 @@ export const getMatchHistory = async (req, res) => {
  */
 export const sendChallenge = async (req, res) => {
   const { toUserId, gameId, matchType, message } = req.body;
-  const fromUserId = req.user.id;
+  const fromUserId = req.userId;
 
   if (!['1v1', '2v2'].includes(matchType)) {
     return res.status(400).json({ error: 'Invalid match type' });
@@ -521,7 +825,7 @@ export const sendChallenge = async (req, res) => {
  */
 export const acceptChallenge = async (req, res) => {
   const { challengeId } = req.params;
-  const userId = req.user.id;
+  const userId = req.userId;
 
   const client = await pool.connect();
   try {
@@ -544,7 +848,7 @@ export const acceptChallenge = async (req, res) => {
     // Create match
     const match = await client.query(
       `INSERT INTO multiplayer_matches (game_id, match_type, status)
-       VALUES ($1, $2, 'active')
+       VALUES ($1, $2, 'waiting')
        RETURNING id`,
       [game_id, match_type]
     );
@@ -586,7 +890,7 @@ export const acceptChallenge = async (req, res) => {
  */
 export const declineChallenge = async (req, res) => {
   const { challengeId } = req.params;
-  const userId = req.user.id;
+  const userId = req.userId;
 
   const client = await pool.connect();
   try {
@@ -610,7 +914,7 @@ export const declineChallenge = async (req, res) => {
  * Get received challenges
  */
 export const getReceivedChallenges = async (req, res) => {
-  const userId = req.user.id;
+  const userId = req.userId;
 
   const client = await pool.connect();
   try {
@@ -671,8 +975,8 @@ export const cancelAbandonedMatches = async () => {
     // Cancel matches that have been waiting for more than 5 minutes
     await client.query(
       `UPDATE multiplayer_matches
-       SET status = 'cancelled'
-       WHERE status = 'waiting' 
+       SET status = 'cancelled', state = 'abandoned', state_changed_at = NOW(), ended_at = NOW()
+       WHERE state = 'waiting' 
          AND created_at < NOW() - INTERVAL '5 minutes'`
     );
   } catch (error) {
@@ -3,6 +3,7 @@
 import { Expo } from 'expo-server-sdk';
 import pool from './db.js';
 import * as db from './db.js';
+import { listedGameSql } from './game-visibility.js';
 
 const expo = new Expo();
 
@@ -21,10 +22,16 @@ const RULES = {
   // follower. Skip min-gap, keep a generous daily cap + per-follower dedupe.
   follow: { dailyLimit: 40, minGapMinutes: 0, cooldownMinutes: 60, priority: 'high' },
   game_liked: { dailyLimit: 12, minGapMinutes: 6, cooldownMinutes: 20 },
+  // Someone addressing you by name is worth more than a generic comment ping.
+  comment_mention: { dailyLimit: 20, minGapMinutes: 0, cooldownMinutes: 0, priority: 'high' },
+  comment_reply: { dailyLimit: 15, minGapMinutes: 2, cooldownMinutes: 10 },
+  game_remixed: { dailyLimit: 10, minGapMinutes: 5, cooldownMinutes: 30 },
   game_played: { dailyLimit: 10, minGapMinutes: 10, cooldownMinutes: 240 },
   game_ready: { dailyLimit: 20, minGapMinutes: 0, cooldownMinutes: 0, priority: 'high' },
   game_failed: { dailyLimit: 20, minGapMinutes: 0, cooldownMinutes: 0, priority: 'high' },
   trending: { dailyLimit: 3, minGapMinutes: 90, cooldownMinutes: 720 },
+  // A follow graph can unlock a lot at once; keep this well under the marketing cap.
+  friend_achievement: { dailyLimit: 3, minGapMinutes: 30, cooldownMinutes: 360 },
   reengagement: { dailyLimit: 1, minGapMinutes: 240, cooldownMinutes: 1440 },
   reward: { dailyLimit: 1, minGapMinutes: 240, cooldownMinutes: 1440 },
   test: { dailyLimit: 99, minGapMinutes: 0, cooldownMinutes: 0, bypassThrottle: true },
@@ -239,6 +246,36 @@ async function notifyGameLiked(gameId, likedByUserId) {
   }
 }
 
+// `viaName` is set when the remix was of someone else's remix: the recipient
+// made the original further up the chain.
+async function notifyGameRemixed(ownerId, { remixerId, aiGameId, gameId = null, title, viaName = null }) {
+  try {
+    if (!ownerId || ownerId === remixerId) return;
+    const actor = await db.getUserById(remixerId);
+    const name = compactName(actor);
+    const gameName = title || 'your game';
+    const body = viaName
+      ? `${name} remixed ${viaName}'s take on "${gameName}". your original keeps mutating.`
+      : pick([
+          `${name} remixed "${gameName}". a new branch just sprouted.`,
+          `${name} took "${gameName}" and made it theirs.`,
+        ]);
+
+    await notifyUser(ownerId, {
+      type: 'social',
+      action: 'game_remixed',
+      title: viaName ? 'Your original is spreading' : 'Your game got remixed',
+      body,
+      actorUserId: remixerId,
+      gameId,
+      data: { type: 'social', action: 'game_remixed', gameId, aiGameId, userId: remixerId },
+      dedupeKey: `game_remixed:${aiGameId}:${remixerId}`,
+    });
+  } catch (error) {
+    console.error('[Notifications] Game remixed notification error:', error);
+  }
+}
+
 async function notifyGamePlayed(gameId, playedByUserId = null, anonymous = false) {
   try {
     const [actor, game] = await Promise.all([
@@ -328,7 +365,7 @@ async function sendTrendingGameSuggestions() {
       `SELECT g.id, g.name, g.plays, ag.user_id AS owner_id
        FROM games g
        JOIN ai_games ag ON g.embed_url = ('/api/ai/play/' || ag.id::text)
-       WHERE COALESCE(g.plays, 0) > 0
+       WHERE COALESCE(g.plays, 0) > 0 AND ${listedGameSql('g')}
        ORDER BY COALESCE(g.plays, 0) DESC, g.created_at DESC
        LIMIT 1`,
     );
@@ -380,6 +417,36 @@ async function notifyComment(gameId, commentedByUserId, gameOwnerId, commentText
   }, { dailyLimit: 12, minGapMinutes: 4, cooldownMinutes: 30 });
 }
 
+async function notifyCommentMention(gameId, commentId, authorId, mentionedUserId, commentText) {
+  const actor = await db.getUserById(authorId);
+  if (!actor || mentionedUserId === authorId) return;
+  return notifyUser(mentionedUserId, {
+    type: 'social',
+    action: 'comment_mention',
+    title: `${compactName(actor)} mentioned you`,
+    body: String(commentText || '').slice(0, 70),
+    actorUserId: authorId,
+    gameId,
+    data: { type: 'social', action: 'comment_mention', gameId, commentId, userId: authorId },
+    dedupeKey: `comment_mention:${commentId}:${mentionedUserId}`,
+  });
+}
+
+async function notifyCommentReply(gameId, commentId, authorId, parentAuthorId, commentText) {
+  const actor = await db.getUserById(authorId);
+  if (!actor || !parentAuthorId || parentAuthorId === authorId) return;
+  return notifyUser(parentAuthorId, {
+    type: 'social',
+    action: 'comment_reply',
+    title: `${compactName(actor)} replied to your comment`,
+    body: String(commentText || '').slice(0, 70),
+    actorUserId: authorId,
+    gameId,
+    data: { type: 'social', action: 'comment_reply', gameId, commentId, userId: authorId },
+    dedupeKey: `comment_reply:${commentId}`,
+  });
+}
+
 async function notifyFollow(followerId, followedUserId) {
   try {
     const follower = await db.getUserById(followerId);
@@ -543,7 +610,7 @@ async function notifyFriendAchievement(userId, friendName, achievementName) {
     body: `"${achievementName}". your move.`,
     data: { type: 'fomo', action: 'friend_achievement', achievement: achievementName },
     dedupeKey: `friend_achievement:${userId}:${friendName}:${achievementName}`,
-  }, { dailyLimit: 3, cooldownMinutes: 360 });
+  });
 }
 
 async function sendDailyInactiveNotifications() {
@@ -589,7 +656,10 @@ export {
   notifyLike,
   notifyGameLiked,
   notifyGamePlayed,
+  notifyGameRemixed,
   notifyComment,
+  notifyCommentMention,
+  notifyCommentReply,
   notifyFollow,
   notifyMessage,
   notifyScoreBeaten,
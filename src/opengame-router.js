@@ -1,26 +1,10 @@
 import express from 'express';
 import { randomUUID } from 'crypto';
 import pool from './db.js';
+import { requireAuth } from './auth.js';
 
 const router = express.Router();
 
-async function getUserIdFromRequest(req) {
-  const token = req.headers.authorization?.replace('Bearer ', '');
-  if (!token) {
-    const error = new Error('Unauthorized');
-    error.statusCode = 401;
-    throw error;
-  }
-
-  const result = await pool.query('SELECT id FROM users WHERE token = $1', [token]);
-  if (result.rows.length === 0) {
-    const error = new Error('Invalid session');
-    error.statusCode = 401;
-    throw error;
-  }
-  return result.rows[0].id;
-}
-
 async function ensureOpenGameQueueSchema() {
   await pool.query(`
     CREATE TABLE IF NOT EXISTS generation_jobs (
@@ -49,9 +33,9 @@ async function ensureOpenGameQueueSchema() {
   `);
 }
 
-router.post('/jobs', async (req, res) => {
+router.post('/jobs', requireAuth, async (req, res) => {
   try {
-    const userId = await getUserIdFromRequest(req);
+    const userId = req.userId;
     const prompt = String(req.body?.prompt || '').trim();
     if (!prompt) return res.status(400).json({ error: 'prompt is required' });
 
@@ -113,9 +97,9 @@ router.post('/jobs', async (req, res) => {
   }
 });
 
-router.get('/jobs/:jobId', async (req, res) => {
+router.get('/jobs/:jobId', requireAuth, async (req, res) => {
   try {
-    const userId = await getUserIdFromRequest(req);
+    const userId = req.userId;
     const result = await pool.query(
       `SELECT job.id,
               job.status,
@@ -150,9 +134,9 @@ router.get('/jobs/:jobId', async (req, res) => {
   }
 });
 
-router.post('/jobs/:jobId/cancel', async (req, res) => {
+router.post('/jobs/:jobId/cancel', requireAuth, async (req, res) => {
   try {
-    const userId = await getUserIdFromRequest(req);
+    const userId = req.userId;
     const result = await pool.query(
       `UPDATE generation_jobs
        SET status = 'canceled',
@@ -0,0 +1,285 @@
+/**
+ * PK Match State Machine
+ *
+ *   waiting ──(all ready)──▶ countdown ──(timer)──▶ playing ──▶ finished
+ *      │  ▲                      │                     │
+ *      │  └──(player dropped)────┘                     └──▶ abandoned
+ *      └──────────────────────────────────────────────────▶ abandoned
+ *
+ * The state lives in multiplayer_matches.state; every transition is a guarded
+ * UPDATE (compare-and-set on the current state), so a stale timer or a second
+ * socket can't move a match backwards. multiplayer_matches.status is kept in
+ * step for the REST endpoints that only know waiting/active/completed/cancelled.
+ *
+ * Finishing a match (with or without a forfeit) goes through finalizeMatch in
+ * multiplayer.js so ratings and match_results are written in one place.
+ */
+
+import pool from './db.js';
+
+export const PK_STATES = ['waiting', 'countdown', 'playing', 'finished', 'abandoned'];
+export const LIVE_PK_STATES = ['waiting', 'countdown', 'playing'];
+
+const TRANSITIONS = {
+  waiting: ['countdown', 'abandoned'],
+  countdown: ['playing', 'waiting', 'abandoned'],
+  playing: ['finished', 'abandoned'],
+  finished: [],
+  abandoned: []
+};
+
+const STATUS_FOR_STATE = {
+  waiting: 'waiting',
+  countdown: 'active',
+  playing: 'active',
+  finished: 'completed',
+  abandoned: 'cancelled'
+};
+
+export function canTransition(from, to) {
+  return (TRANSITIONS[from] || []).includes(to);
+}
+
+/**
+ * States a match may be in to move to `to`
+ */
+export function statesLeadingTo(to) {
+  return Object.keys(TRANSITIONS).filter(from => TRANSITIONS[from].includes(to));
+}
+
+// A match in play can be closed out without every final score after this long.
+export const PK_PLAY_TIMEOUT_MS = Number(process.env.PK_PLAY_TIMEOUT_MS || 30 * 60 * 1000);
+
+/**
+ * Whether a match may be completed on a participant's request: once every
+ * participant has a final score, or once it has been in play longer than
+ * PK_PLAY_TIMEOUT_MS. Before play starts there is nothing to complete.
+ */
+export function canCompleteMatch({ state, startedAt, finished, total }, now = Date.now()) {
+  if (state !== 'playing') return false;
+  if (total > 0 && finished === total) return true;
+  const started = startedAt ? new Date(startedAt).getTime() : NaN;
+  return Number.isFinite(started) && now - started >= PK_PLAY_TIMEOUT_MS;
+}
+
+/**
+ * Move a match to `to` if its current state allows it. Returns the updated
+ * row, or null if the match was not in a state that can make that move.
+ * `finished` is not handled here — use finalizeMatch.
+ */
+export async function transitionMatch(matchId, to, { countdownEndsAt = null } = {}) {
+  if (to === 'finished') throw new Error('Use finalizeMatch to finish a match');
+  const result = await pool.query(
+    `UPDATE multiplayer_matches
+     SET state = $2,
+         status = $3,
+         state_changed_at = NOW(),
+         countdown_ends_at = CASE WHEN $2 = 'countdown' THEN $4::timestamp ELSE NULL END,
+         started_at = CASE WHEN $2 = 'playing' THEN NOW() ELSE started_at END,
+         ended_at = CASE WHEN $2 = 'abandoned' THEN NOW() ELSE ended_at END
+     WHERE id = $1 AND state = ANY($5::text[])
+     RETURNING id, game_id, match_type, state, countdown_ends_at`,
+    [matchId, to, STATUS_FOR_STATE[to], countdownEndsAt, statesLeadingTo(to)]
+  );
+  return result.rows[0] || null;
+}
+
+/**
+ * Match + participants as sent to clients in `pk:state`
+ */
+export async function loadMatchSnapshot(matchId) {
+  const result = await pool.query(
+    `SELECT m.id, m.game_id, m.match_type, m.state, m.countdown_ends_at, m.winner_team,
+            m.rematch_of, m.metadata,
+            COALESCE(json_agg(json_build_object(
+              'userId', mp.user_id,
+              'team', mp.team,
+              'score', mp.score,
+              'status', mp.status,
+              'connected', mp.connected,
+              'disconnectedAt', mp.disconnected_at,
+              'username', u.username,
+              'displayName', u.display_name,
+              'avatar', u.avatar
+            ) ORDER BY mp.team) FILTER (WHERE mp.user_id IS NOT NULL), '[]') AS participants
+     FROM multiplayer_matches m
+     LEFT JOIN match_participants mp ON mp.match_id = m.id
+     LEFT JOIN users u ON u.id = mp.user_id
+     WHERE m.id = $1
+     GROUP BY m.id`,
+    [matchId]
+  );
+  const row = result.rows[0];
+  if (!row) return null;
+  return {
+    matchId: row.id,
+    gameId: row.game_id,
+    matchType: row.match_type,
+    state: row.state,
+    countdownEndsAt: row.countdown_ends_at,
+    winnerTeam: row.winner_team,
+    rematchOf: row.rematch_of,
+    rematchMatchId: row.metadata?.rematchMatchId || null,
+    participants: row.participants
+  };
+}
+
+/**
+ * Connecting records which replica (`nodeId`) holds the socket. Disconnecting
+ * only applies if that replica still does — a player who already rejoined
+ * elsewhere stays connected. Returns whether the row changed.
+ */
+export async function setParticipantConnected(matchId, userId, connected, nodeId) {
+  const result = await pool.query(
+    `UPDATE match_participants
+     SET connected = $3,
+         disconnected_at = CASE WHEN $3 THEN NULL ELSE NOW() END,
+         socket_node = CASE WHEN $3 THEN $4 ELSE socket_node END
+     WHERE match_id = $1 AND user_id = $2
+       AND ($3 OR socket_node IS NULL OR socket_node = $4)`,
+    [matchId, userId, connected, nodeId]
+  );
+  return result.rowCount > 0;
+}
+
+/**
+ * Mark a player ready. Returns true once every participant is ready.
+ */
+export async function markParticipantReady(matchId, userId) {
+  const result = await pool.query(
+    `WITH marked AS (
+       UPDATE match_participants SET status = 'ready'
+       WHERE match_id = $1 AND user_id = $2 AND status IN ('joined', 'ready')
+       RETURNING user_id
+     )
+     SELECT COUNT(*) FILTER (WHERE mp.status = 'ready' OR mp.user_id IN (SELECT user_id FROM marked))::int AS ready,
+            COUNT(*)::int AS total
+     FROM match_participants mp
+     WHERE mp.match_id = $1`,
+    [matchId, userId]
+  );
+  const { ready, total } = result.rows[0];
+  return total >= 2 && ready === total;
+}
+
+/**
+ * Back to the lobby after a countdown was interrupted: everyone re-readies.
+ */
+export async function resetReadiness(matchId) {
+  await pool.query(
+    `UPDATE match_participants SET status = 'joined'
+     WHERE match_id = $1 AND status = 'ready'`,
+    [matchId]
+  );
+}
+
+/**
+ * Record a player's final score. Returns true once every participant has one.
+ */
+export async function markParticipantFinished(matchId, userId, finalScore) {
+  await pool.query(
+    `UPDATE match_participants SET score = $3, status = 'finished'
+     WHERE match_id = $1 AND user_id = $2`,
+    [matchId, userId, finalScore]
+  );
+  const result = await pool.query(
+    `SELECT COUNT(*) FILTER (WHERE status = 'finished')::int AS finished, COUNT(*)::int AS total
+     FROM match_participants WHERE match_id = $1`,
+    [matchId]
+  );
+  const { finished, total } = result.rows[0];
+  return total > 0 && finished === total;
+}
+
+/**
+ * Participants of live matches still marked connected through a replica not in
+ * `liveNodeIds` are disconnected as of now; their grace period starts.
+ * Returns [{ matchId, userId, state }].
+ */
+export async function markOrphanedParticipantsDisconnected(liveNodeIds) {
+  const result = await pool.query(
+    `UPDATE match_participants mp
+     SET connected = FALSE, disconnected_at = NOW()
+     FROM multiplayer_matches m
+     WHERE m.id = mp.match_id
+       AND m.state = ANY($1::text[])
+       AND mp.connected
+       AND (mp.socket_node IS NULL OR NOT (mp.socket_node = ANY($2::text[])))
+     RETURNING mp.match_id, mp.user_id, m.state`,
+    [LIVE_PK_STATES, liveNodeIds]
+  );
+  return result.rows.map(r => ({ matchId: r.match_id, userId: r.user_id, state: r.state }));
+}
+
+/**
+ * Register a rematch request on a finished match. When every participant has
+ * asked, a new match is created with the same game, type and teams. Creation is
+ * guarded on metadata.rematchMatchId so it happens exactly once.
+ *
+ * Returns { requestedBy: [userIds], rematchMatchId | null }, or null if the
+ * match can't be rematched (not finished, or the window has passed).
+ */
+export async function requestRematch(matchId, userId, windowMs) {
+  const client = await pool.connect();
+  try {
+    await client.query('BEGIN');
+    const match = await client.query(
+      `SELECT id, game_id, match_type, metadata
+       FROM multiplayer_matches
+       WHERE id = $1 AND state = 'finished'
+         AND ended_at > NOW() - make_interval(secs => $2::float8 / 1000)
+       FOR UPDATE`,
+      [matchId, windowMs]
+    );
+    if (match.rows.length === 0) {
+      await client.query('ROLLBACK');
+      return null;
+    }
+    const metadata = match.rows[0].metadata || {};
+    if (metadata.rematchMatchId) {
+      await client.query('COMMIT');
+      return { requestedBy: metadata.rematchRequests || [], rematchMatchId: metadata.rematchMatchId };
+    }
+
+    const participants = await client.query(
+      'SELECT user_id, team FROM match_participants WHERE match_id = $1',
+      [matchId]
+    );
+    const requestedBy = Array.from(new Set([...(metadata.rematchRequests || []), userId]));
+    const everyone = participants.rows.every(p => requestedBy.includes(p.user_id));
+
+    let rematchMatchId = null;
+    if (everyone) {
+      const created = await client.query(
+        `INSERT INTO multiplayer_matches (game_id, match_type, status, state, rematch_of)
+         VALUES ($1, $2, 'waiting', 'waiting', $3)
+         RETURNING id`,
+        [match.rows[0].game_id, match.rows[0].match_type, matchId]
+      );
+      rematchMatchId = created.rows[0].id;
+      for (const p of participants.rows) {
+        await client.query(
+          'INSERT INTO match_participants (match_id, user_id, team) VALUES ($1, $2, $3)',
+          [rematchMatchId, p.user_id, p.team]
+        );
+      }
+    }
+
+    await client.query(
+      `UPDATE multiplayer_matches
+       SET metadata = COALESCE(metadata, '{}'::jsonb) || jsonb_build_object(
+         'rematchRequests', $2::jsonb,
+         'rematchMatchId', $3::text
+       )
+       WHERE id = $1`,
+      [matchId, JSON.stringify(requestedBy), rematchMatchId]
+    );
+    await client.query('COMMIT');
+    return { requestedBy, rematchMatchId };
+  } catch (error) {
+    await client.query('ROLLBACK').catch(() => {});
+    throw error;
+  } finally {
+    client.release();
+  }
+}
@@ -1,178 +1,456 @@
-import { Server } from 'socket.io';
+/**
+ * PK Mode socket
+ *
+ * Namespace `/pk` on the shared server (socket-server.js): the user comes from
+ * the connection's token, never from event payloads, and refusals arrive as
+ * `socket:error`. The match lifecycle lives in pk-match-state.js. Here:
+ *
+ * - pk:join { matchId }           join or rejoin; replies with pk:state
+ * - pk:ready { matchId }          when everyone is ready: countdown, then pk:game_start
+ * - pk:score / pk:game_over       only while playing, with a play session token
+ * - pk:leave { matchId }          leave now (forfeits a match in play)
+ * - pk:rematch { matchId }        after pk:match_end; pk:rematch_ready once all agree
+ *
+ * A dropped player has PK_RECONNECT_GRACE_MS to rejoin before the match is
+ * forfeited (during play) or abandoned (before it).
+ *
+ * Players of one match may sit on different replicas: room events go through
+ * pubsub.js, and each participant row records which replica holds the socket
+ * so the survivors can reclaim players when a replica goes away.
+ */
 import pool from './db.js';
+import { checkScoreSubmission } from './play-sessions.js';
+import { finalizeMatch } from './multiplayer.js';
+import { createNamespace, emitSocketError } from './socket-server.js';
+import { getPubSub, createRoomBroadcaster, NODE_TIMEOUT_MS } from './pubsub.js';
+import {
+  transitionMatch,
+  loadMatchSnapshot,
+  setParticipantConnected,
+  markParticipantReady,
+  resetReadiness,
+  markParticipantFinished,
+  markOrphanedParticipantsDisconnected,
+  requestRematch
+} from './pk-match-state.js';
 
-let io;
+let nsp;
+let bus = null;
+let rooms = null;
 
-// Active PK matches in memory
-const activePkMatches = new Map();
+const COUNTDOWN_MS = 3000;
+// How long a dropped player has to come back before the match is decided without them.
+const RECONNECT_GRACE_MS = Number(process.env.PK_RECONNECT_GRACE_MS || 30000);
+const REMATCH_WINDOW_MS = Number(process.env.PK_REMATCH_WINDOW_MS || 60000);
 
-export function initializePkSocket(server) {
-  io = new Server(server, {
-    cors: {
-      origin: '*',
-      methods: ['GET', 'POST']
+// Timers are the only in-memory state; everything they act on is re-read from
+// the database, and reclaimOrphanedPlayers() recreates them for players whose
+// replica went away.
+const countdownTimers = new Map(); // matchId -> timeout
+const graceTimers = new Map(); // `${matchId}:${userId}` -> timeout
+// matchId -> state, so score ticks don't need a query each. Written on every
+// transition any replica makes; falls back to the database when missing.
+const matchStates = new Map();
+
+const room = (matchId) => `pk_${matchId}`;
+
+function setCachedState(matchId, state) {
+  if (state === 'finished' || state === 'abandoned') matchStates.delete(matchId);
+  else matchStates.set(matchId, state);
+}
+
+// Other replicas' caches (and any countdown they are timing) follow our transitions.
+function announceState(matchId, state) {
+  setCachedState(matchId, state);
+  bus.publish('pk_state', { matchId, state });
+}
+
+function applyRemoteState({ matchId, state }) {
+  if (state === 'finished' || state === 'abandoned') {
+    clearMatchTimers(matchId);
+    return;
+  }
+  if (state !== 'countdown') clearCountdown(matchId);
+  setCachedState(matchId, state);
+}
+
+async function getMatchState(matchId) {
+  if (matchStates.has(matchId)) return matchStates.get(matchId);
+  const result = await pool.query('SELECT state FROM multiplayer_matches WHERE id = $1', [matchId]);
+  const state = result.rows[0]?.state || null;
+  if (state) setCachedState(matchId, state);
+  return state;
+}
+
+// The game is picked after the match is created (setMatchGame), so the id cached
+// at pk:join may still be empty — look it up again until it is set.
+async function resolveMatchGameId(socket, matchId) {
+  if (socket.matchGameId && socket.matchId === matchId) return socket.matchGameId;
+  const result = await pool.query('SELECT game_id FROM multiplayer_matches WHERE id = $1', [matchId]);
+  const gameId = result.rows[0]?.game_id || null;
+  if (socket.matchId === matchId) socket.matchGameId = gameId;
+  return gameId;
+}
+
+async function checkPkScore(socket, { matchId, score, sessionToken, final = false }) {
+  try {
+    const gameId = await resolveMatchGameId(socket, matchId);
+    return await checkScoreSubmission({ token: sessionToken, gameId, userId: socket.userId, score, source: 'pk', final });
+  } catch (err) {
+    console.error('Error checking PK score:', err);
+    return { ok: false, reason: 'check_failed' };
+  }
+}
+
+async function emitState(matchId) {
+  const snapshot = await loadMatchSnapshot(matchId);
+  if (snapshot) rooms.to(room(matchId), 'pk:state', snapshot);
+  return snapshot;
+}
+
+function clearCountdown(matchId) {
+  clearTimeout(countdownTimers.get(matchId));
+  countdownTimers.delete(matchId);
+}
+
+function clearGrace(matchId, userId) {
+  const key = `${matchId}:${userId}`;
+  clearTimeout(graceTimers.get(key));
+  graceTimers.delete(key);
+}
+
+function clearMatchTimers(matchId) {
+  clearCountdown(matchId);
+  for (const key of graceTimers.keys()) {
+    if (key.startsWith(`${matchId}:`)) {
+      clearTimeout(graceTimers.get(key));
+      graceTimers.delete(key);
     }
+  }
+  matchStates.delete(matchId);
+}
+
+function scheduleGameStart(matchId, delayMs) {
+  clearCountdown(matchId);
+  countdownTimers.set(matchId, setTimeout(() => {
+    countdownTimers.delete(matchId);
+    startPlaying(matchId).catch((err) => console.error('Error starting PK match:', err));
+  }, Math.max(0, delayMs)));
+}
+
+async function startPlaying(matchId) {
+  const moved = await transitionMatch(matchId, 'playing');
+  if (!moved) return;
+  announceState(matchId, 'playing');
+  rooms.to(room(matchId), 'pk:game_start', { matchId });
+  await emitState(matchId);
+}
+
+async function endMatch(matchId, options = {}) {
+  const outcome = await finalizeMatch(matchId, options);
+  clearMatchTimers(matchId);
+  if (!outcome || outcome.alreadyCompleted) return outcome;
+  announceState(matchId, 'finished');
+
+  const snapshot = await loadMatchSnapshot(matchId);
+  const winner = outcome.winnerTeam
+    ? snapshot?.participants
+      .filter(p => p.team === outcome.winnerTeam)
+      .sort((a, b) => b.score - a.score)[0]
+    : null;
+
+  rooms.to(room(matchId), 'pk:match_end', {
+    matchId,
+    winnerId: winner?.userId || null,
+    winnerTeam: outcome.winnerTeam,
+    reason: outcome.reason,
+    scores: (snapshot?.participants || []).map(p => ({ user_id: p.userId, score: p.score })),
+    ratings: outcome.ratings,
+    rematchWindowMs: REMATCH_WINDOW_MS
   });
+  return outcome;
+}
+
+async function abandonMatch(matchId, reason) {
+  const moved = await transitionMatch(matchId, 'abandoned');
+  clearMatchTimers(matchId);
+  if (!moved) return;
+  announceState(matchId, 'abandoned');
+  rooms.to(room(matchId), 'pk:match_abandoned', { matchId, reason });
+}
+
+/**
+ * A player's grace period ran out (or they left on purpose). Before the game
+ * starts that abandons the match; during play the side that is still present
+ * wins by forfeit, and if nobody is present the match is abandoned unrated.
+ */
+async function resolveDeparture(matchId, userId, reason = 'disconnect') {
+  clearGrace(matchId, userId);
+  const snapshot = await loadMatchSnapshot(matchId);
+  if (!snapshot) return;
+  const leaver = snapshot.participants.find(p => p.userId === userId);
+  if (!leaver || (leaver.connected && reason === 'disconnect')) return;
+
+  if (snapshot.state === 'waiting' || snapshot.state === 'countdown') {
+    await abandonMatch(matchId, reason);
+    return;
+  }
+  if (snapshot.state !== 'playing') return;
 
-  io.on('connection', (socket) => {
+  const present = snapshot.participants.filter(p => p.connected && p.userId !== userId);
+  const leaverTeamPresent = present.some(p => p.team === leaver.team);
+  if (leaverTeamPresent) return; // a teammate is still playing
+  if (present.length === 0) {
+    await abandonMatch(matchId, 'all_disconnected');
+    return;
+  }
+  await endMatch(matchId, { winnerTeam: leaver.team === 1 ? 2 : 1, reason: 'forfeit' });
+}
+
+function scheduleGrace(matchId, userId, delayMs = RECONNECT_GRACE_MS) {
+  clearGrace(matchId, userId);
+  graceTimers.set(`${matchId}:${userId}`, setTimeout(() => {
+    resolveDeparture(matchId, userId).catch((err) => console.error('Error resolving PK departure:', err));
+  }, delayMs));
+}
+
+/**
+ * Players still marked connected through a replica that is gone (crashed, or
+ * this process before a restart) get the usual grace period to reconnect —
+ * socket.io clients rejoin on their own — and interrupted countdowns go back to
+ * the lobby. Only rows still marked connected are updated, so when several
+ * replicas sweep at once each player is reclaimed by exactly one of them.
+ */
+async function reclaimOrphanedPlayers() {
+  const orphaned = await markOrphanedParticipantsDisconnected(bus.liveNodeIds());
+  const countdowns = new Set(orphaned.filter(p => p.state === 'countdown').map(p => p.matchId));
+  for (const matchId of countdowns) {
+    if (await transitionMatch(matchId, 'waiting')) {
+      await resetReadiness(matchId);
+      announceState(matchId, 'waiting');
+    }
+  }
+  for (const { matchId, userId } of orphaned) {
+    rooms.to(room(matchId), 'pk:player_left', { userId, graceMs: RECONNECT_GRACE_MS });
+    scheduleGrace(matchId, userId);
+  }
+  if (orphaned.length > 0) console.log(`[PK] Reclaimed ${orphaned.length} players from departed replicas`);
+}
+
+export function initializePkSocket(io) {
+  // Score ticks several times a second, plus the occasional lifecycle event.
+  nsp = createNamespace(io, '/pk', { rateLimit: { capacity: 60, refillPerSecond: 15 } });
+
+  bus = getPubSub();
+  rooms = createRoomBroadcaster(bus, nsp, 'pk');
+  bus.subscribe('pk_state', applyRemoteState);
+
+  // Wait until we've heard from the other replicas before deciding whose players are orphaned.
+  const reclaim = () => reclaimOrphanedPlayers().catch((err) => console.error('Error reclaiming PK players:', err));
+  setTimeout(reclaim, NODE_TIMEOUT_MS).unref?.();
+  bus.onNodeDown(reclaim);
+
+  nsp.on('connection', (socket) => {
     console.log('PK Socket connected:', socket.id);
 
-    // Join PK match room
-    socket.on('pk:join', async ({ matchId, userId }) => {
-      socket.join(`pk_${matchId}`);
-      socket.userId = userId;
-      socket.matchId = matchId;
+    const inMatch = (matchId) => matchId && socket.matchId === matchId;
 
+    // Join (or rejoin) a PK match room
+    socket.on('pk:join', async ({ matchId } = {}) => {
       try {
-        // Get match data
-        const matchResult = await pool.query(
-          'SELECT * FROM multiplayer_matches WHERE id = $1',
-          [matchId]
-        );
+        const snapshot = await loadMatchSnapshot(matchId);
+        const me = snapshot?.participants.find(p => p.userId === socket.userId);
+        if (!me) {
+          emitSocketError(socket, { event: 'pk:join', code: 'forbidden', message: 'Not in this match', matchId });
+          return;
+        }
+        if (snapshot.state === 'finished' || snapshot.state === 'abandoned') {
+          socket.emit('pk:state', snapshot);
+          return;
+        }
+
+        socket.join(room(matchId));
+        socket.matchId = matchId;
+        // Scores for this match must come from a play session for the match's game.
+        socket.matchGameId = snapshot.gameId;
+        setCachedState(matchId, snapshot.state);
 
-        // Notify room that player joined
-        io.to(`pk_${matchId}`).emit('pk:player_joined', {
-          userId,
+        // The grace timer may be running on another replica; it re-reads
+        // `connected` when it fires, so clearing ours is enough.
+        const reconnecting = !me.connected && Boolean(me.disconnectedAt);
+        clearGrace(matchId, socket.userId);
+        await setParticipantConnected(matchId, socket.userId, true, bus.nodeId);
+
+        rooms.to(room(matchId), reconnecting ? 'pk:player_reconnected' : 'pk:player_joined', {
+          userId: socket.userId,
           timestamp: Date.now()
         });
+        await emitState(matchId);
 
-        console.log(`User ${userId} joined PK match ${matchId}`);
+        console.log(`User ${socket.userId} ${reconnecting ? 'rejoined' : 'joined'} PK match ${matchId}`);
       } catch (err) {
         console.error('Error joining PK room:', err);
       }
     });
 
-    // Player ready
-    socket.on('pk:ready', async ({ matchId, userId }) => {
-      io.to(`pk_${matchId}`).emit('pk:player_ready', { userId });
-
-      // Check if all players ready
-      const match = activePkMatches.get(matchId) || { readyPlayers: [] };
-      match.readyPlayers = match.readyPlayers || [];
-      if (!match.readyPlayers.includes(userId)) {
-        match.readyPlayers.push(userId);
-      }
-      activePkMatches.set(matchId, match);
-
+    // Player ready; once everyone is, count down and start
+    socket.on('pk:ready', async ({ matchId } = {}) => {
+      if (!inMatch(matchId)) return;
       try {
-        // If all players ready, start countdown
-        const participantsResult = await pool.query(
-          'SELECT user_id FROM match_participants WHERE match_id = $1',
-          [matchId]
-        );
-        const participants = participantsResult.rows;
+        if (await getMatchState(matchId) !== 'waiting') return;
+        if (!(await resolveMatchGameId(socket, matchId))) {
+          emitSocketError(socket, { event: 'pk:ready', code: 'invalid_state', message: 'Pick a game first', matchId });
+          return;
+        }
 
-        if (match.readyPlayers.length === participants.length && participants.length > 0) {
-          io.to(`pk_${matchId}`).emit('pk:countdown_start', {
-            seconds: 3
-          });
+        const allReady = await markParticipantReady(matchId, socket.userId);
+        rooms.to(room(matchId), 'pk:player_ready', { userId: socket.userId });
+        if (!allReady) return;
 
-          setTimeout(() => {
-            io.to(`pk_${matchId}`).emit('pk:game_start');
-          }, 3000);
-        }
+        const countdownEndsAt = new Date(Date.now() + COUNTDOWN_MS);
+        const moved = await transitionMatch(matchId, 'countdown', { countdownEndsAt });
+        if (!moved) return;
+        announceState(matchId, 'countdown');
+        rooms.to(room(matchId), 'pk:countdown_start', {
+          seconds: COUNTDOWN_MS / 1000,
+          endsAt: countdownEndsAt.toISOString()
+        });
+        scheduleGameStart(matchId, COUNTDOWN_MS);
       } catch (err) {
         console.error('Error handling player ready:', err);
       }
     });
 
     // Score update
-    socket.on('pk:score', async ({ matchId, userId, score }) => {
+    socket.on('pk:score', async ({ matchId, score, sessionToken } = {}) => {
+      if (!inMatch(matchId)) return;
+      if (await getMatchState(matchId).catch(() => null) !== 'playing') {
+        emitSocketError(socket, { event: 'pk:score', code: 'invalid_state', message: 'Match is not in play', matchId });
+        return;
+      }
+      const check = await checkPkScore(socket, { matchId, score, sessionToken });
+      if (!check.ok) {
+        emitSocketError(socket, { event: 'pk:score', code: 'score_rejected', message: 'Score rejected', matchId, reason: check.reason });
+        return;
+      }
+
       // Broadcast to all players in room
-      socket.to(`pk_${matchId}`).emit('pk:score_update', {
-        userId,
+      rooms.to(room(matchId), 'pk:score_update', {
+        userId: socket.userId,
         score,
         timestamp: Date.now()
-      });
+      }, { except: socket.id });
 
       try {
         // Update in database
         await pool.query(
-          'UPDATE match_participants SET score = $1 WHERE match_id = $2 AND user_id = $3',
-          [score, matchId, userId]
+          "UPDATE match_participants SET score = $1, status = 'playing' WHERE match_id = $2 AND user_id = $3 AND status <> 'finished'",
+          [score, matchId, socket.userId]
         );
-
-        console.log(`PK ${matchId}: User ${userId} score: ${score}`);
       } catch (err) {
         console.error('Error updating PK score:', err);
       }
     });
 
     // Game over
-    socket.on('pk:game_over', async ({ matchId, userId, finalScore }) => {
+    socket.on('pk:game_over', async ({ matchId, finalScore, sessionToken } = {}) => {
+      if (!inMatch(matchId)) return;
+      if (await getMatchState(matchId).catch(() => null) !== 'playing') {
+        emitSocketError(socket, { event: 'pk:game_over', code: 'invalid_state', message: 'Match is not in play', matchId });
+        return;
+      }
+      const check = await checkPkScore(socket, { matchId, score: finalScore, sessionToken, final: true });
+      if (!check.ok) {
+        emitSocketError(socket, { event: 'pk:game_over', code: 'score_rejected', message: 'Score rejected', matchId, reason: check.reason });
+        return;
+      }
+
       try {
-        // Update final score
-        await pool.query(
-          "UPDATE match_participants SET score = $1, status = 'finished' WHERE match_id = $2 AND user_id = $3",
-          [finalScore, matchId, userId]
-        );
+        const allFinished = await markParticipantFinished(matchId, socket.userId, finalScore);
+        if (allFinished) await endMatch(matchId);
+      } catch (err) {
+        console.error('Error handling game over:', err);
+      }
+    });
 
-        // Check if all players finished
-        const participantsResult = await pool.query(
-          "SELECT user_id, score FROM match_participants WHERE match_id = $1 AND status = 'finished'",
-          [matchId]
-        );
-        const finishedParticipants = participantsResult.rows;
+    // Leaving on purpose: no grace period
+    socket.on('pk:leave', async ({ matchId } = {}) => {
+      if (!inMatch(matchId)) return;
+      try {
+        await setParticipantConnected(matchId, socket.userId, false, bus.nodeId);
+        socket.leave(room(matchId));
+        socket.matchId = null;
+        rooms.to(room(matchId), 'pk:player_left', { userId: socket.userId, graceMs: 0 });
+        await resolveDeparture(matchId, socket.userId, 'left');
+      } catch (err) {
+        console.error('Error handling PK leave:', err);
+      }
+    });
 
-        const allParticipantsResult = await pool.query(
-          'SELECT user_id FROM match_participants WHERE match_id = $1',
-          [matchId]
-        );
-        const allParticipants = allParticipantsResult.rows;
-
-        if (finishedParticipants.length === allParticipants.length && allParticipants.length > 0) {
-          // All players finished - determine winner
-          const winner = finishedParticipants.reduce((prev, current) =>
-            (current.score > prev.score) ? current : prev
-          );
-
-          const teamResult = await pool.query(
-            'SELECT team FROM match_participants WHERE match_id = $1 AND user_id = $2',
-            [matchId, winner.user_id]
-          );
-          const winnerTeam = teamResult.rows[0]?.team || null;
-
-          // Update match status
-          await pool.query(
-            "UPDATE multiplayer_matches SET status = 'completed', winner_team = $1, ended_at = CURRENT_TIMESTAMP WHERE id = $2",
-            [winnerTeam, matchId]
-          );
-
-          // PK rewards system removed
-
-          // Broadcast results
-          io.to(`pk_${matchId}`).emit('pk:match_end', {
-            winnerId: winner.user_id,
-            scores: finishedParticipants
+    // Rematch: once every participant asks, a new match is created and announced
+    socket.on('pk:rematch', async ({ matchId } = {}) => {
+      try {
+        const rematch = await requestRematch(matchId, socket.userId, REMATCH_WINDOW_MS);
+        if (!rematch) {
+          emitSocketError(socket, { event: 'pk:rematch', code: 'invalid_state', message: 'Rematch is no longer available', matchId });
+          return;
+        }
+        if (rematch.rematchMatchId) {
+          rooms.to(room(matchId), 'pk:rematch_ready', {
+            previousMatchId: matchId,
+            matchId: rematch.rematchMatchId
+          });
+        } else {
+          rooms.to(room(matchId), 'pk:rematch_requested', {
+            matchId,
+            userId: socket.userId,
+            requestedBy: rematch.requestedBy
           });
-
-          // Clean up
-          activePkMatches.delete(matchId);
         }
       } catch (err) {
-        console.error('Error handling game over:', err);
+        console.error('Error handling PK rematch:', err);
       }
     });
 
     // Chat message
-    socket.on('pk:chat', ({ matchId, userId, message }) => {
-      io.to(`pk_${matchId}`).emit('pk:chat_message', {
-        userId,
+    socket.on('pk:chat', ({ matchId, message } = {}) => {
+      if (!inMatch(matchId)) return;
+      rooms.to(room(matchId), 'pk:chat_message', {
+        userId: socket.userId,
         message,
         timestamp: Date.now()
       });
     });
 
-    // Disconnect
-    socket.on('disconnect', () => {
-      if (socket.matchId) {
-        io.to(`pk_${socket.matchId}`).emit('pk:player_left', {
-          userId: socket.userId
+    // Disconnect: hold the seat for the grace period
+    socket.on('disconnect', async () => {
+      console.log('PK Socket disconnected:', socket.id);
+      const matchId = socket.matchId;
+      if (!matchId) return;
+      try {
+        const state = await getMatchState(matchId);
+        if (!state || state === 'finished' || state === 'abandoned') return;
+
+        // Already rejoined through another socket: nothing to hold.
+        if (!(await setParticipantConnected(matchId, socket.userId, false, bus.nodeId))) return;
+        rooms.to(room(matchId), 'pk:player_left', {
+          userId: socket.userId,
+          graceMs: RECONNECT_GRACE_MS
         });
+
+        // A countdown can't start without everyone; back to the lobby.
+        if (state === 'countdown' && await transitionMatch(matchId, 'waiting')) {
+          clearCountdown(matchId);
+          announceState(matchId, 'waiting');
+          await resetReadiness(matchId);
+          await emitState(matchId);
+        }
+        scheduleGrace(matchId, socket.userId);
+      } catch (err) {
+        console.error('Error handling PK disconnect:', err);
       }
-      console.log('PK Socket disconnected:', socket.id);
     });
   });
 
-  return io;
+  return nsp;
 }
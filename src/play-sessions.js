@@ -0,0 +1,276 @@
+/**
+ * Play sessions — the server-side trust model for every score we accept.
+ *
+ * `POST /api/games/:id/play` issues a short-lived signed token bound to
+ * (game, user, start time). Every score path — REST `POST /api/scores` and
+ * `POST /api/multiplayer/matches/:id/score`, the score-lobby `lobby:score`
+ * event and PK `pk:score` / `pk:game_over` — must
+ * present it, and the score is checked against how long the session has
+ * actually been running and the game's plausibility envelope:
+ *
+ *   score <= min(score_max, burst + score_rate_max * elapsedSeconds)
+ *
+ * The token is a plain HS256 JWT so the socket paths can verify it without a
+ * database round trip per tick. The REST path additionally consumes the session
+ * row, so one play produces at most one persisted score (and one bump to
+ * users.total_score). Rejections are written to `score_rejections` so abuse is
+ * visible rather than silently dropped, capped per session so a client firing
+ * bad live ticks can't turn into a write flood. Expired sessions and old
+ * rejections are pruned daily (prunePlaySessions).
+ */
+
+import crypto from 'crypto';
+import jwt from 'jsonwebtoken';
+import pool from './db.js';
+
+const SESSION_TTL_MINUTES = Math.max(5, Number(process.env.PLAY_SESSION_TTL_MINUTES || 240));
+const DEFAULT_SCORE_MAX = Math.max(1, Number(process.env.SCORE_MAX_DEFAULT || 10_000_000));
+const DEFAULT_SCORE_RATE_MAX = Math.max(1, Number(process.env.SCORE_RATE_MAX_DEFAULT || 1000));
+const DEFAULT_SCORE_BURST = Math.max(0, Number(process.env.SCORE_BURST_DEFAULT || 100));
+const MIN_SESSION_MS = Math.max(0, Number(process.env.PLAY_SESSION_MIN_MS || 1000));
+const ENVELOPE_CACHE_MS = 60_000;
+const TOKEN_AUDIENCE = 'gametok:play-session';
+// Rejections recorded per session (or per user, game and source without one) per window.
+const REJECTION_WINDOW_MS = 60_000;
+const MAX_REJECTIONS_PER_WINDOW = 5;
+const MAX_TRACKED_REJECTION_KEYS = 10_000;
+const REJECTION_RETENTION_DAYS = Math.max(1, Number(process.env.SCORE_REJECTION_RETENTION_DAYS || 30));
+
+// Without a configured secret in dev, sessions are signed with a per-process key:
+// tokens stop verifying on restart, which is fine locally. Production refuses to
+// start rather than signing with something guessable, or failing every play later.
+const SIGNING_SECRET = process.env.PLAY_SESSION_SECRET || (() => {
+    if (process.env.NODE_ENV === 'production') {
+        throw new Error('PLAY_SESSION_SECRET is required in production');
+    }
+    return crypto.randomBytes(32).toString('hex');
+})();
+
+export async function ensurePlaySessionTables() {
+    await pool.query(`
+        ALTER TABLE games ADD COLUMN IF NOT EXISTS score_max INTEGER;
+        ALTER TABLE games ADD COLUMN IF NOT EXISTS score_rate_max REAL;
+
+        CREATE TABLE IF NOT EXISTS play_sessions (
+            id UUID PRIMARY KEY,
+            user_id UUID REFERENCES users(id) ON DELETE CASCADE,
+            client_id VARCHAR(255),
+            game_id VARCHAR(100) REFERENCES games(id) ON DELETE CASCADE,
+            started_at TIMESTAMP NOT NULL DEFAULT NOW(),
+            expires_at TIMESTAMP NOT NULL,
+            submitted_at TIMESTAMP,
+            submitted_score INTEGER
+        );
+
+        CREATE TABLE IF NOT EXISTS score_rejections (
+            id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+            session_id UUID,
+            user_id UUID REFERENCES users(id) ON DELETE SET NULL,
+            game_id VARCHAR(100),
+            source VARCHAR(16) NOT NULL,
+            score DOUBLE PRECISION,
+            reason VARCHAR(40) NOT NULL,
+            elapsed_ms INTEGER,
+            created_at TIMESTAMP DEFAULT NOW()
+        );
+
+        CREATE INDEX IF NOT EXISTS idx_play_sessions_user ON play_sessions(user_id, started_at DESC);
+        CREATE INDEX IF NOT EXISTS idx_play_sessions_expires ON play_sessions(expires_at);
+        CREATE INDEX IF NOT EXISTS idx_score_rejections_created ON score_rejections(created_at DESC);
+        CREATE INDEX IF NOT EXISTS idx_score_rejections_user ON score_rejections(user_id, created_at DESC);
+    `);
+}
+
+/**
+ * Drop sessions that can no longer be submitted against (their tokens have
+ * expired too) and rejections past REJECTION_RETENTION_DAYS.
+ */
+export async function prunePlaySessions() {
+    const sessions = await pool.query('DELETE FROM play_sessions WHERE expires_at < NOW()');
+    const rejections = await pool.query(
+        `DELETE FROM score_rejections WHERE created_at < NOW() - ($1::text || ' days')::interval`,
+        [REJECTION_RETENTION_DAYS]
+    );
+    return { sessions: sessions.rowCount, rejections: rejections.rowCount };
+}
+
+// gameId -> { envelope, fetchedAt }
+const envelopeCache = new Map();
+
+/**
+ * The per-game plausibility envelope. Games without an explicit `score_max` /
+ * `score_rate_max` fall back to the env defaults, which are deliberately loose:
+ * the point is to stop "999999999 at t=0", not to model every game.
+ */
+export async function getScoreEnvelope(gameId) {
+    const cached = envelopeCache.get(gameId);
+    if (cached && Date.now() - cached.fetchedAt < ENVELOPE_CACHE_MS) return cached.envelope;
+
+    const { rows } = await pool.query(
+        'SELECT score_max, score_rate_max FROM games WHERE id = $1',
+        [gameId]
+    );
+    const row = rows[0] || {};
+    const envelope = {
+        maxScore: Number(row.score_max) > 0 ? Number(row.score_max) : DEFAULT_SCORE_MAX,
+        maxPointsPerSecond: Number(row.score_rate_max) > 0 ? Number(row.score_rate_max) : DEFAULT_SCORE_RATE_MAX,
+        burst: DEFAULT_SCORE_BURST,
+        minSessionMs: MIN_SESSION_MS,
+    };
+    envelopeCache.set(gameId, { envelope, fetchedAt: Date.now() });
+    return envelope;
+}
+
+export function forgetScoreEnvelope(gameId) {
+    envelopeCache.delete(gameId);
+}
+
+/**
+ * Pure bounds check. Returns `{ ok: true }` or `{ ok: false, reason }`.
+ * The minimum session length is only enforced for final submissions — live socket updates
+ * legitimately start arriving in the first second.
+ */
+export function evaluateScoreSubmission({ score, elapsedMs, envelope, enforceMinElapsed = false }) {
+    if (typeof score !== 'number' || !Number.isFinite(score) || score < 0 || !Number.isInteger(score)) {
+        return { ok: false, reason: 'invalid_score' };
+    }
+    const elapsed = Math.max(0, Number(elapsedMs) || 0);
+    if (enforceMinElapsed && elapsed < (envelope.minSessionMs || 0)) {
+        return { ok: false, reason: 'too_early' };
+    }
+    if (score > envelope.maxScore) {
+        return { ok: false, reason: 'above_ceiling' };
+    }
+    const allowed = (envelope.burst || 0) + envelope.maxPointsPerSecond * (elapsed / 1000);
+    if (score > allowed) {
+        return { ok: false, reason: 'rate_exceeded' };
+    }
+    return { ok: true };
+}
+
+/**
+ * Issue a session for one play of `gameId`. `userId` is null for anonymous
+ * players; their scores are still bounded, just not attributed.
+ */
+export async function issuePlaySession({ gameId, userId = null, clientId = null }) {
+    const sessionId = crypto.randomUUID();
+    const startedAt = Date.now();
+    const expiresAt = new Date(startedAt + SESSION_TTL_MINUTES * 60_000);
+
+    await pool.query(
+        `INSERT INTO play_sessions (id, user_id, client_id, game_id, started_at, expires_at)
+         VALUES ($1, $2, $3, $4, to_timestamp($5 / 1000.0), $6)`,
+        [sessionId, userId, clientId || null, gameId, startedAt, expiresAt]
+    );
+
+    const token = jwt.sign(
+        { sid: sessionId, gid: gameId, uid: userId, t: startedAt },
+        SIGNING_SECRET,
+        { expiresIn: SESSION_TTL_MINUTES * 60, audience: TOKEN_AUDIENCE }
+    );
+    return { token, sessionId, expiresAt: expiresAt.toISOString() };
+}
+
+/** Verify signature + expiry. Returns the claims or null. */
+export function verifyPlaySessionToken(token) {
+    if (!token || typeof token !== 'string') return null;
+    try {
+        const claims = jwt.verify(token, SIGNING_SECRET, { audience: TOKEN_AUDIENCE });
+        if (!claims?.sid || !claims?.gid || !Number.isFinite(claims?.t)) return null;
+        return claims;
+    } catch {
+        return null;
+    }
+}
+
+// key -> { startedAt, count }
+const rejectionWindows = new Map();
+
+/**
+ * Whether another rejection for `key` may be recorded in the current window.
+ * The rest of the window is dropped; one line is logged when a key first hits
+ * the cap so the flood itself is still visible.
+ */
+export function admitScoreRejection(key, now = Date.now()) {
+    let window = rejectionWindows.get(key);
+    if (!window || now - window.startedAt >= REJECTION_WINDOW_MS) {
+        if (rejectionWindows.size >= MAX_TRACKED_REJECTION_KEYS) {
+            for (const [staleKey, stale] of rejectionWindows) {
+                if (now - stale.startedAt >= REJECTION_WINDOW_MS) rejectionWindows.delete(staleKey);
+            }
+            if (rejectionWindows.size >= MAX_TRACKED_REJECTION_KEYS) return false;
+        }
+        window = { startedAt: now, count: 0 };
+        rejectionWindows.set(key, window);
+    }
+    window.count += 1;
+    if (window.count === MAX_REJECTIONS_PER_WINDOW + 1) {
+        console.warn(`[Scores] Too many rejected submissions for ${key}; dropping the rest of this minute`);
+    }
+    return window.count <= MAX_REJECTIONS_PER_WINDOW;
+}
+
+export async function recordScoreRejection({ sessionId = null, userId = null, gameId = null, source, score, reason, elapsedMs = null }) {
+    if (!admitScoreRejection(sessionId || `${userId || 'anon'}:${gameId}:${source}`)) return;
+    try {
+        await pool.query(
+            `INSERT INTO score_rejections (session_id, user_id, game_id, source, score, reason, elapsed_ms)
+             VALUES ($1, $2, $3, $4, $5, $6, $7)`,
+            [
+                sessionId,
+                userId,
+                gameId,
+                source,
+                typeof score === 'number' && Number.isFinite(score) ? score : null,
+                reason,
+                Number.isFinite(elapsedMs) ? Math.round(elapsedMs) : null,
+            ]
+        );
+    } catch (err) {
+        console.error('[Scores] Failed to record rejection:', err.message);
+    }
+}
+
+/**
+ * The one check every score path goes through. `gameId` and `userId` are what
+ * the caller is claiming; both must match what the session was issued for.
+ * Rejections are logged before returning.
+ *
+ * Returns `{ ok: true, claims, elapsedMs }` or `{ ok: false, reason }`.
+ */
+export async function checkScoreSubmission({ token, gameId, userId = null, score, source, final = false }) {
+    const reject = (reason, extra = {}) => {
+        recordScoreRejection({ userId, gameId, source, score, reason, ...extra }).catch(() => {});
+        return { ok: false, reason };
+    };
+
+    if (!token) return reject('missing_session');
+    const claims = verifyPlaySessionToken(token);
+    if (!claims) return reject('invalid_session');
+
+    const sessionId = claims.sid;
+    if (!gameId || String(claims.gid) !== String(gameId)) return reject('game_mismatch', { sessionId });
+    if ((claims.uid || null) !== (userId || null)) return reject('user_mismatch', { sessionId });
+
+    const elapsedMs = Date.now() - claims.t;
+    const envelope = await getScoreEnvelope(claims.gid);
+    const verdict = evaluateScoreSubmission({ score, elapsedMs, envelope, enforceMinElapsed: final });
+    if (!verdict.ok) return reject(verdict.reason, { sessionId, elapsedMs });
+
+    return { ok: true, claims, elapsedMs };
+}
+
+/**
+ * Mark a session as having produced its final score. Atomic, so replaying the
+ * same token only ever persists one score. Returns false if already consumed.
+ */
+export async function consumePlaySession(sessionId, score) {
+    const result = await pool.query(
+        `UPDATE play_sessions
+         SET submitted_at = NOW(), submitted_score = $2
+         WHERE id = $1 AND submitted_at IS NULL AND expires_at > NOW()
+         RETURNING id`,
+        [sessionId, score]
+    );
+    return result.rows.length > 0;
+}
@@ -9,8 +9,8 @@
  *   initializePresenceSocket(httpServer);
  *   app.use('/api/presence', presenceRouter);
  *
- * Client (Socket.IO):
- *   const sock = io(`${SOCKET_URL}/presence`, { auth: { userId } });
+ * Client (Socket.IO) — namespace `/presence` on the shared server (socket-server.js):
+ *   const sock = io(`${SOCKET_URL}/presence`, { auth: { token } });
  *   sock.emit('presence:set', { status: 'in-game' });   // change status
  *   sock.emit('presence:beat');                         // heartbeat (every 25s)
  *   sock.on('presence:update', ({ userId, status }) => {...}); // friend status change
@@ -18,19 +18,29 @@
  * Statuses time-out:
  *   - online → idle if no beat for 60s
  *   - idle → offline if no beat for 120s (we just remove the entry)
+ *
+ * Statuses are shared across replicas (pubsub.js); heartbeats and the sweep
+ * stay with the replica that holds the socket. Updates go to per-user rooms,
+ * so a follower connected to another replica still hears about them.
  */
 
-import { Server } from 'socket.io';
 import express from 'express';
 import pool from './db.js';
+import { createNamespace } from './socket-server.js';
+import { getPubSub, createRoomBroadcaster, createSharedRegistry } from './pubsub.js';
 
 const HEARTBEAT_GRACE_MS = 60_000;       // mark idle after 60s of no beat
 const OFFLINE_GRACE_MS = 120_000;         // remove from online list after 120s
 
-let io = null;
+let nsp = null;
+let rooms = null;
+
+// Cluster-wide: userId -> { status }
+let presence = null;
+// Sockets on this replica: userId -> { lastBeat, socketId }
+const localBeats = new Map();
 
-// userId -> { status, lastBeat, socketId, prevStatus }
-const presence = new Map();
+const userRoom = (userId) => `presence_user_${userId}`;
 
 // userId -> Set<userId> follower cache (refreshed lazily)
 const followersCache = new Map();
@@ -57,46 +67,46 @@ async function getFollowersOf(userId) {
 }
 
 async function broadcastPresence(userId, status) {
-    if (!io) return;
+    if (!rooms) return;
     const followers = await getFollowersOf(userId);
+    const targets = [];
     for (const followerId of followers) {
-        const entry = presence.get(followerId);
-        if (entry?.socketId) {
-            io.to(entry.socketId).emit('presence:update', { userId, status });
-        }
+        if (presence.has(followerId)) targets.push(userRoom(followerId));
     }
     // Also emit to the user themselves (so other devices/tabs sync)
-    const self = presence.get(userId);
-    if (self?.socketId) {
-        io.to(self.socketId).emit('presence:update', { userId, status });
-    }
+    targets.push(userRoom(userId));
+    rooms.to(targets, 'presence:update', { userId, status });
 }
 
 function setStatus(userId, status, socketId) {
     const prev = presence.get(userId);
-    const now = Date.now();
-    presence.set(userId, {
-        status,
-        lastBeat: now,
-        socketId: socketId || prev?.socketId || null,
-        prevStatus: prev?.status,
+    localBeats.set(userId, {
+        lastBeat: Date.now(),
+        socketId: socketId || localBeats.get(userId)?.socketId || null,
     });
+    if (presence.getLocal(userId)?.status !== status) {
+        presence.set(userId, { status });
+    }
     if (!prev || prev.status !== status) {
         broadcastPresence(userId, status).catch(() => {});
     }
 }
 
 function dropUser(userId) {
+    localBeats.delete(userId);
     presence.delete(userId);
+    // Still connected through another replica: not offline.
+    if (presence.has(userId)) return;
     broadcastPresence(userId, 'offline').catch(() => {});
 }
 
 // Sweep: demote stale entries
 setInterval(() => {
     const now = Date.now();
-    for (const [userId, entry] of presence.entries()) {
+    for (const [userId, entry] of localBeats.entries()) {
         const age = now - entry.lastBeat;
-        if (entry.status !== 'idle' && age > HEARTBEAT_GRACE_MS && age <= OFFLINE_GRACE_MS) {
+        const status = presence?.getLocal(userId)?.status;
+        if (status !== 'idle' && age > HEARTBEAT_GRACE_MS && age <= OFFLINE_GRACE_MS) {
             setStatus(userId, 'idle', entry.socketId);
         } else if (age > OFFLINE_GRACE_MS) {
             dropUser(userId);
@@ -104,33 +114,32 @@ setInterval(() => {
     }
 }, 15_000);
 
-export function initializePresenceSocket(httpServer) {
-    io = new Server(httpServer, {
-        cors: { origin: '*', methods: ['GET', 'POST'] },
-        path: '/presence',
-        transports: ['websocket', 'polling'],
-    });
+export function initializePresenceSocket(io) {
+    // A beat every 25s plus the odd status change; anything faster is a broken client.
+    nsp = createNamespace(io, '/presence', { rateLimit: { capacity: 10, refillPerSecond: 0.5 } });
 
-    io.on('connection', (socket) => {
-        const userId = socket.handshake.auth?.userId;
-        if (!userId) {
-            socket.disconnect(true);
-            return;
-        }
+    const bus = getPubSub();
+    rooms = createRoomBroadcaster(bus, nsp, 'presence');
+    presence = createSharedRegistry(bus, 'presence');
+
+    nsp.on('connection', (socket) => {
+        const userId = socket.userId;
 
+        socket.join(userRoom(userId));
         setStatus(userId, 'online', socket.id);
 
-        socket.on('presence:set', ({ status }) => {
+        socket.on('presence:set', ({ status } = {}) => {
             const allowed = ['online', 'in-game', 'idle'];
             const next = allowed.includes(status) ? status : 'online';
             setStatus(userId, next, socket.id);
         });
 
         socket.on('presence:beat', () => {
-            const entry = presence.get(userId);
-            if (entry) {
+            const entry = localBeats.get(userId);
+            const status = presence.getLocal(userId)?.status;
+            if (entry && status) {
                 entry.lastBeat = Date.now();
-                if (entry.status === 'idle') {
+                if (status === 'idle') {
                     setStatus(userId, 'online', socket.id);
                 }
             } else {
@@ -139,15 +148,15 @@ export function initializePresenceSocket(httpServer) {
         });
 
         socket.on('disconnect', () => {
-            const entry = presence.get(userId);
+            const entry = localBeats.get(userId);
             if (entry?.socketId === socket.id) {
                 dropUser(userId);
             }
         });
     });
 
-    console.log('[Presence] Socket.IO listening on path=/presence');
-    return io;
+    console.log('[Presence] Socket.IO namespace /presence ready');
+    return nsp;
 }
 
 // --- REST router ------------------------------------------------------------
@@ -157,12 +166,12 @@ export const presenceRouter = express.Router();
 presenceRouter.get('/', (req, res) => {
     const userIdsParam = String(req.query.userIds || '').trim();
     if (!userIdsParam) {
-        return res.json({ online: presence.size, statuses: {} });
+        return res.json({ online: presence?.size ?? 0, statuses: {} });
     }
     const ids = userIdsParam.split(',').map((s) => s.trim()).filter(Boolean);
     const statuses = {};
     for (const id of ids) {
-        statuses[id] = presence.get(id)?.status || 'offline';
+        statuses[id] = presence?.get(id)?.status || 'offline';
     }
     res.json({ statuses });
 });
@@ -170,21 +179,21 @@ presenceRouter.get('/', (req, res) => {
 presenceRouter.get('/online', (req, res) => {
     const limit = Math.min(Number(req.query.limit) || 100, 500);
     const out = [];
-    for (const [userId, entry] of presence.entries()) {
+    for (const [userId, entry] of presence?.entries() ?? []) {
         if (out.length >= limit) break;
         out.push({ userId, status: entry.status });
     }
-    res.json({ count: presence.size, users: out });
+    res.json({ count: presence?.size ?? 0, users: out });
 });
 
 presenceRouter.get('/:userId', (req, res) => {
-    const status = presence.get(req.params.userId)?.status || 'offline';
+    const status = presence?.get(req.params.userId)?.status || 'offline';
     res.json({ userId: req.params.userId, status });
 });
 
 export function getPresenceSnapshot() {
     const out = {};
-    for (const [userId, entry] of presence.entries()) {
+    for (const [userId, entry] of presence?.entries() ?? []) {
         out[userId] = entry.status;
     }
     return out;
@@ -0,0 +1,506 @@
+/**
+ * Cross-replica pub/sub for the socket servers
+ *
+ * Socket state used to live only in the process holding the socket, so with a
+ * second replica nobody could see who was online, who sat in which lobby, or
+ * reach a room whose members were connected elsewhere. Every socket module now
+ * goes through three pieces from here:
+ *
+ * - the bus: Postgres LISTEN/NOTIFY (no extra infrastructure), or an in-process
+ *   bus for tests and single-node development. PUBSUB_ADAPTER=postgres|memory
+ *   picks one; the default is postgres whenever DATABASE_URL is set.
+ * - room broadcasts (createRoomBroadcaster): emit to local sockets, publish, and
+ *   every other replica emits to its own members of the same room.
+ * - shared registries (createSharedRegistry): each replica owns the entries for
+ *   its own sockets and replicates them; reads see the whole cluster. Replicas
+ *   heartbeat on the bus, and one that goes quiet has its entries dropped.
+ *
+ * Subscribers only ever see messages from other replicas; the publisher has
+ * already applied the change locally.
+ */
+import { randomUUID } from 'crypto';
+import pool from './db.js';
+
+const NODE_HEARTBEAT_MS = Number(process.env.PUBSUB_HEARTBEAT_MS || 10000);
+export const NODE_TIMEOUT_MS = Number(process.env.PUBSUB_NODE_TIMEOUT_MS || 30000);
+const RECONNECT_DELAY_MS = 2000;
+
+// NOTIFY payloads are capped at 8000 bytes; anything bigger goes out in pieces.
+const NOTIFY_MAX_BYTES = 7000;
+const CHUNK_CHARS = 6000;
+const CHUNK_TTL_MS = 10000;
+
+const NODES_CHANNEL = 'nodes';
+
+function channelName(channel) {
+  return `gt_${String(channel).toLowerCase().replace(/[^a-z0-9_]/g, '_')}`.slice(0, 63);
+}
+
+// ============================================
+// NOTIFY CHUNKING
+// ============================================
+
+/**
+ * Split a payload into NOTIFY-sized frames. Small payloads pass through as-is;
+ * large ones are base64'd and framed as `~id:index:count:data`.
+ */
+export function splitForNotify(text, maxBytes = NOTIFY_MAX_BYTES) {
+  if (Buffer.byteLength(text, 'utf8') <= maxBytes) return [text];
+  const encoded = Buffer.from(text, 'utf8').toString('base64');
+  const id = randomUUID().slice(0, 8);
+  const count = Math.ceil(encoded.length / CHUNK_CHARS);
+  const frames = [];
+  for (let i = 0; i < count; i++) {
+    frames.push(`~${id}:${i}:${count}:${encoded.slice(i * CHUNK_CHARS, (i + 1) * CHUNK_CHARS)}`);
+  }
+  return frames;
+}
+
+/**
+ * Reassembles frames from splitForNotify. `push(frame)` returns the full
+ * payload once every piece has arrived, else null. Incomplete sets expire.
+ */
+export function createChunkAssembler() {
+  const pending = new Map(); // id -> { parts, received, startedAt }
+  return {
+    push(frame) {
+      if (!frame.startsWith('~')) return frame;
+      const [id, index, count, data] = frame.slice(1).split(':');
+      const now = Date.now();
+      for (const [key, entry] of pending) {
+        if (now - entry.startedAt > CHUNK_TTL_MS) pending.delete(key);
+      }
+      let entry = pending.get(id);
+      if (!entry) {
+        entry = { parts: new Array(Number(count)), received: 0, startedAt: now };
+        pending.set(id, entry);
+      }
+      if (entry.parts[index] === undefined) {
+        entry.parts[index] = data;
+        entry.received++;
+      }
+      if (entry.received < entry.parts.length) return null;
+      pending.delete(id);
+      return Buffer.from(entry.parts.join(''), 'base64').toString('utf8');
+    }
+  };
+}
+
+// ============================================
+// TRANSPORTS
+// ============================================
+
+/**
+ * One dedicated pooled connection LISTENs; publishes go through the pool one at
+ * a time per channel, so each channel's NOTIFYs commit (and are delivered) in
+ * the order they were made while a slow channel doesn't hold up the others.
+ */
+function createPostgresTransport() {
+  const listeners = new Map(); // pg channel -> onPayload
+  const reconnectListeners = new Set();
+  const assembler = createChunkAssembler();
+  let client = null;
+  let closed = false;
+  let reconnectTimer = null;
+  const publishTails = new Map(); // pg channel -> last publish in flight
+
+  const quote = (channel) => `"${channel.replace(/"/g, '""')}"`;
+
+  function scheduleReconnect() {
+    if (closed || reconnectTimer) return;
+    reconnectTimer = setTimeout(() => {
+      reconnectTimer = null;
+      connect(true);
+    }, RECONNECT_DELAY_MS);
+    reconnectTimer.unref?.();
+  }
+
+  async function connect(isReconnect = false) {
+    let next;
+    try {
+      next = await pool.connect();
+      next.on('notification', ({ channel, payload }) => {
+        const text = assembler.push(payload || '');
+        if (text !== null) listeners.get(channel)?.(text);
+      });
+      next.on('error', (err) => {
+        console.error('[PubSub] Listener connection error:', err.message);
+        if (client === next) client = null;
+        next.release(err);
+        scheduleReconnect();
+      });
+      for (const channel of listeners.keys()) await next.query(`LISTEN ${quote(channel)}`);
+      if (closed) {
+        next.release();
+        return;
+      }
+      client = next;
+      if (isReconnect) {
+        console.log('[PubSub] Listener reconnected');
+        for (const fn of reconnectListeners) fn();
+      }
+    } catch (err) {
+      console.error('[PubSub] Listener connect error:', err.message);
+      next?.release(err);
+      scheduleReconnect();
+    }
+  }
+
+  connect();
+
+  return {
+    listen(channel, onPayload) {
+      listeners.set(channel, onPayload);
+      client?.query(`LISTEN ${quote(channel)}`).catch((err) => {
+        console.error('[PubSub] LISTEN error:', err.message);
+      });
+    },
+    publish(channel, text) {
+      const frames = splitForNotify(text);
+      const tail = (publishTails.get(channel) || Promise.resolve())
+        .then(async () => {
+          for (const frame of frames) await pool.query('SELECT pg_notify($1, $2)', [channel, frame]);
+        })
+        .catch((err) => console.error(`[PubSub] Publish to ${channel} failed:`, err.message))
+        .finally(() => {
+          if (publishTails.get(channel) === tail) publishTails.delete(channel);
+        });
+      publishTails.set(channel, tail);
+      return tail;
+    },
+    onReconnect(fn) {
+      reconnectListeners.add(fn);
+    },
+    async close() {
+      closed = true;
+      clearTimeout(reconnectTimer);
+      await Promise.all(publishTails.values());
+      client?.release();
+      client = null;
+    }
+  };
+}
+
+/**
+ * A shared in-process hub. Every transport attached to the same hub behaves like
+ * a separate replica, which is how the checks simulate a cluster.
+ */
+export function createMemoryHub() {
+  return { transports: new Set() };
+}
+
+function createMemoryTransport(hub) {
+  const listeners = new Map();
+  const transport = {
+    listeners,
+    listen(channel, onPayload) {
+      listeners.set(channel, onPayload);
+    },
+    publish(channel, text) {
+      // Asynchronous like the real thing, and in publish order.
+      return new Promise((resolve) => setImmediate(() => {
+        for (const peer of hub.transports) peer.listeners.get(channel)?.(text);
+        resolve();
+      }));
+    },
+    onReconnect() {},
+    async close() {
+      hub.transports.delete(transport);
+    }
+  };
+  hub.transports.add(transport);
+  return transport;
+}
+
+// ============================================
+// BUS
+// ============================================
+
+function createPubSub(transport, { nodeId = randomUUID() } = {}) {
+  const handlers = new Map(); // channel -> Set<fn(data, fromNodeId)>
+  const lastSeen = new Map(); // nodeId -> ms
+  const nodeDownListeners = new Set();
+  let closed = false;
+
+  function markDown(peerId) {
+    if (!lastSeen.delete(peerId)) return;
+    for (const fn of nodeDownListeners) {
+      try {
+        fn(peerId);
+      } catch (err) {
+        console.error('[PubSub] Node-down handler error:', err);
+      }
+    }
+  }
+
+  function ensureListening(channel) {
+    if (handlers.has(channel)) return;
+    handlers.set(channel, new Set());
+    transport.listen(channelName(channel), (text) => {
+      let envelope;
+      try {
+        envelope = JSON.parse(text);
+      } catch {
+        return;
+      }
+      if (!envelope?.from || envelope.from === nodeId) return;
+      lastSeen.set(envelope.from, Date.now());
+      for (const fn of handlers.get(channel) || []) {
+        try {
+          fn(envelope.data, envelope.from);
+        } catch (err) {
+          console.error(`[PubSub] Handler error on ${channel}:`, err);
+        }
+      }
+    });
+  }
+
+  const bus = {
+    nodeId,
+    subscribe(channel, fn) {
+      ensureListening(channel);
+      handlers.get(channel).add(fn);
+      return () => handlers.get(channel)?.delete(fn);
+    },
+    publish(channel, data) {
+      if (closed) return Promise.resolve();
+      return transport.publish(channelName(channel), JSON.stringify({ from: nodeId, data }));
+    },
+    /** This replica plus every peer heard from within NODE_TIMEOUT_MS */
+    liveNodeIds() {
+      return [nodeId, ...lastSeen.keys()];
+    },
+    onNodeDown(fn) {
+      nodeDownListeners.add(fn);
+    },
+    onReconnect(fn) {
+      transport.onReconnect(fn);
+    },
+    async close() {
+      if (closed) return;
+      await bus.publish(NODES_CHANNEL, { op: 'bye' });
+      closed = true;
+      clearInterval(heartbeat);
+      await transport.close();
+    }
+  };
+
+  bus.subscribe(NODES_CHANNEL, ({ op }, from) => {
+    if (op === 'bye') markDown(from);
+  });
+
+  const heartbeat = setInterval(() => {
+    bus.publish(NODES_CHANNEL, { op: 'beat' });
+    const now = Date.now();
+    for (const [peerId, seenAt] of lastSeen) {
+      if (now - seenAt > NODE_TIMEOUT_MS) markDown(peerId);
+    }
+  }, NODE_HEARTBEAT_MS);
+  heartbeat.unref?.();
+  bus.publish(NODES_CHANNEL, { op: 'beat' });
+
+  return bus;
+}
+
+let defaultBus = null;
+let defaultHub = null;
+
+/**
+ * The process-wide bus, created on first use.
+ */
+export function getPubSub() {
+  if (defaultBus) return defaultBus;
+  const adapter = process.env.PUBSUB_ADAPTER || (process.env.DATABASE_URL ? 'postgres' : 'memory');
+  if (adapter === 'postgres') {
+    defaultBus = createPubSub(createPostgresTransport());
+  } else {
+    defaultHub = defaultHub || createMemoryHub();
+    defaultBus = createPubSub(createMemoryTransport(defaultHub));
+  }
+  console.log(`[PubSub] Using ${adapter} adapter (node ${defaultBus.nodeId})`);
+  return defaultBus;
+}
+
+/**
+ * Tell peers we're going so they drop our entries now rather than on timeout.
+ */
+export async function closePubSub() {
+  if (!defaultBus) return;
+  const bus = defaultBus;
+  defaultBus = null;
+  await bus.close();
+}
+
+/**
+ * A bus on an explicit in-process hub, one per simulated replica
+ */
+export function createMemoryPubSub(hub, options) {
+  return createPubSub(createMemoryTransport(hub), options);
+}
+
+// ============================================
+// ROOM BROADCASTS
+// ============================================
+
+/**
+ * `to(rooms, event, payload, { except })` reaches every socket in `rooms` on
+ * every replica; `except` (a socket id or room) is excluded everywhere, so
+ * `to(room, ..., { except: socket.id })` is the cluster-wide `socket.to(room)`.
+ * `disconnect(rooms, { except })` disconnects those sockets wherever they are.
+ */
+export function createRoomBroadcaster(bus, io, name) {
+  const channel = `rooms_${name}`;
+  const target = (rooms, except) => (except ? io.to(rooms).except(except) : io.to(rooms));
+
+  bus.subscribe(channel, ({ rooms, event, payload, except, disconnect }) => {
+    if (disconnect) target(rooms, except).disconnectSockets(true);
+    else target(rooms, except).emit(event, payload);
+  });
+
+  return {
+    to(rooms, event, payload, { except } = {}) {
+      target(rooms, except).emit(event, payload);
+      bus.publish(channel, { rooms, event, payload, except });
+    },
+    disconnect(rooms, { except } = {}) {
+      target(rooms, except).disconnectSockets(true);
+      bus.publish(channel, { rooms, except, disconnect: true });
+    }
+  };
+}
+
+// ============================================
+// SHARED REGISTRIES
+// ============================================
+
+/**
+ * A key/value map replicated across replicas. `set`/`delete` touch this
+ * replica's own entry only, so a user connected on two replicas stays present
+ * until both let go; `purge` removes a key everywhere (for records any replica
+ * may settle, like a challenge being accepted). Reads merge every replica's
+ * entries, newest write winning.
+ *
+ * `onChange(key, value)` fires for local and remote changes, with the merged
+ * value (undefined once no replica holds the key).
+ */
+export function createSharedRegistry(bus, name, { onChange } = {}) {
+  const channel = `registry_${name}`;
+  const local = new Map(); // key -> { value, at }
+  const remote = new Map(); // nodeId -> Map(key -> { value, at })
+
+  function lookup(key) {
+    let best = local.get(key);
+    for (const entries of remote.values()) {
+      const entry = entries.get(key);
+      if (entry && (!best || entry.at > best.at)) best = entry;
+    }
+    return best;
+  }
+
+  function changed(key) {
+    if (!onChange) return;
+    try {
+      onChange(key, lookup(key)?.value);
+    } catch (err) {
+      console.error(`[PubSub] ${name} onChange error:`, err);
+    }
+  }
+
+  function mergedKeys() {
+    const keys = new Set(local.keys());
+    for (const entries of remote.values()) {
+      for (const key of entries.keys()) keys.add(key);
+    }
+    return keys;
+  }
+
+  function snapshotEntries() {
+    return Array.from(local, ([key, { value, at }]) => [key, value, at]);
+  }
+
+  function replaceRemote(from, entries) {
+    const previous = remote.get(from) || new Map();
+    const next = new Map(entries.map(([key, value, at]) => [key, { value, at }]));
+    remote.set(from, next);
+    for (const key of new Set([...previous.keys(), ...next.keys()])) changed(key);
+  }
+
+  bus.subscribe(channel, (message, from) => {
+    switch (message.op) {
+      case 'set': {
+        if (!remote.has(from)) remote.set(from, new Map());
+        remote.get(from).set(message.key, { value: message.value, at: message.at });
+        changed(message.key);
+        break;
+      }
+      case 'delete':
+        if (remote.get(from)?.delete(message.key)) changed(message.key);
+        break;
+      case 'purge': {
+        let hit = local.delete(message.key);
+        for (const entries of remote.values()) hit = entries.delete(message.key) || hit;
+        if (hit) changed(message.key);
+        break;
+      }
+      case 'hello':
+        // A replica (re)joining: take its entries and tell it ours.
+        replaceRemote(from, message.entries || []);
+        bus.publish(channel, { op: 'snapshot', entries: snapshotEntries() });
+        break;
+      case 'snapshot':
+        replaceRemote(from, message.entries || []);
+        break;
+    }
+  });
+
+  bus.onNodeDown((nodeId) => {
+    const entries = remote.get(nodeId);
+    if (!entries) return;
+    remote.delete(nodeId);
+    for (const key of entries.keys()) changed(key);
+  });
+
+  // Deltas sent while the listener was down are lost; resync in both directions.
+  const hello = () => bus.publish(channel, { op: 'hello', entries: snapshotEntries() });
+  bus.onReconnect(hello);
+  hello();
+
+  return {
+    get(key) {
+      return lookup(key)?.value;
+    },
+    /** This replica's own value for `key` */
+    getLocal(key) {
+      return local.get(key)?.value;
+    },
+    has(key) {
+      return Boolean(lookup(key));
+    },
+    set(key, value) {
+      const at = Date.now();
+      local.set(key, { value, at });
+      bus.publish(channel, { op: 'set', key, value, at });
+      changed(key);
+    },
+    delete(key) {
+      if (!local.delete(key)) return;
+      bus.publish(channel, { op: 'delete', key });
+      changed(key);
+    },
+    purge(key) {
+      let hit = local.delete(key);
+      for (const entries of remote.values()) hit = entries.delete(key) || hit;
+      bus.publish(channel, { op: 'purge', key });
+      if (hit) changed(key);
+    },
+    keys() {
+      return Array.from(mergedKeys());
+    },
+    entries() {
+      return Array.from(mergedKeys(), (key) => [key, lookup(key).value]);
+    },
+    get size() {
+      return mergedKeys().size;
+    }
+  };
+}
@@ -0,0 +1,37 @@
+/**
+ * In-memory token buckets, shared by the socket namespaces (socket-server.js)
+ * and rate-limited REST endpoints. Limits are per process, so with several
+ * replicas each one allows the full rate.
+ */
+
+/**
+ * Token bucket per key: `capacity` events at once, refilled at
+ * `refillPerSecond`. take() returns ms until the next event is allowed, or 0.
+ */
+export function createRateLimiter({ capacity, refillPerSecond }) {
+    const buckets = new Map(); // key -> { tokens, updatedAt }
+    const fullAfterMs = (capacity / refillPerSecond) * 1000;
+
+    return {
+        take(key, now = Date.now()) {
+            const bucket = buckets.get(key) || { tokens: capacity, updatedAt: now };
+            bucket.tokens = Math.min(capacity, bucket.tokens + ((now - bucket.updatedAt) / 1000) * refillPerSecond);
+            bucket.updatedAt = now;
+            buckets.set(key, bucket);
+            if (bucket.tokens >= 1) {
+                bucket.tokens -= 1;
+                return 0;
+            }
+            return Math.ceil(((1 - bucket.tokens) / refillPerSecond) * 1000);
+        },
+        /** Drop buckets that have refilled; they'd start full anyway. */
+        prune(now = Date.now()) {
+            for (const [key, bucket] of buckets) {
+                if (now - bucket.updatedAt > fullAfterMs) buckets.delete(key);
+            }
+        },
+        get size() {
+            return buckets.size;
+        },
+    };
+}
@@ -0,0 +1,145 @@
+/**
+ * PK skill ratings
+ *
+ * Elo, kept per user and per match type ('1v1' and '2v2' are rated separately).
+ * New players move faster (provisional K) until they have PROVISIONAL_GAMES
+ * behind them. In 2v2 each side is rated as the mean of its members and every
+ * member takes their team's result against the other side's mean.
+ *
+ * Every change is written to rating_history and onto the player's match_results
+ * row, so a disputed result can be traced back to the exact before/after values.
+ */
+
+export const DEFAULT_RATING = 1200;
+const PROVISIONAL_GAMES = 10;
+const PROVISIONAL_K = 40;
+const ESTABLISHED_K = 24;
+
+// Matchmaking band: how far apart two ratings may be, growing with time in queue.
+export const RATING_BAND_BASE = Number(process.env.MATCHMAKING_BAND_BASE || 100);
+export const RATING_BAND_GROWTH_PER_SECOND = Number(process.env.MATCHMAKING_BAND_GROWTH || 10);
+export const RATING_BAND_MAX = Number(process.env.MATCHMAKING_BAND_MAX || 800);
+
+/**
+ * Acceptable rating difference after waiting `waitSeconds`
+ */
+export function ratingBandForWait(waitSeconds) {
+  const wait = Math.max(0, Number(waitSeconds) || 0);
+  return Math.min(RATING_BAND_MAX, RATING_BAND_BASE + RATING_BAND_GROWTH_PER_SECOND * wait);
+}
+
+/**
+ * Probability that a player rated `rating` beats one rated `opponentRating`
+ */
+export function expectedScore(rating, opponentRating) {
+  return 1 / (1 + Math.pow(10, (opponentRating - rating) / 400));
+}
+
+export function kFactor(gamesPlayed) {
+  return gamesPlayed < PROVISIONAL_GAMES ? PROVISIONAL_K : ESTABLISHED_K;
+}
+
+/**
+ * Pure rating update for a two-sided match.
+ *
+ * players: [{ userId, team, rating, gamesPlayed }]
+ * winnerTeam: 1, 2, or null for a draw
+ * Returns Map(userId -> { before, after, delta, result })
+ */
+export function computeRatingChanges(players, winnerTeam) {
+  const teamMean = (team) => {
+    const members = players.filter((p) => p.team === team);
+    return members.reduce((sum, p) => sum + p.rating, 0) / Math.max(1, members.length);
+  };
+  const means = { 1: teamMean(1), 2: teamMean(2) };
+
+  const changes = new Map();
+  for (const player of players) {
+    const opponentTeam = player.team === 1 ? 2 : 1;
+    const actual = winnerTeam === null ? 0.5 : player.team === winnerTeam ? 1 : 0;
+    const expected = expectedScore(means[player.team], means[opponentTeam]);
+    const delta = Math.round(kFactor(player.gamesPlayed) * (actual - expected));
+    changes.set(player.userId, {
+      before: player.rating,
+      after: player.rating + delta,
+      delta,
+      result: actual === 1 ? 'win' : actual === 0 ? 'loss' : 'draw',
+    });
+  }
+  return changes;
+}
+
+/**
+ * Current rating row for a user, or the defaults if they have never played this type
+ */
+export async function getPlayerRating(client, userId, matchType) {
+  const result = await client.query(
+    `SELECT rating, games_played FROM player_ratings WHERE user_id = $1 AND match_type = $2`,
+    [userId, matchType]
+  );
+  const row = result.rows[0];
+  return {
+    rating: row ? Number(row.rating) : DEFAULT_RATING,
+    gamesPlayed: row ? row.games_played : 0,
+  };
+}
+
+/**
+ * Apply a finished match to every participant's rating. Runs inside the
+ * caller's transaction. participants: [{ user_id, team }]
+ */
+export async function applyMatchRatings(client, { matchId, matchType, participants, winnerTeam }) {
+  // Lock every participant's row at once, in user_id order, so two matches
+  // finishing together can't both read the same "before" or deadlock on each other.
+  const userIds = [...new Set(participants.map(p => p.user_id))].sort();
+  await client.query(
+    `INSERT INTO player_ratings (user_id, match_type)
+     SELECT user_id, $2 FROM unnest($1::uuid[]) AS user_id ORDER BY user_id
+     ON CONFLICT (user_id, match_type) DO NOTHING`,
+    [userIds, matchType]
+  );
+  const locked = await client.query(
+    `SELECT user_id, rating, games_played FROM player_ratings
+     WHERE user_id = ANY($1::uuid[]) AND match_type = $2
+     ORDER BY user_id FOR UPDATE`,
+    [userIds, matchType]
+  );
+  const lockedByUser = new Map(locked.rows.map(row => [String(row.user_id), row]));
+  const players = participants.map(p => {
+    const row = lockedByUser.get(String(p.user_id));
+    return {
+      userId: p.user_id,
+      team: p.team,
+      rating: Number(row.rating),
+      gamesPlayed: row.games_played,
+    };
+  });
+
+  const changes = computeRatingChanges(players, winnerTeam);
+  for (const [userId, change] of changes) {
+    await client.query(
+      `UPDATE player_ratings
+       SET rating = $3,
+           games_played = games_played + 1,
+           wins = wins + $4,
+           losses = losses + $5,
+           draws = draws + $6,
+           updated_at = NOW()
+       WHERE user_id = $1 AND match_type = $2`,
+      [
+        userId,
+        matchType,
+        change.after,
+        change.result === 'win' ? 1 : 0,
+        change.result === 'loss' ? 1 : 0,
+        change.result === 'draw' ? 1 : 0,
+      ]
+    );
+    await client.query(
+      `INSERT INTO rating_history (user_id, match_type, match_id, rating_before, rating_after, delta, result)
+       VALUES ($1, $2, $3, $4, $5, $6, $7)`,
+      [userId, matchType, matchId, change.before, change.after, change.delta, change.result]
+    );
+  }
+  return changes;
+}
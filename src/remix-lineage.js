@@ -0,0 +1,238 @@
+/**
+ * Remix lineage.
+ *
+ * Every remix records its direct parent (`ai_games.remixed_from`), the game at
+ * the top of its chain (`remix_root_id`) and how far down the chain it sits
+ * (`remix_depth`: 1 for a remix of an original, 2 for a remix of that, ...).
+ * Originals have no root and depth 0. The root and depth are fixed when the
+ * remix is created, copied from the parent, so reading a game's family never
+ * needs more than one indexed lookup; ancestors and the remix tree are walked
+ * with recursive queries over `remixed_from`.
+ *
+ * Only published games show up in a remix tree. A game that has been taken
+ * out of the feed, or isn't publicly listed (see game-visibility.js), stays in
+ * the chain as unavailable, so attribution to its creator is never lost.
+ */
+
+import pool from './db.js';
+import { notifyGameRemixed } from './notifications.js';
+
+// Chains are acyclic by construction, but older rows were never checked; this bounds every walk.
+export const MAX_LINEAGE_DEPTH = 100;
+export const DEFAULT_TREE_DEPTH = 6;
+export const MAX_TREE_DEPTH = 20;
+const MAX_TREE_NODES = 5000;
+
+export async function ensureRemixLineageTables() {
+    await pool.query(`
+        ALTER TABLE ai_games ADD COLUMN IF NOT EXISTS remix_root_id UUID;
+        ALTER TABLE ai_games ADD COLUMN IF NOT EXISTS remix_depth INTEGER NOT NULL DEFAULT 0;
+        CREATE INDEX IF NOT EXISTS idx_ai_games_remixed_from ON ai_games(remixed_from) WHERE remixed_from IS NOT NULL;
+        CREATE INDEX IF NOT EXISTS idx_ai_games_remix_root ON ai_games(remix_root_id) WHERE remix_root_id IS NOT NULL;
+    `);
+    // Remixes made before the lineage columns existed: walk each one up to the top of its chain.
+    // A parent that no longer exists ends the walk and counts as the root.
+    const backfill = await pool.query(
+        `WITH RECURSIVE chain AS (
+             SELECT id AS game_id, remixed_from AS ancestor_id, 1 AS depth
+             FROM ai_games
+             WHERE remixed_from IS NOT NULL AND remix_root_id IS NULL
+             UNION ALL
+             SELECT c.game_id, a.remixed_from, c.depth + 1
+             FROM chain c
+             JOIN ai_games a ON a.id = c.ancestor_id
+             WHERE a.remixed_from IS NOT NULL AND c.depth < $1
+         ),
+         roots AS (
+             SELECT DISTINCT ON (game_id) game_id, ancestor_id, depth
+             FROM chain
+             ORDER BY game_id, depth DESC
+         )
+         UPDATE ai_games g
+         SET remix_root_id = r.ancestor_id, remix_depth = r.depth
+         FROM roots r
+         WHERE g.id = r.game_id`,
+        [MAX_LINEAGE_DEPTH]
+    );
+    if (backfill.rowCount > 0) console.log(`[RemixLineage] Backfilled lineage for ${backfill.rowCount} remixes`);
+}
+
+/** Lineage columns for a new remix of `source` (an ai_games row). */
+export function remixLineageFor(source) {
+    return {
+        remixedFrom: source.id,
+        rootId: source.remix_root_id || source.id,
+        depth: Math.min((Number(source.remix_depth) || 0) + 1, MAX_LINEAGE_DEPTH),
+    };
+}
+
+const NODE_COLUMNS = `
+    a.title, a.thumbnail, a.is_draft, a.user_id, a.created_at,
+    g.id AS feed_game_id, g.visibility AS feed_visibility,
+    u.username AS creator_username, u.display_name AS creator_display_name,
+    u.avatar AS creator_avatar, u.verified AS creator_verified`;
+
+const NODE_JOINS = `
+    LEFT JOIN games g ON g.embed_url = ('/api/ai/play/' || a.id::text)
+    LEFT JOIN users u ON u.id = a.user_id`;
+
+/**
+ * One game in a lineage response. `available` means it is published and
+ * publicly listed (`gameId` is its feed id); otherwise only its creator is shown.
+ */
+export function formatLineageNode(row) {
+    const available = Boolean(row.feed_game_id) && row.is_draft === false && (row.feed_visibility || 'public') === 'public';
+    return {
+        id: row.id,
+        gameId: available ? row.feed_game_id : null,
+        title: available ? row.title : null,
+        thumbnail: available ? row.thumbnail || null : null,
+        available,
+        creator: row.user_id ? {
+            id: row.user_id,
+            username: row.creator_username || null,
+            displayName: row.creator_display_name || null,
+            avatar: row.creator_avatar || null,
+            verified: Boolean(row.creator_verified),
+        } : null,
+        createdAt: available ? row.created_at : null,
+    };
+}
+
+/** The lineage columns of one ai_games row, or null. */
+export async function getRemixLineage(aiGameId) {
+    const result = await pool.query(
+        'SELECT id, user_id, is_draft, remixed_from, remix_root_id, remix_depth FROM ai_games WHERE id = $1',
+        [aiGameId]
+    );
+    return result.rows[0] || null;
+}
+
+/** Every game above `aiGameId` in its remix chain, the original first. */
+export async function listRemixAncestors(aiGameId) {
+    const result = await pool.query(
+        `WITH RECURSIVE chain AS (
+             SELECT remixed_from AS id, 1 AS step
+             FROM ai_games
+             WHERE id = $1 AND remixed_from IS NOT NULL
+             UNION ALL
+             SELECT a.remixed_from, c.step + 1
+             FROM chain c
+             JOIN ai_games a ON a.id = c.id
+             WHERE a.remixed_from IS NOT NULL AND c.step < $2
+         )
+         SELECT c.id, c.step, ${NODE_COLUMNS}
+         FROM chain c
+         LEFT JOIN ai_games a ON a.id = c.id
+         ${NODE_JOINS}
+         ORDER BY c.step DESC`,
+        [aiGameId, MAX_LINEAGE_DEPTH]
+    );
+    return result.rows.map(formatLineageNode);
+}
+
+/**
+ * Nest formatted nodes (each with a `parentId`) under `root`, counting direct
+ * remixes (`remixCount`) and everything below (`totalRemixes`) for each. The
+ * most remixed branches come first. Nodes whose parent isn't in the set are
+ * dropped, and an id that appears twice is only placed once.
+ */
+export function buildRemixTree(root, nodes) {
+    const byId = new Map([[root.id, { ...root, remixCount: 0, totalRemixes: 0, remixes: [] }]]);
+    for (const node of nodes) {
+        if (!byId.has(node.id)) byId.set(node.id, { ...node, remixCount: 0, totalRemixes: 0, remixes: [] });
+    }
+    const placed = new Set([root.id]);
+    for (const node of nodes) {
+        const parent = byId.get(node.parentId);
+        if (!parent || placed.has(node.id)) continue;
+        placed.add(node.id);
+        parent.remixes.push(byId.get(node.id));
+    }
+
+    const count = (node) => {
+        node.remixCount = node.remixes.length;
+        node.totalRemixes = node.remixes.reduce((sum, child) => sum + 1 + count(child), 0);
+        node.remixes.sort((a, b) => b.totalRemixes - a.totalRemixes
+            || new Date(a.createdAt || 0) - new Date(b.createdAt || 0));
+        return node.totalRemixes;
+    };
+    const tree = byId.get(root.id);
+    count(tree);
+    return tree;
+}
+
+/**
+ * Published remixes below `aiGameId`, `maxDepth` levels deep, as a tree. A
+ * very large family is cut off at MAX_TREE_NODES and flagged `truncated`.
+ */
+export async function getRemixTree(aiGameId, { maxDepth = DEFAULT_TREE_DEPTH } = {}) {
+    const depth = Math.min(Math.max(parseInt(maxDepth, 10) || DEFAULT_TREE_DEPTH, 1), MAX_TREE_DEPTH);
+    const [rootResult, descendants] = await Promise.all([
+        pool.query(`SELECT a.id, ${NODE_COLUMNS} FROM ai_games a ${NODE_JOINS} WHERE a.id = $1`, [aiGameId]),
+        pool.query(
+            `WITH RECURSIVE tree AS (
+                 SELECT id, remixed_from, 1 AS level
+                 FROM ai_games
+                 WHERE remixed_from = $1 AND is_draft = FALSE
+                 UNION ALL
+                 SELECT a.id, a.remixed_from, t.level + 1
+                 FROM tree t
+                 JOIN ai_games a ON a.remixed_from = t.id
+                 WHERE a.is_draft = FALSE AND t.level < $2
+             )
+             SELECT t.id, t.remixed_from, t.level, ${NODE_COLUMNS}
+             FROM tree t
+             JOIN ai_games a ON a.id = t.id
+             ${NODE_JOINS}
+             ORDER BY t.level, a.created_at
+             LIMIT $3`,
+            [aiGameId, depth, MAX_TREE_NODES + 1]
+        ),
+    ]);
+    if (rootResult.rows.length === 0) return null;
+
+    const truncated = descendants.rows.length > MAX_TREE_NODES;
+    const nodes = descendants.rows.slice(0, MAX_TREE_NODES).map((row) => ({
+        ...formatLineageNode(row),
+        parentId: row.remixed_from,
+        level: row.level,
+    }));
+    return { depth, truncated, tree: buildRemixTree(formatLineageNode(rootResult.rows[0]), nodes) };
+}
+
+/**
+ * Tell the creators upstream of a new remix: the direct parent's creator, and
+ * the original's creator when the remix is further down the chain. Nobody is
+ * told about their own remix, or twice about the same one. Never throws.
+ */
+export async function announceRemix(source, remixerId) {
+    try {
+        const rootId = source.remix_root_id || source.id;
+        const result = await pool.query(
+            `SELECT a.id, a.title, a.user_id, g.id AS feed_game_id,
+                    COALESCE(u.username, u.display_name) AS creator_name
+             FROM ai_games a
+             LEFT JOIN games g ON g.embed_url = ('/api/ai/play/' || a.id::text)
+             LEFT JOIN users u ON u.id = a.user_id
+             WHERE a.id = ANY($1::uuid[])`,
+            [[source.id, rootId]]
+        );
+        const parent = result.rows.find((row) => row.id === source.id);
+        const root = result.rows.find((row) => row.id === rootId);
+        if (parent?.user_id && parent.user_id !== remixerId) {
+            await notifyGameRemixed(parent.user_id, { remixerId, aiGameId: parent.id, gameId: parent.feed_game_id, title: parent.title });
+        }
+        if (root && root.id !== source.id && root.user_id && root.user_id !== remixerId && root.user_id !== parent?.user_id) {
+            await notifyGameRemixed(root.user_id, {
+                remixerId,
+                aiGameId: root.id,
+                gameId: root.feed_game_id,
+                title: root.title,
+                viaName: parent?.creator_name || null,
+            });
+        }
+    } catch (error) {
+        console.error('[RemixLineage] Remix notification error:', error);
+    }
+}
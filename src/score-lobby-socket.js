@@ -13,49 +13,44 @@
  *   initializeScoreLobbySocket(httpServer);
  *   app.use('/api/score-lobbies', scoreLobbyRouter);
  *
- * Client (Socket.IO):
- *   const sock = io(`${SOCKET_URL}/score-lobby`, { auth: { userId } });
+ * Client (Socket.IO) — namespace `/score-lobby` on the shared server (socket-server.js):
+ *   const sock = io(`${SOCKET_URL}/score-lobby`, { auth: { token } });
  *   sock.emit('lobby:join', { gameId });
- *   sock.emit('lobby:score', { gameId, score });
+ *   sock.emit('lobby:score', { gameId, score, sessionToken }); // token from POST /api/games/:id/play
  *   sock.emit('lobby:leave', { gameId });
  *   sock.on('lobby:state', ({ gameId, players, updatedAt }) => {...});
+ *
+ * Lobby entries are replicated across replicas (pubsub.js). Every replica
+ * rebuilds and emits the snapshot to its own sockets whenever an entry changes,
+ * wherever the change came from, so scores themselves are the only traffic.
  */
 
-import { Server } from 'socket.io';
 import express from 'express';
 import pool from './db.js';
+import { checkScoreSubmission } from './play-sessions.js';
+import { createNamespace, emitSocketError } from './socket-server.js';
+import { getPubSub, createSharedRegistry } from './pubsub.js';
 
 const STATE_BROADCAST_DEBOUNCE_MS = 250; // batch rapid updates
 
-let io = null;
+let nsp = null;
 
-// gameId -> Map<userId, { socketId, score, displayName, avatar, joinedAt, lastUpdate }>
-const lobbies = new Map();
+// Cluster-wide: `${gameId}:${userId}` -> { gameId, userId, socketId, score, displayName, avatar, joinedAt, lastUpdate }
+let lobbyEntries = null;
 
-// gameId -> Timeout handle for batched broadcasts
-const pendingBroadcasts = new Map();
+const entryKey = (gameId, userId) => `${gameId}:${userId}`;
 
-// userId cache
-const userCache = new Map();
-async function getUser(userId) {
-    if (userCache.has(userId)) return userCache.get(userId);
-    try {
-        const { rows } = await pool.query(
-            'SELECT id, username, display_name, avatar, verified FROM users WHERE id = $1',
-            [userId]
-        );
-        const u = rows[0] || null;
-        if (u) {
-            userCache.set(userId, u);
-            // Expire cache entries after 60s
-            setTimeout(() => userCache.delete(userId), 60_000);
-        }
-        return u;
-    } catch {
-        return null;
-    }
+// gameId -> [[userId, entry]] across every replica
+function lobbyPlayers(gameId) {
+    if (!lobbyEntries) return [];
+    return lobbyEntries.entries()
+        .filter(([, entry]) => entry.gameId === gameId)
+        .map(([, entry]) => [entry.userId, entry]);
 }
 
+// gameId -> Timeout handle for batched broadcasts
+const pendingBroadcasts = new Map();
+
 async function isLobbyEnabled(gameId) {
     try {
         const { rows } = await pool.query(
@@ -69,9 +64,7 @@ async function isLobbyEnabled(gameId) {
 }
 
 function snapshot(gameId) {
-    const lobby = lobbies.get(gameId);
-    if (!lobby) return { gameId, players: [], updatedAt: Date.now() };
-    const players = Array.from(lobby.entries())
+    const players = lobbyPlayers(gameId)
         .map(([userId, entry]) => ({
             userId,
             score: entry.score || 0,
@@ -89,7 +82,7 @@ function scheduleBroadcast(gameId) {
     const handle = setTimeout(() => {
         pendingBroadcasts.delete(gameId);
         const state = snapshot(gameId);
-        io?.to(`game:${gameId}`).emit('lobby:state', state);
+        nsp?.to(`game:${gameId}`).emit('lobby:state', state);
     }, STATE_BROADCAST_DEBOUNCE_MS);
     pendingBroadcasts.set(gameId, handle);
 }
@@ -99,22 +92,17 @@ async function joinLobby(socket, userId, gameId) {
 
     const enabled = await isLobbyEnabled(gameId);
     if (!enabled) {
-        socket.emit('lobby:error', { gameId, message: 'Score lobby not enabled for this game.' });
+        emitSocketError(socket, { event: 'lobby:join', code: 'not_enabled', message: 'Score lobby not enabled for this game.', gameId });
         return;
     }
 
-    const user = await getUser(userId);
-    if (!user) {
-        socket.emit('lobby:error', { gameId, message: 'Unknown user.' });
-        return;
-    }
+    const user = socket.user;
 
-    if (!lobbies.has(gameId)) lobbies.set(gameId, new Map());
-    const lobby = lobbies.get(gameId);
-
-    lobby.set(userId, {
+    lobbyEntries.set(entryKey(gameId, userId), {
+        gameId,
+        userId,
         socketId: socket.id,
-        score: lobby.get(userId)?.score || 0,
+        score: lobbyEntries.get(entryKey(gameId, userId))?.score || 0,
         displayName: user.display_name || user.username,
         avatar: user.avatar,
         verified: Boolean(user.verified),
@@ -124,60 +112,60 @@ async function joinLobby(socket, userId, gameId) {
 
     socket.join(`game:${gameId}`);
     socket.emit('lobby:joined', { gameId, snapshot: snapshot(gameId) });
-    scheduleBroadcast(gameId);
 }
 
 function leaveLobby(socket, userId, gameId) {
     if (!gameId) return;
-    const lobby = lobbies.get(gameId);
-    if (!lobby) return;
-    lobby.delete(userId);
-    if (lobby.size === 0) lobbies.delete(gameId);
     socket.leave(`game:${gameId}`);
-    scheduleBroadcast(gameId);
+    const key = entryKey(gameId, userId);
+    // Another tab on this replica may have rejoined since.
+    if (lobbyEntries.getLocal(key)?.socketId !== socket.id) return;
+    lobbyEntries.delete(key);
 }
 
 function updateScore(userId, gameId, score) {
-    const lobby = lobbies.get(gameId);
-    if (!lobby) return;
-    const entry = lobby.get(userId);
+    const entry = lobbyEntries.getLocal(entryKey(gameId, userId));
     if (!entry) return;
     const numScore = Math.max(0, Number(score) || 0);
     if (numScore <= entry.score) return; // never go backwards
-    entry.score = numScore;
-    entry.lastUpdate = Date.now();
-    scheduleBroadcast(gameId);
+    lobbyEntries.set(entryKey(gameId, userId), { ...entry, score: numScore, lastUpdate: Date.now() });
 }
 
-export function initializeScoreLobbySocket(httpServer) {
-    io = new Server(httpServer, {
-        cors: { origin: '*', methods: ['GET', 'POST'] },
-        path: '/score-lobby',
-        transports: ['websocket', 'polling'],
+export function initializeScoreLobbySocket(io) {
+    // Score ticks arrive several times a second while playing.
+    nsp = createNamespace(io, '/score-lobby', { rateLimit: { capacity: 60, refillPerSecond: 10 } });
+
+    // Every change, local or from another replica, refreshes that game's scoreboard here.
+    lobbyEntries = createSharedRegistry(getPubSub(), 'score_lobby', {
+        onChange: (key) => scheduleBroadcast(key.slice(0, key.lastIndexOf(':'))),
     });
 
-    io.on('connection', (socket) => {
-        const userId = socket.handshake.auth?.userId;
-        if (!userId) {
-            socket.disconnect(true);
-            return;
-        }
+    nsp.on('connection', (socket) => {
+        const userId = socket.userId;
 
         // Track lobbies this socket is in for clean disconnect
         const joinedGames = new Set();
 
-        socket.on('lobby:join', async ({ gameId }) => {
+        socket.on('lobby:join', async ({ gameId } = {}) => {
             if (!gameId) return;
             joinedGames.add(gameId);
             await joinLobby(socket, userId, gameId);
         });
 
-        socket.on('lobby:score', ({ gameId, score }) => {
+        // Live scores share the REST trust model: a play session for this game and
+        // user, bounded by how long it has been running.
+        socket.on('lobby:score', async ({ gameId, score, sessionToken } = {}) => {
             if (!gameId || !joinedGames.has(gameId)) return;
+            const check = await checkScoreSubmission({ token: sessionToken, gameId, userId, score, source: 'lobby' })
+                .catch(() => ({ ok: false, reason: 'check_failed' }));
+            if (!check.ok) {
+                emitSocketError(socket, { event: 'lobby:score', code: 'score_rejected', message: 'Score rejected.', gameId, reason: check.reason });
+                return;
+            }
             updateScore(userId, gameId, score);
         });
 
-        socket.on('lobby:leave', ({ gameId }) => {
+        socket.on('lobby:leave', ({ gameId } = {}) => {
             if (!gameId) return;
             joinedGames.delete(gameId);
             leaveLobby(socket, userId, gameId);
@@ -190,8 +178,8 @@ export function initializeScoreLobbySocket(httpServer) {
         });
     });
 
-    console.log('[ScoreLobby] Socket.IO listening on path=/score-lobby');
-    return io;
+    console.log('[ScoreLobby] Socket.IO namespace /score-lobby ready');
+    return nsp;
 }
 
 // --- DB helpers --------------------------------------------------------------
@@ -211,10 +199,11 @@ export const scoreLobbyRouter = express.Router();
 
 // List active lobbies (with current player counts)
 scoreLobbyRouter.get('/', (req, res) => {
-    const out = [];
-    for (const [gameId, lobby] of lobbies.entries()) {
-        out.push({ gameId, players: lobby.size });
+    const counts = new Map();
+    for (const [, entry] of lobbyEntries?.entries() ?? []) {
+        counts.set(entry.gameId, (counts.get(entry.gameId) || 0) + 1);
     }
+    const out = Array.from(counts, ([gameId, players]) => ({ gameId, players }));
     res.json({ count: out.length, lobbies: out });
 });
 
@@ -0,0 +1,108 @@
+/**
+ * The one Socket.IO server
+ *
+ * Every realtime feature is a namespace on a single server, so a client keeps
+ * one connection (default path `/socket.io`) and opens namespaces on it:
+ *
+ *   const manager = new Manager(SOCKET_URL, { auth: { token } });
+ *   manager.socket('/chat'); manager.socket('/pk'); ...
+ *
+ * Namespaces made with createNamespace share:
+ *
+ * - authentication: `auth: { token }` (or an `Authorization: Bearer` header),
+ *   the same access token as the REST API (auth.js). An expired one is refused
+ *   with code `token_expired`; the connection stays authenticated until it
+ *   closes. Identity is `socket.user` / `socket.userId`;
+ *   nothing trusts a user id sent by the client.
+ * - rate limiting: a token bucket per user per namespace. Events over the
+ *   limit are dropped and answered with a `rate_limited` error.
+ * - errors: always the `socket:error` event with
+ *   `{ namespace, event, code, message, ...details }`. A refused connection
+ *   gets the same shape as `connect_error`'s `err.data`.
+ */
+import { Server } from 'socket.io';
+import pool from './db.js';
+import { resolveAccessToken, AuthError } from './auth.js';
+import { createRateLimiter } from './rate-limiter.js';
+
+export const SOCKET_ERROR_EVENT = 'socket:error';
+
+const allowedOrigins = (process.env.SOCKET_CORS_ORIGINS || '')
+  .split(',')
+  .map((origin) => origin.trim())
+  .filter(Boolean);
+
+export function createSocketServer(httpServer) {
+  return new Server(httpServer, {
+    cors: {
+      origin: allowedOrigins.length > 0 ? allowedOrigins : '*',
+      methods: ['GET', 'POST']
+    },
+    transports: ['websocket', 'polling']
+  });
+}
+
+/**
+ * Send the standard error event. `details` may carry event-specific fields
+ * (matchId, gameId, reason, ...).
+ */
+export function emitSocketError(socket, { event = null, code, message, ...details }) {
+  socket.emit(SOCKET_ERROR_EVENT, {
+    namespace: socket.nsp.name,
+    event,
+    code,
+    message,
+    ...details
+  });
+}
+
+function connectionError(code, message) {
+  const error = new Error(message);
+  error.data = { code, message };
+  return error;
+}
+
+async function authenticateSocket(socket, next) {
+  try {
+    const token = socket.handshake.auth?.token
+      || socket.handshake.headers?.authorization?.replace('Bearer ', '');
+    if (!token) return next(connectionError('unauthorized', 'Not authenticated'));
+    const { userId } = await resolveAccessToken(token);
+    const result = await pool.query(
+      'SELECT id, username, display_name, avatar, verified FROM users WHERE id = $1',
+      [userId]
+    );
+    if (result.rows.length === 0) return next(connectionError('unauthorized', 'Invalid token'));
+    socket.user = result.rows[0];
+    socket.userId = result.rows[0].id;
+    next();
+  } catch (err) {
+    if (err instanceof AuthError) {
+      // token_expired tells the client to refresh and reconnect with the new token
+      const code = err.code === 'token_expired' ? err.code : 'unauthorized';
+      return next(connectionError(code, err.message));
+    }
+    console.error(`[Socket] Auth error on ${socket.nsp.name}:`, err);
+    next(connectionError('server_error', 'Server error'));
+  }
+}
+
+/**
+ * An authenticated, rate-limited namespace on the shared server.
+ * rateLimit: { capacity, refillPerSecond }
+ */
+export function createNamespace(io, name, { rateLimit }) {
+  const nsp = io.of(name);
+  const limiter = createRateLimiter(rateLimit);
+  setInterval(() => limiter.prune(), 60_000).unref?.();
+
+  nsp.use(authenticateSocket);
+  nsp.on('connection', (socket) => {
+    socket.use(([event], next) => {
+      const retryAfterMs = limiter.take(socket.userId);
+      if (retryAfterMs === 0) return next();
+      emitSocketError(socket, { event, code: 'rate_limited', message: 'Too many events', retryAfterMs });
+    });
+  });
+  return nsp;
+}